@@ -2,26 +2,56 @@
  * App
  *
  * Main entry point for the GreenSync application.
- * - Wraps the app in UserProvider for shared user state.
- * - Configures NavigationContainer for React Navigation.
- * - Defines a Native Stack Navigator with:
- *   • Icon (splash/logo) screen
- *   • Authentication screens: Login, SignUp
- *   • Main app screens: DashboardTabs, LettuceDetailScreen
+ * - Wraps the app in UserProvider for the shared account/session store, and DeviceProvider
+ *   for the account's GreenSync units and the one being shown.
+ * - Configures NavigationContainer for React Navigation (with web deep links).
+ * - Selects the MQTT transport for live slot readings.
+ * - Feeds alerts into the notification inbox and loads the signed-in account's inbox.
+ * - Delivers opted-in notifications through expo-notifications (native) or the
+ *   Web Notifications API (web), following the account's notification preferences.
+ * - Defines an auth-aware Native Stack Navigator:
+ *   • Signed out: Icon (splash/logo), Login, SignUp, ForgotPassword, ResetPassword
+ *   • Signed in:  DashboardTabs, LettuceDetailScreen, InsightScreen, NotificationsScreen,
+ *                 HarvestHistoryScreen, CameraTimelineScreen, PairDeviceScreen
+ *   Only one group is registered at a time, so app screens are unreachable
+ *   without a valid session and signing in/out switches groups automatically.
+ * - Opens an account without units (e.g. straight after sign-up) on the pairing wizard.
  */
 
 // Core React import
-import React from 'react';
-// Platform utility to detect web vs. native environments
-import { Platform } from 'react-native';
-// Container component managing navigation state
-import { NavigationContainer } from '@react-navigation/native';
+import React, { useMemo, useEffect } from 'react';
+// UI primitives for the boot-time loading state, and Platform to pick the notification delivery
+import { View, ActivityIndicator, StyleSheet, Platform } from 'react-native';
+// Container component managing navigation state, and the default URL → state parser
+import { NavigationContainer, getStateFromPath } from '@react-navigation/native';
 // Factory for creating a native stack navigator
 import { createNativeStackNavigator } from '@react-navigation/native-stack';
-// Context provider to share user data across the app
-import { UserProvider } from './UserContext';
+// Account/session store shared across the app
+import { UserProvider, useUser, useSession } from './UserContext';
+// The account's units and the active one
+import { DeviceProvider, useDevices } from './DeviceContext';
+// Telemetry transport selection
+import { setTelemetryTransport } from './services/telemetry';
+import { createMqttTransport } from './services/mqttTransport';
+// Notification inbox, fed by the alert engine
+import { getNotificationStore, connectAlertNotifications } from './services/notifications';
+// Last known server data and the queue of changes made offline, both per account
+import { getOfflineCache } from './services/offlineCache';
+import { getOutbox } from './services/outbox';
+import { getAlertEngine } from './services/alerts';
+// System / browser notifications for opted-in categories
+import {
+  setNotificationDelivery,
+  connectNotificationDelivery,
+  createWebNotificationDelivery,
+  setDeliveryPreferences,
+} from './services/notificationDelivery';
+import { createExpoNotificationDelivery } from './services/expoNotificationDelivery';
+import { getNotificationPrefs } from './services/notificationPrefs';
+// Units and locale for text built outside components (alert and notification messages)
+import { setFormatterPreferences } from './services/formatter';
+import { getUnitPrefs } from './services/unitPrefs';
 
-import * as Font from 'expo-font';
 import { Ionicons } from '@expo/vector-icons';
 import { useFonts } from 'expo-font';
 
@@ -32,20 +62,216 @@ import IconScreen from './screens/IconScreen';
 import LoginScreen from './screens/LoginScreen';
 // Sign-up screen
 import SignUpScreen from './screens/SignUpScreen';
+// Password reset: request a code, then set a new password
+import ForgotPasswordScreen from './screens/ForgotPasswordScreen';
+import ResetPasswordScreen from './screens/ResetPasswordScreen';
 // Main dashboard with bottom tabs
 import DashboardTabs from './screens/DashboardTabs';
 // Detail view for a selected lettuce type
 import LettuceDetailScreen from './screens/LettuceDetailScreen';
 // Insights screen
 import InsightScreen from './screens/InsightsScreen';
+// Notification inbox
+import NotificationsScreen from './screens/NotificationsScreen';
+// Harvest log of past crops
+import HarvestHistoryScreen from './screens/HarvestHistoryScreen';
+// Smart Cam photo timeline and time-lapse for a slot
+import CameraTimelineScreen from './screens/CameraTimelineScreen';
+// Wizard for pairing a GreenSync unit to the account
+import PairDeviceScreen from './screens/PairDeviceScreen';
+
+// Stream live slot readings over MQTT instead of polling the REST API
+setTelemetryTransport(createMqttTransport());
+
+// Raised and escalated alerts land in the notification inbox
+connectAlertNotifications(getAlertEngine());
+
+// Opted-in notifications also go to the system (native) or browser (web)
+setNotificationDelivery(
+  Platform.OS === 'web' ? createWebNotificationDelivery() : createExpoNotificationDelivery()
+);
+connectNotificationDelivery();
 
 // Instantiate the native stack navigator
 const Stack = createNativeStackNavigator();
 
+// Screens that can be shown without a session
+const PUBLIC_ROUTES = ['Icon', 'Login', 'SignUp', 'ForgotPassword', 'ResetPassword'];
+
+// URL paths for web (and native deep links)
+const linkingConfig = {
+  screens: {
+    Icon: '',
+    Login: 'login',
+    SignUp: 'signup',
+    ForgotPassword: 'forgot-password',
+    ResetPassword: 'reset-password',
+    Dashboard: {
+      path: 'app',
+      screens: {
+        Home: {
+          screens: {
+            DashboardMain: 'dashboard',
+            Insight: 'dashboard/insight/:slotId',
+          },
+        },
+        Search: 'search',
+        Insights: 'insights',
+        Profile: 'profile',
+      },
+    },
+    LettuceDetail: {
+      path: 'lettuce/:lettuce',
+      // Only the catalog id goes in the URL (older links with the variety name still resolve)
+      stringify: { lettuce: (lettuce) => lettuce?.id ?? lettuce?.name ?? '' },
+      parse: { lettuce: (id) => ({ id }) },
+    },
+    Insight: 'insight/:slotId',
+    Notifications: 'notifications',
+    HarvestHistory: 'harvests',
+    CameraTimeline: 'camera/:slotId',
+    PairDevice: 'pair',
+  },
+};
+
+/**
+ * createLinking()
+ *
+ * Builds the linking options for the current auth state. Deep links are
+ * guarded the same way as the navigator: a signed-out visitor opening an app
+ * URL lands on Login, and a signed-in user opening an auth URL lands on `homeRoute`
+ * (Dashboard, or PairDevice for an account without units).
+ */
+const createLinking = (isSignedIn, homeRoute) => ({
+  prefixes: [],
+  config: linkingConfig,
+  getStateFromPath(path, options) {
+    const state = getStateFromPath(path, options);
+    const rootRoute = state?.routes?.[0]?.name;
+    if (!rootRoute) return state;
+
+    const isPublic = PUBLIC_ROUTES.includes(rootRoute);
+    if (!isSignedIn && !isPublic) {
+      return {
+        routes: [{ name: 'Login', params: { notice: 'Please log in to continue.' } }],
+      };
+    }
+    if (isSignedIn && isPublic) {
+      return { routes: [{ name: homeRoute }] };
+    }
+    return state;
+  },
+});
+
+/**
+ * RootNavigator component
+ *
+ * Chooses which screens exist based on the session (useSession):
+ * - While a stored session is restored, or the account's units first load, shows a spinner.
+ * - With a session, registers only the app screens; opens on the pairing wizard when the
+ *   account has no units yet.
+ * - Without one, registers only the auth screens; after an expired session
+ *   it opens on Login with an explanatory notice.
+ * - Switches the notification inbox and delivery preferences to the signed-in account
+ *   (cleared on sign-out), along with the offline cache, the replay queue and the units
+ *   used for alert and notification text.
+ */
+function RootNavigator() {
+  const { isSignedIn, restoring, sessionExpired, token } = useSession();
+  const { id: userId, preferences } = useUser();
+  const { devices, loaded: devicesLoaded, error: devicesError } = useDevices();
+  const notificationPrefs = preferences.notifications;
+  const unitPrefs = preferences.units;
+  // A failed load opens on Dashboard, which offers a retry
+  const needsPairing = isSignedIn && devicesLoaded && !devicesError && devices.length === 0;
+  const homeRoute = needsPairing ? 'PairDevice' : 'Dashboard';
+  const linking = useMemo(() => createLinking(isSignedIn, homeRoute), [isSignedIn, homeRoute]);
+
+  useEffect(() => {
+    getNotificationStore().setOwner(userId);
+    getOfflineCache().setOwner(userId);
+  }, [userId]);
+
+  // The queue replays with the account's current token
+  useEffect(() => {
+    getOutbox().setOwner(userId, token);
+  }, [userId, token]);
+
+  useEffect(() => {
+    setDeliveryPreferences(getNotificationPrefs({ notifications: notificationPrefs }));
+  }, [notificationPrefs]);
+
+  useEffect(() => {
+    setFormatterPreferences(getUnitPrefs({ units: unitPrefs }));
+  }, [unitPrefs]);
+
+  // Wait for the boot-time restore so deep links are resolved against the real auth state,
+  // and for the unit list so a new account can open on the pairing wizard
+  if (restoring || (isSignedIn && !devicesLoaded)) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#4CAF50" />
+      </View>
+    );
+  }
+
+  return (
+    // Manage navigation tree and state
+    <NavigationContainer linking={linking}>
+      {/* Disable default headers for all screens */}
+      <Stack.Navigator
+        screenOptions={{ headerShown: false }}
+        initialRouteName={isSignedIn ? homeRoute : sessionExpired ? 'Login' : 'Icon'}
+      >
+        {isSignedIn ? (
+          <>
+            {/* Dashboard with bottom tab navigator */}
+            <Stack.Screen name="Dashboard" component={DashboardTabs} />
+            {/* Lettuce detail view screen */}
+            <Stack.Screen name="LettuceDetail" component={LettuceDetailScreen} />
+            {/* Insights screen */}
+            <Stack.Screen name="Insight" component={InsightScreen} />
+            {/* Notification inbox */}
+            <Stack.Screen name="Notifications" component={NotificationsScreen} />
+            {/* Harvest log of past crops */}
+            <Stack.Screen name="HarvestHistory" component={HarvestHistoryScreen} />
+            {/* Smart Cam photo timeline */}
+            <Stack.Screen name="CameraTimeline" component={CameraTimelineScreen} />
+            {/* Pairing wizard for a new unit */}
+            <Stack.Screen name="PairDevice" component={PairDeviceScreen} />
+          </>
+        ) : (
+          <>
+            {/* Logo screen shown at startup */}
+            <Stack.Screen name="Icon" component={IconScreen} />
+
+            {/* Login screen for user authentication */}
+            <Stack.Screen
+              name="Login"
+              component={LoginScreen}
+              initialParams={
+                sessionExpired
+                  ? { notice: 'Your session has expired. Please log in again.' }
+                  : undefined
+              }
+            />
+            {/* Sign-up screen for new users */}
+            <Stack.Screen name="SignUp" component={SignUpScreen} />
+            {/* Password reset flow */}
+            <Stack.Screen name="ForgotPassword" component={ForgotPasswordScreen} />
+            <Stack.Screen name="ResetPassword" component={ResetPasswordScreen} />
+          </>
+        )}
+      </Stack.Navigator>
+      {/* End of navigation container */}
+    </NavigationContainer>
+  );
+}
+
 /**
  * App component
  *
- * Wraps the entire app with UserProvider and sets up navigation.
+ * Wraps the entire app with UserProvider and DeviceProvider and sets up navigation.
  */
 export default function App() {
   const [fontsLoaded] = useFonts({
@@ -56,34 +282,27 @@ export default function App() {
     return null;
   }
 
-  // Wrap the app in UserProvider and configure navigation
+  // Wrap the app in the account and device stores and configure navigation
   return (
     <>
       {/* Provide global user context */}
       <UserProvider>
-        {/* Manage navigation tree and state */}
-        <NavigationContainer>
-          {/* Disable default headers for all screens */}
-          <Stack.Navigator screenOptions={{ headerShown: false }}>
-            {/* Logo screen shown at startup */}
-            <Stack.Screen name="Icon" component={IconScreen} />
-
-            {/* Login screen for user authentication */}
-            <Stack.Screen name="Login" component={LoginScreen} />
-            {/* Sign-up screen for new users */}
-            <Stack.Screen name="SignUp" component={SignUpScreen} />
-
-            {/* Dashboard with bottom tab navigator */}
-            <Stack.Screen name="Dashboard" component={DashboardTabs} />
-            {/* Lettuce detail view screen */}
-            <Stack.Screen name="LettuceDetail" component={LettuceDetailScreen} />
-            {/* Insights screen */}
-            <Stack.Screen name="Insight" component={InsightScreen} />
-          </Stack.Navigator>
-          {/* End of navigation container */}
-        </NavigationContainer>
+        {/* Provide the account's units to every screen */}
+        <DeviceProvider>
+          <RootNavigator />
+        </DeviceProvider>
         {/* End of UserProvider */}
       </UserProvider>
     </>
   );
 }
+
+// ── Styles: boot-time loading state ──
+const styles = StyleSheet.create({
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+  },
+});
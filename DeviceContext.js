@@ -0,0 +1,191 @@
+/**
+ * DeviceContext.js
+ *
+ * Device registry shared across the app: the signed-in account's GreenSync units and
+ * which one the app is showing.
+ * - Loads the account's units (deviceClient.js) when signed in and re-checks them every
+ *   DEVICE_POLL_MS, so each unit's online/offline status stays current.
+ * - Remembers the active unit per account in storage; falls back to the first unit when
+ *   nothing was chosen yet or the chosen unit is no longer on the account.
+ * - Exposes `useDevices()`; the data hooks (useTelemetry, useHistory, …) read the active
+ *   unit from it, so every screen follows the unit picked in the navbar.
+ * - Units paired or edited in the app (PairDeviceScreen) go into the list straight away,
+ *   without waiting for the next poll.
+ * - Keeps the last list in the offline cache (offlineCache.js) and shows it, with
+ *   `cachedAt`, until the server answers (or for as long as it can't be reached).
+ */
+
+// Core React import and hooks for context and state management
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
+// The signed-in account whose units are listed
+import { useUser, useSession } from './UserContext';
+import { fetchDevices } from './services/deviceClient';
+import { getItem, setItem } from './services/storage';
+import { getOfflineCache, CACHE_KINDS } from './services/offlineCache';
+
+// How often the unit list (and so each unit's status) is refreshed
+const DEVICE_POLL_MS = 30 * 1000;
+
+const storageKey = (userId) => `activeDevice.${userId}`;
+
+// The cached unit list is stored under the account
+const DEVICES_CACHE_ID = 'all';
+
+// Create DeviceContext for holding and sharing the device registry
+export const DeviceContext = createContext(null);
+
+/**
+ * DeviceProvider component
+ *
+ * Must be rendered inside UserProvider. Supplies the store consumed by `useDevices()`:
+ * - `devices`: the account's units (see deviceClient.js), by name
+ * - `activeDevice` / `activeDeviceId`: the unit being shown (null until the list loads,
+ *   or when the account has no units)
+ * - `loading` / `error`: state of the latest list load
+ * - `loaded`: whether the first load for this account has finished (even if it failed)
+ * - `cachedAt`: when the list shown was saved, while it comes from the offline cache (else null)
+ * - `selectDevice(id)`: show another unit (remembered for next time)
+ * - `upsertDevice(device)`: add or replace a unit in the list (after pairing or editing it)
+ * - `reload()`: fetch the list again
+ *
+ * Props:
+ * - children: nested components that can consume this context
+ */
+export const DeviceProvider = ({ children }) => {
+  const { token } = useSession();
+  const { id: userId } = useUser();
+  const [devices, setDevices] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [loaded, setLoaded] = useState(false);
+  const [cachedAt, setCachedAt] = useState(null);
+  // Whether the server's list has arrived, so the cached one never replaces it
+  const freshRef = useRef(false);
+  // The unit the user picked (may not be loaded yet, or may have left the account)
+  const [chosenId, setChosenId] = useState(null);
+  // Bumped by reload() to fetch the list straight away
+  const [attempt, setAttempt] = useState(0);
+
+  // Switch to the account's remembered unit; forget everything on sign-out
+  useEffect(() => {
+    setDevices([]);
+    setChosenId(null);
+    setError(null);
+    setLoaded(false);
+    setCachedAt(null);
+    freshRef.current = false;
+    if (!userId) return undefined;
+
+    let cancelled = false;
+    getItem(storageKey(userId)).then((saved) => {
+      // A unit picked while storage was read wins
+      if (!cancelled && saved) setChosenId((current) => current ?? saved);
+    });
+    // Show the last known units until the server answers
+    getOfflineCache()
+      .read(CACHE_KINDS.DEVICES, DEVICES_CACHE_ID)
+      .then((cached) => {
+        if (cancelled || !cached || freshRef.current) return;
+        setDevices(cached.value);
+        setCachedAt(cached.savedAt);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [userId]);
+
+  // Load the list, then keep polling it for status changes
+  useEffect(() => {
+    if (!token) return undefined;
+
+    const controller = new AbortController();
+    const load = () =>
+      fetchDevices({ token, signal: controller.signal })
+        .then((list) => {
+          freshRef.current = true;
+          setDevices(list);
+          setCachedAt(null);
+          setError(null);
+          getOfflineCache().write(CACHE_KINDS.DEVICES, DEVICES_CACHE_ID, list);
+        })
+        .catch((err) => {
+          if (err?.name !== 'AbortError') setError(err);
+        })
+        .finally(() => {
+          if (controller.signal.aborted) return;
+          setLoading(false);
+          setLoaded(true);
+        });
+
+    setLoading(true);
+    load();
+    const timer = setInterval(load, DEVICE_POLL_MS);
+    return () => {
+      clearInterval(timer);
+      controller.abort();
+    };
+  }, [token, attempt]);
+
+  /**
+   * selectDevice()
+   *
+   * 1. Show the unit straight away.
+   * 2. Remember it for the account (best effort).
+   */
+  const selectDevice = useCallback(
+    (deviceId) => {
+      setChosenId(deviceId);
+      if (userId) {
+        setItem(storageKey(userId), deviceId).catch((err) =>
+          console.warn('DeviceProvider: could not remember the active unit', err)
+        );
+      }
+    },
+    [userId]
+  );
+
+  // A unit just paired or edited, kept in name order like the server's list
+  const upsertDevice = useCallback((device) => {
+    setDevices((current) =>
+      [...current.filter((item) => item.id !== device.id), device].sort((a, b) => a.name.localeCompare(b.name))
+    );
+  }, []);
+
+  const reload = useCallback(() => setAttempt((n) => n + 1), []);
+
+  const activeDevice = devices.find((device) => device.id === chosenId) ?? devices[0] ?? null;
+
+  // Provide the registry to the context consumers
+  return (
+    <DeviceContext.Provider
+      value={{
+        devices,
+        activeDevice,
+        activeDeviceId: activeDevice?.id ?? null,
+        loading,
+        error,
+        loaded,
+        cachedAt,
+        selectDevice,
+        upsertDevice,
+        reload,
+      }}
+    >
+      {children}
+    </DeviceContext.Provider>
+  );
+};
+
+/**
+ * useDevices()
+ *
+ * The account's units and the active one:
+ * `{ devices, activeDevice, activeDeviceId, loading, error, loaded, cachedAt, selectDevice, upsertDevice, reload }`.
+ */
+export function useDevices() {
+  const context = useContext(DeviceContext);
+  if (!context) {
+    throw new Error('useDevices() must be used inside <DeviceProvider>');
+  }
+  return context;
+}
@@ -1,36 +1,310 @@
 /**
  * UserContext.js
  *
- * Defines a React context for sharing user data across the app.
- * - Provides `username` state and a `setUsername` function.
- * - Wraps app components with `UserProvider` to supply context values.
+ * Account and session store shared across the app.
+ * - Holds the signed-in account (`id`, `username`, `email`, `avatar`, `preferences`)
+ *   together with the auth session (tokens + expiry) it belongs to.
+ * - Restores a remembered session from storage when the app boots, then reloads
+ *   the account from the server so the profile is never stale.
+ * - Keeps the session valid: refreshes the access token before it lapses and
+ *   ends the session (flagging it as expired) once it can no longer be refreshed.
+ * - Tracks account loading/error state for profile loads and updates.
+ * - Exposes `useUser()` and `useSession()` so screens and components never read
+ *   identity from route params.
  */
 
 // Core React import and hooks for context and state management
-import React, { createContext, useState } from 'react';
+import React, { createContext, useContext, useState, useEffect, useRef } from 'react';
+// Persistence for "Remember for 30 days" sessions
+import {
+  restoreSession,
+  saveSession,
+  clearSession,
+  isSessionExpired,
+  RESTORE_STATUS,
+} from './services/sessionStore';
+// Server-side session refresh / revocation
+import { refresh, logout } from './services/authClient';
+// Profile loads and updates
+import { fetchAccount, updateAccount } from './services/accountClient';
+import { ERROR_CODES } from './services/apiClient';
+
+// Refresh access tokens one minute before they expire
+const REFRESH_LEAD_MS = 60 * 1000;
+// Retry a refresh that failed because the network was down
+const REFRESH_RETRY_MS = 30 * 1000;
 
 // Create UserContext for holding and sharing user information
-export const UserContext = createContext();
+export const UserContext = createContext(null);
 
 /**
  * UserProvider component
  *
- * Wraps child components and supplies user context values:
- * - `username`: current user's name
- * - `setUsername`: function to update the username
+ * Wraps child components and supplies the store consumed by `useUser()` and `useSession()`:
+ * - `session`: `{ user, token, refreshToken, expiresAt, refreshExpiresAt }`, or null
+ * - `user`: the signed-in account (`session.user`), or null
+ * - `accountLoading` / `accountError`: state of the latest account load or update
+ * - `signIn(session, { remember })`: start a session, persisting it when `remember` is set
+ * - `signOut()`: revoke the session on the server and clear it locally
+ * - `reloadUser()`, `updateUser(changes)`, `updatePreferences(preferences)`
+ * - `restoring`: true while a stored session is being loaded at boot
+ * - `sessionExpired`: true when the last session ended because it expired
  *
  * Props:
  * - children: nested components that can consume this context
  */
 export const UserProvider = ({ children }) => {
-  // Initialize `username` state; default is null until user signs in
-  const [username, setUsername] = useState(null);
+  // Initialize `session` state; default is null until user signs in
+  const [session, setSession] = useState(null);
+  // Boot-time restore state
+  const [restoring, setRestoring] = useState(true);
+  const [sessionExpired, setSessionExpired] = useState(false);
+  // Account load/update state
+  const [accountLoading, setAccountLoading] = useState(false);
+  const [accountError, setAccountError] = useState(null);
+  // Whether the current session should be written back to storage when it changes
+  const rememberRef = useRef(false);
+  // Latest session, for async work that must not apply to a session that has since ended
+  const sessionRef = useRef(null);
+  sessionRef.current = session;
+
+  // Swap in a new account for the current session (ignored if the session has ended)
+  const applyUser = (token, user) => {
+    setSession((current) => (current && current.token === token ? { ...current, user } : current));
+  };
+
+  /**
+   * loadAccount()
+   *
+   * Fetches the full account for `token` and merges it into the session.
+   * Errors are recorded in `accountError`; the session keeps its last known profile.
+   */
+  const loadAccount = async (token) => {
+    setAccountLoading(true);
+    setAccountError(null);
+    try {
+      const user = await fetchAccount(token);
+      applyUser(token, user);
+      return user;
+    } catch (err) {
+      if (sessionRef.current?.token === token) setAccountError(err);
+      return null;
+    } finally {
+      setAccountLoading(false);
+    }
+  };
+
+  // On launch, pick up a remembered session (refreshing its access token if needed)
+  useEffect(() => {
+    let cancelled = false;
+    restoreSession()
+      .then(({ status, session: restored }) => {
+        if (cancelled) return;
+        if (restored) {
+          rememberRef.current = true;
+          setSession(restored);
+          loadAccount(restored.token);
+        }
+        setSessionExpired(status === RESTORE_STATUS.EXPIRED);
+      })
+      .catch((err) => console.warn('UserProvider: session restore failed', err))
+      .finally(() => {
+        if (!cancelled) setRestoring(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Write remembered sessions back to storage whenever tokens or profile change
+  useEffect(() => {
+    if (!session || !rememberRef.current) return;
+    saveSession(session).catch((err) => console.warn('UserProvider: could not persist session', err));
+  }, [session]);
+
+  // End the session locally and remember why (used when it can no longer be refreshed)
+  const expireSession = () => {
+    rememberRef.current = false;
+    setSession(null);
+    setAccountError(null);
+    setSessionExpired(true);
+    clearSession().catch(() => {});
+  };
+
+  // Keep the access token fresh while signed in; expire the session when refreshing fails
+  useEffect(() => {
+    if (!session) return undefined;
+    if (isSessionExpired(session)) {
+      expireSession();
+      return undefined;
+    }
+
+    let cancelled = false;
+    let timer;
+    const scheduleRefresh = (delay) => {
+      timer = setTimeout(async () => {
+        try {
+          const refreshed = await refresh(session.refreshToken);
+          if (cancelled) return;
+          setSession(refreshed);
+        } catch (err) {
+          if (cancelled) return;
+          if (err.code === ERROR_CODES.NETWORK_ERROR && !isSessionExpired(session)) {
+            scheduleRefresh(REFRESH_RETRY_MS);
+          } else {
+            expireSession();
+          }
+        }
+      }, Math.max(delay, 0));
+    };
+    scheduleRefresh(Date.parse(session.expiresAt) - REFRESH_LEAD_MS - Date.now());
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [session?.token]);
+
+  /**
+   * signIn()
+   *
+   * 1. Store the new session (and the account it carries) in state.
+   * 2. Persist the session when "Remember for 30 days" was ticked;
+   *    otherwise make sure no older session lingers in storage.
+   * 3. Load the full account profile in the background.
+   */
+  const signIn = async (newSession, { remember = false } = {}) => {
+    rememberRef.current = remember;
+    setSession(newSession);
+    setAccountError(null);
+    setSessionExpired(false);
+    if (!remember) {
+      await clearSession().catch((err) => console.warn('UserProvider: could not clear session', err));
+    }
+    loadAccount(newSession.token);
+  };
+
+  /**
+   * signOut()
+   *
+   * 1. Clear the session from state and storage so the app screens unmount.
+   * 2. Ask the server to revoke the tokens (best effort — offline logouts still succeed locally).
+   */
+  const signOut = async () => {
+    const token = session?.token;
+    rememberRef.current = false;
+    setSession(null);
+    setAccountError(null);
+    setSessionExpired(false);
+    await clearSession().catch((err) => console.warn('UserProvider: could not clear session', err));
+    if (token) {
+      await logout(token).catch((err) => console.warn('UserProvider: server logout failed', err));
+    }
+  };
+
+  /**
+   * updateUser()
+   *
+   * 1. PATCH the changed account fields (username, email, password, avatar, preferences).
+   * 2. On success, replace the stored account with the server's copy and resolve with it.
+   * 3. On failure, record the error and rethrow so the calling form can show it.
+   */
+  const updateUser = async (changes) => {
+    const token = session?.token;
+    if (!token) throw new Error('updateUser() requires a signed-in session');
+    setAccountLoading(true);
+    setAccountError(null);
+    try {
+      const user = await updateAccount(token, changes);
+      applyUser(token, user);
+      return user;
+    } catch (err) {
+      setAccountError(err);
+      throw err;
+    } finally {
+      setAccountLoading(false);
+    }
+  };
 
-  // Provide `username` and `setUsername` to the context consumers
+  // Merge preference keys into the account (other keys are left untouched server-side)
+  const updatePreferences = (preferences) => updateUser({ preferences });
+
+  // Re-fetch the account, e.g. after an error or when returning to the profile
+  const reloadUser = () => (session ? loadAccount(session.token) : Promise.resolve(null));
+
+  // Provide account and session state to the context consumers
   return (
-    <UserContext.Provider value={{ username, setUsername }}>
+    <UserContext.Provider
+      value={{
+        session,
+        user: session?.user ?? null,
+        accountLoading,
+        accountError,
+        signIn,
+        signOut,
+        reloadUser,
+        updateUser,
+        updatePreferences,
+        restoring,
+        sessionExpired,
+      }}
+    >
       {/* Render nested components with access to UserContext */}
       {children}
     </UserContext.Provider>
   );
-};
\ No newline at end of file
+};
+
+// Read the store, failing loudly when a component is rendered outside UserProvider
+const useUserContext = (hookName) => {
+  const context = useContext(UserContext);
+  if (!context) {
+    throw new Error(`${hookName}() must be used inside <UserProvider>`);
+  }
+  return context;
+};
+
+/**
+ * useUser()
+ *
+ * The signed-in account and the actions that change it:
+ * `{ user, id, username, email, avatar, preferences, loading, error,
+ *    reloadUser, updateUser, updatePreferences }`.
+ * Identity fields are null while signed out.
+ */
+export function useUser() {
+  const { user, accountLoading, accountError, reloadUser, updateUser, updatePreferences } =
+    useUserContext('useUser');
+  return {
+    user,
+    id: user?.id ?? null,
+    username: user?.username ?? null,
+    email: user?.email ?? null,
+    avatar: user?.avatar ?? null,
+    preferences: user?.preferences ?? {},
+    loading: accountLoading,
+    error: accountError,
+    reloadUser,
+    updateUser,
+    updatePreferences,
+  };
+}
+
+/**
+ * useSession()
+ *
+ * Auth state for navigation and API calls:
+ * `{ session, token, isSignedIn, restoring, sessionExpired, signIn, signOut }`.
+ */
+export function useSession() {
+  const { session, restoring, sessionExpired, signIn, signOut } = useUserContext('useSession');
+  return {
+    session,
+    token: session?.token ?? null,
+    isSignedIn: Boolean(session),
+    restoring,
+    sessionExpired,
+    signIn,
+    signOut,
+  };
+}
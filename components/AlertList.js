@@ -0,0 +1,87 @@
+/**
+ * AlertList
+ *
+ * Active alerts for one slot (from useAlerts), most urgent first.
+ * - Each row shows the severity, what is out of range and for how long.
+ * - Renders a short "all readings in range" row when there are no alerts.
+ */
+
+// Core React import
+import React from 'react';
+// React Native UI components
+import { View, Text, StyleSheet } from 'react-native';
+// Icon library for vector icons
+import { Ionicons } from '@expo/vector-icons';
+import { SEVERITY } from '../services/alerts';
+import { formatDuration } from '../utils/time';
+
+const SEVERITY_STYLES = {
+  [SEVERITY.CRITICAL]: { icon: 'alert-circle', color: '#e53935' },
+  [SEVERITY.WARNING]: { icon: 'warning', color: '#f9a825' },
+};
+
+/**
+ * AlertList component
+ *
+ * Props:
+ * - alerts: alerts for the slot, as returned by useAlerts().alertsForSlot()
+ */
+export default function AlertList({ alerts }) {
+  if (!alerts.length) {
+    return (
+      <View style={styles.row}>
+        <Ionicons name="checkmark-circle" size={18} color="#4CAF50" />
+        <Text style={[styles.message, styles.okText]}>All readings are within target ranges.</Text>
+      </View>
+    );
+  }
+
+  return (
+    <View>
+      {alerts.map((alert) => {
+        const { icon, color } = SEVERITY_STYLES[alert.severity];
+        return (
+          <View key={alert.id} style={styles.row}>
+            <Ionicons name={icon} size={18} color={color} />
+            <View style={styles.body}>
+              <Text style={styles.message}>{alert.message}</Text>
+              <Text style={styles.meta}>
+                {alert.severity === SEVERITY.CRITICAL ? 'Critical' : 'Warning'} · for {formatDuration(alert.duration)}
+              </Text>
+            </View>
+          </View>
+        );
+      })}
+    </View>
+  );
+}
+
+// ── Styles: alert rows ──
+const styles = StyleSheet.create({
+  row: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    backgroundColor: '#f8f8f8',
+    borderRadius: 12,
+    paddingVertical: 10,
+    paddingHorizontal: 16,
+    marginBottom: 8,
+  },
+  body: {
+    flex: 1,
+    marginLeft: 10,
+  },
+  message: {
+    fontSize: 14,
+    color: '#222',
+  },
+  okText: {
+    flex: 1,
+    marginLeft: 10,
+  },
+  meta: {
+    fontSize: 12,
+    color: '#777',
+    marginTop: 2,
+  },
+});
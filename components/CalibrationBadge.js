@@ -0,0 +1,56 @@
+/**
+ * CalibrationBadge
+ *
+ * One-line probe calibration status for the Insights pH and TDS cards: the date the probe
+ * was last calibrated, flagged in red once it is due (see calibrationClient.js).
+ */
+
+// Core React import
+import React from 'react';
+// React Native UI components
+import { View, Text, StyleSheet } from 'react-native';
+// Icon library for vector icons
+import { Ionicons } from '@expo/vector-icons';
+import { getCalibrationStatus } from '../services/calibrationClient';
+import useFormatter from '../hooks/useFormatter';
+
+/**
+ * CalibrationBadge component
+ *
+ * Props:
+ * - calibration: the probe's entry from the slot's `calibration`; renders nothing without one
+ */
+export default function CalibrationBadge({ calibration }) {
+  const format = useFormatter();
+  if (!calibration) return null;
+  const { calibratedAt, due } = getCalibrationStatus(calibration);
+  const date = calibratedAt == null ? 'Not calibrated yet' : `Calibrated ${format.date(calibratedAt)}`;
+
+  return (
+    <View style={styles.row}>
+      <Ionicons name={due ? 'alert-circle-outline' : 'build-outline'} size={12} color={due ? '#b71c1c' : '#888'} />
+      <Text style={[styles.text, due && styles.dueText]}>
+        {due && calibratedAt != null ? `${date} · calibration due` : date}
+      </Text>
+    </View>
+  );
+}
+
+// ── Styles: badge ──
+const styles = StyleSheet.create({
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 4,
+    marginLeft: 26,
+  },
+  text: {
+    fontSize: 12,
+    color: '#888',
+    marginLeft: 4,
+  },
+  dueText: {
+    color: '#b71c1c',
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,140 @@
+/**
+ * CommandStatus
+ *
+ * Progress line for an actuator command inside the Insights modals.
+ * - Pending: waiting for the device to pick the command up.
+ * - Running: what the device is doing, with a progress bar.
+ * - Done / Failed: the real outcome reported by the device.
+ * - Queued: waiting in the replay queue for the server to be reachable again; a queued
+ *   command that was refused or expired shows why, with "Send anyway" and "Discard".
+ * - Renders nothing when there is no command.
+ */
+
+// Core React import
+import React from 'react';
+// React Native UI components
+import { View, Text, Pressable, ActivityIndicator, StyleSheet } from 'react-native';
+// Icon library for vector icons
+import { Ionicons } from '@expo/vector-icons';
+import { COMMAND_STATUS, getCommandErrorMessage } from '../services/commandClient';
+import useOutbox from '../hooks/useOutbox';
+
+// Wording for each action while running and once complete
+const ACTION_LABELS = {
+  dispense_water: { running: 'Dispensing water', done: 'Water dispensed.' },
+  dispense_nutrients: { running: 'Dispensing nutrients', done: 'Nutrients dispensed.' },
+  ph_up: { running: 'Raising pH', done: 'pH up solution added.' },
+  ph_down: { running: 'Lowering pH', done: 'pH down solution added.' },
+  light_on: { running: 'Updating the grow light', done: 'Grow light updated.' },
+  light_off: { running: 'Turning the grow light off', done: 'Grow light turned off.' },
+};
+
+/**
+ * CommandStatus component
+ *
+ * Props:
+ * - command: `{ action, status, progress, error }` from useSlotCommands, or undefined
+ */
+export default function CommandStatus({ command }) {
+  const { sendAnyway, discard } = useOutbox();
+  if (!command) return null;
+  const labels = ACTION_LABELS[command.action] ?? { running: 'Working', done: 'Done.' };
+
+  if (command.status === COMMAND_STATUS.FAILED) {
+    return (
+      <View style={styles.container}>
+        <View style={styles.row}>
+          <Ionicons name="alert-circle" size={18} color="#b71c1c" />
+          <Text style={[styles.text, styles.failedText]}>{getCommandErrorMessage(command.error)}</Text>
+        </View>
+        {/* Queued while offline, then refused or expired: the user decides */}
+        {command.outboxId && (
+          <View style={styles.row}>
+            <Pressable onPress={() => sendAnyway(command.outboxId)} hitSlop={6}>
+              <Text style={styles.link}>Send anyway</Text>
+            </Pressable>
+            <Pressable onPress={() => discard(command.outboxId)} hitSlop={6}>
+              <Text style={styles.link}>Discard</Text>
+            </Pressable>
+          </View>
+        )}
+      </View>
+    );
+  }
+
+  if (command.status === COMMAND_STATUS.QUEUED) {
+    return (
+      <View style={styles.row}>
+        <Ionicons name="cloud-upload-outline" size={18} color="#8a6d00" />
+        <Text style={[styles.text, styles.queuedText]}>Queued · sends when the connection returns.</Text>
+      </View>
+    );
+  }
+
+  if (command.status === COMMAND_STATUS.DONE) {
+    return (
+      <View style={styles.row}>
+        <Ionicons name="checkmark-circle" size={18} color="#4CAF50" />
+        <Text style={styles.text}>{labels.done}</Text>
+      </View>
+    );
+  }
+
+  const running = command.status === COMMAND_STATUS.RUNNING;
+  return (
+    <View style={styles.container}>
+      <View style={styles.row}>
+        <ActivityIndicator size="small" color="#4CAF50" />
+        <Text style={styles.text}>
+          {running ? `${labels.running}… ${Math.round((command.progress ?? 0) * 100)}%` : 'Waiting for the device…'}
+        </Text>
+      </View>
+      <View style={styles.track}>
+        <View style={[styles.fill, { width: `${Math.round((running ? command.progress ?? 0 : 0) * 100)}%` }]} />
+      </View>
+    </View>
+  );
+}
+
+// ── Styles: status row and progress bar ──
+const styles = StyleSheet.create({
+  container: {
+    alignSelf: 'stretch',
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginTop: 4,
+  },
+  text: {
+    marginLeft: 8,
+    fontSize: 14,
+    color: '#333',
+  },
+  failedText: {
+    color: '#b71c1c',
+    flexShrink: 1,
+  },
+  queuedText: {
+    color: '#8a6d00',
+    flexShrink: 1,
+  },
+  link: {
+    color: '#14AE5C',
+    fontWeight: '600',
+    textDecorationLine: 'underline',
+    marginHorizontal: 8,
+  },
+  track: {
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: '#e0e0e0',
+    marginTop: 8,
+    overflow: 'hidden',
+  },
+  fill: {
+    height: '100%',
+    backgroundColor: '#4CAF50',
+  },
+});
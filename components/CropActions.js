@@ -0,0 +1,251 @@
+/**
+ * CropActions
+ *
+ * Ends a slot's crop cycle from the Insights growth timeline.
+ * - "Mark harvested" opens a form for the yield (grams), a 1–5 quality rating and notes.
+ * - "Mark failed" opens a form for notes on what went wrong.
+ * - Saving logs the crop in the harvest log and empties the slot on every screen
+ *   (usePlanting); errors show inline and keep the form open.
+ */
+
+// Core React import
+import React, { useState } from 'react';
+// React Native UI components and Platform utility
+import { View, Text, TextInput, Pressable, TouchableOpacity, ActivityIndicator, StyleSheet, Platform } from 'react-native';
+// Icon library for vector icons
+import { Ionicons } from '@expo/vector-icons';
+import usePlanting from '../hooks/usePlanting';
+import { CROP_OUTCOMES } from '../services/plantingClient';
+import { QUALITY_MAX } from '../services/harvestClient';
+import { getAuthErrorMessage } from '../services/authClient';
+
+/**
+ * QualityRating component
+ *
+ * Row of stars; tapping one sets the rating.
+ */
+function QualityRating({ value, onChange }) {
+  return (
+    <View style={styles.stars}>
+      {Array.from({ length: QUALITY_MAX }, (_, idx) => idx + 1).map((rating) => (
+        <Pressable key={rating} onPress={() => onChange(rating)} hitSlop={4} accessibilityLabel={`${rating} of ${QUALITY_MAX}`}>
+          <Ionicons name={rating <= value ? 'star' : 'star-outline'} size={24} color="#F9A825" />
+        </Pressable>
+      ))}
+    </View>
+  );
+}
+
+/**
+ * CropActions component
+ *
+ * Props:
+ * - slot: the planted slot
+ * - varietyName: display name of the crop
+ * - ready: true once the crop is in its harvest window (highlights "Mark harvested")
+ */
+export default function CropActions({ slot, varietyName, ready }) {
+  const { planting, error, endCrop } = usePlanting();
+
+  // ── Form state: which outcome is being recorded, and the harvest details ──
+  const [outcome, setOutcome] = useState(null);
+  const [yieldText, setYieldText] = useState('');
+  const [quality, setQuality] = useState(0);
+  const [notes, setNotes] = useState('');
+  const [formError, setFormError] = useState('');
+
+  const open = (next) => {
+    setOutcome(next);
+    setFormError('');
+  };
+
+  /**
+   * handleSave()
+   *
+   * 1. For a harvest, check the yield is a number of grams and a rating is chosen.
+   * 2. End the crop with the details; the slot empties once it is saved.
+   */
+  const handleSave = async () => {
+    const details = { notes: notes.trim() };
+    if (outcome === CROP_OUTCOMES.HARVESTED) {
+      const grams = Number(yieldText.replace(',', '.'));
+      if (yieldText.trim() === '' || !Number.isFinite(grams) || grams < 0) {
+        setFormError('Enter the yield in grams.');
+        return;
+      }
+      if (!quality) {
+        setFormError('Rate the quality of the harvest.');
+        return;
+      }
+      Object.assign(details, { yieldGrams: grams, quality });
+    }
+    setFormError('');
+    await endCrop(slot.id, outcome, details);
+  };
+
+  if (!outcome) {
+    return (
+      <View style={styles.row}>
+        <TouchableOpacity
+          style={[styles.button, ready ? styles.harvestReady : styles.harvest]}
+          onPress={() => open(CROP_OUTCOMES.HARVESTED)}
+        >
+          <Ionicons name="basket-outline" size={16} color={ready ? '#fff' : '#4CAF50'} />
+          <Text style={[styles.buttonText, { color: ready ? '#fff' : '#4CAF50' }]}>Mark harvested</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={[styles.button, styles.fail]} onPress={() => open(CROP_OUTCOMES.FAILED)}>
+          <Ionicons name="close-circle-outline" size={16} color="#b71c1c" />
+          <Text style={[styles.buttonText, { color: '#b71c1c' }]}>Mark failed</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  const harvesting = outcome === CROP_OUTCOMES.HARVESTED;
+  return (
+    <View style={styles.form}>
+      <Text style={styles.formTitle}>
+        {harvesting ? `Harvest ${varietyName} from Slot ${slot.id}` : `${varietyName} in Slot ${slot.id} failed`}
+      </Text>
+
+      {harvesting && (
+        <>
+          <Text style={styles.label}>Yield (grams)</Text>
+          <TextInput
+            style={styles.input}
+            value={yieldText}
+            onChangeText={setYieldText}
+            keyboardType="numeric"
+            placeholder="e.g. 250"
+            placeholderTextColor="#999"
+          />
+          <Text style={styles.label}>Quality</Text>
+          <QualityRating value={quality} onChange={setQuality} />
+        </>
+      )}
+
+      <Text style={styles.label}>{harvesting ? 'Notes (optional)' : 'What went wrong? (optional)'}</Text>
+      <TextInput
+        style={[styles.input, styles.notes]}
+        value={notes}
+        onChangeText={setNotes}
+        multiline
+        maxLength={500}
+        placeholder={harvesting ? 'Taste, texture, anything to try next time' : 'e.g. roots browned, pests, bolted'}
+        placeholderTextColor="#999"
+      />
+
+      {formError || error ? (
+        <Text style={styles.errorText}>{formError || getAuthErrorMessage(error)}</Text>
+      ) : null}
+      <Text style={styles.hint}>Saving logs this crop in the harvest history and empties the slot.</Text>
+
+      <View style={styles.row}>
+        <TouchableOpacity style={[styles.button, styles.cancel]} onPress={() => setOutcome(null)} disabled={planting}>
+          <Text style={[styles.buttonText, { color: '#555' }]}>Cancel</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.button, harvesting ? styles.harvestReady : styles.failSolid]}
+          onPress={handleSave}
+          disabled={planting}
+        >
+          {planting ? (
+            <ActivityIndicator color="#fff" size="small" />
+          ) : (
+            <Text style={[styles.buttonText, { color: '#fff' }]}>{harvesting ? 'Save harvest' : 'Record failure'}</Text>
+          )}
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+}
+
+// ── Styles: action buttons, harvest form, and error text ──
+const styles = StyleSheet.create({
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    gap: 12,
+    marginTop: 14,
+  },
+  button: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 16,
+    borderWidth: 1,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    gap: 6,
+  },
+  harvest: {
+    borderColor: '#4CAF50',
+    backgroundColor: '#fff',
+  },
+  harvestReady: {
+    borderColor: '#4CAF50',
+    backgroundColor: '#4CAF50',
+  },
+  fail: {
+    borderColor: '#b71c1c',
+    backgroundColor: '#fff',
+  },
+  failSolid: {
+    borderColor: '#b71c1c',
+    backgroundColor: '#b71c1c',
+  },
+  cancel: {
+    borderColor: '#ccc',
+    backgroundColor: '#fff',
+  },
+  buttonText: {
+    fontSize: 13,
+    fontWeight: 'bold',
+  },
+  form: {
+    marginTop: 14,
+    padding: 12,
+    borderRadius: 12,
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+  },
+  formTitle: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: '#222',
+  },
+  label: {
+    fontSize: 13,
+    fontWeight: 'bold',
+    color: '#333',
+    marginTop: 10,
+    marginBottom: 4,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ccc',
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: Platform.OS === 'web' ? 8 : 6,
+    fontSize: 14,
+    color: '#222',
+  },
+  notes: {
+    minHeight: 64,
+    textAlignVertical: 'top',
+  },
+  stars: {
+    flexDirection: 'row',
+    gap: 4,
+  },
+  hint: {
+    fontSize: 12,
+    color: '#777',
+    marginTop: 8,
+  },
+  errorText: {
+    color: '#b71c1c',
+    marginTop: 8,
+  },
+});
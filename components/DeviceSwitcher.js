@@ -0,0 +1,215 @@
+/**
+ * DeviceSwitcher
+ *
+ * Navbar control for picking which GreenSync unit the app shows (useDevices).
+ * - The button shows the active unit's name with an online/offline dot.
+ * - Pressing it opens a list of the account's units: name, model, slot count and
+ *   status (offline units say when they were last seen); choosing one switches every
+ *   screen to it. The list ends with a link to pair another unit (PairDeviceScreen).
+ * - Hidden until the account's units have loaded, and when the account has none.
+ */
+
+// Core React import and state hook
+import React, { useState } from 'react';
+// React Native UI components
+import { View, Text, Pressable, Modal, ScrollView, StyleSheet } from 'react-native';
+// Icon library for vector icons
+import { Ionicons } from '@expo/vector-icons';
+// Navigation hook for opening the pairing wizard
+import { useNavigation } from '@react-navigation/native';
+import { useDevices } from '../DeviceContext';
+import { DEVICE_STATUS, describeDeviceStatus } from '../services/deviceClient';
+import { getAuthErrorMessage } from '../services/authClient';
+
+const STATUS_COLORS = {
+  [DEVICE_STATUS.ONLINE]: '#4CAF50',
+  [DEVICE_STATUS.OFFLINE]: '#9e9e9e',
+};
+
+const StatusDot = ({ status }) => (
+  <View style={[styles.dot, { backgroundColor: STATUS_COLORS[status] ?? STATUS_COLORS[DEVICE_STATUS.OFFLINE] }]} />
+);
+
+/**
+ * DeviceSwitcher component
+ *
+ * Props:
+ * - color: button text color (default #333)
+ * - style: extra style for the button
+ */
+export default function DeviceSwitcher({ color = '#333', style }) {
+  const { devices, activeDevice, error, selectDevice, reload } = useDevices();
+  const navigation = useNavigation();
+  const [open, setOpen] = useState(false);
+
+  if (!activeDevice) return null;
+
+  const choose = (deviceId) => {
+    selectDevice(deviceId);
+    setOpen(false);
+  };
+
+  const addUnit = () => {
+    setOpen(false);
+    navigation.navigate('PairDevice');
+  };
+
+  return (
+    <>
+      <Pressable
+        onPress={() => setOpen(true)}
+        accessibilityRole="button"
+        accessibilityLabel={`Unit: ${activeDevice.name}, ${activeDevice.status}. Change unit`}
+        style={({ pressed }) => [styles.button, { opacity: pressed ? 0.6 : 1 }, style]}
+      >
+        <StatusDot status={activeDevice.status} />
+        <Text style={[styles.buttonText, { color }]} numberOfLines={1}>{activeDevice.name}</Text>
+        <Ionicons name="chevron-down" size={14} color={color} />
+      </Pressable>
+
+      {/* Unit list */}
+      <Modal visible={open} transparent animationType="fade" onRequestClose={() => setOpen(false)}>
+        <Pressable style={styles.overlay} onPress={() => setOpen(false)}>
+          {/* Swallow presses on the card so only the backdrop closes it */}
+          <Pressable style={styles.card} onPress={() => {}}>
+            <View style={styles.cardHeader}>
+              <Text style={styles.cardTitle}>Your GreenSync units</Text>
+              <Pressable onPress={() => setOpen(false)} hitSlop={8} accessibilityLabel="Close">
+                <Ionicons name="close" size={24} color="#333" />
+              </Pressable>
+            </View>
+            <ScrollView>
+              {devices.map((device) => {
+                const active = device.id === activeDevice.id;
+                return (
+                  <Pressable
+                    key={device.id}
+                    onPress={() => choose(device.id)}
+                    accessibilityRole="button"
+                    accessibilityState={{ selected: active }}
+                    style={({ pressed }) => [styles.row, active && styles.activeRow, pressed && { opacity: 0.6 }]}
+                  >
+                    <View style={{ flex: 1 }}>
+                      <Text style={styles.rowTitle}>{device.name}</Text>
+                      <Text style={styles.rowMeta}>
+                        {device.model} · {device.slotCount} slots · {device.plantedSlots} planted
+                      </Text>
+                      <View style={styles.statusLine}>
+                        <StatusDot status={device.status} />
+                        <Text style={styles.rowMeta}>{describeDeviceStatus(device)}</Text>
+                      </View>
+                    </View>
+                    {active && <Ionicons name="checkmark-circle" size={22} color="#4CAF50" />}
+                  </Pressable>
+                );
+              })}
+              <Pressable
+                onPress={addUnit}
+                accessibilityRole="button"
+                style={({ pressed }) => [styles.row, styles.addRow, pressed && { opacity: 0.6 }]}
+              >
+                <Ionicons name="add-circle-outline" size={22} color="#4CAF50" />
+                <Text style={styles.addText}>Add a unit</Text>
+              </Pressable>
+            </ScrollView>
+            {/* The list is still shown from the last good load */}
+            {error && (
+              <Pressable onPress={reload}>
+                <Text style={styles.errorText}>Could not refresh your units: {getAuthErrorMessage(error)} Tap to retry.</Text>
+              </Pressable>
+            )}
+          </Pressable>
+        </Pressable>
+      </Modal>
+    </>
+  );
+}
+
+// ── Styles: switcher button, unit list and status dots ──
+const styles = StyleSheet.create({
+  button: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    maxWidth: 200,
+  },
+  buttonText: {
+    flexShrink: 1,
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  dot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+  },
+  overlay: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: 'rgba(0,0,0,0.5)',
+    padding: 20,
+  },
+  card: {
+    width: '100%',
+    maxWidth: 400,
+    maxHeight: '80%',
+    padding: 20,
+    backgroundColor: '#fff',
+    borderRadius: 16,
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  cardTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#222',
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+    borderRadius: 12,
+    marginBottom: 8,
+    backgroundColor: '#f8f8f8',
+  },
+  activeRow: {
+    backgroundColor: '#e8f5e9',
+  },
+  addRow: {
+    gap: 10,
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+    borderStyle: 'dashed',
+  },
+  addText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#4CAF50',
+  },
+  rowTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  rowMeta: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 2,
+  },
+  statusLine: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+  },
+  errorText: {
+    color: '#b71c1c',
+    fontSize: 13,
+    marginTop: 8,
+  },
+});
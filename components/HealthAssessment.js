@@ -0,0 +1,219 @@
+/**
+ * HealthAssessment
+ *
+ * What the plant health model makes of a slot's latest Smart Cam photo (usePlantHealth).
+ * - Full card (Insights): overall status and confidence, then each finding (tip burn,
+ *   bolting, nutrient deficiency) with the evidence the model saw and suggested actions.
+ * - Compact line (Dashboard): the findings' names, or that none were spotted.
+ * - Checking, unavailable (with retry) and waiting-for-a-photo states.
+ */
+
+// Core React import
+import React from 'react';
+// React Native UI components
+import { View, Text, Pressable, ActivityIndicator, StyleSheet } from 'react-native';
+// Icon library for vector icons
+import { Ionicons } from '@expo/vector-icons';
+import usePlantHealth from '../hooks/usePlantHealth';
+import useFormatter from '../hooks/useFormatter';
+import { HEALTH_STATUS, FINDING_INFO } from '../services/healthClient';
+import { getAuthErrorMessage } from '../services/authClient';
+import { formatTimeAgo } from '../utils/time';
+
+// Icon, colour and headline for each overall status
+const STATUS_DISPLAY = {
+  [HEALTH_STATUS.HEALTHY]: { icon: 'checkmark-circle', color: '#4CAF50', title: 'Lettuce looks healthy!' },
+  [HEALTH_STATUS.ATTENTION]: { icon: 'warning', color: '#f9a825', title: 'Lettuce might need attention!' },
+  [HEALTH_STATUS.UNHEALTHY]: { icon: 'warning', color: '#e53935', title: 'Lettuce needs attention now!' },
+};
+
+const SEVERITY_COLORS = { warning: '#f9a825', critical: '#e53935' };
+
+const percent = (fraction) => `${Math.round(fraction * 100)}%`;
+const findingLabel = (type) => FINDING_INFO[type]?.label ?? type.replace(/_/g, ' ');
+
+/**
+ * Finding component
+ *
+ * One finding: name, severity and confidence, the evidence, and what to try.
+ */
+function Finding({ finding }) {
+  const format = useFormatter();
+  const actions = FINDING_INFO[finding.type]?.actions(format) ?? [];
+  const color = SEVERITY_COLORS[finding.severity] ?? SEVERITY_COLORS.warning;
+  return (
+    <View style={[styles.finding, { borderLeftColor: color }]}>
+      <View style={styles.findingHeader}>
+        <Text style={styles.findingTitle}>{findingLabel(finding.type)}</Text>
+        <Text style={[styles.findingMeta, { color }]}>
+          {finding.severity === 'critical' ? 'Likely' : 'Possible'} · {percent(finding.confidence)}
+        </Text>
+      </View>
+      {finding.evidence.map((line) => (
+        <Text key={line} style={styles.evidence}>{line}</Text>
+      ))}
+      {actions.length > 0 && <Text style={styles.actionsTitle}>Try:</Text>}
+      {actions.map((action) => (
+        <Text key={action} style={styles.action}>• {action}</Text>
+      ))}
+    </View>
+  );
+}
+
+/**
+ * HealthAssessment component
+ *
+ * Props:
+ * - slot: the live planted slot
+ * - compact: one line for the Dashboard instead of the full card
+ */
+export default function HealthAssessment({ slot, compact = false }) {
+  const { assessment, loading, error, reload } = usePlantHealth({ slot });
+
+  if (compact) {
+    let line;
+    if (assessment) {
+      line = assessment.findings.length
+        ? `Smart Cam: ${assessment.findings.map((f) => findingLabel(f.type)).join(' · ')}`
+        : 'Smart Cam: no problems spotted';
+    } else if (error) {
+      line = 'Smart Cam health check unavailable';
+    } else if (loading) {
+      line = 'Smart Cam: checking the latest photo…';
+    } else {
+      return null;
+    }
+    const display = assessment ? STATUS_DISPLAY[assessment.status] : null;
+    return (
+      <View style={styles.compact}>
+        <Ionicons name="camera-outline" size={14} color={display?.color ?? '#888'} />
+        <Text style={styles.compactText} numberOfLines={1}>{line}</Text>
+      </View>
+    );
+  }
+
+  let body;
+  if (assessment) {
+    const display = STATUS_DISPLAY[assessment.status] ?? STATUS_DISPLAY[HEALTH_STATUS.ATTENTION];
+    body = (
+      <>
+        <View style={styles.header}>
+          <Ionicons name={display.icon} size={22} color={display.color} style={{ marginRight: 10 }} />
+          <View style={{ flex: 1 }}>
+            <Text style={styles.title}>{display.title}</Text>
+            <Text style={styles.meta}>
+              Smart Cam check · {percent(assessment.confidence)} confident · {formatTimeAgo(assessment.imageTakenAt ?? assessment.assessedAt)}
+            </Text>
+          </View>
+          <Pressable onPress={reload} disabled={loading} hitSlop={8} accessibilityLabel="Check again">
+            {loading ? <ActivityIndicator size="small" color="#4CAF50" /> : <Ionicons name="refresh" size={18} color="#4CAF50" />}
+          </Pressable>
+        </View>
+        {assessment.findings.map((finding) => (
+          <Finding key={finding.type} finding={finding} />
+        ))}
+      </>
+    );
+  } else if (error) {
+    body = (
+      <Pressable onPress={reload}>
+        <Text style={styles.errorText}>Health check unavailable: {getAuthErrorMessage(error)} Tap to retry.</Text>
+      </Pressable>
+    );
+  } else if (loading) {
+    body = (
+      <View style={styles.header}>
+        <ActivityIndicator size="small" color="#4CAF50" style={{ marginRight: 10 }} />
+        <Text style={styles.meta}>Checking the latest Smart Cam photo…</Text>
+      </View>
+    );
+  } else {
+    body = (
+      <View style={styles.header}>
+        <Ionicons name="camera-outline" size={22} color="#bbb" style={{ marginRight: 10 }} />
+        <Text style={styles.meta}>Plant health is checked from the Smart Cam photos once the first one is taken.</Text>
+      </View>
+    );
+  }
+
+  return <View style={styles.card}>{body}</View>;
+}
+
+// ── Styles: health card, findings, and compact dashboard line ──
+const styles = StyleSheet.create({
+  card: {
+    backgroundColor: '#f8f8f8',
+    borderRadius: 12,
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    marginBottom: 12,
+    width: '100%',
+    alignSelf: 'stretch',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  title: {
+    color: '#222',
+    fontWeight: 'bold',
+    fontSize: 16,
+  },
+  meta: {
+    flexShrink: 1,
+    color: '#777',
+    fontSize: 12,
+    marginTop: 2,
+  },
+  finding: {
+    marginTop: 12,
+    paddingLeft: 10,
+    borderLeftWidth: 3,
+  },
+  findingHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  findingTitle: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  findingMeta: {
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
+  evidence: {
+    fontSize: 13,
+    color: '#555',
+    marginTop: 2,
+  },
+  actionsTitle: {
+    fontSize: 13,
+    fontWeight: 'bold',
+    color: '#333',
+    marginTop: 6,
+  },
+  action: {
+    fontSize: 13,
+    color: '#333',
+    marginTop: 2,
+  },
+  compact: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    marginBottom: 8,
+    paddingHorizontal: 4,
+  },
+  compactText: {
+    flex: 1,
+    fontSize: 13,
+    color: '#555',
+  },
+  errorText: {
+    color: '#b71c1c',
+    fontSize: 13,
+  },
+});
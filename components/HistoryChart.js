@@ -0,0 +1,134 @@
+/**
+ * HistoryChart
+ *
+ * Line chart for one metric's history (from useHistory), drawn with react-native-svg.
+ * - The x axis is real time from `from` to `to`, so points sit where their readings were taken.
+ * - Buckets without readings break the line and are shaded, instead of being joined up.
+ * - The y axis fits the data with a little headroom.
+ * - Values and axis labels are in the account's units and locale (useFormatter).
+ */
+
+// Core React import
+import React from 'react';
+// SVG primitives for the plot
+import Svg, { Path, Line, Rect, Circle, Text as SvgText } from 'react-native-svg';
+import useFormatter from '../hooks/useFormatter';
+
+const PADDING = { top: 12, right: 16, bottom: 28, left: 48 };
+const X_TICKS = 4;
+const Y_TICKS = 4;
+const LINE_COLOR = '#4CAF50';
+const GRID_COLOR = '#eeeeee';
+const GAP_COLOR = '#f2f2f2';
+const LABEL_COLOR = '#555';
+
+// Axis label for a time: clock time for the 24h view, day and month otherwise
+function formatTick(time, range, format) {
+  return range === '24h' ? format.time(time) : format.date(time);
+}
+
+// Split points into runs of consecutive readings, dropping the gaps between them
+function toRuns(points) {
+  const runs = [];
+  let current = [];
+  points.forEach((point) => {
+    if (point.value === null) {
+      if (current.length) runs.push(current);
+      current = [];
+    } else {
+      current.push(point);
+    }
+  });
+  if (current.length) runs.push(current);
+  return runs;
+}
+
+/**
+ * HistoryChart component
+ *
+ * Props:
+ * - history: `{ range, from, to, bucketMs, points }` as returned by fetchHistory
+ * - metric: key of slot.data the history is for, e.g. 'temp'
+ * - width, height: chart size in pixels
+ */
+export default function HistoryChart({ history, metric, width, height = 180 }) {
+  const format = useFormatter();
+  const { unit, decimals } = format.describe(metric);
+  const { range, bucketMs } = history;
+  const points = history.points.map((p) => (p.value === null ? p : { ...p, value: format.convert(metric, p.value) }));
+  const from = Date.parse(history.from);
+  const to = Date.parse(history.to);
+  const values = points.filter((p) => p.value !== null).map((p) => p.value);
+  if (!values.length) return null;
+
+  // y domain with 10% headroom (or a small margin when the line is flat)
+  let min = Math.min(...values);
+  let max = Math.max(...values);
+  const pad = max > min ? (max - min) * 0.1 : Math.abs(max) * 0.05 || 1;
+  min -= pad;
+  max += pad;
+
+  const plotWidth = width - PADDING.left - PADDING.right;
+  const plotHeight = height - PADDING.top - PADDING.bottom;
+  const xOf = (t) => PADDING.left + ((t - from) / (to - from)) * plotWidth;
+  const yOf = (v) => PADDING.top + (1 - (v - min) / (max - min)) * plotHeight;
+  // Each bucket's value is drawn at the middle of its time span
+  const midpoint = (point) => Date.parse(point.t) + bucketMs / 2;
+
+  const yTicks = Array.from({ length: Y_TICKS + 1 }, (_, i) => min + ((max - min) * i) / Y_TICKS);
+  const xTicks = Array.from({ length: X_TICKS + 1 }, (_, i) => from + ((to - from) * i) / X_TICKS);
+
+  return (
+    <Svg width={width} height={height}>
+      {/* Shaded buckets with no readings */}
+      {points.map((point) => {
+        if (point.value !== null) return null;
+        const start = Date.parse(point.t);
+        const x = Math.max(xOf(start), PADDING.left);
+        const end = Math.min(xOf(start + bucketMs), PADDING.left + plotWidth);
+        return (
+          <Rect key={`gap-${point.t}`} x={x} y={PADDING.top} width={Math.max(end - x, 0)} height={plotHeight} fill={GAP_COLOR} />
+        );
+      })}
+
+      {/* Horizontal grid and y-axis labels */}
+      {yTicks.map((tick) => (
+        <React.Fragment key={`y-${tick}`}>
+          <Line x1={PADDING.left} x2={PADDING.left + plotWidth} y1={yOf(tick)} y2={yOf(tick)} stroke={GRID_COLOR} strokeWidth={1} />
+          <SvgText x={PADDING.left - 6} y={yOf(tick) + 4} fontSize={10} fill={LABEL_COLOR} textAnchor="end">
+            {`${format.number(tick, decimals)}${unit}`}
+          </SvgText>
+        </React.Fragment>
+      ))}
+
+      {/* Time axis labels */}
+      {xTicks.map((tick, i) => (
+        <SvgText
+          key={`x-${tick}`}
+          x={xOf(tick)}
+          y={height - 8}
+          fontSize={10}
+          fill={LABEL_COLOR}
+          textAnchor={i === 0 ? 'start' : i === X_TICKS ? 'end' : 'middle'}
+        >
+          {formatTick(tick, range, format)}
+        </SvgText>
+      ))}
+
+      {/* One line per run of readings; lone readings are drawn as dots */}
+      {toRuns(points).map((run) =>
+        run.length === 1 ? (
+          <Circle key={`run-${run[0].t}`} cx={xOf(midpoint(run[0]))} cy={yOf(run[0].value)} r={3} fill={LINE_COLOR} />
+        ) : (
+          <Path
+            key={`run-${run[0].t}`}
+            d={run.map((p, i) => `${i === 0 ? 'M' : 'L'}${xOf(midpoint(p))},${yOf(p.value)}`).join(' ')}
+            stroke={LINE_COLOR}
+            strokeWidth={2}
+            fill="none"
+          />
+        )
+      )}
+    </Svg>
+  );
+}
@@ -0,0 +1,161 @@
+/**
+ * LettuceDetails
+ *
+ * Catalog entry for one lettuce variety, shared by LettuceDetailScreen (native)
+ * and LettuceModal (web).
+ * - Name, description, taxonomy and difficulty.
+ * - Target ranges for each reading, as used by the alert rules, in the account's units.
+ * - Growth stages with their durations and the total time to harvest.
+ * - Care guide items, with their readings in the account's units.
+ */
+
+// Core React import
+import React from 'react';
+// React Native UI components and Platform utility
+import { View, Text, StyleSheet, Platform } from 'react-native';
+// Icon library for vector icons
+import { Ionicons } from '@expo/vector-icons';
+import { ALERT_METRICS } from '../services/alerts';
+import { fillCareText } from '../services/lettuceCatalog';
+import useFormatter from '../hooks/useFormatter';
+
+// "16–24°C", plus the hours for time-limited targets ("10–100%, 06:00–22:00")
+function formatTarget(metric, { min, max, hours }, format) {
+  const range = format.range(metric, min, max);
+  if (!hours) return range;
+  return `${range}, ${format.hour(hours[0])}–${format.hour(hours[1])}`;
+}
+
+/**
+ * LettuceDetails component
+ *
+ * Props:
+ * - variety: a variety from services/lettuceCatalog
+ * - children: actions shown under the taxonomy (e.g. the add button)
+ */
+export default function LettuceDetails({ variety, children }) {
+  const format = useFormatter();
+
+  return (
+    <>
+      <Text style={styles.title}>{variety.name}</Text>
+      <Text style={styles.subtitle}>{variety.description}</Text>
+
+      <Text style={styles.label}><Text style={styles.bold}>Scientific name:</Text> {variety.taxonomy.scientificName}</Text>
+      <Text style={styles.label}><Text style={styles.bold}>Family:</Text> {variety.taxonomy.family}</Text>
+      <Text style={styles.label}><Text style={styles.bold}>Difficulty:</Text> {variety.difficulty}</Text>
+
+      {children}
+
+      {/* Target ranges used for this variety's alerts */}
+      <Text style={styles.sectionTitle}>Target Ranges</Text>
+      <View style={styles.tableBlock}>
+        {Object.keys(ALERT_METRICS).map((metric) => (
+          <View key={metric} style={styles.tableRow}>
+            <Text style={styles.tableLabel}>{format.label(metric)}</Text>
+            <Text style={styles.tableValue}>{formatTarget(metric, variety.targets[metric], format)}</Text>
+          </View>
+        ))}
+      </View>
+
+      {/* Growth stages and their durations */}
+      <Text style={styles.sectionTitle}>Growth Stages</Text>
+      <View style={styles.tableBlock}>
+        {variety.growthStages.map((stage) => (
+          <View key={stage.key} style={styles.tableRow}>
+            <Text style={styles.tableLabel}>{stage.label}</Text>
+            <Text style={styles.tableValue}>{stage.days} days</Text>
+          </View>
+        ))}
+        <Text style={styles.tableNote}>About {variety.totalDays} days from seed to harvest.</Text>
+      </View>
+
+      {/* Care guide */}
+      <Text style={styles.sectionTitle}>Care Guide</Text>
+      {variety.care.map((item) => (
+        <View key={item.title} style={styles.careBlock}>
+          <Ionicons name={item.icon} size={20} color="#4CAF50" style={styles.careIcon} />
+          <View style={{ flex: 1 }}>
+            <Text style={styles.careLabel}>{item.title}</Text>
+            <Text style={styles.careDescription}>{fillCareText(item.description, format, variety.targets)}</Text>
+          </View>
+        </View>
+      ))}
+    </>
+  );
+}
+
+// ── Styles: variety text, tables, and care guide blocks ──
+const styles = StyleSheet.create({
+  title: {
+    fontSize: Platform.OS === 'web' ? 24 : 20,
+    fontWeight: 'bold',
+    marginBottom: 4,
+  },
+  subtitle: {
+    fontSize: Platform.OS === 'web' ? 16 : 13,
+    color: '#444',
+    marginBottom: 16,
+  },
+  label: {
+    fontSize: Platform.OS === 'web' ? 14 : 12,
+    color: '#333',
+    marginBottom: 4,
+  },
+  bold: {
+    fontWeight: 'bold',
+  },
+  sectionTitle: {
+    fontSize: Platform.OS === 'web' ? 22 : 18,
+    fontWeight: 'bold',
+    marginTop: 24,
+    marginBottom: 12,
+  },
+  tableBlock: {
+    backgroundColor: '#f7f7f7',
+    borderRadius: 12,
+    paddingVertical: 8,
+    paddingHorizontal: 16,
+  },
+  tableRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 6,
+  },
+  tableLabel: {
+    fontSize: Platform.OS === 'web' ? 16 : 14,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  tableValue: {
+    fontSize: Platform.OS === 'web' ? 16 : 14,
+    color: '#555',
+  },
+  tableNote: {
+    fontSize: 12,
+    color: '#777',
+    marginTop: 4,
+    marginBottom: 4,
+  },
+  careBlock: {
+    backgroundColor: '#f7f7f7',
+    borderRadius: 12,
+    padding: 16,
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    marginBottom: 12,
+  },
+  careIcon: {
+    fontSize: 20,
+    marginRight: 12,
+  },
+  careLabel: {
+    fontSize: Platform.OS === 'web' ? 16 : 14,
+    fontWeight: 'bold',
+    marginBottom: 4,
+  },
+  careDescription: {
+    fontSize: Platform.OS === 'web' ? 16 : 14,
+    color: '#555',
+  },
+});
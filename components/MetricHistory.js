@@ -0,0 +1,198 @@
+/**
+ * MetricHistory
+ *
+ * History panel for one metric inside an Insights modal.
+ * - Range picker (24h, 7d, 30d, whole crop cycle).
+ * - HistoryChart of the downsampled readings, with gaps where the unit didn't report.
+ * - Min / average / max over the selected range, in the account's units (useFormatter).
+ * - Loading, error (with Retry) and no-data states; when the server can't be reached, the
+ *   chart saved for this range (offline cache) is shown with when it was saved.
+ */
+
+// Core React imports
+import React, { useState } from 'react';
+// React Native UI components
+import { View, Text, TouchableOpacity, Pressable, ActivityIndicator, StyleSheet } from 'react-native';
+import HistoryChart from './HistoryChart';
+import useHistory from '../hooks/useHistory';
+import useFormatter from '../hooks/useFormatter';
+import { HISTORY_RANGES, DEFAULT_HISTORY_RANGE } from '../services/historyClient';
+import { formatTimeAgo } from '../utils/time';
+
+/**
+ * MetricHistory component
+ *
+ * Props:
+ * - slotId: slot whose history to show
+ * - metric: key of slot.data, e.g. 'temp'
+ * - width, height: chart size in pixels
+ * - style: extra style for the panel
+ */
+export default function MetricHistory({ slotId, metric, width, height = 180, style }) {
+  const [range, setRange] = useState(DEFAULT_HISTORY_RANGE);
+  const { history, loading, error, savedAt, reload } = useHistory({ slotId, metric, range });
+  const format = useFormatter();
+
+  const hasGaps = history?.summary.count > 0 && history.points.some((p) => p.value === null);
+
+  let body;
+  if (error && !savedAt) {
+    body = (
+      <View style={[styles.placeholder, { height }]}>
+        <Text style={styles.errorText}>{error.message || 'Could not load history.'}</Text>
+        <Pressable onPress={reload}>
+          <Text style={styles.retry}>Retry</Text>
+        </Pressable>
+      </View>
+    );
+  } else if (!history) {
+    body = (
+      <View style={[styles.placeholder, { height }]}>
+        <ActivityIndicator size="small" color="#4CAF50" />
+      </View>
+    );
+  } else if (history.summary.count === 0) {
+    body = (
+      <View style={[styles.placeholder, { height }]}>
+        <Text style={styles.mutedText}>No readings in this period.</Text>
+      </View>
+    );
+  } else {
+    body = (
+      <View style={loading && styles.reloading}>
+        <HistoryChart history={history} metric={metric} width={width} height={height} />
+      </View>
+    );
+  }
+
+  return (
+    <View style={[styles.container, style]}>
+      {/* Range picker */}
+      <View style={styles.segmentContainer}>
+        {HISTORY_RANGES.map(({ key, label }, idx, arr) => (
+          <TouchableOpacity
+            key={key}
+            style={[
+              styles.segmentButton,
+              idx === 0 && styles.segmentFirst,
+              idx === arr.length - 1 && styles.segmentLast,
+              range === key && styles.segmentButtonActive,
+            ]}
+            onPress={() => setRange(key)}
+          >
+            <Text style={[styles.segmentButtonText, range === key && styles.segmentButtonTextActive]}>{label}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {body}
+      {savedAt && (
+        <Pressable onPress={reload}>
+          <Text style={styles.mutedText}>
+            Offline · chart saved {formatTimeAgo(savedAt)}. <Text style={styles.retry}>Retry</Text>
+          </Text>
+        </Pressable>
+      )}
+      {hasGaps && <Text style={styles.mutedText}>Shaded periods: no readings from the unit.</Text>}
+
+      {/* Summary over the selected range */}
+      {history?.summary.count > 0 && (!error || savedAt) && (
+        <View style={styles.summary}>
+          <View style={styles.summaryItem}>
+            <Text style={styles.summaryLabel}>Min</Text>
+            <Text style={styles.summaryValue}>{format.value(metric, history.summary.min)}</Text>
+          </View>
+          <View style={styles.summaryItem}>
+            <Text style={styles.summaryLabel}>Avg</Text>
+            <Text style={styles.summaryValue}>{format.value(metric, history.summary.avg)}</Text>
+          </View>
+          <View style={styles.summaryItem}>
+            <Text style={styles.summaryLabel}>Max</Text>
+            <Text style={styles.summaryValue}>{format.value(metric, history.summary.max)}</Text>
+          </View>
+        </View>
+      )}
+    </View>
+  );
+}
+
+// ── Styles: range picker, chart states, and summary row ──
+const styles = StyleSheet.create({
+  container: {
+    marginVertical: 12,
+  },
+  segmentContainer: {
+    flexDirection: 'row',
+    borderWidth: 1,
+    borderColor: '#ccc',
+    borderRadius: 8,
+    overflow: 'hidden',
+    marginBottom: 12,
+  },
+  segmentButton: {
+    flex: 1,
+    paddingVertical: 6,
+    alignItems: 'center',
+    backgroundColor: '#fff',
+  },
+  segmentFirst: {
+    borderTopLeftRadius: 8,
+    borderBottomLeftRadius: 8,
+  },
+  segmentLast: {
+    borderTopRightRadius: 8,
+    borderBottomRightRadius: 8,
+  },
+  segmentButtonActive: {
+    backgroundColor: '#4CAF50',
+  },
+  segmentButtonText: {
+    fontSize: 13,
+    color: '#000',
+  },
+  segmentButtonTextActive: {
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  placeholder: {
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  reloading: {
+    opacity: 0.5,
+  },
+  errorText: {
+    color: '#b71c1c',
+    fontSize: 14,
+    textAlign: 'center',
+  },
+  retry: {
+    color: '#14AE5C',
+    fontWeight: '600',
+    textDecorationLine: 'underline',
+    marginTop: 8,
+  },
+  mutedText: {
+    color: '#777',
+    fontSize: 12,
+    textAlign: 'center',
+    marginTop: 4,
+  },
+  summary: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    marginTop: 12,
+  },
+  summaryItem: {
+    alignItems: 'center',
+  },
+  summaryLabel: {
+    fontSize: 12,
+    color: '#777',
+  },
+  summaryValue: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+});
@@ -0,0 +1,69 @@
+/**
+ * NotificationBell
+ *
+ * Bell button used by TopNavbar and WebNavbar.
+ * - Shows a red badge with the number of unread notifications (useNotifications).
+ * - Opens the Notifications inbox screen when pressed.
+ */
+
+// Core React import
+import React from 'react';
+// React Native UI components
+import { View, Text, Pressable, StyleSheet } from 'react-native';
+// Icon library for vector icons
+import { Ionicons } from '@expo/vector-icons';
+// Navigation hook to open the inbox
+import { useNavigation } from '@react-navigation/native';
+import useNotifications from '../hooks/useNotifications';
+
+/**
+ * NotificationBell component
+ *
+ * Props:
+ * - size: icon size (default 24)
+ * - color: icon color (default #333)
+ * - style: extra style for the button
+ */
+export default function NotificationBell({ size = 24, color = '#333', style }) {
+  const navigation = useNavigation();
+  const { unreadCount } = useNotifications();
+
+  return (
+    <Pressable
+      onPress={() => navigation.navigate('Notifications')}
+      android_ripple={{ color: '#ccc', borderless: true }}
+      accessibilityRole="button"
+      accessibilityLabel={unreadCount ? `Notifications, ${unreadCount} unread` : 'Notifications'}
+      style={({ pressed }) => [{ opacity: pressed ? 0.6 : 1 }, style]}
+    >
+      <Ionicons name={unreadCount ? 'notifications' : 'notifications-outline'} size={size} color={color} />
+      {/* Unread badge */}
+      {unreadCount > 0 && (
+        <View style={styles.badge}>
+          <Text style={styles.badgeText}>{unreadCount > 99 ? '99+' : unreadCount}</Text>
+        </View>
+      )}
+    </Pressable>
+  );
+}
+
+// ── Styles: unread badge ──
+const styles = StyleSheet.create({
+  badge: {
+    position: 'absolute',
+    top: -4,
+    right: -8,
+    minWidth: 18,
+    height: 18,
+    borderRadius: 9,
+    paddingHorizontal: 4,
+    backgroundColor: '#e53935',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  badgeText: {
+    color: '#fff',
+    fontSize: 11,
+    fontWeight: 'bold',
+  },
+});
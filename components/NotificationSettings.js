@@ -0,0 +1,201 @@
+/**
+ * NotificationSettings
+ *
+ * Notification preferences section of the Profile screen (useNotificationPrefs).
+ * - Master switch; turning it on asks for notification permission.
+ * - Per-category opt-in: critical sensor alerts, reservoir low, harvest ready, calibration due,
+ *   AI adjustments.
+ * - Quiet hours with start/end hour steppers; nothing is delivered during them
+ *   (notifications still reach the in-app inbox).
+ * - Every change is saved to the account straight away.
+ */
+
+// Core React import
+import React from 'react';
+// React Native UI components and Platform utility
+import { View, Text, Pressable, Switch, StyleSheet, Platform } from 'react-native';
+// Icon library for vector icons
+import { Ionicons } from '@expo/vector-icons';
+import useNotificationPrefs from '../hooks/useNotificationPrefs';
+import useFormatter from '../hooks/useFormatter';
+import { NOTIFICATION_CATEGORIES, CATEGORY_LABELS } from '../services/notificationPrefs';
+import { getAuthErrorMessage } from '../services/authClient';
+
+/**
+ * Toggle component
+ *
+ * On/off control matching the Profile screen: a custom track on web, Switch on native.
+ */
+function Toggle({ value, onValueChange }) {
+  if (Platform.OS === 'web') {
+    return (
+      <Pressable
+        onPress={() => onValueChange(!value)}
+        style={[styles.webTrack, { backgroundColor: value ? '#4CAF50' : '#ccc' }]}
+      >
+        <View style={[styles.webThumb, { alignSelf: value ? 'flex-end' : 'flex-start' }]} />
+      </Pressable>
+    );
+  }
+  return (
+    <Switch
+      value={value}
+      onValueChange={onValueChange}
+      trackColor={{ false: '#ccc', true: '#4CAF50' }}
+      thumbColor="#ffffff"
+      ios_backgroundColor="#ccc"
+    />
+  );
+}
+
+/**
+ * HourStepper component
+ *
+ * Label plus −/+ buttons cycling through the hours of the day, shown in the account's locale.
+ */
+function HourStepper({ label, hour, onChange }) {
+  const format = useFormatter();
+  return (
+    <View style={styles.hourStepper}>
+      <Text style={styles.hint}>{label}</Text>
+      <View style={styles.hourControls}>
+        <Pressable onPress={() => onChange((hour + 23) % 24)} hitSlop={6}>
+          <Ionicons name="remove-circle-outline" size={22} color="#4CAF50" />
+        </Pressable>
+        <Text style={styles.hourText}>{format.hour(hour)}</Text>
+        <Pressable onPress={() => onChange((hour + 1) % 24)} hitSlop={6}>
+          <Ionicons name="add-circle-outline" size={22} color="#4CAF50" />
+        </Pressable>
+      </View>
+    </View>
+  );
+}
+
+/**
+ * NotificationSettings component
+ *
+ * Props:
+ * - labelStyle: text style for row labels (the Profile screen's infoLabel)
+ */
+export default function NotificationSettings({ labelStyle }) {
+  const { prefs, error, setEnabled, setCategory, setQuietHours } = useNotificationPrefs();
+
+  return (
+    <View>
+      {/* Master switch */}
+      <View style={styles.toggleRow}>
+        <Text style={labelStyle}>Enable Notifications</Text>
+        <Toggle value={prefs.enabled} onValueChange={setEnabled} />
+      </View>
+
+      {prefs.enabled && (
+        <View style={styles.section}>
+          {/* Per-category opt-in */}
+          {Object.values(NOTIFICATION_CATEGORIES).map((category) => (
+            <View key={category} style={styles.toggleRow}>
+              <View style={styles.labels}>
+                <Text style={styles.label}>{CATEGORY_LABELS[category].label}</Text>
+                <Text style={styles.hint}>{CATEGORY_LABELS[category].hint}</Text>
+              </View>
+              <Toggle value={prefs.categories[category]} onValueChange={(on) => setCategory(category, on)} />
+            </View>
+          ))}
+
+          {/* Quiet hours */}
+          <View style={styles.toggleRow}>
+            <View style={styles.labels}>
+              <Text style={styles.label}>Quiet hours</Text>
+              <Text style={styles.hint}>Nothing is sent during these hours; check your inbox instead</Text>
+            </View>
+            <Toggle value={prefs.quietHours.enabled} onValueChange={(enabled) => setQuietHours({ enabled })} />
+          </View>
+          {prefs.quietHours.enabled && (
+            <View style={styles.hours}>
+              <HourStepper
+                label="From"
+                hour={prefs.quietHours.startHour}
+                onChange={(startHour) => setQuietHours({ startHour })}
+              />
+              <HourStepper
+                label="Until"
+                hour={prefs.quietHours.endHour}
+                onChange={(endHour) => setQuietHours({ endHour })}
+              />
+            </View>
+          )}
+        </View>
+      )}
+
+      {error ? <Text style={styles.errorText}>{getAuthErrorMessage(error)}</Text> : null}
+    </View>
+  );
+}
+
+// ── Styles: toggles, category rows, and quiet hours ──
+const styles = StyleSheet.create({
+  toggleRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginVertical: 8,
+    ...(Platform.OS === 'web' ? { marginBottom: 16 } : {}),
+  },
+  webTrack: {
+    width: 48,
+    height: 24,
+    borderRadius: 24,
+    justifyContent: 'center',
+    paddingHorizontal: 2,
+  },
+  webThumb: {
+    width: 20,
+    height: 20,
+    borderRadius: 10,
+    backgroundColor: '#ffffff',
+  },
+  section: {
+    paddingLeft: 12,
+    borderLeftWidth: 2,
+    borderLeftColor: '#e0e0e0',
+    marginBottom: 8,
+  },
+  labels: {
+    flex: 1,
+    marginRight: 12,
+  },
+  label: {
+    fontSize: 14,
+    color: '#222',
+    ...(Platform.OS === 'web' ? { fontSize: 16 } : {}),
+  },
+  hint: {
+    fontSize: 12,
+    color: '#777',
+    marginTop: 2,
+  },
+  hours: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    marginBottom: 8,
+  },
+  hourStepper: {
+    alignItems: 'center',
+  },
+  hourControls: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  hourText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+    marginHorizontal: 10,
+    minWidth: 52,
+    textAlign: 'center',
+  },
+  errorText: {
+    color: '#b71c1c',
+    marginTop: 4,
+  },
+});
@@ -0,0 +1,118 @@
+/**
+ * OutboxStatus
+ *
+ * Banner for a unit's entries in the replay queue (useOutbox): changes made while the
+ * GreenSync server couldn't be reached.
+ * - Queued: how many changes are waiting, with "Send now".
+ * - Conflicts and expired entries: one row each saying what the change was and why it
+ *   wasn't sent, with "Send anyway" and "Discard".
+ * - Renders nothing when the unit has nothing queued.
+ */
+
+// Core React import
+import React from 'react';
+// React Native UI components
+import { View, Text, Pressable, StyleSheet } from 'react-native';
+// Icon library for vector icons
+import { Ionicons } from '@expo/vector-icons';
+import { useDevices } from '../DeviceContext';
+import useOutbox from '../hooks/useOutbox';
+import { describeOutboxEntry } from '../services/outbox';
+
+/**
+ * OutboxStatus component
+ *
+ * Props:
+ * - deviceId: unit whose queued changes to show (defaults to the active unit, see DeviceContext.js)
+ */
+export default function OutboxStatus({ deviceId: deviceIdOption }) {
+  const { activeDeviceId } = useDevices();
+  const deviceId = deviceIdOption ?? activeDeviceId;
+  const { queued, problems, sendAnyway, discard, retry } = useOutbox({ deviceId });
+  if (!queued.length && !problems.length) return null;
+
+  return (
+    <View>
+      {queued.length > 0 && (
+        <View style={[styles.banner, styles.queuedBanner]}>
+          <Ionicons name="cloud-upload-outline" size={18} color="#8a6d00" />
+          <Text style={[styles.text, styles.queuedText]}>
+            {queued.length === 1 ? '1 change is' : `${queued.length} changes are`} waiting to be sent. They will go
+            out in order when the connection returns.
+          </Text>
+          <Pressable onPress={retry}>
+            <Text style={styles.action}>Send now</Text>
+          </Pressable>
+        </View>
+      )}
+      {problems.map((entry) => (
+        <View key={entry.id} style={[styles.banner, styles.problemBanner]}>
+          <Ionicons name="alert-circle-outline" size={18} color="#b71c1c" />
+          <View style={styles.problemBody}>
+            <Text style={styles.problemTitle}>{describeOutboxEntry(entry)}</Text>
+            <Text style={styles.problemText}>{entry.problem?.message}</Text>
+            <View style={styles.actions}>
+              <Pressable onPress={() => sendAnyway(entry.id)}>
+                <Text style={styles.action}>Send anyway</Text>
+              </Pressable>
+              <Pressable onPress={() => discard(entry.id)}>
+                <Text style={styles.action}>Discard</Text>
+              </Pressable>
+            </View>
+          </View>
+        </View>
+      ))}
+    </View>
+  );
+}
+
+// ── Styles: banner variants ──
+const styles = StyleSheet.create({
+  banner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 12,
+    paddingVertical: 10,
+    paddingHorizontal: 16,
+    marginBottom: 16,
+  },
+  queuedBanner: {
+    backgroundColor: '#fff8e1',
+  },
+  problemBanner: {
+    alignItems: 'flex-start',
+    backgroundColor: '#fdecea',
+  },
+  text: {
+    flex: 1,
+    fontSize: 14,
+    marginLeft: 8,
+  },
+  queuedText: {
+    color: '#8a6d00',
+  },
+  problemBody: {
+    flex: 1,
+    marginLeft: 8,
+  },
+  problemTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#b71c1c',
+  },
+  problemText: {
+    fontSize: 13,
+    color: '#333',
+    marginTop: 2,
+  },
+  actions: {
+    flexDirection: 'row',
+    marginTop: 6,
+  },
+  action: {
+    color: '#14AE5C',
+    fontWeight: '600',
+    textDecorationLine: 'underline',
+    marginLeft: 12,
+  },
+});
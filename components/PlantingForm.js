@@ -0,0 +1,266 @@
+/**
+ * PlantingForm
+ *
+ * Confirmation step for planting a lettuce variety, shown in the lettuce detail view.
+ * - Slot: the slot the user came from (dashboard "+ Add") is preselected; otherwise
+ *   the first empty slot. Occupied slots are listed but can't be chosen.
+ * - Planting date: today or up to MAX_PLANTED_DAYS_AGO days back (e.g. sown elsewhere).
+ * - Start: from seed or from a seedling.
+ * - Saves through usePlanting and reports the planted slot to `onPlanted`.
+ */
+
+// Core React import
+import React, { useState, useEffect } from 'react';
+// React Native UI components and Platform utility
+import { View, Text, Pressable, TouchableOpacity, ActivityIndicator, StyleSheet, Platform } from 'react-native';
+// Icon library for vector icons
+import { Ionicons } from '@expo/vector-icons';
+import useTelemetry from '../hooks/useTelemetry';
+import usePlanting from '../hooks/usePlanting';
+import { START_TYPES, START_TYPE_LABELS, MAX_PLANTED_DAYS_AGO } from '../services/plantingClient';
+import { getAuthErrorMessage } from '../services/authClient';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "today", "yesterday", "5 days ago"
+const formatDaysAgo = (days) => (days === 0 ? 'today' : days === 1 ? 'yesterday' : `${days} days ago`);
+
+// Slot ids arrive as numbers from the API and as strings from web links
+const sameSlot = (a, b) => a != null && b != null && String(a) === String(b);
+
+/**
+ * Option component
+ *
+ * One choice in a row of pill buttons.
+ */
+function Option({ label, selected, disabled, onPress }) {
+  return (
+    <Pressable
+      onPress={onPress}
+      disabled={disabled}
+      style={[styles.option, selected && styles.optionSelected, disabled && styles.optionDisabled]}
+    >
+      <Text style={[styles.optionText, selected && styles.optionTextSelected]}>{label}</Text>
+    </Pressable>
+  );
+}
+
+/**
+ * PlantingForm component
+ *
+ * Props:
+ * - variety: catalog variety to plant
+ * - slotId: slot to preselect (optional)
+ * - onPlanted(slot): called with the planted slot once it is saved
+ * - onCancel: closes the form
+ */
+export default function PlantingForm({ variety, slotId, onPlanted, onCancel }) {
+  const { slots, loading } = useTelemetry();
+  const { planting, error, plant } = usePlanting();
+
+  // ── Form state: chosen slot, days since planting, and start type ──
+  const [selectedSlot, setSelectedSlot] = useState(null);
+  const [daysAgo, setDaysAgo] = useState(0);
+  const [startType, setStartType] = useState(START_TYPES.SEED);
+
+  const emptySlots = slots.filter((slot) => !slot.hasPlant);
+
+  // Preselect the requested slot (or the first empty one) once the slots load,
+  // and move off the selection if it gets planted meanwhile
+  useEffect(() => {
+    setSelectedSlot((current) => {
+      const empty = slots.filter((slot) => !slot.hasPlant);
+      if (empty.some((slot) => sameSlot(slot.id, current))) return current;
+      return (empty.find((slot) => sameSlot(slot.id, slotId)) ?? empty[0])?.id ?? null;
+    });
+  }, [slots, slotId]);
+
+  /**
+   * handleConfirm()
+   *
+   * 1. Work out the planting date from the days-ago stepper.
+   * 2. Save the planting.
+   * 3. Hand the planted slot to the parent (errors stay on the form).
+   */
+  const handleConfirm = async () => {
+    const plantedAt = new Date(Date.now() - daysAgo * DAY_MS).toISOString();
+    const slot = await plant({ slotId: selectedSlot, variety: variety.id, plantedAt, startType });
+    if (slot) onPlanted(slot);
+  };
+
+  if (loading) {
+    return <ActivityIndicator color="#4CAF50" style={styles.loading} />;
+  }
+
+  return (
+    <View style={styles.card}>
+      <View style={styles.headerRow}>
+        <Text style={styles.title}>Plant {variety.name}</Text>
+        <TouchableOpacity onPress={onCancel} hitSlop={8}>
+          <Ionicons name="close" size={22} color="#555" />
+        </TouchableOpacity>
+      </View>
+
+      {/* Slot choice */}
+      <Text style={styles.label}>Slot</Text>
+      {slots.length === 0 ? (
+        <Text style={styles.hint}>We couldn't load your unit's slots. Pull to refresh on the dashboard.</Text>
+      ) : (
+        <View style={styles.optionRow}>
+          {slots.map((slot) => (
+            <Option
+              key={slot.id}
+              label={slot.hasPlant ? `Slot ${slot.id} · ${slot.variety}` : `Slot ${slot.id}`}
+              selected={sameSlot(slot.id, selectedSlot)}
+              disabled={slot.hasPlant}
+              onPress={() => setSelectedSlot(slot.id)}
+            />
+          ))}
+        </View>
+      )}
+      {slots.length > 0 && emptySlots.length === 0 && (
+        <Text style={styles.hint}>Every slot is in use. Harvest a slot before planting again.</Text>
+      )}
+
+      {/* Planting date */}
+      <Text style={styles.label}>Planted</Text>
+      <View style={styles.stepper}>
+        <Pressable onPress={() => setDaysAgo(Math.min(daysAgo + 1, MAX_PLANTED_DAYS_AGO))} hitSlop={6}>
+          <Ionicons name="remove-circle-outline" size={24} color="#4CAF50" />
+        </Pressable>
+        <Text style={styles.stepperText}>{formatDaysAgo(daysAgo)}</Text>
+        <Pressable onPress={() => setDaysAgo(Math.max(daysAgo - 1, 0))} hitSlop={6}>
+          <Ionicons name="add-circle-outline" size={24} color="#4CAF50" />
+        </Pressable>
+      </View>
+
+      {/* Seed or seedling start */}
+      <Text style={styles.label}>Starting from</Text>
+      <View style={styles.optionRow}>
+        {Object.values(START_TYPES).map((type) => (
+          <Option
+            key={type}
+            label={START_TYPE_LABELS[type]}
+            selected={startType === type}
+            onPress={() => setStartType(type)}
+          />
+        ))}
+      </View>
+
+      {selectedSlot != null && (
+        <Text style={styles.summary}>
+          {variety.name} goes into Slot {selectedSlot}, started from {START_TYPE_LABELS[startType].toLowerCase()}{' '}
+          {formatDaysAgo(daysAgo)}.
+        </Text>
+      )}
+      {error ? <Text style={styles.errorText}>{getAuthErrorMessage(error)}</Text> : null}
+
+      <TouchableOpacity
+        style={[styles.confirmButton, (selectedSlot == null || planting) && styles.confirmDisabled]}
+        onPress={handleConfirm}
+        disabled={selectedSlot == null || planting}
+      >
+        {planting ? <ActivityIndicator color="#fff" /> : <Text style={styles.confirmText}>Confirm planting</Text>}
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+// ── Styles: form card, option pills, stepper, and confirm button ──
+const styles = StyleSheet.create({
+  loading: {
+    marginVertical: 16,
+  },
+  card: {
+    backgroundColor: '#f7f7f7',
+    borderRadius: 12,
+    padding: 16,
+    marginVertical: 16,
+  },
+  headerRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  title: {
+    fontSize: Platform.OS === 'web' ? 18 : 16,
+    fontWeight: 'bold',
+    color: '#222',
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#333',
+    marginTop: 14,
+    marginBottom: 6,
+  },
+  hint: {
+    fontSize: 12,
+    color: '#777',
+    marginTop: 4,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  option: {
+    borderWidth: 1,
+    borderColor: '#4CAF50',
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    backgroundColor: '#fff',
+  },
+  optionSelected: {
+    backgroundColor: '#4CAF50',
+  },
+  optionDisabled: {
+    borderColor: '#ccc',
+    opacity: 0.6,
+  },
+  optionText: {
+    fontSize: 14,
+    color: '#333',
+  },
+  optionTextSelected: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+  stepper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  stepperText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+    marginHorizontal: 12,
+    minWidth: 96,
+    textAlign: 'center',
+  },
+  summary: {
+    fontSize: 14,
+    color: '#555',
+    marginTop: 16,
+  },
+  errorText: {
+    color: '#b71c1c',
+    marginTop: 8,
+  },
+  confirmButton: {
+    backgroundColor: '#4CAF50',
+    paddingVertical: 12,
+    borderRadius: 16,
+    alignItems: 'center',
+    marginTop: 16,
+  },
+  confirmDisabled: {
+    opacity: 0.5,
+  },
+  confirmText: {
+    color: '#fff',
+    fontWeight: 'bold',
+    fontSize: Platform.OS === 'web' ? 18 : 16,
+  },
+});
@@ -0,0 +1,363 @@
+/**
+ * ProbeCalibration
+ *
+ * Calibration section of the Insights pH and TDS modals for one slot's probe.
+ * - Shows when the probe was last calibrated and when it is due (overdue in red), the
+ *   result of that calibration, and how often to be reminded.
+ * - "Calibrate" runs the buffer wizard (useCalibration): pick two or three buffers, then for
+ *   each one place the probe, watch the reading settle and record it; finally review the
+ *   probe's response and offset and save them to the unit.
+ * - Errors (e.g. the unit going offline) show inline; the wizard can be cancelled at any step.
+ */
+
+// Core React import
+import React from 'react';
+// React Native UI components
+import { View, Text, TouchableOpacity, ActivityIndicator, StyleSheet } from 'react-native';
+// Icon library for vector icons
+import { Ionicons } from '@expo/vector-icons';
+import useCalibration from '../hooks/useCalibration';
+import useFormatter from '../hooks/useFormatter';
+import {
+  CALIBRATION_INTERVALS,
+  CALIBRATION_STEPS,
+  PROBE_SETTINGS,
+  describeCalibration,
+  describeFit,
+  formatBuffer,
+  getCalibrationErrorMessage,
+  getCalibrationStatus,
+} from '../services/calibrationClient';
+
+/**
+ * Button component
+ *
+ * Small pill button; `primary` is filled.
+ */
+function Button({ label, onPress, primary = false, disabled = false }) {
+  return (
+    <TouchableOpacity
+      style={[styles.button, primary ? styles.buttonPrimary : styles.buttonPlain, disabled && styles.buttonDisabled]}
+      onPress={onPress}
+      disabled={disabled}
+    >
+      <Text style={[styles.buttonText, primary && styles.buttonTextPrimary]}>{label}</Text>
+    </TouchableOpacity>
+  );
+}
+
+/**
+ * ProbeCalibration component
+ *
+ * Props:
+ * - slot: the slot whose probe is shown (with its `calibration`)
+ * - probe: one of PROBES
+ */
+export default function ProbeCalibration({ slot, probe }) {
+  const calibration = slot?.calibration?.[probe];
+  const {
+    step,
+    pointCount,
+    buffers,
+    buffer,
+    points,
+    reading,
+    stable,
+    slow,
+    fit,
+    problem,
+    busy,
+    error,
+    start,
+    ready,
+    recordPoint,
+    save,
+    cancel,
+    changeInterval,
+  } = useCalibration({ slotId: slot?.id ?? null, probe });
+  const format = useFormatter();
+  const { label, decimals } = PROBE_SETTINGS[probe];
+  if (!calibration) return null;
+
+  const { due } = getCalibrationStatus(calibration);
+  // Seeded and factory calibrations carry no buffer points, so there is no result to show
+  const lastResult = calibration.points.length > 0 ? describeFit(probe, calibration, format) : null;
+  const pointLabel = `Step ${points.length + 1} of ${pointCount}`;
+  const errorText = error ? <Text style={styles.errorText}>{getCalibrationErrorMessage(error)}</Text> : null;
+
+  // ── Wizard steps ──
+  let wizard = null;
+  if (step === CALIBRATION_STEPS.PLACE) {
+    wizard = (
+      <>
+        <Text style={styles.stepTitle}>{pointLabel}: {formatBuffer(probe, buffer, format)} buffer</Text>
+        <Text style={styles.text}>
+          Rinse the {label} probe with clean water, shake it dry and stand it in fresh{' '}
+          {formatBuffer(probe, buffer, format)} buffer solution.
+        </Text>
+        {errorText}
+        <View style={styles.row}>
+          <Button label="Probe is in the buffer" primary onPress={ready} disabled={busy} />
+          <Button label="Cancel" onPress={cancel} />
+        </View>
+      </>
+    );
+  } else if (step === CALIBRATION_STEPS.SETTLING) {
+    wizard = (
+      <>
+        <Text style={styles.stepTitle}>{pointLabel}: {formatBuffer(probe, buffer, format)} buffer</Text>
+        <View style={styles.readingRow}>
+          <Text style={styles.reading}>{format.number(reading, decimals + 1)}</Text>
+          {stable ? (
+            <View style={styles.statusRow}>
+              <Ionicons name="checkmark-circle" size={18} color="#4CAF50" />
+              <Text style={[styles.statusText, styles.stableText]}>Stable</Text>
+            </View>
+          ) : (
+            <View style={styles.statusRow}>
+              <ActivityIndicator size="small" color="#8a6d00" />
+              <Text style={[styles.statusText, styles.settlingText]}>Settling…</Text>
+            </View>
+          )}
+        </View>
+        <Text style={styles.hint}>
+          {slow
+            ? 'Still settling. Stir the probe gently in the buffer, or try fresh buffer solution.'
+            : 'Leave the probe still until the reading holds steady.'}
+        </Text>
+        <View style={styles.row}>
+          <Button label="Record point" primary onPress={recordPoint} disabled={!stable} />
+          <Button label="Cancel" onPress={cancel} />
+        </View>
+      </>
+    );
+  } else if (step === CALIBRATION_STEPS.REVIEW) {
+    const result = fit && describeFit(probe, fit, format);
+    wizard = (
+      <>
+        <Text style={styles.stepTitle}>Review</Text>
+        {points.map((point) => (
+          <Text key={point.buffer} style={styles.text}>
+            {formatBuffer(probe, point.buffer, format)} read as {format.number(point.raw, decimals + 1)}
+          </Text>
+        ))}
+        {problem ? (
+          <Text style={styles.errorText}>{problem}</Text>
+        ) : (
+          <>
+            <Text style={styles.result}>
+              Response {result.response} · Offset {result.offset}
+            </Text>
+            <Text style={styles.hint}>Rinse the probe and put it back in the slot, then save.</Text>
+          </>
+        )}
+        {errorText}
+        <View style={styles.row}>
+          {!problem && <Button label="Save to unit" primary onPress={save} disabled={busy} />}
+          <Button label="Start over" onPress={() => start(pointCount)} disabled={busy} />
+          <Button label="Cancel" onPress={cancel} disabled={busy} />
+        </View>
+      </>
+    );
+  } else if (step === CALIBRATION_STEPS.SAVED) {
+    wizard = (
+      <>
+        <View style={styles.statusRow}>
+          <Ionicons name="checkmark-circle" size={18} color="#4CAF50" />
+          <Text style={[styles.statusText, styles.stableText]}>Calibration saved</Text>
+        </View>
+        <Text style={styles.text}>The {label} reading now uses the new calibration.</Text>
+        <View style={styles.row}>
+          <Button label="Done" primary onPress={cancel} />
+        </View>
+      </>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>Probe calibration</Text>
+      <View style={styles.statusRow}>
+        <Ionicons
+          name={due ? 'alert-circle-outline' : 'checkmark-circle-outline'}
+          size={16}
+          color={due ? '#b71c1c' : '#4CAF50'}
+        />
+        <Text style={[styles.statusText, due && styles.dueText]}>{describeCalibration(calibration, format)}</Text>
+      </View>
+      {lastResult && (
+        <Text style={styles.hint}>
+          Last result: response {lastResult.response} · offset {lastResult.offset} ({calibration.points.length} points)
+        </Text>
+      )}
+
+      {step === CALIBRATION_STEPS.IDLE ? (
+        <>
+          <Text style={styles.label}>Remind me every</Text>
+          <View style={styles.row}>
+            {CALIBRATION_INTERVALS.map((days) => (
+              <TouchableOpacity
+                key={days}
+                style={[styles.chip, calibration.intervalDays === days && styles.chipActive]}
+                onPress={() => changeInterval(days)}
+              >
+                <Text style={[styles.chipText, calibration.intervalDays === days && styles.chipTextActive]}>
+                  {days} days
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          {errorText}
+          <View style={styles.row}>
+            <Button label="2-point calibration" primary={due} onPress={() => start(2)} />
+            <Button label="3-point calibration" onPress={() => start(3)} />
+          </View>
+        </>
+      ) : (
+        <View style={styles.wizard}>
+          {step !== CALIBRATION_STEPS.SAVED && (
+            <Text style={styles.hint}>{buffers.map((b) => formatBuffer(probe, b, format)).join(' → ')}</Text>
+          )}
+          {wizard}
+        </View>
+      )}
+    </View>
+  );
+}
+
+// ── Styles: calibration section and wizard ──
+const styles = StyleSheet.create({
+  container: {
+    marginTop: 16,
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 6,
+  },
+  statusRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  statusText: {
+    fontSize: 14,
+    color: '#333',
+    marginLeft: 6,
+  },
+  dueText: {
+    color: '#b71c1c',
+    fontWeight: '600',
+  },
+  stableText: {
+    color: '#2e7d32',
+    fontWeight: '600',
+  },
+  settlingText: {
+    color: '#8a6d00',
+  },
+  label: {
+    fontSize: 13,
+    fontWeight: 'bold',
+    color: '#333',
+    marginTop: 10,
+  },
+  hint: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 4,
+  },
+  text: {
+    fontSize: 14,
+    color: '#333',
+    marginTop: 4,
+  },
+  errorText: {
+    fontSize: 13,
+    color: '#b71c1c',
+    marginTop: 6,
+  },
+  row: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    gap: 8,
+    marginTop: 8,
+  },
+  chip: {
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: '#ccc',
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    backgroundColor: '#fff',
+  },
+  chipActive: {
+    borderColor: '#4CAF50',
+    backgroundColor: '#e8f5e9',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#333',
+  },
+  chipTextActive: {
+    color: '#2e7d32',
+    fontWeight: '600',
+  },
+  button: {
+    borderRadius: 16,
+    borderWidth: 1,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+  },
+  buttonPrimary: {
+    borderColor: '#4CAF50',
+    backgroundColor: '#4CAF50',
+  },
+  buttonPlain: {
+    borderColor: '#ccc',
+    backgroundColor: '#fff',
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+  },
+  buttonText: {
+    fontSize: 13,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  buttonTextPrimary: {
+    color: '#fff',
+  },
+  wizard: {
+    marginTop: 10,
+    padding: 12,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+    backgroundColor: '#fafafa',
+  },
+  stepTitle: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: '#222',
+    marginTop: 4,
+  },
+  readingRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: 8,
+  },
+  reading: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#222',
+  },
+  result: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#2e7d32',
+    marginTop: 8,
+  },
+});
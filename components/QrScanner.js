@@ -0,0 +1,136 @@
+/**
+ * QrScanner
+ *
+ * Camera view that reads the QR code on a GreenSync unit's label (expo-camera).
+ * - Asks for camera permission first; explains what to do when it was refused.
+ * - Reports the first GreenSync pairing code it sees (parsePairingCode) and ignores
+ *   other QR codes with a hint.
+ * - Only rendered where a camera exists (see `isQrScanAvailable()`).
+ */
+
+// Core React import and hooks
+import React, { useRef, useState } from 'react';
+// React Native UI components
+import { View, Text, Pressable, StyleSheet } from 'react-native';
+// Camera preview with barcode scanning, and the camera permission hook
+import { CameraView, useCameraPermissions } from 'expo-camera';
+import { parsePairingCode } from '../services/deviceClient';
+
+/**
+ * isQrScanAvailable()
+ *
+ * Whether this device (or browser) has a camera to scan with.
+ */
+export const isQrScanAvailable = () => CameraView.isAvailableAsync().catch(() => false);
+
+/**
+ * QrScanner component
+ *
+ * Props:
+ * - onScan: called once with `{ serial, pairingCode }` from the scanned label
+ * - onCancel: called when the user closes the scanner
+ */
+export default function QrScanner({ onScan, onCancel }) {
+  const [permission, requestPermission] = useCameraPermissions();
+  const [hint, setHint] = useState('Point the camera at the QR code on the back of your unit.');
+  // The camera keeps reporting the same code; only the first one counts
+  const scannedRef = useRef(false);
+
+  const handleScanned = ({ data }) => {
+    if (scannedRef.current) return;
+    const code = parsePairingCode(data);
+    if (!code) {
+      setHint('That is not a GreenSync pairing code. Scan the QR code on the unit’s label.');
+      return;
+    }
+    scannedRef.current = true;
+    onScan(code);
+  };
+
+  // === RENDER: Permission still loading ===
+  if (!permission) return <View style={styles.frame} />;
+
+  // === RENDER: Permission not granted ===
+  if (!permission.granted) {
+    return (
+      <View style={[styles.frame, styles.permission]}>
+        <Text style={styles.permissionText}>
+          {permission.canAskAgain
+            ? 'GreenSync needs the camera to scan the QR code on your unit.'
+            : 'Camera access is turned off for GreenSync. Allow it in your settings, or enter the serial number instead.'}
+        </Text>
+        {permission.canAskAgain && (
+          <Pressable style={styles.button} onPress={requestPermission}>
+            <Text style={styles.buttonText}>Allow camera</Text>
+          </Pressable>
+        )}
+        <Text style={styles.link} onPress={onCancel}>
+          Enter the code instead
+        </Text>
+      </View>
+    );
+  }
+
+  // === RENDER: Scanner ===
+  return (
+    <View>
+      <View style={styles.frame}>
+        <CameraView
+          style={StyleSheet.absoluteFill}
+          facing="back"
+          barcodeScannerSettings={{ barcodeTypes: ['qr'] }}
+          onBarcodeScanned={handleScanned}
+        />
+      </View>
+      <Text style={styles.hint}>{hint}</Text>
+      <Text style={styles.link} onPress={onCancel}>
+        Enter the code instead
+      </Text>
+    </View>
+  );
+}
+
+// ── Styles: camera frame, permission prompt and hint ──
+const styles = StyleSheet.create({
+  frame: {
+    width: '100%',
+    aspectRatio: 1,
+    borderRadius: 16,
+    overflow: 'hidden',
+    backgroundColor: '#222',
+  },
+  permission: {
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 24,
+    backgroundColor: '#f4f4f4',
+  },
+  permissionText: {
+    color: '#333',
+    fontSize: 15,
+    textAlign: 'center',
+  },
+  hint: {
+    color: '#555',
+    fontSize: 14,
+    marginTop: 12,
+    textAlign: 'center',
+  },
+  link: {
+    color: '#14AE5C',
+    textDecorationLine: 'underline',
+    textAlign: 'center',
+    marginTop: 16,
+  },
+  button: {
+    backgroundColor: '#4CAF50',
+    paddingVertical: 12,
+    paddingHorizontal: 24,
+    borderRadius: 12,
+    marginTop: 16,
+  },
+  buttonText: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,108 @@
+/**
+ * RangeStepper
+ *
+ * Compact editor for a `[min, max]` target range in the Insights modals.
+ * - Each bound has its own − / + buttons that move it by `step`.
+ * - Bounds stay within `limits` and min always stays below max.
+ * - Values are shown with the account's number format (useFormatter); converting them to
+ *   other units is up to the caller.
+ */
+
+// Core React import
+import React from 'react';
+// React Native UI components
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+// Icon library for vector icons
+import { Ionicons } from '@expo/vector-icons';
+import useFormatter from '../hooks/useFormatter';
+
+/**
+ * RangeStepper component
+ *
+ * Props:
+ * - value: current `[min, max]`
+ * - onChange: called with the new `[min, max]`
+ * - step: amount each tap moves a bound
+ * - limits: `[lowest, highest]` allowed values
+ * - decimals: decimal places to show and round to
+ * - unit: optional suffix, e.g. "ppm"
+ * - disabled: greys out the buttons
+ */
+export default function RangeStepper({ value, onChange, step, limits, decimals = 0, unit = '', disabled = false }) {
+  const format = useFormatter();
+  const [min, max] = value;
+  const round = (n) => Number(n.toFixed(decimals));
+
+  const bound = (label, current, lower, upper, toRange) => {
+    const canDecrease = !disabled && round(current - step) >= lower;
+    const canIncrease = !disabled && round(current + step) <= upper;
+    return (
+      <View style={styles.bound}>
+        <Text style={styles.label}>{label}</Text>
+        <View style={styles.row}>
+          <TouchableOpacity
+            style={[styles.button, !canDecrease && styles.buttonDisabled]}
+            disabled={!canDecrease}
+            onPress={() => onChange(toRange(round(current - step)))}
+          >
+            <Ionicons name="remove" size={20} color="#108b49" />
+          </TouchableOpacity>
+          <Text style={styles.value}>
+            {format.number(current, decimals)}{unit ? ` ${unit}` : ''}
+          </Text>
+          <TouchableOpacity
+            style={[styles.button, !canIncrease && styles.buttonDisabled]}
+            disabled={!canIncrease}
+            onPress={() => onChange(toRange(round(current + step)))}
+          >
+            <Ionicons name="add" size={20} color="#108b49" />
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      {bound('Min', min, limits[0], round(max - step), (next) => [next, max])}
+      {bound('Max', max, round(min + step), limits[1], (next) => [min, next])}
+    </View>
+  );
+}
+
+// ── Styles: two bound steppers side by side ──
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    marginTop: 12,
+  },
+  bound: {
+    alignItems: 'center',
+    marginHorizontal: 12,
+  },
+  label: {
+    fontSize: 13,
+    color: '#555',
+    marginBottom: 6,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  button: {
+    backgroundColor: '#e0e0e0',
+    borderRadius: 8,
+    padding: 6,
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+  },
+  value: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginHorizontal: 10,
+    minWidth: 56,
+    textAlign: 'center',
+  },
+});
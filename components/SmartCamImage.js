@@ -0,0 +1,111 @@
+/**
+ * SmartCamImage
+ *
+ * A slot's latest Smart Cam photo with when it was taken, for the Dashboard and Insights cards.
+ * - The photo and its timestamp come with the slot's live readings, so it updates as the
+ *   camera takes new ones; the image is cached by URL and only downloaded when it changes.
+ * - Until the first photo arrives (the camera only shoots while the grow light is on) a
+ *   placeholder says so.
+ * - When `onPress` is given the photo opens the slot's photo timeline.
+ */
+
+// Core React import
+import React from 'react';
+// React Native UI components and Platform utility
+import { View, Text, Image, Pressable, StyleSheet, Platform } from 'react-native';
+// Icon library for vector icons
+import { Ionicons } from '@expo/vector-icons';
+import { captureImageUri } from '../services/cameraClient';
+import { formatTimeAgo } from '../utils/time';
+
+/**
+ * SmartCamImage component
+ *
+ * Props:
+ * - slot: planted slot whose `data.imageUri` / `data.photoTakenAt` to show
+ * - height: photo height in pixels
+ * - onPress: called when the photo is tapped (e.g. to open the timeline)
+ * - style: extra style for the photo frame
+ */
+export default function SmartCamImage({ slot, height = 150, onPress, style }) {
+  const uri = captureImageUri(slot.data?.imageUri);
+  const takenAt = slot.data?.photoTakenAt;
+
+  return (
+    <>
+      <Pressable
+        onPress={onPress}
+        disabled={!onPress}
+        style={[styles.frame, { height }, style]}
+        accessibilityRole={onPress ? 'button' : undefined}
+        accessibilityLabel={onPress ? `Open Slot ${slot.id} photo timeline` : undefined}
+      >
+        {uri ? (
+          <Image source={{ uri }} style={styles.image} resizeMode="cover" />
+        ) : (
+          <View style={styles.empty}>
+            <Ionicons name="camera-outline" size={28} color="#bbb" />
+            <Text style={styles.emptyText}>No photo yet — the camera shoots while the grow light is on</Text>
+          </View>
+        )}
+        <View style={styles.badge}>
+          <Ionicons name="camera-outline" size={12} color="#fff" />
+          <Text style={styles.badgeText}>Smart Cam</Text>
+          {onPress && <Ionicons name="chevron-forward" size={12} color="#fff" />}
+        </View>
+      </Pressable>
+      {/* Timestamp for when the plant photo was last captured */}
+      {takenAt ? <Text style={styles.caption}>Photo taken {formatTimeAgo(takenAt)}</Text> : null}
+    </>
+  );
+}
+
+// ── Styles: photo frame, placeholder, overlay badge and caption ──
+const styles = StyleSheet.create({
+  frame: {
+    width: '100%',
+    borderRadius: 12,
+    marginBottom: 4,
+    backgroundColor: '#f7f7f7',
+    overflow: 'hidden',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  image: {
+    width: '100%',
+    height: '100%',
+  },
+  empty: {
+    alignItems: 'center',
+    paddingHorizontal: 24,
+  },
+  emptyText: {
+    color: '#999',
+    fontSize: 12,
+    textAlign: 'center',
+    marginTop: 6,
+  },
+  badge: {
+    position: 'absolute',
+    bottom: 8,
+    left: 8,
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    backgroundColor: 'rgba(0,0,0,0.5)',
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    borderRadius: 4,
+  },
+  badgeText: {
+    color: '#fff',
+    fontSize: 12,
+  },
+  caption: {
+    fontSize: Platform.OS === 'web' ? 12 : 10,
+    fontStyle: 'italic',
+    color: '#555',
+    marginBottom: 12,
+    alignSelf: 'flex-end',
+  },
+});
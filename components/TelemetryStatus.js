@@ -0,0 +1,109 @@
+/**
+ * TelemetryStatus
+ *
+ * Banner describing the state of the live sensor readings (from useTelemetry).
+ * - Loading: spinner while the first readings arrive.
+ * - Error: what went wrong, with a Retry action.
+ * - Stale: when the readings were last updated.
+ * - Renders nothing when the readings are fresh.
+ */
+
+// Core React import
+import React from 'react';
+// React Native UI components
+import { View, Text, Pressable, ActivityIndicator, StyleSheet } from 'react-native';
+// Icon library for vector icons
+import { Ionicons } from '@expo/vector-icons';
+import { ERROR_CODES } from '../services/apiClient';
+import { formatTimeAgo } from '../utils/time';
+
+const errorMessage = (error) =>
+  error.code === ERROR_CODES.NETWORK_ERROR
+    ? 'Unable to reach the GreenSync server.'
+    : error.message || 'Could not load sensor readings.';
+
+/**
+ * TelemetryStatus component
+ *
+ * Props:
+ * - loading, error, stale, lastUpdated: as returned by useTelemetry()
+ * - onRetry: called when the user taps Retry
+ */
+export default function TelemetryStatus({ loading, error, stale, lastUpdated, onRetry }) {
+  if (loading) {
+    return (
+      <View style={styles.banner}>
+        <ActivityIndicator size="small" color="#4CAF50" />
+        <Text style={[styles.text, { marginLeft: 8 }]}>Loading sensor readings…</Text>
+      </View>
+    );
+  }
+
+  if (error) {
+    return (
+      <View style={[styles.banner, styles.errorBanner]}>
+        <Ionicons name="cloud-offline-outline" size={18} color="#b71c1c" />
+        <Text style={[styles.text, styles.errorText]}>
+          {errorMessage(error)}
+          {lastUpdated ? ` Showing readings from ${formatTimeAgo(lastUpdated)}.` : ''}
+        </Text>
+        {onRetry && (
+          <Pressable onPress={onRetry}>
+            <Text style={styles.retry}>Retry</Text>
+          </Pressable>
+        )}
+      </View>
+    );
+  }
+
+  if (stale) {
+    return (
+      <View style={[styles.banner, styles.staleBanner]}>
+        <Ionicons name="time-outline" size={18} color="#8a6d00" />
+        <Text style={[styles.text, styles.staleText]}>
+          Readings may be out of date (last updated {formatTimeAgo(lastUpdated)}).
+        </Text>
+      </View>
+    );
+  }
+
+  return null;
+}
+
+// ── Styles: banner variants ──
+const styles = StyleSheet.create({
+  banner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#f8f8f8',
+    borderRadius: 12,
+    paddingVertical: 10,
+    paddingHorizontal: 16,
+    marginBottom: 16,
+  },
+  errorBanner: {
+    backgroundColor: '#fdecea',
+  },
+  staleBanner: {
+    backgroundColor: '#fff8e1',
+  },
+  text: {
+    flex: 1,
+    fontSize: 14,
+    color: '#333',
+  },
+  errorText: {
+    color: '#b71c1c',
+    marginLeft: 8,
+  },
+  staleText: {
+    color: '#8a6d00',
+    marginLeft: 8,
+  },
+  retry: {
+    color: '#14AE5C',
+    fontWeight: '600',
+    textDecorationLine: 'underline',
+    marginLeft: 12,
+  },
+});
@@ -2,8 +2,10 @@
  * TopNavbar
  *
  * Displays a top navigation bar on native platforms.
- * - Shows logo and greeting with username from UserContext.
- * - Provides notification and logout buttons.
+ * - Shows logo and greeting with the signed-in username (useUser), and below it the
+ *   active GreenSync unit, which opens the unit switcher.
+ * - Provides notification and logout buttons: the bell shows unread notifications
+ *   and opens the inbox; logout ends the session via useSession.
  * - Hidden on web platform.
  */
 
@@ -13,59 +15,51 @@ import React from 'react';
 import { View, Text, Image, Pressable, StyleSheet, Platform } from 'react-native';
 // Icon library for vector icons
 import { Ionicons } from '@expo/vector-icons';
-// Hook to access React context
-import { useContext } from 'react';
-// Context providing shared user data
-import { UserContext } from '../UserContext';
-// Hook to access navigation actions
-import { useNavigation } from '@react-navigation/native';
+// Account and session hooks
+import { useUser, useSession } from '../UserContext';
+// Bell with unread badge
+import NotificationBell from './NotificationBell';
+// Active unit and unit picker
+import DeviceSwitcher from './DeviceSwitcher';
 
 /**
  * TopNavbar component
  *
  * Renders:
- * - Logo and greeting (left side)
+ * - Logo, greeting and unit switcher (left side)
  * - Notifications and logout icons (right side)
  * - Only on native; returns null on web.
  */
 export default function TopNavbar() {
-  // Retrieve username from UserContext
-  const { username } = useContext(UserContext);
-  // Get navigation object for screen transitions
-  const navigation = useNavigation();
-  console.log('TopNavbar received username:', username);
+  // Retrieve username and sign-out action from the account/session store
+  const { username } = useUser();
+  const { signOut } = useSession();
   return Platform.OS === 'web' ? null : (
     // Only render on native platforms (iOS/Android)
     // Container for navbar with padding and horizontal layout
     <View style={styles.container}>
-      {/* Left section: app logo and user greeting */}
+      {/* Left section: app logo, user greeting and active unit */}
       <View style={styles.leftSection}>
         {/* App logo image */}
         <Image
           source={require('../assets/lettuce_logo_with_background.png')}
           style={styles.logo}
         />
-        {/* Greeting message showing the username */}
-        <Text style={styles.greeting}>{`Hi ${username ?? ''}`}</Text>
+        <View>
+          {/* Greeting message showing the username */}
+          <Text style={styles.greeting}>{`Hi ${username ?? ''}`}</Text>
+          {/* Which unit the app is showing; tap to switch */}
+          <DeviceSwitcher color="#555" style={{ marginTop: 2 }} />
+        </View>
       </View>
 
       {/* Right section: notification and logout buttons */}
       <View style={{ flexDirection: 'row', alignItems: 'center' }}>
-        {/* Notifications button with alert on press */}
+        {/* Notifications button with unread badge; opens the inbox */}
+        <NotificationBell />
+        {/* Logout button: clears the session; the navigator then returns to the signed-out screens */}
         <Pressable
-          onPress={() => alert('No New Notifications')}
-          android_ripple={{ color: '#ccc', borderless: true }}
-          style={({ pressed }) => [
-            {
-              opacity: pressed ? 0.6 : 1,
-            },
-          ]}
-        >
-          <Ionicons name="notifications-outline" size={24} color="#333" />
-        </Pressable>
-        {/* Logout button that navigates to the Icon (login) screen */}
-        <Pressable
-          onPress={() => navigation.navigate('Icon')}
+          onPress={signOut}
           android_ripple={{ color: '#ccc', borderless: true }}
           style={({ pressed }) => [
             {
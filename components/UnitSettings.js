@@ -0,0 +1,128 @@
+/**
+ * UnitSettings
+ *
+ * Units and locale section of the Profile screen (useUnitPrefs).
+ * - Temperature (°C / °F), water volume (litres / gallons), nutrients (ppm on the 700 or
+ *   500 scale, or EC) and the locale for numbers and dates.
+ * - A sample line shows how readings and dates will look.
+ * - Every change is saved to the account straight away and applies across the app.
+ */
+
+// Core React imports
+import React, { useMemo } from 'react';
+// React Native UI components and Platform utility
+import { View, Text, Pressable, StyleSheet, Platform } from 'react-native';
+import useUnitPrefs from '../hooks/useUnitPrefs';
+import { UNIT_OPTIONS } from '../services/unitPrefs';
+import { createFormatter } from '../services/formatter';
+import { getAuthErrorMessage } from '../services/authClient';
+
+// Rows in the order shown, with their names
+const ROWS = [
+  { key: 'temperature', label: 'Temperature' },
+  { key: 'volume', label: 'Water volume' },
+  { key: 'nutrient', label: 'Nutrients' },
+  { key: 'locale', label: 'Numbers and dates' },
+];
+
+/**
+ * UnitSettings component
+ *
+ * Props:
+ * - labelStyle: text style for the section label (the Profile screen's infoLabel)
+ */
+export default function UnitSettings({ labelStyle }) {
+  const { prefs, error, setPref } = useUnitPrefs();
+  const sample = useMemo(() => {
+    const format = createFormatter(prefs);
+    return `${format.value('temp', 22.5)} · ${format.value('tds', 840)} · ${format.value('water', 7.5)} · ${format.dateTime(
+      new Date()
+    )}`;
+  }, [prefs]);
+
+  return (
+    <View style={styles.container}>
+      <Text style={labelStyle}>Units</Text>
+      <View style={styles.section}>
+        {ROWS.map(({ key, label }) => (
+          <View key={key} style={styles.row}>
+            <Text style={styles.label}>{label}</Text>
+            <View style={styles.chips}>
+              {UNIT_OPTIONS[key].map((option) => {
+                const selected = prefs[key] === option.value;
+                return (
+                  <Pressable
+                    key={option.label}
+                    style={[styles.chip, selected && styles.chipActive]}
+                    onPress={() => setPref(key, option.value)}
+                  >
+                    <Text style={[styles.chipText, selected && styles.chipTextActive]}>{option.label}</Text>
+                  </Pressable>
+                );
+              })}
+            </View>
+          </View>
+        ))}
+        <Text style={styles.hint}>For example: {sample}</Text>
+      </View>
+
+      {error ? <Text style={styles.errorText}>{getAuthErrorMessage(error)}</Text> : null}
+    </View>
+  );
+}
+
+// ── Styles: unit rows and option chips ──
+const styles = StyleSheet.create({
+  container: {
+    marginVertical: 8,
+    ...(Platform.OS === 'web' ? { marginBottom: 16 } : {}),
+  },
+  section: {
+    paddingLeft: 12,
+    borderLeftWidth: 2,
+    borderLeftColor: '#e0e0e0',
+    marginTop: 8,
+  },
+  row: {
+    marginBottom: 10,
+  },
+  label: {
+    fontSize: 14,
+    color: '#222',
+    ...(Platform.OS === 'web' ? { fontSize: 16 } : {}),
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+    marginTop: 6,
+  },
+  chip: {
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: '#ccc',
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    backgroundColor: '#fff',
+  },
+  chipActive: {
+    borderColor: '#4CAF50',
+    backgroundColor: '#e8f5e9',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#333',
+  },
+  chipTextActive: {
+    color: '#2e7d32',
+    fontWeight: '600',
+  },
+  hint: {
+    fontSize: 12,
+    color: '#777',
+  },
+  errorText: {
+    color: '#b71c1c',
+    marginTop: 4,
+  },
+});
@@ -2,55 +2,61 @@
  * WebNavbar
  *
  * Displays a navigation bar for the web platform.
- * - Renders logo and greeting with username from context or route params.
+ * - Renders logo and greeting with the signed-in username (useUser), followed by the
+ *   active GreenSync unit, which opens the unit switcher.
  * - Lists navigation items (Home, Search, Insights, Profile, Logout).
+ * - Shows a notification bell with an unread badge that opens the inbox.
+ * - Logout ends the session via useSession instead of navigating.
  * - Highlights the active route.
  * - Hidden on non-web platforms.
  */
 
-// Core React import and context hook
-import React, { useContext } from 'react';
+// Core React import
+import React from 'react';
 // React Native UI components and platform utility
 import { View, Text, TouchableOpacity, Platform, StyleSheet, Image } from 'react-native';
 // Navigation hooks for route info and navigation actions
 import { useNavigation, useRoute } from '@react-navigation/native';
-// Context providing shared user data (username)
-import { UserContext } from '../UserContext';
+// Account and session hooks
+import { useUser, useSession } from '../UserContext';
+// Bell with unread badge
+import NotificationBell from './NotificationBell';
+// Active unit and unit picker
+import DeviceSwitcher from './DeviceSwitcher';
 
 const NAV_ITEMS = [
   { label: 'Home', route: 'DashboardMain' },
   { label: 'Search', route: 'Search' },
   { label: 'Insights', route: 'Insights' },
   { label: 'Profile', route: 'Profile' },
-  { label: 'Logout', route: 'Icon' },
+  { label: 'Logout', route: null },
 ];
 
 /**
  * WebNavbar component
  *
  * Renders a horizontal navbar only on web:
- * - Shows app logo and greeting.
+ * - Shows app logo, greeting and the unit switcher.
  * - Maps NAV_ITEMS to navigation buttons.
  * - Applies active style on current route.
  */
 const WebNavbar = () => {
   // Get navigation object to perform screen transitions
   const navigation = useNavigation();
-  // Retrieve username from UserContext as fallback
-  const { username: contextUsername } = useContext(UserContext);
+  // Retrieve username and sign-out action from the account/session store
+  const { username } = useUser();
+  const { signOut } = useSession();
   // Get current route to determine active nav item
   const route = useRoute();
-  // Extract username passed via navigation params, if any
-  const paramUsername = route.params?.username;
-  // Choose display username: route param, context, or default 'User'
-  const displayUsername = paramUsername ?? contextUsername ?? 'User';
+  // Choose display username, defaulting to 'User' while the account loads
+  const displayUsername = username ?? 'User';
   // Only render this navbar on web platform
   if (Platform.OS !== 'web') return null;
 
   return (
     // Navbar container: horizontal layout, spaced between logo and nav items
     <View style={styles.navbar}>
-      {/* Left section: logo image and greeting */}
+      {/* Left section: logo image, greeting and active unit */}
       <View style={styles.leftSection}>
         {/* App logo image */}
         <Image
@@ -59,18 +65,26 @@ const WebNavbar = () => {
         />
         {/* Greeting message with the username */}
         <Text style={styles.usernameText}>Hi {displayUsername}</Text>
+        {/* Which unit the app is showing; click to switch */}
+        <DeviceSwitcher style={{ marginLeft: 20 }} />
       </View>
       {/* Right section: navigation item buttons */}
       <View style={styles.navItems}>
+        {/* Notifications bell, highlighted while the inbox is open */}
+        <NotificationBell
+          color={route.name === 'Notifications' ? '#4CAF50' : '#000'}
+          style={{ marginHorizontal: 10 }}
+        />
         {NAV_ITEMS.map((item) => (
           // Navigation button for {item.label}
           <TouchableOpacity
-            key={item.route}
+            key={item.label}
             onPress={() => {
               if (item.label === 'Logout') {
-                navigation.navigate(item.route);
+                // Clearing the session swaps the navigator back to the signed-out screens
+                signOut();
               } else {
-                navigation.navigate(item.route, { username: displayUsername });
+                navigation.navigate(item.route);
               }
             }}
           >
@@ -79,7 +93,7 @@ const WebNavbar = () => {
               styles.navItem,
               (
                 (item.route === 'Home' && route.name === 'DashboardMain') ||
-                route.name.toLowerCase() === item.route.toLowerCase()
+                route.name.toLowerCase() === item.route?.toLowerCase()
               ) && styles.activeNavItem
             ]}>
               {item.label}
@@ -0,0 +1,48 @@
+/**
+ * useAlerts.js
+ *
+ * Runs the alert rules (services/alerts.js) over live slot readings.
+ * - Re-evaluates whenever the readings change, and every minute so durations
+ *   and escalations stay current while readings are steady.
+ * - Uses the shared alert engine, so all screens agree on when an alert started.
+ */
+
+import { useState, useEffect } from 'react';
+import { useDevices } from '../DeviceContext';
+import { getAlertEngine, worstSeverity } from '../services/alerts';
+
+const REEVALUATE_MS = 60 * 1000;
+
+/**
+ * useAlerts()
+ *
+ * Options:
+ * - slots: slot readings from useTelemetry for the same unit; it returns no slots until that
+ *   unit's own have loaded, so another unit's readings are never checked under this one
+ * - deviceId: unit the slots belong to (defaults to the active unit, see DeviceContext.js)
+ *
+ * Returns:
+ * - alerts: every active alert for the device, most urgent first
+ * - alertsForSlot(slotId): the alerts for one slot
+ * - severityForSlot(slotId): 'critical', 'warning' or null when the slot is fine
+ */
+export default function useAlerts({ slots, deviceId: deviceIdOption }) {
+  const { devices, activeDeviceId } = useDevices();
+  const deviceId = deviceIdOption ?? activeDeviceId;
+  // Water targets follow the unit's reservoir size
+  const reservoirLitres = devices.find((device) => device.id === deviceId)?.reservoirLitres;
+  const engine = getAlertEngine();
+  const [alerts, setAlerts] = useState(() => engine.getAlerts(deviceId));
+
+  useEffect(() => {
+    const evaluate = () => setAlerts(engine.evaluate(deviceId, slots, { reservoirLitres }));
+    evaluate();
+    const timer = setInterval(evaluate, REEVALUATE_MS);
+    return () => clearInterval(timer);
+  }, [engine, deviceId, slots, reservoirLitres]);
+
+  const alertsForSlot = (slotId) => alerts.filter((alert) => alert.slotId === slotId);
+  const severityForSlot = (slotId) => worstSeverity(alertsForSlot(slotId));
+
+  return { alerts, alertsForSlot, severityForSlot };
+}
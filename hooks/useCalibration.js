@@ -0,0 +1,233 @@
+/**
+ * useCalibration.js
+ *
+ * Walks the user through calibrating one slot's pH or TDS probe (calibrationClient.js).
+ * - For each buffer in turn: the user rinses the probe and puts it in the buffer (PLACE),
+ *   then the unit reads the probe every PROBE_POLL_MS until the reading holds steady
+ *   (SETTLING); the settled reading is recorded as a point.
+ * - Once every point is recorded (REVIEW) the fitted slope and offset are shown, along with
+ *   anything wrong with them, and saved to the unit (SAVED). The slot comes back re-read
+ *   with the new calibration and is handed to every telemetry consumer (publishSlotUpdates).
+ * - Cancelling, or leaving mid-way (e.g. closing the modal), tells the unit the probe is
+ *   back in the slot.
+ * - Also changes how often the probe should be calibrated (changeInterval).
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { useSession } from '../UserContext';
+import { useDevices } from '../DeviceContext';
+import { publishSlotUpdates } from '../services/telemetry';
+import {
+  CALIBRATION_STEPS,
+  PROBE_SETTINGS,
+  PROBE_POLL_MS,
+  SETTLE_TIMEOUT_MS,
+  STABLE_WINDOW_MS,
+  isStable,
+  settledReading,
+  fitCalibration,
+  checkCalibration,
+  startBufferReading,
+  readProbe,
+  stopBufferReading,
+  saveCalibration,
+  updateCalibrationInterval,
+} from '../services/calibrationClient';
+
+// Readings kept while a probe settles (a couple of stability windows' worth)
+const MAX_SAMPLES = Math.ceil((2 * STABLE_WINDOW_MS) / PROBE_POLL_MS);
+
+/**
+ * useCalibration()
+ *
+ * Options:
+ * - deviceId: unit the slot belongs to (defaults to the active unit, see DeviceContext.js)
+ * - slotId: slot whose probe to calibrate; pass null while no slot is selected
+ * - probe: one of PROBES
+ *
+ * Returns:
+ * - step: one of CALIBRATION_STEPS; pointCount: 2 or 3
+ * - buffers: the buffers used, in order; buffer: the one the probe should be in now
+ * - points: recorded `[{ buffer, raw }]`; reading: latest raw reading while settling
+ * - stable: the reading has settled; slow: still not settled after SETTLE_TIMEOUT_MS
+ * - fit: `{ slope, offset, maxError }` once every point is recorded, and `problem`: why it
+ *   shouldn't be saved (or null)
+ * - busy: a request is in flight; error: the latest failure, until the next action
+ * - start(pointCount), ready(), recordPoint(), save(), cancel(), changeInterval(days)
+ */
+export default function useCalibration({ deviceId: deviceIdOption, slotId, probe }) {
+  const { token } = useSession();
+  const { activeDeviceId } = useDevices();
+  const deviceId = deviceIdOption ?? activeDeviceId;
+  const [step, setStep] = useState(CALIBRATION_STEPS.IDLE);
+  const [pointCount, setPointCount] = useState(2);
+  const [points, setPoints] = useState([]);
+  const [samples, setSamples] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  // When the probe went into the current buffer
+  const settlingSinceRef = useRef(null);
+  // Set while the unit thinks the probe is in a buffer, so leaving can put it back
+  const inBufferRef = useRef(null);
+
+  const buffers = PROBE_SETTINGS[probe].buffers.slice(0, pointCount);
+  const buffer = buffers[points.length];
+  const latest = samples[samples.length - 1];
+  const stable = isStable(samples, probe);
+  const slow = !stable && latest != null && Date.parse(latest.at) - settlingSinceRef.current > SETTLE_TIMEOUT_MS;
+  const fit = step === CALIBRATION_STEPS.REVIEW && points.length === pointCount ? fitCalibration(points) : null;
+  const problem = fit ? checkCalibration(probe, fit) : null;
+
+  // Tell the unit the probe is back in the slot (best effort)
+  const leaveBuffer = useCallback(() => {
+    const target = inBufferRef.current;
+    inBufferRef.current = null;
+    if (target) stopBufferReading(target).catch(() => {});
+  }, []);
+
+  // Start over whenever the slot or probe changes, and when leaving
+  useEffect(() => {
+    setStep(CALIBRATION_STEPS.IDLE);
+    setPoints([]);
+    setSamples([]);
+    setError(null);
+    return leaveBuffer;
+  }, [deviceId, slotId, probe, leaveBuffer]);
+
+  // Read the probe while it settles in a buffer
+  useEffect(() => {
+    if (step !== CALIBRATION_STEPS.SETTLING) return undefined;
+
+    const controller = new AbortController();
+    let timer = null;
+    const poll = async () => {
+      try {
+        const sample = await readProbe({ token, deviceId, slotId, probe, signal: controller.signal });
+        if (controller.signal.aborted) return;
+        setSamples((current) => [...current, sample].slice(-MAX_SAMPLES));
+        timer = setTimeout(poll, PROBE_POLL_MS);
+      } catch (err) {
+        if (controller.signal.aborted) return;
+        // e.g. the unit went offline; the user can try the buffer again
+        setError(err);
+        setStep(CALIBRATION_STEPS.PLACE);
+      }
+    };
+    poll();
+    return () => {
+      controller.abort();
+      clearTimeout(timer);
+    };
+  }, [step, token, deviceId, slotId, probe]);
+
+  const start = (count) => {
+    setPointCount(count);
+    setPoints([]);
+    setSamples([]);
+    setError(null);
+    setStep(CALIBRATION_STEPS.PLACE);
+  };
+
+  /**
+   * ready()
+   *
+   * The probe is in the current buffer: tell the unit, then start reading it.
+   */
+  const ready = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      await startBufferReading({ token, deviceId, slotId, probe, buffer });
+      inBufferRef.current = { token, deviceId, slotId, probe };
+      settlingSinceRef.current = Date.now();
+      setSamples([]);
+      setStep(CALIBRATION_STEPS.SETTLING);
+    } catch (err) {
+      setError(err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  /**
+   * recordPoint()
+   *
+   * 1. Record the settled reading for the current buffer.
+   * 2. Move on to the next buffer, or to the review once every point is in (the probe
+   *    goes back in the slot).
+   */
+  const recordPoint = () => {
+    if (step !== CALIBRATION_STEPS.SETTLING || !stable) return;
+    const next = [...points, { buffer, raw: settledReading(samples) }];
+    setPoints(next);
+    setSamples([]);
+    if (next.length < pointCount) {
+      setStep(CALIBRATION_STEPS.PLACE);
+      return;
+    }
+    leaveBuffer();
+    setStep(CALIBRATION_STEPS.REVIEW);
+  };
+
+  /**
+   * save()
+   *
+   * Saves the fitted slope and offset to the unit; resolves with the updated slot, or null
+   * when the request failed.
+   */
+  const save = async () => {
+    if (!fit || problem) return null;
+    setBusy(true);
+    setError(null);
+    try {
+      const slot = await saveCalibration({ token, deviceId, slotId, probe, points, slope: fit.slope, offset: fit.offset });
+      publishSlotUpdates(deviceId, [slot]);
+      setStep(CALIBRATION_STEPS.SAVED);
+      return slot;
+    } catch (err) {
+      setError(err);
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const cancel = () => {
+    leaveBuffer();
+    setStep(CALIBRATION_STEPS.IDLE);
+    setPoints([]);
+    setSamples([]);
+    setError(null);
+  };
+
+  const changeInterval = async (intervalDays) => {
+    setError(null);
+    try {
+      const slot = await updateCalibrationInterval({ token, deviceId, slotId, probe, intervalDays });
+      publishSlotUpdates(deviceId, [slot]);
+    } catch (err) {
+      setError(err);
+    }
+  };
+
+  return {
+    step,
+    pointCount,
+    buffers,
+    buffer,
+    points,
+    reading: latest?.raw ?? null,
+    stable,
+    slow,
+    fit,
+    problem,
+    busy,
+    error,
+    start,
+    ready,
+    recordPoint,
+    save,
+    cancel,
+    changeInterval,
+  };
+}
@@ -0,0 +1,58 @@
+/**
+ * useCaptures.js
+ *
+ * Loads a slot's Smart Cam photos for a range (see cameraClient.js).
+ * - Reloads whenever the slot or range changes, cancelling the previous request.
+ * - Keeps the previous timeline on screen while the next range loads.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { useSession } from '../UserContext';
+import { useDevices } from '../DeviceContext';
+import { fetchCaptures } from '../services/cameraClient';
+
+/**
+ * useCaptures()
+ *
+ * Options:
+ * - deviceId: unit the slot belongs to (defaults to the active unit, see DeviceContext.js)
+ * - slotId: slot to read; pass null while no slot is selected
+ * - range: one of CAPTURE_RANGES' keys
+ *
+ * Returns `{ timeline, loading, error, reload }`, where `timeline` is the server's
+ * `{ range, from, to, total, captures }` (null until the first load).
+ */
+export default function useCaptures({ deviceId: deviceIdOption, slotId, range }) {
+  const { token } = useSession();
+  const { activeDeviceId } = useDevices();
+  const deviceId = deviceIdOption ?? activeDeviceId;
+  const [timeline, setTimeline] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  // Bumped by reload() to refetch with the same inputs
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    if (!deviceId || slotId == null) {
+      setTimeline(null);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    setLoading(true);
+    setError(null);
+    fetchCaptures({ token, deviceId, slotId, range, signal: controller.signal })
+      .then(setTimeline)
+      .catch((err) => {
+        if (err?.name !== 'AbortError') setError(err);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+      });
+    return () => controller.abort();
+  }, [token, deviceId, slotId, range, attempt]);
+
+  const reload = useCallback(() => setAttempt((n) => n + 1), []);
+
+  return { timeline, loading, error, reload };
+}
@@ -0,0 +1,24 @@
+/**
+ * useFormatter.js
+ *
+ * The formatter (services/formatter.js) for the signed-in account's unit preferences.
+ * - Rebuilt only when the preferences change, so components re-render in the new units
+ *   as soon as they are saved.
+ */
+
+import { useMemo } from 'react';
+import { useUser } from '../UserContext';
+import { getUnitPrefs } from '../services/unitPrefs';
+import { createFormatter } from '../services/formatter';
+
+/**
+ * useFormatter()
+ *
+ * Returns the formatter: `value(metric, reading)`, `range(metric, min, max)`, `date(time)`
+ * and the rest described in createFormatter().
+ */
+export default function useFormatter() {
+  const { preferences } = useUser();
+  const saved = preferences.units;
+  return useMemo(() => createFormatter(getUnitPrefs({ units: saved })), [saved]);
+}
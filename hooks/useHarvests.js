@@ -0,0 +1,54 @@
+/**
+ * useHarvests.js
+ *
+ * Loads the harvest log for a device, or one of its slots (see harvestClient.js).
+ * - Reloads whenever the device or slot changes, cancelling the previous request.
+ * - Keeps the previous list on screen while the next one loads.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { useSession } from '../UserContext';
+import { useDevices } from '../DeviceContext';
+import { fetchHarvests } from '../services/harvestClient';
+
+/**
+ * useHarvests()
+ *
+ * Options:
+ * - deviceId: unit to read (defaults to the active unit, see DeviceContext.js)
+ * - slotId: only this slot's crops; omit for every slot
+ *
+ * Returns `{ harvests, loading, error, reload }`.
+ */
+export default function useHarvests({ deviceId: deviceIdOption, slotId } = {}) {
+  const { token } = useSession();
+  const { activeDeviceId } = useDevices();
+  const deviceId = deviceIdOption ?? activeDeviceId;
+  const [harvests, setHarvests] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  // Bumped by reload() to refetch with the same inputs
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    // Wait for the account's units to load
+    if (!deviceId) return undefined;
+
+    const controller = new AbortController();
+    setLoading(true);
+    setError(null);
+    fetchHarvests({ token, deviceId, slotId, signal: controller.signal })
+      .then(setHarvests)
+      .catch((err) => {
+        if (err?.name !== 'AbortError') setError(err);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+      });
+    return () => controller.abort();
+  }, [token, deviceId, slotId, attempt]);
+
+  const reload = useCallback(() => setAttempt((n) => n + 1), []);
+
+  return { harvests, loading, error, reload };
+}
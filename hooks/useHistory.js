@@ -0,0 +1,75 @@
+/**
+ * useHistory.js
+ *
+ * Loads one metric's history for a slot and range (see historyClient.js).
+ * - Reloads whenever the slot, metric or range changes, cancelling the previous request.
+ * - Keeps the previous chart on screen while the next range loads.
+ * - Saves each window it loads to the offline cache (offlineCache.js); when a load fails,
+ *   the saved window is shown instead, with `savedAt`.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { useSession } from '../UserContext';
+import { useDevices } from '../DeviceContext';
+import { fetchHistory } from '../services/historyClient';
+import { getOfflineCache, CACHE_KINDS, cacheId } from '../services/offlineCache';
+
+/**
+ * useHistory()
+ *
+ * Options:
+ * - deviceId: unit the slot belongs to (defaults to the active unit, see DeviceContext.js)
+ * - slotId: slot to read; pass null while no slot is selected
+ * - metric: key of slot.data, e.g. 'ph'
+ * - range: one of HISTORY_RANGES' keys
+ *
+ * Returns `{ history, loading, error, savedAt, reload }`; `savedAt` is when the history
+ * shown was saved, while it comes from the offline cache (else null).
+ */
+export default function useHistory({ deviceId: deviceIdOption, slotId, metric, range }) {
+  const { token } = useSession();
+  const { activeDeviceId } = useDevices();
+  const deviceId = deviceIdOption ?? activeDeviceId;
+  const [history, setHistory] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [savedAt, setSavedAt] = useState(null);
+  // Bumped by reload() to refetch with the same inputs
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    if (!deviceId || slotId == null) {
+      setHistory(null);
+      setSavedAt(null);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    const cache = getOfflineCache();
+    const id = cacheId(deviceId, slotId, metric, range);
+    setLoading(true);
+    setError(null);
+    fetchHistory({ token, deviceId, slotId, metric, range, signal: controller.signal })
+      .then((fresh) => {
+        setHistory(fresh);
+        setSavedAt(null);
+        cache.write(CACHE_KINDS.HISTORY, id, fresh);
+      })
+      .catch(async (err) => {
+        if (err?.name === 'AbortError') return;
+        const cached = await cache.read(CACHE_KINDS.HISTORY, id);
+        if (controller.signal.aborted) return;
+        setError(err);
+        setSavedAt(cached?.savedAt ?? null);
+        if (cached) setHistory(cached.value);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+      });
+    return () => controller.abort();
+  }, [token, deviceId, slotId, metric, range, attempt]);
+
+  const reload = useCallback(() => setAttempt((n) => n + 1), []);
+
+  return { history, loading, error, savedAt, reload };
+}
@@ -0,0 +1,71 @@
+/**
+ * useNotificationPrefs.js
+ *
+ * Reads and saves the signed-in account's notification preferences (notificationPrefs.js).
+ * - Changes show straight away and are saved to the account; a failed save rolls back
+ *   and reports the error.
+ * - Turning notifications on asks the platform for permission first and stays off
+ *   if it is refused.
+ */
+
+import { useState, useEffect } from 'react';
+import { useUser } from '../UserContext';
+import { getNotificationPrefs } from '../services/notificationPrefs';
+import { getNotificationDelivery, PERMISSION } from '../services/notificationDelivery';
+
+/**
+ * useNotificationPrefs()
+ *
+ * Returns:
+ * - prefs: `{ enabled, categories, quietHours }` with defaults filled in
+ * - error: the latest failed save or refused permission, or null
+ * - setEnabled(enabled), setCategory(category, on), setQuietHours(changes)
+ */
+export default function useNotificationPrefs() {
+  const { preferences, updatePreferences } = useUser();
+  const saved = preferences.notifications;
+  const [prefs, setPrefs] = useState(() => getNotificationPrefs(preferences));
+  const [error, setError] = useState(null);
+
+  // Follow the account when it (re)loads or is saved
+  useEffect(() => {
+    setPrefs(getNotificationPrefs({ notifications: saved }));
+  }, [saved]);
+
+  const save = async (next) => {
+    setPrefs(next);
+    setError(null);
+    try {
+      await updatePreferences({ notifications: next });
+    } catch (err) {
+      setPrefs(getNotificationPrefs({ notifications: saved }));
+      setError(err);
+    }
+  };
+
+  /**
+   * setEnabled()
+   *
+   * 1. When turning on, check the platform permission and ask for it if needed.
+   * 2. Stay off with an explanatory error if it is refused.
+   * 3. Save the master switch.
+   */
+  const setEnabled = async (enabled) => {
+    if (enabled) {
+      const delivery = getNotificationDelivery();
+      let permission = await delivery.getPermission();
+      if (permission !== PERMISSION.GRANTED) permission = await delivery.requestPermission();
+      if (permission !== PERMISSION.GRANTED) {
+        setError(new Error('Notifications are blocked for GreenSync. Allow them in your settings, then try again.'));
+        return;
+      }
+    }
+    await save({ ...prefs, enabled });
+  };
+
+  const setCategory = (category, on) => save({ ...prefs, categories: { ...prefs.categories, [category]: on } });
+
+  const setQuietHours = (changes) => save({ ...prefs, quietHours: { ...prefs.quietHours, ...changes } });
+
+  return { prefs, error, setEnabled, setCategory, setQuietHours };
+}
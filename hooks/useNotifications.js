@@ -0,0 +1,38 @@
+/**
+ * useNotifications.js
+ *
+ * Subscribes a component to the shared notification inbox (services/notifications.js).
+ * - Re-renders whenever a notification is pushed, read, resolved or removed.
+ * - Exposes the inbox actions so screens never touch the store directly.
+ */
+
+import { useState, useEffect } from 'react';
+import { getNotificationStore } from '../services/notifications';
+
+/**
+ * useNotifications()
+ *
+ * Returns:
+ * - notifications: every notification, newest first
+ * - unreadCount: how many are unread (for the bell badge)
+ * - markRead(id), markAllRead(), dismiss(id), clearAll()
+ */
+export default function useNotifications() {
+  const store = getNotificationStore();
+  const [notifications, setNotifications] = useState(store.getNotifications);
+
+  useEffect(() => {
+    // Catch anything pushed between the first render and subscribing
+    setNotifications(store.getNotifications());
+    return store.subscribe(setNotifications);
+  }, [store]);
+
+  return {
+    notifications,
+    unreadCount: notifications.filter((n) => !n.read).length,
+    markRead: store.markRead,
+    markAllRead: store.markAllRead,
+    dismiss: store.dismiss,
+    clearAll: store.clearAll,
+  };
+}
@@ -0,0 +1,55 @@
+/**
+ * useOutbox.js
+ *
+ * Subscribes a component to the replay queue (services/outbox.js): changes made while the
+ * GreenSync server was unreachable.
+ * - Re-renders whenever an entry is queued, sent, set aside or discarded.
+ * - Optionally narrowed to one unit, or one slot of it.
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import { getOutbox, OUTBOX_STATUS } from '../services/outbox';
+
+/**
+ * useOutbox()
+ *
+ * Options:
+ * - deviceId / slotId: only entries for that unit (and slot); null matches nothing, so
+ *   callers can pass "no slot selected" straight through
+ *
+ * Returns:
+ * - entries: matching entries, oldest first
+ * - queued: those still waiting to be sent
+ * - problems: conflicting or expired entries waiting for the user
+ * - sendAnyway(id), discard(id), retry()
+ */
+export default function useOutbox({ deviceId, slotId } = {}) {
+  const outbox = getOutbox();
+  const [all, setAll] = useState(outbox.getEntries);
+
+  useEffect(() => {
+    // Catch anything queued between the first render and subscribing
+    setAll(outbox.getEntries());
+    return outbox.subscribe(setAll);
+  }, [outbox]);
+
+  // Memoised so effects that depend on the lists only run when the queue changes
+  const lists = useMemo(() => {
+    const entries = all.filter(
+      (entry) =>
+        (deviceId === undefined || entry.deviceId === deviceId) && (slotId === undefined || entry.slotId === slotId)
+    );
+    return {
+      entries,
+      queued: entries.filter((entry) => entry.status === OUTBOX_STATUS.QUEUED),
+      problems: entries.filter((entry) => entry.status !== OUTBOX_STATUS.QUEUED),
+    };
+  }, [all, deviceId, slotId]);
+
+  return {
+    ...lists,
+    sendAnyway: outbox.sendAnyway,
+    discard: outbox.discard,
+    retry: outbox.replay,
+  };
+}
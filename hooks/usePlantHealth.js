@@ -0,0 +1,67 @@
+/**
+ * usePlantHealth.js
+ *
+ * The plant health model's assessment of a slot's latest Smart Cam photo (see healthClient.js).
+ * - Assesses again whenever the camera takes a new photo; screens showing the same slot
+ *   share one request per photo.
+ * - Nothing is requested for an empty slot or before its first photo.
+ */
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useSession } from '../UserContext';
+import { useDevices } from '../DeviceContext';
+import { getHealthAssessment } from '../services/healthClient';
+
+/**
+ * usePlantHealth()
+ *
+ * Options:
+ * - deviceId: unit the slot belongs to (defaults to the active unit, see DeviceContext.js)
+ * - slot: the live slot from useTelemetry
+ *
+ * Returns `{ assessment, loading, error, reload }`; reload() asks the model again
+ * for the same photo.
+ */
+export default function usePlantHealth({ deviceId: deviceIdOption, slot }) {
+  const { token } = useSession();
+  const { activeDeviceId } = useDevices();
+  const deviceId = deviceIdOption ?? activeDeviceId;
+  const [assessment, setAssessment] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  // Bumped by reload() to ask for a fresh assessment
+  const [attempt, setAttempt] = useState(0);
+
+  // Latest readings to send, without re-assessing on every telemetry update
+  const slotRef = useRef(slot);
+  slotRef.current = slot;
+  const imageUri = slot?.hasPlant ? slot.data?.imageUri : null;
+
+  useEffect(() => {
+    if (!imageUri) {
+      setAssessment(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    getHealthAssessment({ token, deviceId, slot: slotRef.current, refresh: attempt > 0 })
+      .then((result) => {
+        if (!cancelled) setAssessment(result);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [token, deviceId, imageUri, attempt]);
+
+  const reload = useCallback(() => setAttempt((n) => n + 1), []);
+
+  return { assessment, loading, error, reload };
+}
@@ -0,0 +1,65 @@
+/**
+ * usePlanting.js
+ *
+ * Plants a lettuce into an empty slot and ends a slot's crop (plantingClient.js).
+ * - On success the changed slot is handed to every telemetry consumer
+ *   (publishSlotUpdates), so the Dashboard and Insights show it straight away.
+ * - `error` holds the latest failure (e.g. SLOT_OCCUPIED) until the next attempt.
+ */
+
+import { useState } from 'react';
+import { useSession } from '../UserContext';
+import { useDevices } from '../DeviceContext';
+import { publishSlotUpdates } from '../services/telemetry';
+import { plantSlot, endCrop as requestEndCrop } from '../services/plantingClient';
+
+/**
+ * usePlanting()
+ *
+ * Options:
+ * - deviceId: unit the slots belong to (defaults to the active unit, see DeviceContext.js)
+ *
+ * Returns `{ planting, error, plant({ slotId, variety, plantedAt, startType }), endCrop(slotId, outcome, details) }`;
+ * `details` is `{ yieldGrams, quality, notes }` for the harvest log.
+ * `plant` resolves with the planted slot and `endCrop` with the crop's harvest log entry,
+ * or null when the request failed. `planting` is true while either is in flight.
+ */
+export default function usePlanting({ deviceId: deviceIdOption } = {}) {
+  const { token } = useSession();
+  const { activeDeviceId } = useDevices();
+  const deviceId = deviceIdOption ?? activeDeviceId;
+  const [planting, setPlanting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const plant = async ({ slotId, variety, plantedAt, startType }) => {
+    setPlanting(true);
+    setError(null);
+    try {
+      const slot = await plantSlot({ token, deviceId, slotId, variety, plantedAt, startType });
+      publishSlotUpdates(deviceId, [slot]);
+      return slot;
+    } catch (err) {
+      setError(err);
+      return null;
+    } finally {
+      setPlanting(false);
+    }
+  };
+
+  const endCrop = async (slotId, outcome, details = {}) => {
+    setPlanting(true);
+    setError(null);
+    try {
+      const { slot, crop } = await requestEndCrop({ token, deviceId, slotId, outcome, ...details });
+      publishSlotUpdates(deviceId, [slot]);
+      return crop;
+    } catch (err) {
+      setError(err);
+      return null;
+    } finally {
+      setPlanting(false);
+    }
+  };
+
+  return { planting, error, plant, endCrop };
+}
@@ -0,0 +1,197 @@
+/**
+ * useSlotCommands.js
+ *
+ * Sends actuator commands for one slot and tracks them to completion.
+ * - Keeps the latest command per actuator group (dosing pumps, grow light).
+ * - Refuses to send while another command in the same group is pending or running,
+ *   so the UI can't fire conflicting commands (the backend enforces the same rule).
+ * - Picks up commands that are still active when the slot is (re)opened.
+ * - Commands the device reports as failed are also posted to the notification inbox,
+ *   so the failure is seen even if the modal has been closed.
+ * - Offline: a command that can't reach the server (or is sent while the unit still has
+ *   queued changes) goes to the replay queue (outbox.js) and shows as queued; once the
+ *   queue sends it, it is followed like any other. Queued commands the server refused or
+ *   that expired show as failed until the user sends or discards them.
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { useSession } from '../UserContext';
+import { useDevices } from '../DeviceContext';
+import {
+  ACTION_GROUPS,
+  COMMAND_STATUS,
+  sendCommand,
+  getActiveCommands,
+  watchCommand,
+  isCommandActive,
+  getCommandErrorMessage,
+  ACTION_NAMES,
+  ACTION_METRICS,
+  COMMAND_ERRORS,
+} from '../services/commandClient';
+import { getNotificationStore, NOTIFICATION_SEVERITY } from '../services/notifications';
+import { NOTIFICATION_CATEGORIES } from '../services/notificationPrefs';
+import { ERROR_CODES } from '../services/apiClient';
+import { getOutbox, OUTBOX_TYPES, OUTBOX_STATUS } from '../services/outbox';
+import useOutbox from './useOutbox';
+
+// Post a device-reported command failure to the notification inbox
+// (an empty reservoir counts as a "reservoir low" notification)
+const notifyFailure = (command) =>
+  getNotificationStore().push({
+    category: command.error?.code === COMMAND_ERRORS.RESERVOIR_EMPTY ? NOTIFICATION_CATEGORIES.RESERVOIR : null,
+    severity: NOTIFICATION_SEVERITY.WARNING,
+    title: `Slot ${command.slotId}: ${ACTION_NAMES[command.action] ?? 'Command'} failed`,
+    body: getCommandErrorMessage(command.error),
+    deviceId: command.deviceId,
+    slotId: command.slotId,
+    metric: ACTION_METRICS[command.action],
+  });
+
+/**
+ * useSlotCommands()
+ *
+ * Options:
+ * - deviceId: unit the slot belongs to (defaults to the active unit, see DeviceContext.js)
+ * - slotId: slot to control; pass null while no slot is selected
+ *
+ * Returns:
+ * - commandFor(action): latest command in the action's group (or undefined); a command
+ *   from the replay queue also has `outboxId`
+ * - isBusy(action): true while that group has a queued/pending/running command
+ * - send(action, params): queue a command; resolves with it, or null if refused/failed
+ */
+export default function useSlotCommands({ deviceId: deviceIdOption, slotId }) {
+  const { token } = useSession();
+  const { activeDeviceId } = useDevices();
+  const deviceId = deviceIdOption ?? activeDeviceId;
+  // group → latest command
+  const [commands, setCommands] = useState({});
+  // Mirror of `commands` so rapid taps see the latest state
+  const commandsRef = useRef({});
+  // command id → stop polling
+  const watchersRef = useRef(new Map());
+  // The slot's commands in the replay queue
+  const { entries: outboxEntries } = useOutbox({ deviceId, slotId });
+
+  const setGroupCommand = useCallback((group, command) => {
+    commandsRef.current = { ...commandsRef.current, [group]: command };
+    setCommands(commandsRef.current);
+  }, []);
+
+  // Show a command and follow it until it finishes
+  const track = useCallback(
+    (command) => {
+      const group = ACTION_GROUPS[command.action];
+      setGroupCommand(group, command);
+      if (!isCommandActive(command) || watchersRef.current.has(command.id)) return;
+      const stop = watchCommand(token, command.id, {
+        onUpdate: (update) => {
+          setGroupCommand(group, update);
+          if (!isCommandActive(update)) {
+            if (update.status === COMMAND_STATUS.FAILED) notifyFailure(update);
+            watchersRef.current.get(command.id)?.();
+            watchersRef.current.delete(command.id);
+          }
+        },
+        onError: (err) => console.warn('useSlotCommands: polling failed', err?.message),
+      });
+      watchersRef.current.set(command.id, stop);
+    },
+    [token, setGroupCommand]
+  );
+
+  // Reset for each slot, resuming any commands it still has in flight
+  useEffect(() => {
+    commandsRef.current = {};
+    setCommands({});
+    if (!deviceId || slotId == null) return undefined;
+
+    let cancelled = false;
+    getActiveCommands({ token, deviceId, slotId })
+      .then((active) => !cancelled && active.forEach(track))
+      .catch((err) => console.warn('useSlotCommands: could not load active commands', err?.message));
+
+    const watchers = watchersRef.current;
+    return () => {
+      cancelled = true;
+      watchers.forEach((stop) => stop());
+      watchers.clear();
+    };
+  }, [token, deviceId, slotId, track]);
+
+  // Show the slot's queued commands (queued, or failed when refused or expired) and drop
+  // ones that left the queue without being sent
+  useEffect(() => {
+    const queuedCommands = outboxEntries.filter((entry) => entry.type === OUTBOX_TYPES.COMMAND);
+    Object.entries(commandsRef.current).forEach(([group, command]) => {
+      if (command?.outboxId && !queuedCommands.some((entry) => entry.id === command.outboxId)) {
+        setGroupCommand(group, undefined);
+      }
+    });
+    queuedCommands.forEach((entry) => {
+      setGroupCommand(ACTION_GROUPS[entry.action], {
+        outboxId: entry.id,
+        action: entry.action,
+        status: entry.status === OUTBOX_STATUS.QUEUED ? COMMAND_STATUS.QUEUED : COMMAND_STATUS.FAILED,
+        progress: 0,
+        error: entry.problem,
+      });
+    });
+  }, [outboxEntries, setGroupCommand]);
+
+  // Follow queued commands once the replay queue has sent them
+  useEffect(
+    () =>
+      getOutbox().onSent((entry, command) => {
+        if (entry.type === OUTBOX_TYPES.COMMAND && entry.deviceId === deviceId && entry.slotId === slotId) {
+          track(command);
+        }
+      }),
+    [deviceId, slotId, track]
+  );
+
+  /**
+   * send()
+   *
+   * 1. Refuse if the action's group already has an active command.
+   * 2. Show the command as pending straight away (queued behind the unit's queued changes).
+   * 3. Queue it on the device, then follow it; when the server can't be reached put it in
+   *    the replay queue, and show other request failures as a failed command.
+   */
+  const send = async (action, params = {}) => {
+    const group = ACTION_GROUPS[action];
+    if (slotId == null || isCommandActive(commandsRef.current[group])) return null;
+
+    const outbox = getOutbox();
+    if (outbox.hasQueued(deviceId)) {
+      outbox.enqueueCommand({ deviceId, slotId, action, params });
+      outbox.replay();
+      return null;
+    }
+
+    setGroupCommand(group, { action, status: COMMAND_STATUS.PENDING, progress: 0, error: null });
+    try {
+      const command = await sendCommand({ token, deviceId, slotId, action, params });
+      track(command);
+      return command;
+    } catch (err) {
+      if (err?.code === ERROR_CODES.NETWORK_ERROR) {
+        outbox.enqueueCommand({ deviceId, slotId, action, params });
+        return null;
+      }
+      setGroupCommand(group, {
+        action,
+        status: COMMAND_STATUS.FAILED,
+        progress: 0,
+        error: { code: err.code, message: err.message },
+      });
+      return null;
+    }
+  };
+
+  const commandFor = (action) => commands[ACTION_GROUPS[action]];
+  const isBusy = (action) => isCommandActive(commandFor(action));
+
+  return { commandFor, isBusy, send };
+}
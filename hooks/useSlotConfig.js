@@ -0,0 +1,164 @@
+/**
+ * useSlotConfig.js
+ *
+ * Loads and saves one slot's control configuration (modes, target ranges, humidity preference).
+ * - Changes show immediately and are saved in the background.
+ * - If a save fails the config rolls back to the last saved values and `error` is set,
+ *   so the screen can tell the user the change didn't stick.
+ * - Offline: the slot's config is kept in the offline cache (offlineCache.js) and shown,
+ *   with `savedAt`, when it can't be loaded. Changes that can't reach the server go to the
+ *   replay queue (outbox.js) instead of failing, and stay shown (`queued`) until they are
+ *   sent or discarded; the config is then reloaded from the server.
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { useSession } from '../UserContext';
+import { useDevices } from '../DeviceContext';
+import { DEFAULT_SLOT_CONFIG, fetchSlotConfig, updateSlotConfig } from '../services/slotConfigClient';
+import { ERROR_CODES } from '../services/apiClient';
+import { getOfflineCache, CACHE_KINDS, cacheId } from '../services/offlineCache';
+import { getOutbox, OUTBOX_TYPES } from '../services/outbox';
+import useOutbox from './useOutbox';
+
+/**
+ * useSlotConfig()
+ *
+ * Options:
+ * - deviceId: unit the slot belongs to (defaults to the active unit, see DeviceContext.js)
+ * - slotId: slot to configure; pass null while no slot is selected
+ *
+ * Returns `{ config, loading, saving, error, queued, savedAt, update(changes) }`, where
+ * `queued` is true while changes wait in the replay queue and `savedAt` is when the config
+ * shown was cached, while it comes from the offline cache (else null).
+ */
+export default function useSlotConfig({ deviceId: deviceIdOption, slotId }) {
+  const { token } = useSession();
+  const { activeDeviceId } = useDevices();
+  const deviceId = deviceIdOption ?? activeDeviceId;
+  const [config, setConfig] = useState(DEFAULT_SLOT_CONFIG);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [savedAt, setSavedAt] = useState(null);
+  // Bumped to reload the saved config (e.g. once queued changes are sent or discarded)
+  const [attempt, setAttempt] = useState(0);
+  // Last config the server confirmed; the rollback target for failed saves
+  const savedRef = useRef(DEFAULT_SLOT_CONFIG);
+  // Id of the newest save, so older responses don't overwrite newer edits
+  const saveIdRef = useRef(0);
+  // First save id for the current slot; responses for a previous slot are ignored
+  const slotStartRef = useRef(1);
+
+  // Changes for this slot still in the replay queue, shown over the saved config
+  const { entries: outboxEntries } = useOutbox({ deviceId, slotId });
+  const pendingChanges = Object.assign(
+    {},
+    ...outboxEntries.filter((entry) => entry.type === OUTBOX_TYPES.CONFIG).map((entry) => entry.changes)
+  );
+  const queued = Object.keys(pendingChanges).length > 0;
+
+  // Start over whenever the slot changes
+  useEffect(() => {
+    setConfig(DEFAULT_SLOT_CONFIG);
+    savedRef.current = DEFAULT_SLOT_CONFIG;
+    slotStartRef.current = saveIdRef.current + 1;
+    setError(null);
+    setSavedAt(null);
+    setSaving(false);
+  }, [deviceId, slotId]);
+
+  // Load the slot's saved config (falling back to the cached copy when offline)
+  useEffect(() => {
+    if (!deviceId || slotId == null) return undefined;
+
+    let cancelled = false;
+    const cache = getOfflineCache();
+    const id = cacheId(deviceId, slotId);
+    setLoading(true);
+    fetchSlotConfig({ token, deviceId, slotId })
+      .then((saved) => {
+        if (cancelled) return;
+        savedRef.current = saved;
+        setConfig(saved);
+        setSavedAt(null);
+        setError(null);
+        cache.write(CACHE_KINDS.CONFIG, id, saved);
+      })
+      .catch(async (err) => {
+        const cached = await cache.read(CACHE_KINDS.CONFIG, id);
+        if (cancelled) return;
+        if (!cached) {
+          setError(err);
+          return;
+        }
+        savedRef.current = cached.value;
+        setConfig(cached.value);
+        setSavedAt(cached.savedAt);
+      })
+      .finally(() => !cancelled && setLoading(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [token, deviceId, slotId, attempt]);
+
+  // Reload once the slot's queued changes have been sent or discarded
+  const hadQueuedRef = useRef(false);
+  useEffect(() => {
+    if (hadQueuedRef.current && !queued) setAttempt((n) => n + 1);
+    hadQueuedRef.current = queued;
+  }, [queued]);
+
+  // Put changes in the replay queue along with the saved values they replace
+  const queueChanges = useCallback(
+    (changes) => {
+      const base = Object.fromEntries(Object.keys(changes).map((key) => [key, savedRef.current[key]]));
+      getOutbox().enqueueConfig({ deviceId, slotId, changes, base });
+    },
+    [deviceId, slotId]
+  );
+
+  /**
+   * update()
+   *
+   * 1. Apply the changes locally so the controls respond straight away.
+   * 2. Save them to the device, or queue them behind the unit's queued changes.
+   * 3. On success adopt the server's config; when the server can't be reached queue the
+   *    changes; on any other failure roll back and set `error`.
+   */
+  const update = async (changes) => {
+    if (slotId == null) return;
+    const outbox = getOutbox();
+    if (outbox.hasQueued(deviceId)) {
+      queueChanges(changes);
+      outbox.replay();
+      return;
+    }
+
+    const saveId = ++saveIdRef.current;
+    setConfig((current) => ({ ...current, ...changes }));
+    setError(null);
+    setSaving(true);
+    try {
+      const saved = await updateSlotConfig({ token, deviceId, slotId, changes });
+      if (saveId < slotStartRef.current) return;
+      savedRef.current = saved;
+      setSavedAt(null);
+      getOfflineCache().write(CACHE_KINDS.CONFIG, cacheId(deviceId, slotId), saved);
+      if (saveId === saveIdRef.current) setConfig(saved);
+    } catch (err) {
+      if (saveId < slotStartRef.current) return;
+      // Queued changes are shown over the saved config, so both paths roll back
+      if (err?.code === ERROR_CODES.NETWORK_ERROR) {
+        queueChanges(changes);
+      } else {
+        // Report every failure, but only the newest save decides what's shown
+        setError(err);
+      }
+      if (saveId === saveIdRef.current) setConfig(savedRef.current);
+    } finally {
+      if (saveId === saveIdRef.current) setSaving(false);
+    }
+  };
+
+  return { config: { ...config, ...pendingChanges }, loading, saving, error, queued, savedAt, update };
+}
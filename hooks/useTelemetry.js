@@ -0,0 +1,177 @@
+/**
+ * useTelemetry.js
+ *
+ * Shared hook for live slot readings, used by the Dashboard and Insights screens.
+ * - Follows the active unit (DeviceContext.js) unless given a `deviceId`; switching
+ *   units starts over with the new unit's slots. The slots are kept with the unit they
+ *   belong to, so the previous unit's are never returned (or reported) under the new one.
+ * - Loads every slot of a device once, then applies pushed updates from the transport
+ *   and changes the app made itself (publishSlotUpdates, e.g. a new planting).
+ * - Reports `loading` (first load), `error` (latest failure) and `stale`
+ *   (no fresh reading for STALE_AFTER_MS, e.g. the unit went offline).
+ * - Keeps showing the last good readings while stale or failing, including across
+ *   restarts: each unit's slots are saved to the offline cache (offlineCache.js) and shown
+ *   until the first load answers, or instead of it while the server can't be reached.
+ *   Their `updatedAt` stamps say how old they are.
+ * - Reports AI setpoint adjustments (a slot's `optimizedAt` moving on), crops reaching
+ *   their harvest window and probes due for calibration to the notification inbox.
+ */
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useSession } from '../UserContext';
+import { useDevices } from '../DeviceContext';
+import {
+  STALE_AFTER_MS,
+  getTelemetryTransport,
+  mergeSlots,
+  latestUpdate,
+  subscribeSlotUpdates,
+} from '../services/telemetry';
+import { reportOptimizations, reportHarvests, reportCalibrations } from '../services/notifications';
+import { getOfflineCache, CACHE_KINDS } from '../services/offlineCache';
+
+// How often the stale flag is re-evaluated
+const STALE_CHECK_MS = 15 * 1000;
+// Live updates arrive every few seconds; the cached copy is refreshed at most this often
+const CACHE_WRITE_MS = 30 * 1000;
+
+// Returned until the unit's own slots arrive; one array, so consumers' effects don't re-run
+const NO_SLOTS = [];
+
+// State updater applying `update` to `deviceId`'s slots, starting from none when the slots
+// held are another unit's
+const forDevice = (deviceId, update) => (shown) => ({
+  deviceId,
+  slots: update(shown.deviceId === deviceId ? shown.slots : []),
+});
+
+/**
+ * useTelemetry()
+ *
+ * Options:
+ * - deviceId: unit to read (defaults to the active unit, see DeviceContext.js)
+ * - transport: override the app-wide transport (e.g. a fixture transport)
+ *
+ * Returns `{ slots, loading, error, stale, lastUpdated, refresh }`.
+ */
+export default function useTelemetry({ deviceId: deviceIdOption, transport } = {}) {
+  const { token } = useSession();
+  const { activeDeviceId } = useDevices();
+  const deviceId = deviceIdOption ?? activeDeviceId;
+  const source = transport ?? getTelemetryTransport();
+
+  // `{ deviceId, slots }`: the slots held and the unit they belong to
+  const [shown, setShown] = useState({ deviceId, slots: NO_SLOTS });
+  const slots = shown.deviceId === deviceId ? shown.slots : NO_SLOTS;
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [now, setNow] = useState(Date.now());
+  // Unit currently shown, so a reload that finishes after switching units is dropped
+  const deviceRef = useRef(deviceId);
+  deviceRef.current = deviceId;
+  // Whether the server has answered for this unit, so the cached slots never replace its readings
+  const freshRef = useRef(false);
+  // Latest slots (with their unit) for the pending cache write
+  const shownRef = useRef(shown);
+  shownRef.current = shown;
+
+  // Full reload of every slot (initial load, pull-to-refresh, retry after an error)
+  const refresh = useCallback(async () => {
+    if (!deviceId) return;
+    try {
+      const fresh = await source.fetchSlots({ token, deviceId });
+      if (deviceRef.current !== deviceId) return;
+      freshRef.current = true;
+      setShown({ deviceId, slots: fresh });
+      setError(null);
+      getOfflineCache().write(CACHE_KINDS.SLOTS, deviceId, fresh);
+    } catch (err) {
+      if (deviceRef.current !== deviceId) return;
+      setError(err);
+    }
+    setLoading(false);
+    setNow(Date.now());
+  }, [source, token, deviceId]);
+
+  // Initial load, then follow pushed updates until unmount or device change
+  useEffect(() => {
+    setLoading(true);
+    setShown({ deviceId, slots: NO_SLOTS });
+    freshRef.current = false;
+    // Wait for the account's units to load
+    if (!deviceId) return undefined;
+
+    // Show the unit's last known readings while the first load runs
+    let cancelled = false;
+    getOfflineCache()
+      .read(CACHE_KINDS.SLOTS, deviceId)
+      .then((cached) => {
+        if (cancelled || !cached || freshRef.current) return;
+        setShown(forDevice(deviceId, (current) => mergeSlots(cached.value, current)));
+        setLoading(false);
+      });
+    refresh();
+    const unsubscribe = source.subscribe(
+      { token, deviceId },
+      {
+        onSlots: (updates) => {
+          freshRef.current = true;
+          setShown(forDevice(deviceId, (current) => mergeSlots(current, updates)));
+          setError(null);
+          setNow(Date.now());
+        },
+        onError: setError,
+      }
+    );
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [source, token, deviceId, refresh]);
+
+  // Keep the offline copy of the unit's slots up to date (at most every CACHE_WRITE_MS)
+  const hasSlots = slots.length > 0;
+  useEffect(() => {
+    if (!deviceId || !hasSlots) return undefined;
+    const save = () => {
+      const latest = shownRef.current;
+      if (freshRef.current && latest.deviceId === deviceId) {
+        getOfflineCache().write(CACHE_KINDS.SLOTS, deviceId, latest.slots);
+      }
+    };
+    const timer = setInterval(save, CACHE_WRITE_MS);
+    return () => {
+      clearInterval(timer);
+      // Save what was shown when leaving the unit or the screen
+      save();
+    };
+  }, [deviceId, hasSlots]);
+
+  // Apply the app's own slot changes (e.g. a planting) without waiting for the transport
+  useEffect(
+    () =>
+      subscribeSlotUpdates((updatedDeviceId, updates) => {
+        if (updatedDeviceId === deviceId) setShown(forDevice(deviceId, (current) => mergeSlots(current, updates)));
+      }),
+    [deviceId]
+  );
+
+  // Only the unit's own slots: straight after a switch the previous unit's are still held
+  useEffect(() => {
+    if (!deviceId || shown.deviceId !== deviceId) return;
+    reportOptimizations(deviceId, shown.slots);
+    reportHarvests(deviceId, shown.slots);
+    reportCalibrations(deviceId, shown.slots);
+  }, [deviceId, shown]);
+
+  // Re-check staleness periodically even when no updates arrive
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), STALE_CHECK_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  const lastUpdated = latestUpdate(slots);
+  const stale = lastUpdated !== null && now - lastUpdated > STALE_AFTER_MS;
+
+  return { slots, loading, error, stale, lastUpdated, refresh };
+}
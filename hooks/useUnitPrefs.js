@@ -0,0 +1,45 @@
+/**
+ * useUnitPrefs.js
+ *
+ * Reads and saves the signed-in account's unit and locale preferences (unitPrefs.js).
+ * - Changes show straight away and are saved to the account; a failed save rolls back
+ *   and reports the error.
+ */
+
+import { useState, useEffect } from 'react';
+import { useUser } from '../UserContext';
+import { getUnitPrefs } from '../services/unitPrefs';
+
+/**
+ * useUnitPrefs()
+ *
+ * Returns:
+ * - prefs: `{ temperature, volume, nutrient, locale }` with defaults filled in
+ * - error: the latest failed save, or null
+ * - setPref(key, value): e.g. setPref('temperature', 'F')
+ */
+export default function useUnitPrefs() {
+  const { preferences, updatePreferences } = useUser();
+  const saved = preferences.units;
+  const [prefs, setPrefs] = useState(() => getUnitPrefs(preferences));
+  const [error, setError] = useState(null);
+
+  // Follow the account when it (re)loads or is saved
+  useEffect(() => {
+    setPrefs(getUnitPrefs({ units: saved }));
+  }, [saved]);
+
+  const setPref = async (key, value) => {
+    const next = { ...prefs, [key]: value };
+    setPrefs(next);
+    setError(null);
+    try {
+      await updatePreferences({ units: next });
+    } catch (err) {
+      setPrefs(getUnitPrefs({ units: saved }));
+      setError(err);
+    }
+  };
+
+  return { prefs, error, setPref };
+}
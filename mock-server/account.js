@@ -0,0 +1,64 @@
+/**
+ * account.js
+ *
+ * Account routes for the GreenSync mock server (all require a bearer token).
+ * - GET   /account → the signed-in user's profile
+ * - PATCH /account → update username, email, password, avatar or preferences
+ *                    | USERNAME_TAKEN | EMAIL_TAKEN | WEAK_PASSWORD | VALIDATION_ERROR
+ */
+
+const { HttpError } = require('./http');
+const { db } = require('./db');
+const {
+  requireUser,
+  toPublicUser,
+  findUserByEmail,
+  EMAIL_REGEX,
+  MIN_PASSWORD_LENGTH,
+} = require('./auth');
+
+function mount(router) {
+  router.get('/account', ({ headers }) => toPublicUser(requireUser(headers)));
+
+  router.patch('/account', ({ headers, body = {} }) => {
+    const user = requireUser(headers);
+    const { username, email, password, avatar, preferences } = body;
+
+    if (username !== undefined && username !== user.username) {
+      if (!String(username).trim()) {
+        throw new HttpError(400, 'VALIDATION_ERROR', 'Username cannot be empty.');
+      }
+      const taken = db.users.get(username.toLowerCase());
+      if (taken && taken.id !== user.id) {
+        throw new HttpError(409, 'USERNAME_TAKEN', 'That username is already taken.');
+      }
+    }
+    if (email !== undefined && email !== user.email) {
+      if (!EMAIL_REGEX.test(email)) {
+        throw new HttpError(400, 'VALIDATION_ERROR', 'Please enter a valid email address.');
+      }
+      const taken = findUserByEmail(email);
+      if (taken && taken.id !== user.id) {
+        throw new HttpError(409, 'EMAIL_TAKEN', 'An account with that email already exists.');
+      }
+    }
+    if (password !== undefined && String(password).length < MIN_PASSWORD_LENGTH) {
+      throw new HttpError(400, 'WEAK_PASSWORD', `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+    }
+
+    // All checks passed: apply the changes (username is also the lookup key)
+    if (username !== undefined && username !== user.username) {
+      db.users.delete(user.username.toLowerCase());
+      user.username = username;
+      db.users.set(username.toLowerCase(), user);
+    }
+    if (email !== undefined) user.email = email;
+    if (password !== undefined) user.password = password;
+    if (avatar !== undefined) user.avatar = avatar;
+    if (preferences !== undefined) user.preferences = { ...user.preferences, ...preferences };
+
+    return toPublicUser(user);
+  });
+}
+
+module.exports = { mount };
@@ -0,0 +1,225 @@
+/**
+ * auth.js
+ *
+ * Authentication routes for the GreenSync mock server.
+ * - POST /auth/login     → session | INVALID_CREDENTIALS | ACCOUNT_LOCKED
+ * - POST /auth/register  → session | USERNAME_TAKEN | EMAIL_TAKEN | VALIDATION_ERROR
+ * - POST /auth/logout    → 204
+ * - POST /auth/refresh   → session | INVALID_REFRESH_TOKEN
+ * - POST /auth/password-reset/request → 202 (the code is logged instead of emailed)
+ * - POST /auth/password-reset/confirm → 204 | INVALID_RESET_CODE | RESET_CODE_EXPIRED | WEAK_PASSWORD
+ */
+
+const crypto = require('crypto');
+const { HttpError, reply } = require('./http');
+const { db, createUser } = require('./db');
+
+// Access tokens live for an hour; the app refreshes them with the refresh token
+const ACCESS_TOKEN_TTL_MS = 60 * 60 * 1000;
+// Refresh tokens last a day, or 30 days when "Remember for 30 days" is ticked
+const REFRESH_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+const REMEMBER_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+// Five wrong passwords in a row lock the account for fifteen minutes
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_MS = 15 * 60 * 1000;
+
+// Reset codes are valid for fifteen minutes and five guesses
+const RESET_CODE_TTL_MS = 15 * 60 * 1000;
+const MAX_RESET_ATTEMPTS = 5;
+const MIN_PASSWORD_LENGTH = 8;
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const newToken = () => crypto.randomBytes(24).toString('hex');
+
+// Public shape of a user (never expose the password)
+const toPublicUser = ({ id, username, email, avatar, preferences }) => ({
+  id,
+  username,
+  email,
+  avatar,
+  preferences,
+});
+
+function findUserByEmail(email) {
+  for (const user of db.users.values()) {
+    if (user.email.toLowerCase() === String(email || '').toLowerCase()) return user;
+  }
+  return null;
+}
+
+function findUserById(userId) {
+  for (const user of db.users.values()) {
+    if (user.id === userId) return user;
+  }
+  return null;
+}
+
+// Issue a fresh access token alongside a new refresh token
+function createSession(user, { remember = false } = {}) {
+  const refreshToken = newToken();
+  const refreshExpiresAt = Date.now() + (remember ? REMEMBER_TOKEN_TTL_MS : REFRESH_TOKEN_TTL_MS);
+  db.refreshTokens.set(refreshToken, { userId: user.id, expiresAt: refreshExpiresAt });
+  return issueAccessToken(user, refreshToken);
+}
+
+// Issue a fresh access token for an existing refresh token
+function issueAccessToken(user, refreshToken) {
+  const token = newToken();
+  const expiresAt = Date.now() + ACCESS_TOKEN_TTL_MS;
+  db.sessions.set(token, { userId: user.id, expiresAt });
+  return {
+    user: toPublicUser(user),
+    token,
+    refreshToken,
+    expiresAt: new Date(expiresAt).toISOString(),
+    refreshExpiresAt: new Date(db.refreshTokens.get(refreshToken).expiresAt).toISOString(),
+  };
+}
+
+function revokeRefreshTokens(userId) {
+  for (const [refreshToken, entry] of db.refreshTokens) {
+    if (entry.userId === userId) db.refreshTokens.delete(refreshToken);
+  }
+}
+
+/**
+ * requireUser()
+ *
+ * Resolves the bearer token in `headers` to a user or throws 401.
+ * Used by every route that needs an authenticated caller.
+ */
+function requireUser(headers) {
+  const match = /^Bearer (.+)$/.exec(headers.authorization || '');
+  const session = match && db.sessions.get(match[1]);
+  if (!session || session.expiresAt < Date.now()) {
+    throw new HttpError(401, 'UNAUTHORIZED', 'Your session has expired. Please log in again.');
+  }
+  return findUserById(session.userId);
+}
+
+function mount(router) {
+  router.post('/auth/login', ({ body = {} }) => {
+    const user = db.users.get(String(body.username || '').toLowerCase());
+    if (!user) {
+      throw new HttpError(401, 'INVALID_CREDENTIALS', 'Incorrect username or password.');
+    }
+    if (user.lockedUntil > Date.now()) {
+      throw new HttpError(423, 'ACCOUNT_LOCKED', 'Account locked after too many failed attempts.', {
+        lockedUntil: new Date(user.lockedUntil).toISOString(),
+      });
+    }
+    if (user.password !== body.password) {
+      user.failedAttempts += 1;
+      if (user.failedAttempts >= MAX_FAILED_ATTEMPTS) {
+        user.failedAttempts = 0;
+        user.lockedUntil = Date.now() + LOCKOUT_MS;
+        throw new HttpError(423, 'ACCOUNT_LOCKED', 'Account locked after too many failed attempts.', {
+          lockedUntil: new Date(user.lockedUntil).toISOString(),
+        });
+      }
+      throw new HttpError(401, 'INVALID_CREDENTIALS', 'Incorrect username or password.');
+    }
+
+    user.failedAttempts = 0;
+    return createSession(user, { remember: Boolean(body.remember) });
+  });
+
+  router.post('/auth/register', ({ body = {} }) => {
+    const { username, email, password } = body;
+    const fields = [username, email, password];
+    if (fields.some((field) => typeof field !== 'string' || !field)) {
+      throw new HttpError(400, 'VALIDATION_ERROR', 'Username, email and password are required.');
+    }
+    if (!EMAIL_REGEX.test(email)) {
+      throw new HttpError(400, 'VALIDATION_ERROR', 'Please enter a valid email address.');
+    }
+    if (db.users.has(username.toLowerCase())) {
+      throw new HttpError(409, 'USERNAME_TAKEN', 'That username is already taken.');
+    }
+    if (findUserByEmail(email)) {
+      throw new HttpError(409, 'EMAIL_TAKEN', 'An account with that email already exists.');
+    }
+
+    return reply(201, createSession(createUser({ username, email, password })));
+  });
+
+  router.post('/auth/logout', ({ headers }) => {
+    const match = /^Bearer (.+)$/.exec(headers.authorization || '');
+    const session = match && db.sessions.get(match[1]);
+    if (session) {
+      db.sessions.delete(match[1]);
+      revokeRefreshTokens(session.userId);
+    }
+  });
+
+  router.post('/auth/refresh', ({ body = {} }) => {
+    const entry = db.refreshTokens.get(body.refreshToken);
+    const user = entry && entry.expiresAt > Date.now() && findUserById(entry.userId);
+    if (!user) {
+      throw new HttpError(401, 'INVALID_REFRESH_TOKEN', 'Refresh token is invalid, expired or revoked.');
+    }
+    return issueAccessToken(user, body.refreshToken);
+  });
+
+  router.post('/auth/password-reset/request', ({ body = {} }) => {
+    if (!EMAIL_REGEX.test(body.email || '')) {
+      throw new HttpError(400, 'VALIDATION_ERROR', 'Please enter a valid email address.');
+    }
+    const user = findUserByEmail(body.email);
+    // Always answer 202 so callers cannot probe for registered addresses
+    if (user) {
+      const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+      db.resetCodes.set(user.email.toLowerCase(), { code, expiresAt: Date.now() + RESET_CODE_TTL_MS, attempts: 0 });
+      console.log(`[mock-server] Password reset code for ${user.email}: ${code}`);
+    }
+    return reply(202, { message: 'If an account exists for that email, a reset code is on its way.' });
+  });
+
+  router.post('/auth/password-reset/confirm', ({ body = {} }) => {
+    const { email, code, newPassword } = body;
+    const key = String(email || '').toLowerCase();
+    const entry = db.resetCodes.get(key);
+    const user = findUserByEmail(email);
+
+    if (!entry || !user) {
+      throw new HttpError(400, 'INVALID_RESET_CODE', 'Reset code is invalid.');
+    }
+    if (entry.expiresAt < Date.now()) {
+      db.resetCodes.delete(key);
+      throw new HttpError(400, 'RESET_CODE_EXPIRED', 'Reset code has expired.');
+    }
+    if (entry.code !== String(code || '').trim()) {
+      entry.attempts += 1;
+      // Too many wrong guesses burns the code
+      if (entry.attempts >= MAX_RESET_ATTEMPTS) db.resetCodes.delete(key);
+      throw new HttpError(400, 'INVALID_RESET_CODE', 'Reset code is invalid.');
+    }
+    if (newPassword !== undefined && typeof newPassword !== 'string') {
+      throw new HttpError(400, 'VALIDATION_ERROR', 'New password must be text.');
+    }
+    if (!newPassword || newPassword.length < MIN_PASSWORD_LENGTH) {
+      throw new HttpError(400, 'WEAK_PASSWORD', `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+    }
+
+    // New password: clear any lockout and sign out every existing session
+    db.resetCodes.delete(key);
+    user.password = newPassword;
+    user.failedAttempts = 0;
+    user.lockedUntil = 0;
+    revokeRefreshTokens(user.id);
+    for (const [token, session] of db.sessions) {
+      if (session.userId === user.id) db.sessions.delete(token);
+    }
+  });
+}
+
+module.exports = {
+  mount,
+  requireUser,
+  toPublicUser,
+  findUserById,
+  findUserByEmail,
+  EMAIL_REGEX,
+  MIN_PASSWORD_LENGTH,
+};
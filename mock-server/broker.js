@@ -0,0 +1,92 @@
+/**
+ * broker.js
+ *
+ * MQTT-over-WebSocket broker for live telemetry (Aedes on the mock server's HTTP port).
+ * - Clients connect to ws://<host>:<port>/mqtt with their access token as the MQTT password.
+ * - Readings are published per device and slot to
+ *     greensync/devices/<deviceId>/slots/<slotId>/telemetry
+ *   as retained JSON slots, so a new subscriber gets the latest reading straight away.
+ * - App clients may only subscribe, and only to their own units' topics; publishing is
+ *   reserved for the server.
+ */
+
+const { WebSocketServer, createWebSocketStream } = require('ws');
+const { db } = require('./db');
+
+const MQTT_PATH = '/mqtt';
+
+let broker = null;
+let wss = null;
+
+const slotTopic = (deviceId, slotId) => `greensync/devices/${deviceId}/slots/${slotId}/telemetry`;
+
+/**
+ * attach()
+ *
+ * Starts the broker and accepts WebSocket upgrades on MQTT_PATH of `server`.
+ */
+async function attach(server) {
+  // Aedes ships as an ES module
+  const { Aedes } = await import('aedes');
+  broker = await Aedes.createBroker();
+
+  broker.authenticate = (client, username, password, callback) => {
+    const session = password && db.sessions.get(password.toString());
+    if (!session || session.expiresAt <= Date.now()) {
+      const error = new Error('Invalid or expired access token.');
+      error.returnCode = 4; // bad user name or password
+      return callback(error, false);
+    }
+    client.userId = session.userId;
+    return callback(null, true);
+  };
+  // Accounts may only follow their own units' topics
+  broker.authorizeSubscribe = (client, subscription, callback) => {
+    const [root, devices, deviceId] = subscription.topic.split('/');
+    const device = root === 'greensync' && devices === 'devices' ? db.devices.get(deviceId) : null;
+    // A null subscription is refused (SUBACK 0x80) without dropping the connection
+    if (!device || device.ownerId !== client.userId) return callback(null, null);
+    return callback(null, subscription);
+  };
+  broker.authorizePublish = (client, packet, callback) => {
+    callback(new Error('Clients may not publish telemetry.'));
+  };
+
+  wss = new WebSocketServer({ server, path: MQTT_PATH });
+  wss.on('connection', (websocket, req) => {
+    broker.handle(createWebSocketStream(websocket), req);
+  });
+
+  // Seed retained messages so the first subscriber sees every slot
+  db.devices.forEach((device) => device.slots.forEach((slot) => publishSlot(device.id, slot)));
+}
+
+/**
+ * publishSlot()
+ *
+ * Publishes the latest state of one slot (no-op until the broker is attached).
+ */
+function publishSlot(deviceId, slot) {
+  if (!broker) return;
+  broker.publish(
+    { topic: slotTopic(deviceId, slot.id), payload: Buffer.from(JSON.stringify(slot)), qos: 0, retain: true },
+    () => {}
+  );
+}
+
+/**
+ * close()
+ *
+ * Stops the broker and drops every MQTT connection; the HTTP server keeps running, so
+ * attach() can start it again (the tests use this to restart the broker).
+ */
+async function close() {
+  if (!broker) return;
+  const stopping = broker;
+  broker = null;
+  wss.clients.forEach((websocket) => websocket.terminate());
+  await new Promise((resolve) => wss.close(resolve));
+  await new Promise((resolve) => stopping.close(resolve));
+}
+
+module.exports = { attach, close, publishSlot, slotTopic, MQTT_PATH };
@@ -0,0 +1,136 @@
+/**
+ * calibration.js
+ *
+ * pH and TDS probe calibration routes for the GreenSync mock server (all require a bearer token).
+ * - POST   /devices/:deviceId/slots/:slotId/calibration/:probe/buffer  { buffer } → { probe, buffer, startedAt }
+ * - GET    /devices/:deviceId/slots/:slotId/calibration/:probe/reading → { raw, at } | CALIBRATION_NOT_STARTED
+ * - DELETE /devices/:deviceId/slots/:slotId/calibration/:probe/buffer  → 204, probe back in the slot
+ * - PUT    /devices/:deviceId/slots/:slotId/calibration/:probe  { points, slope, offset } → slot
+ * - PATCH  /devices/:deviceId/slots/:slotId/calibration/:probe  { intervalDays } → slot
+ * All but PATCH talk to the unit, so they fail with DEVICE_OFFLINE while it is disconnected;
+ * bad probes, buffers or values are VALIDATION_ERROR.
+ *
+ * Each slot carries `calibration: { ph, tds }`, one entry per probe:
+ * `{ slope, offset, points: [{ buffer, raw }], calibratedAt, intervalDays }`.
+ * The unit reports `raw × slope + offset`. The app walks the user through two or three
+ * buffer solutions, records the settled raw reading in each and saves the line through
+ * them; a probe whose slope or offset falls outside CALIBRATION_LIMITS is worn or the
+ * buffers were mixed up, so it is refused. `calibratedAt` is null until the first
+ * calibration, and a calibration is due `intervalDays` after it.
+ */
+
+const { HttpError } = require('./http');
+const { requireUser } = require('./auth');
+const { findDevice, findSlot } = require('./telemetry');
+const broker = require('./broker');
+const simulator = require('./simulator');
+
+// Buffer solutions each probe can be calibrated in (pH, ppm)
+const BUFFERS = {
+  ph: [4.0, 7.0, 10.01],
+  tds: [342, 1382, 2000],
+};
+
+// Slope and offset a healthy probe calibrates to, and how far a buffer point may sit off the line
+const CALIBRATION_LIMITS = {
+  ph: { slope: [0.9, 1.15], offset: 1, fit: 0.1 },
+  tds: { slope: [0.8, 1.25], offset: 100, fit: 40 },
+};
+
+const INTERVAL_DAYS = [14, 30, 60, 90];
+
+function validateProbe(probe) {
+  if (!(probe in BUFFERS)) {
+    throw new HttpError(400, 'VALIDATION_ERROR', `Unknown probe "${probe}". Use one of: ${Object.keys(BUFFERS).join(', ')}.`);
+  }
+  return probe;
+}
+
+function validateBuffer(probe, buffer) {
+  if (!BUFFERS[probe].includes(buffer)) {
+    throw new HttpError(400, 'VALIDATION_ERROR', `buffer must be one of: ${BUFFERS[probe].join(', ')}.`);
+  }
+  return buffer;
+}
+
+/**
+ * validateCalibration()
+ *
+ * Checks a PUT body: two or three points in different buffers, and a slope and offset that
+ * are within CALIBRATION_LIMITS and agree with the points. Returns `{ slope, offset, points }`.
+ */
+function validateCalibration(probe, { points, slope, offset } = {}) {
+  if (!Array.isArray(points) || points.length < 2 || points.length > 3) {
+    throw new HttpError(400, 'VALIDATION_ERROR', 'points must hold two or three buffer readings.');
+  }
+  const cleaned = points.map((point) => {
+    if (!Number.isFinite(point?.raw)) {
+      throw new HttpError(400, 'VALIDATION_ERROR', 'Each point needs a raw reading.');
+    }
+    return { buffer: validateBuffer(probe, point.buffer), raw: point.raw };
+  });
+  if (new Set(cleaned.map((point) => point.buffer)).size !== cleaned.length) {
+    throw new HttpError(400, 'VALIDATION_ERROR', 'Each point must use a different buffer.');
+  }
+  if (!Number.isFinite(slope) || !Number.isFinite(offset)) {
+    throw new HttpError(400, 'VALIDATION_ERROR', 'slope and offset must be numbers.');
+  }
+
+  const limits = CALIBRATION_LIMITS[probe];
+  if (slope < limits.slope[0] || slope > limits.slope[1] || Math.abs(offset) > limits.offset) {
+    throw new HttpError(
+      400,
+      'VALIDATION_ERROR',
+      'The probe is too far out to calibrate. Check the buffers, clean the probe and try again, or replace it.'
+    );
+  }
+  if (cleaned.some((point) => Math.abs(point.raw * slope + offset - point.buffer) > limits.fit)) {
+    throw new HttpError(400, 'VALIDATION_ERROR', 'slope and offset do not match the buffer readings.');
+  }
+  return { slope, offset, points: cleaned };
+}
+
+// The probe to calibrate, after checking the caller owns the unit
+function findProbe(headers, params) {
+  const user = requireUser(headers);
+  const slot = findSlot(findDevice(params.deviceId, user), params.slotId);
+  return { slot, probe: validateProbe(params.probe) };
+}
+
+function mount(router) {
+  router.post('/devices/:deviceId/slots/:slotId/calibration/:probe/buffer', ({ headers, params, body = {} }) => {
+    const { slot, probe } = findProbe(headers, params);
+    const buffer = validateBuffer(probe, body.buffer);
+    return simulator.startBufferReading(params.deviceId, slot.id, probe, buffer);
+  });
+
+  router.get('/devices/:deviceId/slots/:slotId/calibration/:probe/reading', ({ headers, params }) => {
+    const { slot, probe } = findProbe(headers, params);
+    return simulator.readProbe(params.deviceId, slot.id, probe);
+  });
+
+  router.delete('/devices/:deviceId/slots/:slotId/calibration/:probe/buffer', ({ headers, params }) => {
+    const { slot } = findProbe(headers, params);
+    simulator.stopBufferReading(params.deviceId, slot.id);
+  });
+
+  router.put('/devices/:deviceId/slots/:slotId/calibration/:probe', ({ headers, params, body = {} }) => {
+    const { slot, probe } = findProbe(headers, params);
+    return simulator.calibrate(params.deviceId, slot.id, probe, validateCalibration(probe, body));
+  });
+
+  router.patch('/devices/:deviceId/slots/:slotId/calibration/:probe', ({ headers, params, body = {} }) => {
+    const { slot, probe } = findProbe(headers, params);
+    if (!INTERVAL_DAYS.includes(body.intervalDays)) {
+      throw new HttpError(400, 'VALIDATION_ERROR', `intervalDays must be one of: ${INTERVAL_DAYS.join(', ')}.`);
+    }
+    slot.calibration = {
+      ...slot.calibration,
+      [probe]: { ...slot.calibration[probe], intervalDays: body.intervalDays },
+    };
+    broker.publishSlot(params.deviceId, slot);
+    return slot;
+  });
+}
+
+module.exports = { mount };
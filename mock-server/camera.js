@@ -0,0 +1,273 @@
+/**
+ * camera.js
+ *
+ * Smart Cam for the GreenSync mock server: each planted slot's camera photographs the crop
+ * every CAMERA_INTERVAL_MS while the grow light is on, so every photo is lit.
+ * - GET /devices/:deviceId/slots/:slotId/captures?range=7d&limit=60
+ *       → { range, from, to, total, captures: [capture] } oldest first | VALIDATION_ERROR | NOT_FOUND
+ * - GET /captures/:captureId/image → the photo as a PNG | NOT_FOUND
+ *
+ * A capture is `{ id, deviceId, slotId, takenAt, day, imageUrl, width, height }`, where `day`
+ * is the crop's age when it was taken and `imageUrl` is a path on this server. `range` is one
+ * of history.js's ranges (cycle = since planting); when more than `limit` captures fall in it
+ * they are sampled evenly, always keeping the first and last, so a time-lapse spans the range.
+ *
+ * Photos are drawn on demand from what the camera saw (the plant's size for its age, the
+ * variety's colour, and yellowing while readings are out of range) and never change, so the
+ * image route needs no token — like a signed storage URL, its id is unguessable — and is
+ * served with a long-lived Cache-Control header. The simulator takes the photos (and
+ * backfills them on start-up); a slot's photos are deleted when its crop ends.
+ */
+
+const crypto = require('crypto');
+const { HttpError, reply } = require('./http');
+const { db } = require('./db');
+const { requireUser } = require('./auth');
+const { findDevice, findSlot } = require('./telemetry');
+const { RANGES } = require('./history');
+const { encodePng } = require('./png');
+const catalog = require('../catalog/lettuces.json');
+
+const CAMERA_INTERVAL_MS = 15 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const IMAGE_WIDTH = 320;
+const IMAGE_HEIGHT = 180;
+const DEFAULT_LIMIT = 60;
+const MAX_LIMIT = 240;
+// Rendered PNGs kept in memory (oldest evicted first)
+const IMAGE_CACHE_SIZE = 120;
+
+// Leaf colour (RGB) per catalog variety id, and the yellow-brown of a stressed plant
+const LEAF_COLOURS = {
+  romaine: [78, 154, 46],
+  butterhead: [140, 198, 63],
+  'oak-leaf': [112, 140, 52],
+  cos: [61, 139, 55],
+};
+const STRESSED_COLOUR = [181, 160, 66];
+
+// "deviceId:slotId" → smoothed stress (0–1) the camera last saw
+const slotStress = new Map();
+// capture id → PNG Buffer
+const imageCache = new Map();
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+const mix = (a, b, t) => a.map((channel, idx) => channel + (b[idx] - channel) * t);
+
+function capturesFor(deviceId, slotId) {
+  const key = `${deviceId}:${slotId}`;
+  if (!db.captures.has(key)) db.captures.set(key, []);
+  return db.captures.get(key);
+}
+
+function findVariety(name) {
+  return catalog.varieties.find((v) => v.name === name) ?? catalog.varieties[0];
+}
+
+// How far through its cycle (0 = sown, 1 = mature) the slot's crop is at `at`
+function growthAt(slot, variety, at) {
+  const stages = variety.growthStages;
+  const totalDays = Object.values(stages).reduce((sum, days) => sum + days, 0);
+  const offset = slot.startType === 'seedling' ? stages.germination + stages.seedling : 0;
+  return clamp(((at - Date.parse(slot.plantedAt)) / DAY_MS + offset) / totalDays, 0, 1.15);
+}
+
+// How far the worst reading is outside the variety's targets: 1 when critical, 0.4 when out of range.
+// Water targets are for the catalog's reservoir, so the level is compared as a share of the unit's.
+function stressOf(slot, variety, reservoirLitres) {
+  return Math.max(
+    ...['temp', 'ph', 'tds', 'water'].map((metric) => {
+      const target = { ...catalog.defaultTargets[metric], ...variety.targets?.[metric] };
+      const value = metric === 'water' ? (slot.data.water / reservoirLitres) * catalog.reservoirLitres : slot.data[metric];
+      if (target.criticalMin != null && value < target.criticalMin) return 1;
+      if (target.criticalMax != null && value > target.criticalMax) return 1;
+      return value < target.min || value > target.max ? 0.4 : 0;
+    })
+  );
+}
+
+const toCapture = ({ id, deviceId, slotId, takenAt, day }) => ({
+  id,
+  deviceId,
+  slotId,
+  takenAt,
+  day,
+  imageUrl: `/captures/${id}/image`,
+  width: IMAGE_WIDTH,
+  height: IMAGE_HEIGHT,
+});
+
+/**
+ * capture()
+ *
+ * Photographs a planted slot at `at` (ms) if its grow light is on and CAMERA_INTERVAL_MS
+ * has passed since its last photo; the slot's `data.imageUri` and `data.photoTakenAt`
+ * then point at the new photo. Stress builds up quickly while readings are out of range
+ * and fades slowly once they recover.
+ */
+function capture(deviceId, slot, at = Date.now()) {
+  if (!slot.hasPlant || !slot.data || !slot.actuators?.lightOn) return null;
+  const captures = capturesFor(deviceId, slot.id);
+  const last = captures[captures.length - 1];
+  if (last && at - last.t < CAMERA_INTERVAL_MS) return null;
+
+  const key = `${deviceId}:${slot.id}`;
+  const variety = findVariety(slot.variety);
+  const previous = slotStress.get(key) ?? 0;
+  const seen = stressOf(slot, variety, findDevice(deviceId).reservoirLitres);
+  const stress = previous + (seen - previous) * (seen > previous ? 0.2 : 0.03);
+  slotStress.set(key, stress);
+
+  const entry = {
+    id: crypto.randomBytes(8).toString('hex'),
+    deviceId,
+    slotId: slot.id,
+    t: at,
+    takenAt: new Date(at).toISOString(),
+    day: Math.max(Math.floor((at - Date.parse(slot.plantedAt)) / DAY_MS), 0),
+    scene: { growth: growthAt(slot, variety, at), stress, varietyId: variety.id },
+  };
+  captures.push(entry);
+  slot.data.imageUri = toCapture(entry).imageUrl;
+  slot.data.photoTakenAt = entry.takenAt;
+  return entry;
+}
+
+/**
+ * clear()
+ *
+ * Deletes a slot's photos, e.g. when its crop ends, so the next crop's timeline starts afresh.
+ */
+function clear(deviceId, slotId) {
+  const key = `${deviceId}:${slotId}`;
+  (db.captures.get(key) ?? []).forEach((entry) => imageCache.delete(entry.id));
+  db.captures.delete(key);
+  slotStress.delete(key);
+}
+
+/**
+ * listCaptures()
+ *
+ * A slot's captures within `range`, sampled evenly down to `limit`.
+ */
+function listCaptures(deviceId, slot, range, limit, now = Date.now()) {
+  if (!RANGES[range]) {
+    throw new HttpError(400, 'VALIDATION_ERROR', `range must be one of: ${Object.keys(RANGES).join(', ')}.`);
+  }
+  if (!Number.isInteger(limit) || limit < 2 || limit > MAX_LIMIT) {
+    throw new HttpError(400, 'VALIDATION_ERROR', `limit must be a whole number from 2 to ${MAX_LIMIT}.`);
+  }
+  if (range === 'cycle' && !slot.plantedAt) {
+    throw new HttpError(400, 'VALIDATION_ERROR', `Slot ${slot.id} has no crop cycle yet.`);
+  }
+  const from = range === 'cycle' ? Date.parse(slot.plantedAt) : now - RANGES[range].ms;
+  const inRange = capturesFor(deviceId, slot.id).filter((entry) => entry.t >= from && entry.t <= now);
+  const sampled =
+    inRange.length <= limit
+      ? inRange
+      : Array.from({ length: limit }, (_, idx) => inRange[Math.round((idx * (inRange.length - 1)) / (limit - 1))]);
+
+  return {
+    range,
+    from: new Date(from).toISOString(),
+    to: new Date(now).toISOString(),
+    total: inRange.length,
+    captures: sampled.map(toCapture),
+  };
+}
+
+// ── PNG rendering ─────────────────────────────────────
+
+// Small seeded PRNG so a capture's sensor grain is the same every time it is drawn
+function seededRandom(seedHex) {
+  let seed = parseInt(seedHex.slice(0, 8), 16) || 1;
+  return () => {
+    seed = (seed * 1664525 + 1013904223) >>> 0;
+    return seed / 0x100000000;
+  };
+}
+
+/**
+ * renderCapture()
+ *
+ * Draws a top-down photo of the slot: the net pot in a grey tray under warm grow light,
+ * with a rosette of leaves whose size follows the crop's growth and whose colour shifts
+ * from the variety's green towards yellow-brown with stress.
+ */
+function renderCapture({ id, scene }) {
+  const random = seededRandom(id);
+  const { growth, stress, varietyId } = scene;
+  const leaf = mix(LEAF_COLOURS[varietyId] ?? LEAF_COLOURS.romaine, STRESSED_COLOUR, clamp(stress, 0, 1) * 0.85);
+  const cx = IMAGE_WIDTH / 2;
+  const cy = IMAGE_HEIGHT / 2 + 4;
+  const radius = 6 + 76 * growth ** 0.8;
+  const leaves = Math.round(4 + 6 * clamp(growth, 0, 1));
+  const twist = random() * Math.PI;
+
+  const rows = Buffer.alloc((IMAGE_WIDTH * 3 + 1) * IMAGE_HEIGHT);
+  let offset = 0;
+  for (let y = 0; y < IMAGE_HEIGHT; y += 1) {
+    rows[offset++] = 0;
+    for (let x = 0; x < IMAGE_WIDTH; x += 1) {
+      const dx = x - cx;
+      const dy = (y - cy) * 1.15;
+      const dist = Math.hypot(dx, dy);
+      const angle = Math.atan2(dy, dx) + twist;
+      // Leaf outline: lobes around the rosette, frilly at the edges
+      const edge = radius * (0.72 + 0.28 * Math.abs(Math.cos((leaves * angle) / 2)) + 0.03 * Math.sin(angle * 23));
+
+      let colour;
+      if (dist < edge) {
+        // Inner leaves are paler; veins run out from the centre
+        const depth = dist / edge;
+        const vein = Math.abs(Math.sin(leaves * angle)) < 0.06 ? 0.12 : 0;
+        colour = mix(leaf, [225, 240, 190], (1 - depth) * 0.35 + vein).map((c) => c * (0.8 + 0.2 * (1 - depth)));
+      } else if (dist < 22) {
+        colour = [58, 58, 56]; // net pot
+      } else {
+        // Tray, lit from the top of the frame
+        const shade = 150 - (y / IMAGE_HEIGHT) * 40;
+        colour = [shade + 12, shade + 6, shade - 8];
+      }
+      const grain = (random() - 0.5) * 10;
+      rows[offset++] = clamp(Math.round(colour[0] + grain), 0, 255);
+      rows[offset++] = clamp(Math.round(colour[1] + grain), 0, 255);
+      rows[offset++] = clamp(Math.round(colour[2] + grain), 0, 255);
+    }
+  }
+  return encodePng(IMAGE_WIDTH, IMAGE_HEIGHT, rows);
+}
+
+function imageFor(entry) {
+  if (!imageCache.has(entry.id)) {
+    imageCache.set(entry.id, renderCapture(entry));
+    if (imageCache.size > IMAGE_CACHE_SIZE) imageCache.delete(imageCache.keys().next().value);
+  }
+  return imageCache.get(entry.id);
+}
+
+function findCapture(captureId) {
+  for (const captures of db.captures.values()) {
+    const entry = captures.find((c) => c.id === captureId);
+    if (entry) return entry;
+  }
+  throw new HttpError(404, 'NOT_FOUND', 'No photo with that id.');
+}
+
+function mount(router) {
+  router.get('/devices/:deviceId/slots/:slotId/captures', ({ headers, params, query }) => {
+    const user = requireUser(headers);
+    const slot = findSlot(findDevice(params.deviceId, user), params.slotId);
+    const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+    return listCaptures(params.deviceId, slot, query.range || '24h', limit);
+  });
+
+  router.get('/captures/:captureId/image', ({ params }) =>
+    reply(200, imageFor(findCapture(params.captureId)), {
+      'Content-Type': 'image/png',
+      'Cache-Control': 'public, max-age=31536000, immutable',
+    })
+  );
+}
+
+module.exports = { mount, capture, clear, listCaptures, CAMERA_INTERVAL_MS };
@@ -0,0 +1,122 @@
+/**
+ * commands.js
+ *
+ * Actuator command routes for the GreenSync mock server (all require a bearer token).
+ * - POST /devices/:deviceId/slots/:slotId/commands { action, params }
+ *        → 202 command | VALIDATION_ERROR | COMMAND_CONFLICT (details.commandId) | DEVICE_OFFLINE
+ * - GET  /devices/:deviceId/slots/:slotId/commands → the slot's active (pending/running) commands
+ * - GET  /commands/:commandId                      → command | NOT_FOUND
+ *
+ * A command is `{ id, deviceId, slotId, action, params, status, progress, error,
+ * createdAt, startedAt, finishedAt }`. It moves pending → running → done | failed;
+ * failures carry `error: { code, message }` (e.g. RESERVOIR_EMPTY, or DEVICE_OFFLINE when
+ * the unit drops its connection before the command runs).
+ *
+ * Only one command per actuator group may be active on a slot: the dosing pumps
+ * (water, nutrients, pH) share the tank, and the grow light is its own group.
+ */
+
+const { HttpError, reply } = require('./http');
+const { db } = require('./db');
+const { requireUser } = require('./auth');
+const { findDevice } = require('./telemetry');
+const simulator = require('./simulator');
+
+// Time a command waits in the device's queue before it starts
+const QUEUE_DELAY_MS = 500;
+
+const ACTION_GROUPS = {
+  dispense_water: 'dosing',
+  dispense_nutrients: 'dosing',
+  ph_up: 'dosing',
+  ph_down: 'dosing',
+  light_on: 'light',
+  light_off: 'light',
+};
+
+let nextCommandId = 1;
+
+const isActive = (command) => command.status === 'pending' || command.status === 'running';
+
+// Public view of a command, with progress worked out from the actuator's run time
+function toPublicCommand(command) {
+  let progress = 0;
+  if (command.status === 'done') {
+    progress = 1;
+  } else if (command.status === 'running') {
+    const duration = simulator.ACTION_DURATION_MS[command.action] || 1;
+    progress = Math.min((Date.now() - Date.parse(command.startedAt)) / duration, 0.99);
+  }
+  return { ...command, progress: Math.round(progress * 100) / 100 };
+}
+
+// Drive a command through its lifecycle against the simulated device
+function run(command) {
+  setTimeout(async () => {
+    command.status = 'running';
+    command.startedAt = new Date().toISOString();
+    try {
+      await simulator.actuate(command.deviceId, command.slotId, command.action, command.params);
+      command.status = 'done';
+    } catch (err) {
+      command.status = 'failed';
+      command.error = { code: err.code || 'UNKNOWN', message: err.message };
+    }
+    command.finishedAt = new Date().toISOString();
+  }, QUEUE_DELAY_MS);
+}
+
+function mount(router) {
+  router.post('/devices/:deviceId/slots/:slotId/commands', ({ headers, params, body = {} }) => {
+    const user = requireUser(headers);
+    findDevice(params.deviceId, user);
+    const { action, params: actionParams = {} } = body;
+    const slot = simulator.validateAction(params.deviceId, params.slotId, action, actionParams);
+
+    const conflict = [...db.commands.values()].find(
+      (c) =>
+        isActive(c) &&
+        c.deviceId === params.deviceId &&
+        c.slotId === slot.id &&
+        ACTION_GROUPS[c.action] === ACTION_GROUPS[action]
+    );
+    if (conflict) {
+      throw new HttpError(409, 'COMMAND_CONFLICT', 'Another command is still running on this slot.', {
+        commandId: conflict.id,
+      });
+    }
+
+    const command = {
+      id: String(nextCommandId++),
+      deviceId: params.deviceId,
+      slotId: slot.id,
+      action,
+      params: actionParams,
+      status: 'pending',
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+    };
+    db.commands.set(command.id, command);
+    run(command);
+    return reply(202, toPublicCommand(command));
+  });
+
+  router.get('/devices/:deviceId/slots/:slotId/commands', ({ headers, params }) => {
+    const user = requireUser(headers);
+    findDevice(params.deviceId, user);
+    return [...db.commands.values()]
+      .filter((c) => isActive(c) && c.deviceId === params.deviceId && String(c.slotId) === params.slotId)
+      .map(toPublicCommand);
+  });
+
+  router.get('/commands/:commandId', ({ headers, params }) => {
+    const user = requireUser(headers);
+    const command = db.commands.get(params.commandId);
+    if (!command || db.devices.get(command.deviceId)?.ownerId !== user.id) throw new HttpError(404, 'NOT_FOUND', `No command with id "${params.commandId}".`);
+    return toPublicCommand(command);
+  });
+}
+
+module.exports = { mount, ACTION_GROUPS };
@@ -0,0 +1,283 @@
+/**
+ * db.js
+ *
+ * In-memory data store for the GreenSync mock server.
+ * - Everything resets when the server restarts.
+ * - Seeded with a demo account so the app can log in straight away.
+ * - Seeded with three GreenSync units of different sizes owned by the demo account
+ *   (one of them offline), whose readings the telemetry routes serve, a few past
+ *   crops in the first unit's harvest log, and one unit waiting to be paired.
+ */
+
+const db = {
+  // username → { id, username, email, password, avatar, preferences, failedAttempts, lockedUntil }
+  users: new Map(),
+  // access token → { userId, expiresAt }
+  sessions: new Map(),
+  // refresh token → { userId, expiresAt }
+  refreshTokens: new Map(),
+  // lower-cased email → { code, expiresAt, attempts }
+  resetCodes: new Map(),
+  // device id → { id, ownerId (null until paired), serial, pairingCode, name, model, location,
+  //   reservoirLitres, lastSeenAt,
+  //   slots: [{ id, hasPlant, variety, plantedAt, startType, data, actuators, updatedAt, optimizedAt,
+  //     calibration: { ph, tds } }] } (see calibration.js)
+  devices: new Map(),
+  // command id → { id, deviceId, slotId, action, params, status, error, createdAt, startedAt, finishedAt }
+  commands: new Map(),
+  // "deviceId:slotId" → { waterMode, phMode, TDSMode, lightMode, phRange, TDSRange, humidityPref }
+  slotConfigs: new Map(),
+  // "deviceId:slotId" → [{ t, temp, humidity, ph, tds, light, water }], oldest first
+  history: new Map(),
+  // "deviceId:slotId" → [{ id, deviceId, slotId, t, takenAt, day, scene }], oldest first (see camera.js)
+  captures: new Map(),
+  // Ended crops, oldest first: [{ id, deviceId, slotId, variety, plantedAt, startType, endedAt,
+  //   outcome, cycleDays, yieldGrams, quality, notes, sensorSummary }]
+  harvests: [],
+};
+
+let nextUserId = 1;
+
+function createUser({ username, email, password }) {
+  const user = {
+    id: String(nextUserId++),
+    username,
+    email,
+    password,
+    avatar: null,
+    preferences: {},
+    failedAttempts: 0,
+    lockedUntil: 0,
+  };
+  db.users.set(username.toLowerCase(), user);
+  return user;
+}
+
+// Demo login: demo / greensync
+const demoUser = createUser({ username: 'demo', email: 'demo@greensync.app', password: 'greensync' });
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+const daysAgo = (days) => minutesAgo(days * 24 * 60);
+
+// Reservoir fitted to every unit unless the owner says otherwise
+const DEFAULT_RESERVOIR_LITRES = 8;
+
+// Days between probe calibrations until the owner picks another interval (see calibration.js)
+const DEFAULT_CALIBRATION_INTERVAL_DAYS = { ph: 30, tds: 60 };
+
+// A slot's probe calibrations; `calibratedDaysAgo` maps probe → days since it was last
+// calibrated (seeded calibrations carry no buffer points), and unlisted probes never were
+const slotCalibration = (calibratedDaysAgo = {}) =>
+  Object.fromEntries(
+    Object.entries(DEFAULT_CALIBRATION_INTERVAL_DAYS).map(([probe, intervalDays]) => [
+      probe,
+      {
+        slope: 1,
+        offset: 0,
+        points: [],
+        calibratedAt: calibratedDaysAgo[probe] != null ? daysAgo(calibratedDaysAgo[probe]) : null,
+        intervalDays,
+      },
+    ])
+  );
+
+const emptySlot = (id, calibratedDaysAgo) => ({
+  id,
+  hasPlant: false,
+  variety: null,
+  plantedAt: null,
+  startType: null,
+  data: null,
+  updatedAt: null,
+  optimizedAt: null,
+  calibration: slotCalibration(calibratedDaysAgo),
+});
+
+const plantedSlot = (id, { variety, plantedDaysAgo, startType = 'seed', readings = {} }, calibratedDaysAgo) => ({
+  id,
+  hasPlant: true,
+  variety,
+  plantedAt: daysAgo(plantedDaysAgo),
+  startType,
+  data: {
+    temp: 22.5,
+    humidity: 65,
+    ph: 6.3,
+    tds: 846.69,
+    light: 2,
+    water: 6.5,
+    ...readings,
+    imageUri: null,
+    photoTakenAt: null,
+  },
+  updatedAt: new Date().toISOString(),
+  optimizedAt: minutesAgo(30),
+  calibration: slotCalibration(calibratedDaysAgo),
+});
+
+// Register a unit with `slotCount` slots (ids 1…slotCount); `planted` maps slot id → crop and
+// `calibratedDaysAgo` dates every slot's probe calibrations (factory-fresh units have none).
+// Units without an owner are waiting to be paired (see pairing.js).
+function createDevice({
+  id,
+  ownerId = null,
+  serial,
+  pairingCode,
+  name,
+  model,
+  location = null,
+  reservoirLitres = DEFAULT_RESERVOIR_LITRES,
+  slotCount,
+  planted = {},
+  calibratedDaysAgo = {},
+  lastSeenAt = new Date().toISOString(),
+}) {
+  const device = {
+    id,
+    ownerId,
+    serial,
+    pairingCode,
+    name,
+    model,
+    location,
+    reservoirLitres,
+    lastSeenAt,
+    slots: Array.from({ length: slotCount }, (_, i) =>
+      planted[i + 1] ? plantedSlot(i + 1, planted[i + 1], calibratedDaysAgo) : emptySlot(i + 1, calibratedDaysAgo)
+    ),
+  };
+  db.devices.set(id, device);
+  return device;
+}
+
+// Demo units owned by the demo account:
+// - greensync-1: the original three-slot unit; slot 1 is planted, slots 2 and 3 are empty,
+//   and its pH probes are overdue for calibration
+// - greensync-2: a six-slot tower with two crops growing, calibrated recently
+// - greensync-3: a two-slot unit that lost its connection two days ago
+// and one factory-fresh unit waiting to be paired:
+// - greensync-4: a four-slot unit, serial GS4-7F3A-2291, pairing code 731904
+createDevice({
+  id: 'greensync-1',
+  ownerId: demoUser.id,
+  serial: 'GS3-1C2D-0417',
+  pairingCode: '260511',
+  name: 'GreenSync Unit',
+  model: 'GreenSync 3',
+  location: 'Living room',
+  slotCount: 3,
+  planted: { 1: { variety: 'Romaine', plantedDaysAgo: 24 } },
+  calibratedDaysAgo: { ph: 41, tds: 41 },
+});
+createDevice({
+  id: 'greensync-2',
+  ownerId: demoUser.id,
+  serial: 'GS6-88B0-1352',
+  pairingCode: '904417',
+  name: 'Kitchen Tower',
+  model: 'GreenSync Tower 6',
+  location: 'Kitchen',
+  slotCount: 6,
+  planted: {
+    1: { variety: 'Butterhead', plantedDaysAgo: 12, startType: 'seedling', readings: { tds: 720 } },
+    4: { variety: 'Oak Leaf', plantedDaysAgo: 37, readings: { temp: 21.8, ph: 6 } },
+  },
+  calibratedDaysAgo: { ph: 9, tds: 9 },
+});
+createDevice({
+  id: 'greensync-3',
+  ownerId: demoUser.id,
+  serial: 'GS2-40E9-7706',
+  pairingCode: '118263',
+  name: 'Office Unit',
+  model: 'GreenSync Mini',
+  location: 'Office',
+  slotCount: 2,
+  planted: { 2: { variety: 'Cos', plantedDaysAgo: 20 } },
+  calibratedDaysAgo: { ph: 20, tds: 20 },
+  lastSeenAt: daysAgo(2),
+});
+createDevice({
+  id: 'greensync-4',
+  serial: 'GS4-7F3A-2291',
+  pairingCode: '731904',
+  name: 'GreenSync 4',
+  model: 'GreenSync 4',
+  slotCount: 4,
+});
+
+// Sensor summary of a past crop from [min, max, avg] per reading
+const cycleSummary = (readings) =>
+  Object.fromEntries(Object.entries(readings).map(([metric, [min, max, avg]]) => [metric, { min, max, avg }]));
+
+// Past crops for the harvest log: two harvests and a failed crop
+db.harvests.push(
+  {
+    id: '1',
+    deviceId: 'greensync-1',
+    slotId: 2,
+    variety: 'Romaine',
+    plantedAt: daysAgo(100),
+    startType: 'seed',
+    endedAt: daysAgo(33),
+    outcome: 'harvested',
+    cycleDays: 67,
+    yieldGrams: 320,
+    quality: 5,
+    notes: 'Tall, crisp heads. Best crop so far.',
+    sensorSummary: cycleSummary({
+      temp: [18.4, 24.2, 21.1],
+      humidity: [48, 71, 60],
+      ph: [5.6, 6.4, 5.9],
+      tds: [540, 910, 702],
+      light: [0, 2.3, 1.4],
+      water: [4.8, 8, 6.3],
+    }),
+  },
+  {
+    id: '2',
+    deviceId: 'greensync-1',
+    slotId: 3,
+    variety: 'Oak Leaf',
+    plantedAt: daysAgo(45),
+    startType: 'seedling',
+    endedAt: daysAgo(38),
+    outcome: 'failed',
+    cycleDays: 7,
+    yieldGrams: null,
+    quality: null,
+    notes: 'Roots browned after the reservoir ran dry.',
+    sensorSummary: cycleSummary({
+      temp: [19.0, 26.8, 23.4],
+      humidity: [41, 66, 55],
+      ph: [5.5, 7.1, 6.3],
+      tds: [610, 1480, 960],
+      light: [0, 2.2, 1.3],
+      water: [0, 7.2, 2.9],
+    }),
+  },
+  {
+    id: '3',
+    deviceId: 'greensync-1',
+    slotId: 1,
+    variety: 'Butterhead',
+    plantedAt: daysAgo(82),
+    startType: 'seed',
+    endedAt: daysAgo(26),
+    outcome: 'harvested',
+    cycleDays: 56,
+    yieldGrams: 185,
+    quality: 4,
+    notes: 'Some tip burn on the outer leaves.',
+    sensorSummary: cycleSummary({
+      temp: [18.1, 23.9, 20.8],
+      humidity: [50, 72, 61],
+      ph: [5.6, 6.2, 5.9],
+      tds: [520, 880, 690],
+      light: [0, 2.3, 1.4],
+      water: [4.9, 8, 6.4],
+    }),
+  }
+);
+
+module.exports = { db, createUser, createDevice, DEFAULT_RESERVOIR_LITRES, DEFAULT_CALIBRATION_INTERVAL_DAYS };
@@ -0,0 +1,103 @@
+/**
+ * devices.js
+ *
+ * Device registry routes for the GreenSync mock server (all require a bearer token).
+ * - GET   /devices           → the caller's units, by name
+ * - GET   /devices/:deviceId → one unit | NOT_FOUND (also for other accounts' units)
+ * - PATCH /devices/:deviceId { name, location, reservoirLitres } → unit | VALIDATION_ERROR | NOT_FOUND
+ *
+ * A unit is `{ id, serial, name, model, location, reservoirLitres, slotCount, plantedSlots,
+ * status, lastSeenAt }`, where `status` is 'online' while the unit has reported within
+ * OFFLINE_AFTER_MS and 'offline' after that, and `lastSeenAt` is when it last reported (the
+ * simulator reports every tick). Slot ids run from 1 to `slotCount`; their readings are
+ * served by telemetry.js. New units are added to an account by pairing (pairing.js).
+ */
+
+const { HttpError } = require('./http');
+const { db } = require('./db');
+const { requireUser } = require('./auth');
+const { findDevice } = require('./telemetry');
+
+// A unit that has not reported for this long is offline
+const OFFLINE_AFTER_MS = 60 * 1000;
+
+const NAME_MAX_LENGTH = 40;
+const LOCATION_MAX_LENGTH = 60;
+const RESERVOIR_LITRES = [2, 100];
+
+// Contents of the QR code on a unit's label
+const pairingUri = (device) =>
+  `greensync://pair?serial=${encodeURIComponent(device.serial)}&code=${encodeURIComponent(device.pairingCode)}`;
+
+function toPublicDevice(device, now = Date.now()) {
+  const lastSeen = Date.parse(device.lastSeenAt);
+  return {
+    id: device.id,
+    serial: device.serial,
+    name: device.name,
+    model: device.model,
+    location: device.location,
+    reservoirLitres: device.reservoirLitres,
+    slotCount: device.slots.length,
+    plantedSlots: device.slots.filter((slot) => slot.hasPlant).length,
+    status: now - lastSeen <= OFFLINE_AFTER_MS ? 'online' : 'offline',
+    lastSeenAt: device.lastSeenAt,
+  };
+}
+
+/**
+ * validateDeviceDetails()
+ *
+ * Checks the fields being changed; returns them cleaned up or throws VALIDATION_ERROR.
+ * An empty location clears it.
+ */
+function validateDeviceDetails(body) {
+  const changes = {};
+  if (body.name !== undefined) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > NAME_MAX_LENGTH) {
+      throw new HttpError(400, 'VALIDATION_ERROR', `Give the unit a name of up to ${NAME_MAX_LENGTH} characters.`);
+    }
+    changes.name = name;
+  }
+  if (body.location !== undefined) {
+    const location = typeof body.location === 'string' ? body.location.trim() : body.location;
+    if (location !== null && (typeof location !== 'string' || location.length > LOCATION_MAX_LENGTH)) {
+      throw new HttpError(400, 'VALIDATION_ERROR', `The location can be up to ${LOCATION_MAX_LENGTH} characters.`);
+    }
+    changes.location = location || null;
+  }
+  if (body.reservoirLitres !== undefined) {
+    const litres = body.reservoirLitres;
+    const [min, max] = RESERVOIR_LITRES;
+    if (typeof litres !== 'number' || !(litres >= min && litres <= max)) {
+      throw new HttpError(400, 'VALIDATION_ERROR', `The reservoir size must be between ${min} and ${max} litres.`);
+    }
+    changes.reservoirLitres = Math.round(litres * 10) / 10;
+  }
+  return changes;
+}
+
+function mount(router) {
+  router.get('/devices', ({ headers }) => {
+    const user = requireUser(headers);
+    return [...db.devices.values()]
+      .filter((device) => device.ownerId === user.id)
+      .map((device) => toPublicDevice(device))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  });
+
+  router.get('/devices/:deviceId', ({ headers, params }) => {
+    const user = requireUser(headers);
+    return toPublicDevice(findDevice(params.deviceId, user));
+  });
+
+  router.patch('/devices/:deviceId', ({ headers, params, body = {} }) => {
+    const user = requireUser(headers);
+    const device = findDevice(params.deviceId, user);
+    Object.assign(device, validateDeviceDetails(body));
+    return toPublicDevice(device);
+  });
+}
+
+module.exports = { mount, toPublicDevice, pairingUri, OFFLINE_AFTER_MS };
@@ -0,0 +1,86 @@
+/**
+ * harvests.js
+ *
+ * Harvest log for the GreenSync mock server (all require a bearer token).
+ * - GET /devices/:deviceId/harvests?slotId=2 → the device's ended crops, newest first
+ *       (only one slot's when `slotId` is given) | NOT_FOUND
+ *
+ * A crop is logged when its cycle ends (POST …/planting/end, see planting.js):
+ *   { id, deviceId, slotId, variety, plantedAt, startType, endedAt, outcome, cycleDays,
+ *     yieldGrams, quality, notes, sensorSummary }
+ * where `outcome` is 'harvested' or 'failed', `quality` is a 1–5 rating (null for failed
+ * crops, like `yieldGrams`) and `sensorSummary` is `{ [metric]: { min, max, avg } }` over the cycle.
+ */
+
+const { HttpError } = require('./http');
+const { db } = require('./db');
+const { requireUser } = require('./auth');
+const { findDevice } = require('./telemetry');
+const history = require('./history');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_YIELD_GRAMS = 5000;
+const MAX_NOTES_LENGTH = 500;
+
+let nextHarvestId = db.harvests.length + 1;
+
+/**
+ * validateHarvestDetails()
+ *
+ * Checks the yield, quality and notes sent when a crop ends; returns
+ * `{ yieldGrams, quality, notes }` or throws VALIDATION_ERROR. A harvested crop needs
+ * a yield and rating; a failed one only keeps its notes.
+ */
+function validateHarvestDetails(body, outcome) {
+  const notes = body.notes == null ? '' : body.notes;
+  if (typeof notes !== 'string' || notes.length > MAX_NOTES_LENGTH) {
+    throw new HttpError(400, 'VALIDATION_ERROR', `Notes must be text of at most ${MAX_NOTES_LENGTH} characters.`);
+  }
+  if (outcome === 'failed') return { yieldGrams: null, quality: null, notes: notes.trim() };
+
+  const yieldGrams = Number(body.yieldGrams);
+  if (body.yieldGrams == null || !Number.isFinite(yieldGrams) || yieldGrams < 0 || yieldGrams > MAX_YIELD_GRAMS) {
+    throw new HttpError(400, 'VALIDATION_ERROR', `Enter the yield in grams (0–${MAX_YIELD_GRAMS}).`);
+  }
+  if (!Number.isInteger(body.quality) || body.quality < 1 || body.quality > 5) {
+    throw new HttpError(400, 'VALIDATION_ERROR', 'Rate the quality from 1 to 5.');
+  }
+  return { yieldGrams: Math.round(yieldGrams), quality: body.quality, notes: notes.trim() };
+}
+
+/**
+ * logCrop()
+ *
+ * Records a slot's crop as it ends, with a summary of the cycle's readings
+ * (call before the slot's history is cleared). Returns the log entry.
+ */
+function logCrop(deviceId, slot, outcome, details) {
+  const endedAt = Date.now();
+  const entry = {
+    id: String(nextHarvestId++),
+    deviceId,
+    slotId: slot.id,
+    variety: slot.variety,
+    plantedAt: slot.plantedAt,
+    startType: slot.startType,
+    endedAt: new Date(endedAt).toISOString(),
+    outcome,
+    cycleDays: Math.max(Math.round((endedAt - Date.parse(slot.plantedAt)) / DAY_MS), 0),
+    ...details,
+    sensorSummary: history.summariseCycle(deviceId, slot, endedAt),
+  };
+  db.harvests.push(entry);
+  return entry;
+}
+
+function mount(router) {
+  router.get('/devices/:deviceId/harvests', ({ headers, params, query }) => {
+    const user = requireUser(headers);
+    findDevice(params.deviceId, user);
+    return db.harvests
+      .filter((h) => h.deviceId === params.deviceId && (query.slotId == null || String(h.slotId) === query.slotId))
+      .reverse();
+  });
+}
+
+module.exports = { mount, validateHarvestDetails, logCrop };
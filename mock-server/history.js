@@ -0,0 +1,151 @@
+/**
+ * history.js
+ *
+ * Historical readings for the GreenSync mock server (all require a bearer token).
+ * - GET /devices/:deviceId/slots/:slotId/history?metric=ph&range=7d
+ *       → { metric, range, from, to, bucketMs, points: [{ t, value }], summary } | VALIDATION_ERROR
+ *
+ * `metric` is one of temp, humidity, ph, tds, light, water and `range` is 24h, 7d, 30d
+ * or cycle (since the slot was planted). Readings are averaged into a fixed number of
+ * evenly spaced buckets; a bucket with no readings has `value: null` so clients can
+ * draw a gap. `summary` is `{ min, max, avg, count }` over the raw readings (nulls when empty).
+ *
+ * The simulator records every slot's readings here (at most once per RECORD_INTERVAL_MS)
+ * and backfills the crop cycle so far when the server starts.
+ */
+
+const { HttpError } = require('./http');
+const { db } = require('./db');
+const { requireUser } = require('./auth');
+const { findDevice, findSlot } = require('./telemetry');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const METRICS = ['temp', 'humidity', 'ph', 'tds', 'light', 'water'];
+
+// Window length and bucket count for each range (cycle runs from `plantedAt` to now)
+const RANGES = {
+  '24h': { ms: DAY_MS, buckets: 48 },
+  '7d': { ms: 7 * DAY_MS, buckets: 56 },
+  '30d': { ms: 30 * DAY_MS, buckets: 60 },
+  cycle: { ms: null, buckets: 60 },
+};
+
+const RECORD_INTERVAL_MS = 60 * 1000;
+const RETENTION_MS = 90 * DAY_MS;
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+function pointsFor(deviceId, slotId) {
+  const key = `${deviceId}:${slotId}`;
+  if (!db.history.has(key)) db.history.set(key, []);
+  return db.history.get(key);
+}
+
+/**
+ * record()
+ *
+ * Stores a slot's current readings taken at `at` (ms). Readings closer than
+ * RECORD_INTERVAL_MS to the previous one are skipped; old readings are dropped.
+ */
+function record(deviceId, slot, at = Date.now()) {
+  if (!slot.data) return;
+  const points = pointsFor(deviceId, slot.id);
+  const last = points[points.length - 1];
+  if (last && at - last.t < RECORD_INTERVAL_MS) return;
+
+  const point = { t: at };
+  METRICS.forEach((metric) => { point[metric] = slot.data[metric]; });
+  points.push(point);
+  while (points.length && points[0].t < at - RETENTION_MS) points.shift();
+}
+
+/**
+ * clear()
+ *
+ * Drops a slot's readings, e.g. when its crop cycle ends, so the next crop starts afresh.
+ */
+function clear(deviceId, slotId) {
+  db.history.delete(`${deviceId}:${slotId}`);
+}
+
+/**
+ * queryHistory()
+ *
+ * Downsamples one metric of a slot over `range` into buckets and summarises it.
+ */
+function queryHistory(deviceId, slot, metric, range, now = Date.now()) {
+  if (!METRICS.includes(metric)) {
+    throw new HttpError(400, 'VALIDATION_ERROR', `metric must be one of: ${METRICS.join(', ')}.`);
+  }
+  if (!RANGES[range]) {
+    throw new HttpError(400, 'VALIDATION_ERROR', `range must be one of: ${Object.keys(RANGES).join(', ')}.`);
+  }
+  if (range === 'cycle' && !slot.plantedAt) {
+    throw new HttpError(400, 'VALIDATION_ERROR', `Slot ${slot.id} has no crop cycle yet.`);
+  }
+
+  const { ms, buckets } = RANGES[range];
+  const from = range === 'cycle' ? Date.parse(slot.plantedAt) : now - ms;
+  const bucketMs = Math.max(Math.ceil((now - from) / buckets), 1);
+
+  const sums = new Array(buckets).fill(0);
+  const counts = new Array(buckets).fill(0);
+  let min = Infinity;
+  let max = -Infinity;
+  let total = 0;
+  let count = 0;
+
+  pointsFor(deviceId, slot.id).forEach((point) => {
+    const value = point[metric];
+    if (point.t < from || point.t > now || typeof value !== 'number') return;
+    const idx = Math.min(Math.floor((point.t - from) / bucketMs), buckets - 1);
+    sums[idx] += value;
+    counts[idx] += 1;
+    min = Math.min(min, value);
+    max = Math.max(max, value);
+    total += value;
+    count += 1;
+  });
+
+  return {
+    metric,
+    range,
+    from: new Date(from).toISOString(),
+    to: new Date(now).toISOString(),
+    bucketMs,
+    points: sums.map((sum, idx) => ({
+      t: new Date(from + idx * bucketMs).toISOString(),
+      value: counts[idx] ? round(sum / counts[idx], 2) : null,
+    })),
+    summary: count
+      ? { min, max, avg: round(total / count, 2), count }
+      : { min: null, max: null, avg: null, count: 0 },
+  };
+}
+
+/**
+ * summariseCycle()
+ *
+ * `{ min, max, avg }` of every metric over the slot's crop cycle so far (nulls when
+ * nothing was recorded), e.g. for the harvest log when the crop ends.
+ */
+function summariseCycle(deviceId, slot, now = Date.now()) {
+  return Object.fromEntries(
+    METRICS.map((metric) => {
+      const { min, max, avg } = queryHistory(deviceId, slot, metric, 'cycle', now).summary;
+      return [metric, { min, max, avg }];
+    })
+  );
+}
+
+function mount(router) {
+  router.get('/devices/:deviceId/slots/:slotId/history', ({ headers, params, query }) => {
+    const user = requireUser(headers);
+    const slot = findSlot(findDevice(params.deviceId, user), params.slotId);
+    return queryHistory(params.deviceId, slot, query.metric, query.range || '24h');
+  });
+}
+
+module.exports = { mount, record, clear, queryHistory, summariseCycle, METRICS, RANGES };
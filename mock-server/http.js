@@ -0,0 +1,122 @@
+/**
+ * http.js
+ *
+ * Minimal HTTP helpers for the GreenSync mock server (Node built-ins only).
+ * - HttpError: throw from a handler to send `{ error: { code, message } }`.
+ * - reply(): return from a handler to choose a non-200 status, or send a Buffer (e.g. an image)
+ *   with its own headers.
+ * - createRouter(): register `METHOD /path/:param` handlers and dispatch requests.
+ */
+
+class HttpError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Wrap a payload with an explicit status code (handlers default to 200); Buffers are sent
+// as-is with `headers` (e.g. Content-Type), everything else as JSON
+const reply = (status, body, headers = {}) => ({ __reply: true, status, body, headers });
+
+// Compile '/devices/:deviceId/slots' into a regex plus its parameter names
+function compilePath(pattern) {
+  const keys = [];
+  const source = pattern
+    .split('/')
+    .map((segment) => {
+      if (segment.startsWith(':')) {
+        keys.push(segment.slice(1));
+        return '([^/]+)';
+      }
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('/');
+  return { keys, regex: new RegExp(`^${source}/?$`) };
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      if (!raw) return resolve(undefined);
+      try {
+        resolve(JSON.parse(raw));
+      } catch (err) {
+        reject(new HttpError(400, 'VALIDATION_ERROR', 'Request body must be valid JSON.'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+    ...headers,
+  });
+  if (Buffer.isBuffer(body)) return res.end(body);
+  res.end(status === 204 || body === undefined ? undefined : JSON.stringify(body));
+}
+
+function createRouter() {
+  const routes = [];
+  const router = {};
+
+  ['get', 'post', 'put', 'patch', 'delete'].forEach((method) => {
+    router[method] = (pattern, handler) => {
+      routes.push({ method: method.toUpperCase(), handler, ...compilePath(pattern) });
+      return router;
+    };
+  });
+
+  /**
+   * handle()
+   *
+   * 1. Answers CORS preflight requests.
+   * 2. Finds the first route matching method + path and runs its handler.
+   * 3. Serialises the handler result, HttpErrors, or unexpected failures.
+   */
+  router.handle = async (req, res) => {
+    if (req.method === 'OPTIONS') return send(res, 204);
+
+    const url = new URL(req.url, 'http://localhost');
+    for (const route of routes) {
+      const match = route.method === req.method && url.pathname.match(route.regex);
+      if (!match) continue;
+
+      const params = {};
+      route.keys.forEach((key, idx) => { params[key] = decodeURIComponent(match[idx + 1]); });
+
+      try {
+        const body = await readBody(req);
+        const result = await route.handler({
+          params,
+          body,
+          query: Object.fromEntries(url.searchParams),
+          headers: req.headers,
+        });
+        if (result && result.__reply) return send(res, result.status, result.body, result.headers);
+        return send(res, result === undefined ? 204 : 200, result);
+      } catch (err) {
+        if (err instanceof HttpError) {
+          return send(res, err.status, { error: { code: err.code, message: err.message, details: err.details } });
+        }
+        console.error(`[mock-server] ${req.method} ${url.pathname} failed:`, err);
+        return send(res, 500, { error: { code: 'UNKNOWN', message: 'Internal mock server error.' } });
+      }
+    }
+
+    return send(res, 404, { error: { code: 'NOT_FOUND', message: `No route for ${req.method} ${url.pathname}.` } });
+  };
+
+  return router;
+}
+
+module.exports = { HttpError, reply, createRouter };
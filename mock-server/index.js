@@ -0,0 +1,65 @@
+/**
+ * GreenSync mock server
+ *
+ * Local stand-in for the GreenSync backend so the app can be exercised offline.
+ * - Run with `npm run mock-server` (PORT defaults to 4000).
+ * - Point the app at it with EXPO_PUBLIC_API_URL=http://<your-ip>:4000.
+ * - Live telemetry is served over MQTT-over-WebSocket at ws://<your-ip>:4000/mqtt.
+ * - Slot readings come from simulated units of different sizes (see simulator.js);
+ *   GET /devices lists the signed-in account's units (see devices.js), and new units are
+ *   added by pairing (see pairing.js).
+ * - State is in memory; restart the server to reset it.
+ */
+
+const http = require('http');
+const { createRouter } = require('./http');
+const auth = require('./auth');
+const account = require('./account');
+const devices = require('./devices');
+const pairing = require('./pairing');
+const telemetry = require('./telemetry');
+const slotConfig = require('./slotConfig');
+const calibration = require('./calibration');
+const history = require('./history');
+const broker = require('./broker');
+const simulator = require('./simulator');
+const commands = require('./commands');
+const planting = require('./planting');
+const harvests = require('./harvests');
+const camera = require('./camera');
+
+const PORT = Number(process.env.PORT) || 4000;
+
+const router = createRouter();
+auth.mount(router);
+account.mount(router);
+devices.mount(router);
+pairing.mount(router);
+telemetry.mount(router);
+slotConfig.mount(router);
+calibration.mount(router);
+history.mount(router);
+simulator.mount(router);
+commands.mount(router);
+planting.mount(router);
+harvests.mount(router);
+camera.mount(router);
+
+const server = http.createServer((req, res) => {
+  console.log(`[mock-server] ${req.method} ${req.url}`);
+  router.handle(req, res);
+});
+
+broker
+  .attach(server)
+  .then(() => {
+    server.listen(PORT, () => {
+      console.log(`[mock-server] GreenSync mock API listening on http://localhost:${PORT}`);
+      console.log(`[mock-server] MQTT over WebSocket on ws://localhost:${PORT}${broker.MQTT_PATH}`);
+      console.log('[mock-server] Demo login: demo / greensync');
+    });
+  })
+  .catch((err) => {
+    console.error('[mock-server] Could not start the MQTT broker', err);
+    process.exit(1);
+  });
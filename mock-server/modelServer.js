@@ -0,0 +1,174 @@
+/**
+ * GreenSync plant health model stub
+ *
+ * Stand-in for the plant health inference service so health checks can be exercised offline.
+ * - Run with `npm run model-server` (MODEL_PORT defaults to 4001) alongside the mock server.
+ * - Point the app at it with EXPO_PUBLIC_HEALTH_API_URL=http://<your-ip>:4001.
+ * - POST /v1/assessments { image, crop, readings, recent }
+ *        → { id, model, status, confidence, findings, imageTakenAt, assessedAt }
+ *        | VALIDATION_ERROR | IMAGE_UNAVAILABLE (422, the photo could not be fetched or read)
+ *
+ * Request: `image` is `{ url, takenAt }` (the latest Smart Cam photo, fetched from `url`),
+ * `crop` is `{ variety, day, totalDays, stage }`, `readings` the slot's current readings and
+ * `recent` `{ [metric]: { min, max, avg } }` over the last 24 hours.
+ *
+ * Instead of a trained model the stub scores a few hand-written signs, so results are
+ * deterministic and follow the simulator (e.g. the `ph_crash` fault yellows the leaves):
+ * - nutrient_deficiency — yellowing leaves in the photo, weak nutrients, pH that locks them out
+ * - tip_burn            — nutrient spikes, heat, or dry air while the heads grow fast
+ * - bolting             — a crop well past maturity, or heat during maturation
+ * Each finding is `{ type, severity ('warning' | 'critical'), confidence (0–1), evidence: [text] }`.
+ * `status` is 'healthy', 'attention' (warnings only) or 'unhealthy' (any critical finding).
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { HttpError, createRouter } = require('./http');
+const { decodePng } = require('./png');
+
+const PORT = Number(process.env.MODEL_PORT) || 4001;
+const MODEL_NAME = 'greensync-health-stub@1';
+
+// Findings below this confidence are dropped; at or above CRITICAL_AT they are critical
+const REPORT_AT = 0.35;
+const CRITICAL_AT = 0.7;
+// Days past maturity before a crop is likely to bolt
+const BOLTING_AFTER_DAYS = 7;
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+const percent = (fraction) => `${Math.round(fraction * 100)}%`;
+
+// Hue of an RGB colour in degrees (0 red, 60 yellow, 120 green)
+function hueOf(r, g, b) {
+  const max = Math.max(r, g, b);
+  const spread = max - Math.min(r, g, b);
+  if (!spread) return 0;
+  if (max === r) return (60 * ((g - b) / spread) + 360) % 360;
+  if (max === g) return 60 * ((b - r) / spread) + 120;
+  return 60 * ((r - g) / spread) + 240;
+}
+
+/**
+ * analysePhoto()
+ *
+ * Finds the leaves in the photo by colour (saturated green-to-yellow against the grey
+ * tray) and measures how much of them has turned yellow-brown. Returns `{ coverage, yellowing }`.
+ */
+function analysePhoto({ width, height, pixels }) {
+  let leaf = 0;
+  let yellow = 0;
+  for (let i = 0; i < width * height; i += 1) {
+    const r = pixels[i * 3];
+    const g = pixels[i * 3 + 1];
+    const b = pixels[i * 3 + 2];
+    if (Math.max(r, g) - b < 45) continue;
+    leaf += 1;
+    if (hueOf(r, g, b) < 70) yellow += 1;
+  }
+  return { coverage: leaf / (width * height), yellowing: leaf ? yellow / leaf : 0 };
+}
+
+// Adds up weighted signs into a finding, or null when there is too little evidence
+function finding(type, signs) {
+  const present = signs.filter((sign) => sign.when);
+  const confidence = round(Math.min(present.reduce((sum, sign) => sum + sign.weight, 0), 0.95), 2);
+  if (confidence < REPORT_AT) return null;
+  return {
+    type,
+    severity: confidence >= CRITICAL_AT ? 'critical' : 'warning',
+    confidence,
+    evidence: present.map((sign) => sign.evidence),
+  };
+}
+
+/**
+ * assess()
+ *
+ * Scores each finding from the photo analysis, the crop's age and the last day's readings.
+ */
+function assess(photo, { crop = {}, recent = {} }) {
+  const tds = recent.tds ?? {};
+  const ph = recent.ph ?? {};
+  const temp = recent.temp ?? {};
+  const humidity = recent.humidity ?? {};
+  const growing = ['vegetative', 'maturation'].includes(crop.stage);
+  const daysPastMaturity = crop.totalDays ? crop.day - crop.totalDays : null;
+
+  const findings = [
+    finding('nutrient_deficiency', [
+      { when: photo.yellowing > 0.3, weight: 0.5, evidence: `Yellowing on ${percent(photo.yellowing)} of the leaf area.` },
+      { when: tds.avg < 500, weight: 0.35, evidence: `Nutrients averaged ${Math.round(tds.avg)} ppm over the last day.` },
+      {
+        when: ph.avg < 5.5 || ph.avg > 6.8,
+        weight: 0.25,
+        evidence: `pH averaged ${round(ph.avg, 1)}, where the roots struggle to take up nutrients.`,
+      },
+    ]),
+    finding('tip_burn', [
+      { when: tds.max > 1200, weight: 0.4, evidence: `Nutrients peaked at ${Math.round(tds.max)} ppm.` },
+      { when: temp.max > 27, weight: 0.3, evidence: `Temperature reached ${round(temp.max, 1)}°C.` },
+      { when: humidity.min < 35, weight: 0.2, evidence: `Humidity fell to ${Math.round(humidity.min)}%.` },
+      {
+        when: growing && (tds.max > 1200 || temp.max > 27),
+        weight: 0.1,
+        evidence: `Fast-growing ${crop.stage} leaves are the most prone to tip burn.`,
+      },
+    ]),
+    finding('bolting', [
+      {
+        when: daysPastMaturity > BOLTING_AFTER_DAYS,
+        weight: 0.6,
+        evidence: `Day ${crop.day}: ${daysPastMaturity} days past maturity.`,
+      },
+      {
+        when: crop.stage === 'maturation' && temp.avg > 24,
+        weight: 0.35,
+        evidence: `Temperature averaged ${round(temp.avg, 1)}°C while maturing.`,
+      },
+    ]),
+  ].filter(Boolean);
+
+  const worst = Math.max(0, ...findings.map((f) => f.confidence));
+  return {
+    status: findings.some((f) => f.severity === 'critical') ? 'unhealthy' : findings.length ? 'attention' : 'healthy',
+    // With no findings, confidence falls as the photo shows less of the plant
+    confidence: findings.length ? worst : round(0.7 + 0.25 * Math.min(photo.coverage / 0.1, 1), 2),
+    findings: findings.sort((a, b) => b.confidence - a.confidence),
+  };
+}
+
+async function fetchPhoto(url) {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`status ${response.status}`);
+    return decodePng(Buffer.from(await response.arrayBuffer()));
+  } catch (err) {
+    throw new HttpError(422, 'IMAGE_UNAVAILABLE', `Could not read the photo at ${url} (${err.message}).`);
+  }
+}
+
+const router = createRouter();
+
+router.post('/v1/assessments', async ({ body = {} }) => {
+  const url = body.image?.url;
+  if (typeof url !== 'string' || !/^https?:\/\//.test(url)) {
+    throw new HttpError(400, 'VALIDATION_ERROR', 'image.url must be the absolute URL of the photo to assess.');
+  }
+  const photo = analysePhoto(await fetchPhoto(url));
+  return {
+    id: crypto.randomUUID(),
+    model: MODEL_NAME,
+    ...assess(photo, body),
+    imageTakenAt: body.image.takenAt ?? null,
+    assessedAt: new Date().toISOString(),
+  };
+});
+
+const server = http.createServer((req, res) => {
+  console.log(`[model-server] ${req.method} ${req.url}`);
+  router.handle(req, res);
+});
+
+server.listen(PORT, () => {
+  console.log(`[model-server] Plant health model stub listening on http://localhost:${PORT}`);
+});
@@ -0,0 +1,79 @@
+/**
+ * pairing.js
+ *
+ * Pairing routes for the GreenSync mock server (all require a bearer token).
+ * - POST /devices/pair { serial } or { pairingCode }
+ *        → 201 unit (200 when already on the caller's account)
+ *        | VALIDATION_ERROR | NOT_FOUND | DEVICE_CLAIMED | DEVICE_OFFLINE
+ * - POST /devices/:deviceId/sensor-check
+ *        → { passed, checkedAt, sensors: [{ sensor, ok, value, message }] } | DEVICE_OFFLINE | NOT_FOUND
+ *
+ * A unit's label carries its serial number, a six-digit pairing code and a QR code with both
+ * (`greensync://pair?serial=…&code=…`); either one finds the unit. Pairing adds the unit to
+ * the caller's account (it must be powered on and connected); pairing it again resumes setup,
+ * while units on another account are refused with DEVICE_CLAIMED. After pairing, the app names
+ * the unit and sets its location and reservoir size (PATCH /devices/:deviceId, devices.js),
+ * then runs the sensor check, which asks the unit to read each of its sensors (simulator.js).
+ *
+ * Units to pair are seeded in db.js, and more can be added with POST /sim/devices.
+ */
+
+const { HttpError, reply } = require('./http');
+const { db } = require('./db');
+const { requireUser } = require('./auth');
+const { findDevice } = require('./telemetry');
+const { toPublicDevice } = require('./devices');
+const simulator = require('./simulator');
+
+// Serial numbers are compared without case, spaces or dashes, as people type them
+const normaliseSerial = (serial) => String(serial).replace(/[\s-]/g, '').toUpperCase();
+
+/**
+ * findUnitToPair()
+ *
+ * Looks a unit up by serial number or pairing code; throws VALIDATION_ERROR when neither
+ * is given and NOT_FOUND when no unit matches.
+ */
+function findUnitToPair({ serial, pairingCode }) {
+  const units = [...db.devices.values()];
+  if (typeof serial === 'string' && serial.trim()) {
+    const wanted = normaliseSerial(serial);
+    const unit = units.find((device) => normaliseSerial(device.serial) === wanted);
+    if (!unit) throw new HttpError(404, 'NOT_FOUND', 'No GreenSync unit has that serial number. Check the label and try again.');
+    return unit;
+  }
+  if (typeof pairingCode === 'string' && pairingCode.trim()) {
+    const unit = units.find((device) => device.pairingCode === pairingCode.trim());
+    if (!unit) throw new HttpError(404, 'NOT_FOUND', 'That pairing code does not match any unit. Check the label and try again.');
+    return unit;
+  }
+  throw new HttpError(400, 'VALIDATION_ERROR', "Enter the unit's serial number or pairing code.");
+}
+
+function mount(router) {
+  router.post('/devices/pair', ({ headers, body = {} }) => {
+    const user = requireUser(headers);
+    const device = findUnitToPair(body);
+    if (device.ownerId === user.id) return toPublicDevice(device);
+    if (device.ownerId) {
+      throw new HttpError(409, 'DEVICE_CLAIMED', 'This unit is already paired with another account.');
+    }
+    simulator.requireOnline(device);
+
+    device.ownerId = user.id;
+    return reply(201, toPublicDevice(device));
+  });
+
+  router.post('/devices/:deviceId/sensor-check', async ({ headers, params }) => {
+    const user = requireUser(headers);
+    const device = findDevice(params.deviceId, user);
+    const sensors = await simulator.checkSensors(device.id);
+    return {
+      passed: sensors.every((sensor) => sensor.ok),
+      checkedAt: new Date().toISOString(),
+      sensors,
+    };
+  });
+}
+
+module.exports = { mount };
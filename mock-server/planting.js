@@ -0,0 +1,102 @@
+/**
+ * planting.js
+ *
+ * Planting routes for the GreenSync mock server (all require a bearer token).
+ * - POST /devices/:deviceId/slots/:slotId/planting { variety, plantedAt, startType }
+ *        → 201 slot | VALIDATION_ERROR | SLOT_OCCUPIED | DEVICE_OFFLINE | NOT_FOUND
+ * - POST /devices/:deviceId/slots/:slotId/planting/end { outcome, yieldGrams, quality, notes }
+ *        → { slot, crop } | VALIDATION_ERROR | SLOT_EMPTY | NOT_FOUND
+ *
+ * - variety: a catalog variety id or name (catalog/lettuces.json); the slot stores its name.
+ * - plantedAt: ISO date the crop cycle started; defaults to now, may be up to
+ *   MAX_PLANTED_DAYS_AGO in the past (e.g. a seedling sown elsewhere), never in the future.
+ * - startType: 'seed' or 'seedling'.
+ *
+ * The slot comes online straight away: the simulator gives it fresh readings, replays
+ * its history since `plantedAt` and publishes it over MQTT.
+ *
+ * Ending a crop (`outcome` 'harvested' or 'failed') logs it in the harvest log with
+ * a summary of the cycle's readings (harvests.js), then empties the slot and clears its
+ * readings. Harvested crops need `yieldGrams` and a 1–5 `quality`; `notes` is optional.
+ * The response's `crop` is the new harvest log entry.
+ */
+
+const { HttpError, reply } = require('./http');
+const { requireUser } = require('./auth');
+const { findDevice, findSlot } = require('./telemetry');
+const simulator = require('./simulator');
+const harvests = require('./harvests');
+const catalog = require('../catalog/lettuces.json');
+
+const START_TYPES = ['seed', 'seedling'];
+const OUTCOMES = ['harvested', 'failed'];
+const MAX_PLANTED_DAYS_AGO = 60;
+// Allow for clock drift between the app and the device
+const FUTURE_TOLERANCE_MS = 5 * 60 * 1000;
+
+function findVariety(idOrName) {
+  const wanted = String(idOrName ?? '').toLowerCase();
+  return catalog.varieties.find((v) => v.id === wanted || v.name.toLowerCase() === wanted);
+}
+
+/**
+ * validatePlanting()
+ *
+ * Checks the request body; returns `{ variety, plantedAt, startType }` or throws VALIDATION_ERROR.
+ */
+function validatePlanting(body) {
+  const variety = findVariety(body.variety);
+  if (!variety) {
+    throw new HttpError(400, 'VALIDATION_ERROR', 'Choose a lettuce variety from the catalog.');
+  }
+  if (!START_TYPES.includes(body.startType)) {
+    throw new HttpError(400, 'VALIDATION_ERROR', `startType must be one of: ${START_TYPES.join(', ')}.`);
+  }
+  const plantedAt = body.plantedAt === undefined ? Date.now() : Date.parse(body.plantedAt);
+  if (Number.isNaN(plantedAt)) {
+    throw new HttpError(400, 'VALIDATION_ERROR', 'plantedAt must be an ISO date.');
+  }
+  if (plantedAt > Date.now() + FUTURE_TOLERANCE_MS) {
+    throw new HttpError(400, 'VALIDATION_ERROR', 'The planting date cannot be in the future.');
+  }
+  if (plantedAt < Date.now() - MAX_PLANTED_DAYS_AGO * 24 * 3600000) {
+    throw new HttpError(400, 'VALIDATION_ERROR', `The planting date must be within the last ${MAX_PLANTED_DAYS_AGO} days.`);
+  }
+  return { variety: variety.name, plantedAt: new Date(plantedAt).toISOString(), startType: body.startType };
+}
+
+function mount(router) {
+  router.post('/devices/:deviceId/slots/:slotId/planting', ({ headers, params, body = {} }) => {
+    const user = requireUser(headers);
+    const device = findDevice(params.deviceId, user);
+    const slot = findSlot(device, params.slotId);
+    if (slot.hasPlant) {
+      throw new HttpError(409, 'SLOT_OCCUPIED', `Slot ${slot.id} already has ${slot.variety} growing in it.`);
+    }
+    const planting = validatePlanting(body);
+    simulator.requireOnline(device);
+
+    Object.assign(slot, { hasPlant: true, ...planting, optimizedAt: null });
+    simulator.startSlot(params.deviceId, slot);
+    return reply(201, slot);
+  });
+
+  router.post('/devices/:deviceId/slots/:slotId/planting/end', ({ headers, params, body = {} }) => {
+    const user = requireUser(headers);
+    const slot = findSlot(findDevice(params.deviceId, user), params.slotId);
+    if (!slot.hasPlant) {
+      throw new HttpError(409, 'SLOT_EMPTY', `Slot ${slot.id} has nothing planted.`);
+    }
+    if (!OUTCOMES.includes(body.outcome)) {
+      throw new HttpError(400, 'VALIDATION_ERROR', `outcome must be one of: ${OUTCOMES.join(', ')}.`);
+    }
+
+    const details = harvests.validateHarvestDetails(body, body.outcome);
+
+    const crop = harvests.logCrop(params.deviceId, slot, body.outcome, details);
+    simulator.stopSlot(params.deviceId, slot);
+    return { slot, crop };
+  });
+}
+
+module.exports = { mount, START_TYPES, OUTCOMES };
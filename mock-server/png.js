@@ -0,0 +1,126 @@
+/**
+ * png.js
+ *
+ * Minimal PNG encoding and decoding (Node built-ins only) for the mock servers.
+ * - encodePng(): RGB rows, as drawn by the Smart Cam (camera.js), into a PNG file.
+ * - decodePng(): a PNG file into RGB pixels, for the plant health model stub (modelServer.js).
+ *
+ * Only 8-bit, non-interlaced RGB and RGBA images are supported, which covers every
+ * photo the camera takes.
+ */
+
+const zlib = require('zlib');
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const COLOUR_TYPE_RGB = 2;
+const COLOUR_TYPE_RGBA = 6;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * encodePng()
+ *
+ * Encodes RGB rows (each prefixed with filter byte 0) as a PNG.
+ */
+function encodePng(width, height, rows) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = COLOUR_TYPE_RGB;
+  return Buffer.concat([
+    SIGNATURE,
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(rows)),
+    pngChunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+// Paeth predictor from the PNG spec
+function paeth(left, up, upLeft) {
+  const estimate = left + up - upLeft;
+  const toLeft = Math.abs(estimate - left);
+  const toUp = Math.abs(estimate - up);
+  const toUpLeft = Math.abs(estimate - upLeft);
+  if (toLeft <= toUp && toLeft <= toUpLeft) return left;
+  return toUp <= toUpLeft ? up : upLeft;
+}
+
+/**
+ * decodePng()
+ *
+ * Decodes a PNG into `{ width, height, pixels }`, where `pixels` holds 3 bytes (RGB) per
+ * pixel, row by row. Throws an Error for files it cannot read.
+ */
+function decodePng(buffer) {
+  if (buffer.length < SIGNATURE.length || !buffer.subarray(0, SIGNATURE.length).equals(SIGNATURE)) {
+    throw new Error('Not a PNG file.');
+  }
+
+  let width;
+  let height;
+  let channels;
+  const data = [];
+  for (let pos = SIGNATURE.length; pos + 8 <= buffer.length; ) {
+    const length = buffer.readUInt32BE(pos);
+    const type = buffer.toString('ascii', pos + 4, pos + 8);
+    const body = buffer.subarray(pos + 8, pos + 8 + length);
+    if (type === 'IHDR') {
+      width = body.readUInt32BE(0);
+      height = body.readUInt32BE(4);
+      const [bitDepth, colourType, , , interlace] = body.subarray(8, 13);
+      if (bitDepth !== 8 || interlace !== 0 || ![COLOUR_TYPE_RGB, COLOUR_TYPE_RGBA].includes(colourType)) {
+        throw new Error('Only 8-bit, non-interlaced RGB or RGBA PNGs are supported.');
+      }
+      channels = colourType === COLOUR_TYPE_RGBA ? 4 : 3;
+    } else if (type === 'IDAT') {
+      data.push(body);
+    } else if (type === 'IEND') {
+      break;
+    }
+    pos += 12 + length;
+  }
+  if (!width || !data.length) throw new Error('PNG has no image data.');
+
+  // Undo each row's filter, then drop any alpha channel
+  const raw = zlib.inflateSync(Buffer.concat(data));
+  const stride = width * channels;
+  const rows = Buffer.alloc(stride * height);
+  for (let y = 0; y < height; y += 1) {
+    const filter = raw[y * (stride + 1)];
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    for (let x = 0; x < stride; x += 1) {
+      const left = x >= channels ? rows[y * stride + x - channels] : 0;
+      const up = y > 0 ? rows[(y - 1) * stride + x] : 0;
+      const upLeft = x >= channels && y > 0 ? rows[(y - 1) * stride + x - channels] : 0;
+      const predictor = [0, left, up, (left + up) >> 1, paeth(left, up, upLeft)][filter];
+      if (predictor === undefined) throw new Error(`Unknown PNG filter ${filter}.`);
+      rows[y * stride + x] = (line[x] + predictor) & 0xff;
+    }
+  }
+
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let i = 0; i < width * height; i += 1) rows.copy(pixels, i * 3, i * channels, i * channels + 3);
+  return { width, height, pixels };
+}
+
+module.exports = { encodePng, decodePng };
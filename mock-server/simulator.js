@@ -0,0 +1,723 @@
+/**
+ * simulator.js
+ *
+ * Simulated GreenSync hydroponic units for development and demos.
+ * - Every SIM_TICK_MS (default 5s) each planted slot's readings drift realistically:
+ *   temperature follows a day/night curve, humidity tracks temperature, pH creeps up,
+ *   water is consumed, TDS concentrates as water drops, light follows the grow light.
+ * - Actuators change the readings: dispense water / nutrients, pH up / down, light on / off.
+ * - Each slot's control config (slotConfig.js) is applied after every tick: for 'Auto'
+ *   settings the controller tops up water, doses pH and nutrients back into their target
+ *   ranges and runs the grow light on a day schedule; 'Manual' settings are left to the user.
+ *   humidityPref sets the humidity the climate control aims for.
+ * - Each connected unit reports in every tick (`lastSeenAt`); a disconnected unit stops
+ *   reporting altogether, so it shows as offline (devices.js) and refuses commands and
+ *   plantings with DEVICE_OFFLINE. Units already offline when the server starts (seeded
+ *   with an old `lastSeenAt`) stay disconnected until reconnected from the dev routes.
+ * - Units run a sensor self-test when they are set up (checkSensors, see pairing.js);
+ *   a sensor broken from the dev routes fails it. New, unpaired units can be added from
+ *   the dev routes to exercise pairing end to end.
+ * - Each slot's pH and TDS probes have their own response (raw reading vs. the true value),
+ *   which the slot's saved calibration corrects (see calibration.js). While a probe is being
+ *   calibrated it sits in a buffer solution and its raw reading settles towards the buffer
+ *   over a few seconds (startBufferReading / readProbe); saving a new calibration re-reads
+ *   the slot's current value with it.
+ * - Faults can be injected per slot to exercise alerts and error states:
+ *   • ph_crash        — pH falls quickly towards 4.0
+ *   • empty_reservoir — water drains to 0 L and water dispensing fails
+ *   • sensor_offline  — the slot stops reporting (readings go stale)
+ * - Each update is written to `db.devices` (served over REST), published over MQTT and
+ *   recorded in the history store, so the app sees the simulator through its normal data layer.
+ *   Every slot's Smart Cam takes a photo every 15 minutes while its grow light is on (camera.js).
+ *   On start-up each planted slot's crop cycle so far is simulated to backfill its history
+ *   (with a couple of reporting outages, so charts have gaps to show). Slots also carry
+ *   `actuators: { lightOn, lightLevel }` so controls can show the device's real state.
+ * - SIM_SPEED (default 1) scales simulated time, e.g. SIM_SPEED=60 runs an hour per minute.
+ *
+ * Dev routes (no auth, so they can be driven from curl):
+ * - POST   /sim/devices                                         { slotCount, model } → 201 new unit to pair
+ * - GET    /sim/devices/:deviceId                               → serial, pairing code, slots plus actuator/fault/probe state
+ * - POST   /sim/devices/:deviceId/connection                    { online } → state
+ * - POST   /sim/devices/:deviceId/sensor-faults                 { sensor } → state
+ * - DELETE /sim/devices/:deviceId/sensor-faults/:sensor         → state
+ * - POST   /sim/devices/:deviceId/slots/:slotId/actuate         { action, params } → slot
+ * - POST   /sim/devices/:deviceId/slots/:slotId/faults          { fault } → state
+ * - DELETE /sim/devices/:deviceId/slots/:slotId/faults/:fault   → state
+ */
+
+const crypto = require('crypto');
+const { HttpError, reply } = require('./http');
+const { db, createDevice } = require('./db');
+const { findDevice, findSlot } = require('./telemetry');
+const { getSlotConfig } = require('./slotConfig');
+const broker = require('./broker');
+const history = require('./history');
+const camera = require('./camera');
+const { OFFLINE_AFTER_MS, pairingUri } = require('./devices');
+
+const TICK_MS = Number(process.env.SIM_TICK_MS) || 5000;
+const SPEED = Number(process.env.SIM_SPEED) || 1;
+
+// Slot hardware limits (a slot holds up to its unit's `reservoirLitres` of water)
+const MAX_LIGHT_LEVEL = 10;
+
+// How long each actuator runs before its effect is complete
+const ACTION_DURATION_MS = {
+  dispense_water: 5000,
+  dispense_nutrients: 5000,
+  ph_up: 3000,
+  ph_down: 3000,
+  light_on: 0,
+  light_off: 0,
+};
+
+const FAULTS = ['ph_crash', 'empty_reservoir', 'sensor_offline'];
+
+// Controller settings for 'Auto' mode; water levels are shares of the reservoir
+const WATER_REFILL_BELOW = 5 / 8;
+const WATER_REFILL_TO = 7 / 8;
+const MAX_PH_DOSE_ML = 2;
+const MAX_NUTRIENT_DOSE_ML = 10;
+const LIGHT_HOURS = [6, 22]; // grow light on from 06:00 until 22:00
+const HUMIDITY_TARGETS = { Low: 50, Medium: 60, High: 70 };
+
+// Backfill resolution, and windows (hours ago, duration in hours) where the unit didn't report
+const BACKFILL_STEP_MS = 10 * 60 * 1000;
+const BACKFILL_OUTAGES = [
+  [3 * 24 + 6, 6],
+  [12 * 24, 20],
+];
+
+// Readings of a freshly filled slot, before its first tick (topped up to WATER_REFILL_TO)
+const FRESH_READINGS = { humidity: 60, ph: 5.8, tds: 600, light: 0 };
+
+const OPTIMIZE_INTERVAL_MS = 30 * 60 * 1000;
+
+// "deviceId:slotId" → { lightOn, lightLevel, faults: Set, probes, calibrating }
+const slotStates = new Map();
+
+// Sensors read by a unit's self-test (checkSensors)
+const SENSORS = ['temp', 'humidity', 'ph', 'tds', 'water', 'light', 'camera'];
+// How long a self-test takes on the device
+const SENSOR_CHECK_MS = 1500;
+
+// Calibrated probes: how long a probe takes to settle in a buffer (time constant) and how
+// much its raw reading jitters
+const PROBE_SETTLE_MS = { ph: 4000, tds: 2500 };
+const PROBE_NOISE = { ph: 0.004, tds: 1.5 };
+const PROBE_DECIMALS = { ph: 3, tds: 1 };
+const READING_DECIMALS = { ph: 2, tds: 0 };
+
+// Model name of a factory-fresh unit, by slot count
+const MODEL_NAMES = { 2: 'GreenSync Mini', 3: 'GreenSync 3', 6: 'GreenSync Tower 6' };
+const MAX_SLOTS = 12;
+
+// device id → { connected, brokenSensors: Set }
+const deviceStates = new Map();
+
+const stateKey = (deviceId, slotId) => `${deviceId}:${slotId}`;
+
+function getDeviceState(deviceId) {
+  if (!deviceStates.has(deviceId)) deviceStates.set(deviceId, { connected: true, brokenSensors: new Set() });
+  return deviceStates.get(deviceId);
+}
+
+// Throws DEVICE_OFFLINE unless the unit is connected
+function requireOnline(device) {
+  if (!getDeviceState(device.id).connected) {
+    throw new HttpError(409, 'DEVICE_OFFLINE', `${device.name} is offline. Check its power and Wi-Fi, then try again.`);
+  }
+}
+
+function getSlotState(deviceId, slotId) {
+  const key = stateKey(deviceId, slotId);
+  if (!slotStates.has(key)) {
+    slotStates.set(key, {
+      lightOn: false,
+      lightLevel: 2,
+      faults: new Set(),
+      // probe → { gain, bias }: raw reading = true value × gain + bias
+      probes: {
+        ph: { gain: 0.94 + Math.random() * 0.06, bias: noise(0.15) },
+        tds: { gain: 0.95 + Math.random() * 0.1, bias: noise(8) },
+      },
+      // { probe, buffer, startedAt, fromRaw } while a probe sits in a calibration buffer
+      calibrating: null,
+    });
+  }
+  return slotStates.get(key);
+}
+
+// ── Helpers ─────────────────────────────────────
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+const noise = (amplitude) => (Math.random() * 2 - 1) * amplitude;
+// Move `value` towards `target` by `rate` (0–1) of the gap
+const approach = (value, target, rate) => value + (target - value) * clamp(rate, 0, 1);
+
+// Daytime temperature peaks mid-afternoon, lowest before dawn
+const ambientTemp = (date) => 21 + 2 * Math.sin(((date.getHours() + date.getMinutes() / 60 - 9) / 24) * 2 * Math.PI);
+// Sunlight through the window (0–2) when the grow light is off
+const ambientLight = (date) => (date.getHours() >= 7 && date.getHours() < 19 ? 1.5 : 0);
+
+/**
+ * stepSlot()
+ *
+ * Advances one planted slot by `hours` of simulated time.
+ */
+function stepSlot(device, slot, state, config, hours, now) {
+  const d = { ...slot.data };
+  const humidityTarget = HUMIDITY_TARGETS[config.humidityPref] ?? HUMIDITY_TARGETS.Medium;
+
+  d.temp = approach(d.temp, ambientTemp(now), 0.5 * hours) + noise(0.05);
+  d.humidity = clamp(approach(d.humidity, humidityTarget - (d.temp - 21) * 2, 0.5 * hours) + noise(0.3), 30, 95);
+
+  if (state.faults.has('ph_crash')) {
+    d.ph = approach(d.ph, 4.0, 0.15);
+  } else {
+    d.ph += 0.05 * hours + noise(0.01);
+  }
+  d.ph = clamp(d.ph, 3.5, 8.5);
+
+  const previousWater = d.water;
+  if (state.faults.has('empty_reservoir')) {
+    d.water = Math.max(d.water - 0.25, 0);
+  } else {
+    // Plants drink more when it's warm
+    d.water = Math.max(d.water - (0.08 + Math.max(d.temp - 22, 0) * 0.02) * hours, 0);
+  }
+  // The reservoir may have been resized since the last tick (PATCH /devices/:id)
+  d.water = Math.min(d.water, device.reservoirLitres);
+  // Nutrients concentrate as water is used; plants slowly take them up
+  // (with the tank nearly dry the probe keeps its last reading)
+  if (d.water > 0.1) d.tds = (d.tds * previousWater) / d.water - 5 * hours;
+  d.tds = clamp(d.tds + noise(1), 0, 5000);
+
+  d.light = state.lightOn ? state.lightLevel + noise(0.1) : ambientLight(now) + noise(0.05);
+  d.light = clamp(d.light, 0, MAX_LIGHT_LEVEL);
+
+  slot.data = {
+    ...d,
+    temp: round(d.temp, 1),
+    humidity: round(d.humidity, 0),
+    ph: round(d.ph, 2),
+    tds: round(d.tds, 0),
+    light: round(d.light, 1),
+    water: round(d.water, 2),
+  };
+  slot.actuators = { lightOn: state.lightOn, lightLevel: state.lightLevel };
+  slot.updatedAt = now.toISOString();
+  if (now - Date.parse(slot.optimizedAt || 0) >= OPTIMIZE_INTERVAL_MS) {
+    slot.optimizedAt = now.toISOString();
+  }
+}
+
+/**
+ * applyAction()
+ *
+ * Applies an actuator's effect to a slot's readings and actuator state.
+ */
+function applyAction(device, slot, state, action, params = {}) {
+  const d = slot.data;
+  switch (action) {
+    case 'dispense_water': {
+      const litres = Number(params.litres) || 1;
+      const water = Math.min(d.water + litres, device.reservoirLitres);
+      // Fresh water dilutes the nutrient solution
+      d.tds = water > 0 ? round((d.tds * d.water) / water, 0) : d.tds;
+      d.water = round(water, 2);
+      break;
+    }
+    case 'dispense_nutrients': {
+      const ml = Number(params.ml) || 10;
+      d.tds = round(d.tds + (ml * 50) / Math.max(d.water, 1), 0);
+      d.ph = round(d.ph - 0.01 * ml, 2);
+      break;
+    }
+    case 'ph_up':
+    case 'ph_down': {
+      const ml = Number(params.ml) || 5;
+      d.ph = round(clamp(d.ph + (action === 'ph_up' ? 1 : -1) * 0.06 * ml, 3.5, 8.5), 2);
+      break;
+    }
+    case 'light_on':
+      state.lightOn = true;
+      if (params.level !== undefined) state.lightLevel = clamp(Number(params.level), 0, MAX_LIGHT_LEVEL);
+      d.light = state.lightLevel;
+      break;
+    case 'light_off':
+      state.lightOn = false;
+      d.light = ambientLight(new Date());
+      break;
+    default:
+      break;
+  }
+  slot.actuators = { lightOn: state.lightOn, lightLevel: state.lightLevel };
+}
+
+/**
+ * control()
+ *
+ * One pass of the slot controller: corrects every reading whose mode is 'Auto'.
+ * Doses are capped per tick, so faults like ph_crash can still outrun it.
+ */
+function control(device, slot, state, config, now) {
+  const d = slot.data;
+  const capacity = device.reservoirLitres;
+
+  if (config.waterMode === 'Auto' && d.water < capacity * WATER_REFILL_BELOW && !state.faults.has('empty_reservoir')) {
+    applyAction(device, slot, state, 'dispense_water', { litres: capacity * WATER_REFILL_TO - d.water });
+  }
+
+  if (config.phMode === 'Auto') {
+    const [phMin, phMax] = config.phRange;
+    const target = (phMin + phMax) / 2;
+    // 1 ml moves pH by 0.06 (see applyAction)
+    const ml = Math.min(Math.abs(d.ph - target) / 0.06, MAX_PH_DOSE_ML);
+    if (d.ph > phMax) applyAction(device, slot, state, 'ph_down', { ml });
+    else if (d.ph < phMin) applyAction(device, slot, state, 'ph_up', { ml });
+  }
+
+  if (config.TDSMode === 'Auto') {
+    const [tdsMin, tdsMax] = config.TDSRange;
+    if (d.tds < tdsMin) {
+      applyAction(device, slot, state, 'dispense_nutrients', { ml: MAX_NUTRIENT_DOSE_ML });
+    } else if (d.tds > tdsMax && d.water < capacity && !state.faults.has('empty_reservoir')) {
+      // Dilute with fresh water
+      applyAction(device, slot, state, 'dispense_water', { litres: Math.min(1, capacity - d.water) });
+    }
+  }
+
+  if (config.lightMode === 'Auto') {
+    const daytime = now.getHours() >= LIGHT_HOURS[0] && now.getHours() < LIGHT_HOURS[1];
+    if (daytime !== state.lightOn) applyAction(device, slot, state, daytime ? 'light_on' : 'light_off');
+  }
+}
+
+// Advance every planted, online slot of each connected unit and publish the result
+function tick() {
+  const now = new Date();
+  const hours = (TICK_MS / 3600000) * SPEED;
+  db.devices.forEach((device) => {
+    if (!getDeviceState(device.id).connected) return;
+    device.lastSeenAt = now.toISOString();
+    device.slots.forEach((slot) => {
+      if (!slot.hasPlant || !slot.data) return;
+      const state = getSlotState(device.id, slot.id);
+      if (state.faults.has('sensor_offline')) return;
+      const config = getSlotConfig(device.id, slot.id);
+      stepSlot(device, slot, state, config, hours, now);
+      control(device, slot, state, config, now);
+      camera.capture(device.id, slot, now.getTime());
+      broker.publishSlot(device.id, slot);
+      history.record(device.id, slot, now.getTime());
+    });
+  });
+}
+
+/**
+ * validateAction()
+ *
+ * Checks that `action` can run on the slot with `params`; resolves with the slot or throws
+ * HttpError (VALIDATION_ERROR for a light level outside 0–MAX_LIGHT_LEVEL, DEVICE_OFFLINE when
+ * the unit is disconnected).
+ */
+function validateAction(deviceId, slotId, action, params = {}) {
+  const device = findDevice(deviceId);
+  const slot = findSlot(device, slotId);
+  if (!(action in ACTION_DURATION_MS)) {
+    throw new HttpError(400, 'VALIDATION_ERROR', `Unknown action "${action}".`);
+  }
+  const level = params?.level;
+  if (action === 'light_on' && level !== undefined) {
+    if (typeof level !== 'number' || !Number.isFinite(level) || level < 0 || level > MAX_LIGHT_LEVEL) {
+      throw new HttpError(400, 'VALIDATION_ERROR', `Light level must be a number from 0 to ${MAX_LIGHT_LEVEL}.`);
+    }
+  }
+  if (!slot.hasPlant || !slot.data) {
+    throw new HttpError(400, 'VALIDATION_ERROR', `Slot ${slotId} has nothing planted.`);
+  }
+  requireOnline(device);
+  return slot;
+}
+
+/**
+ * actuate()
+ *
+ * Runs an actuator on one slot and resolves with the slot once the action completes.
+ * Throws HttpError VALIDATION_ERROR for unknown actions or empty slots, and
+ * RESERVOIR_EMPTY when water is requested from an empty reservoir.
+ *
+ * Actions and params:
+ * - dispense_water { litres = 1 }
+ * - dispense_nutrients { ml = 10 }
+ * - ph_up / ph_down { ml = 5 }
+ * - light_on { level } / light_off
+ */
+async function actuate(deviceId, slotId, action, params = {}) {
+  const slot = validateAction(deviceId, slotId, action, params);
+  const device = findDevice(deviceId);
+  const state = getSlotState(deviceId, slot.id);
+  if (action === 'dispense_water' && state.faults.has('empty_reservoir')) {
+    throw new HttpError(409, 'RESERVOIR_EMPTY', 'The water reservoir is empty. Refill it and try again.');
+  }
+
+  await new Promise((resolve) => setTimeout(resolve, ACTION_DURATION_MS[action]));
+
+  applyAction(device, slot, state, action, params);
+  slot.updatedAt = new Date().toISOString();
+  broker.publishSlot(deviceId, slot);
+  return slot;
+}
+
+/**
+ * backfill()
+ *
+ * Replays a slot from `plantedAt` to `until` (default now) at BACKFILL_STEP_MS resolution,
+ * recording readings into the history store and taking Smart Cam photos (except during
+ * `outages`, BACKFILL_OUTAGES by default).
+ * The slot ends up with the replay's final readings.
+ */
+function backfill(device, slot, state, { outages: outageWindows = BACKFILL_OUTAGES, until = Date.now() } = {}) {
+  const now = until;
+  const start = Date.parse(slot.plantedAt);
+  if (Number.isNaN(start)) return;
+  const outages = outageWindows.map(([hoursAgo, hours]) => {
+    const begin = now - hoursAgo * 3600000;
+    return [begin, begin + hours * 3600000];
+  });
+  const config = getSlotConfig(device.id, slot.id);
+
+  for (let t = start; t <= now; t += BACKFILL_STEP_MS) {
+    const at = new Date(t);
+    stepSlot(device, slot, state, config, BACKFILL_STEP_MS / 3600000, at);
+    control(device, slot, state, config, at);
+    if (outages.some(([begin, end]) => t >= begin && t < end)) continue;
+    history.record(device.id, slot, t);
+    camera.capture(device.id, slot, t);
+  }
+}
+
+/**
+ * startSlot()
+ *
+ * Brings a newly planted slot online: fresh readings, grow light on, and its crop cycle
+ * since `plantedAt` replayed into history (without outages). Publishes the slot.
+ */
+function startSlot(deviceId, slot) {
+  const device = findDevice(deviceId);
+  const state = getSlotState(deviceId, slot.id);
+  const now = new Date();
+  state.faults.clear();
+  state.lightOn = true;
+  slot.data = {
+    ...FRESH_READINGS,
+    temp: round(ambientTemp(now), 1),
+    water: round(device.reservoirLitres * WATER_REFILL_TO, 2),
+    imageUri: null,
+    photoTakenAt: null,
+  };
+  slot.actuators = { lightOn: state.lightOn, lightLevel: state.lightLevel };
+  backfill(device, slot, state, { outages: [] });
+  slot.updatedAt = now.toISOString();
+  broker.publishSlot(deviceId, slot);
+  return slot;
+}
+
+/**
+ * stopSlot()
+ *
+ * Takes a slot offline when its crop ends: clears the crop record, readings, faults,
+ * history and photos, switches the grow light off and publishes the now-empty slot.
+ */
+function stopSlot(deviceId, slot) {
+  const state = getSlotState(deviceId, slot.id);
+  state.faults.clear();
+  state.lightOn = false;
+  Object.assign(slot, {
+    hasPlant: false,
+    variety: null,
+    plantedAt: null,
+    startType: null,
+    data: null,
+    actuators: { lightOn: state.lightOn, lightLevel: state.lightLevel },
+    updatedAt: null,
+    optimizedAt: null,
+  });
+  history.clear(deviceId, slot.id);
+  camera.clear(deviceId, slot.id);
+  broker.publishSlot(deviceId, slot);
+  return slot;
+}
+
+/**
+ * checkSensors()
+ *
+ * Runs a unit's sensor self-test, as done when it is set up: resolves after SENSOR_CHECK_MS
+ * with `[{ sensor, ok, value, message }]` for each of SENSORS. A fresh unit reads room air
+ * and tap water; sensors broken from the dev routes do not respond. Throws DEVICE_OFFLINE
+ * when the unit is disconnected.
+ */
+async function checkSensors(deviceId) {
+  const device = findDevice(deviceId);
+  requireOnline(device);
+  await new Promise((resolve) => setTimeout(resolve, SENSOR_CHECK_MS));
+  requireOnline(device);
+
+  const now = new Date();
+  const readings = {
+    temp: round(ambientTemp(now) + noise(0.2), 1),
+    humidity: round(55 + noise(3), 0),
+    ph: round(7.2 + noise(0.1), 2),
+    tds: round(180 + noise(10), 0),
+    water: round(device.reservoirLitres * 0.9 + noise(0.1), 1),
+    light: round(ambientLight(now) + noise(0.05), 1),
+    camera: null,
+  };
+  const { brokenSensors } = getDeviceState(deviceId);
+  return SENSORS.map((sensor) =>
+    brokenSensors.has(sensor)
+      ? { sensor, ok: false, value: null, message: 'No response. Check that the sensor is plugged in.' }
+      : { sensor, ok: true, value: readings[sensor], message: null }
+  );
+}
+
+// ── Probe calibration ───────────────────────────
+// A calibration turns a raw probe reading into the reported value: value = raw × slope + offset
+const toRaw = (calibration, value) => (value - calibration.offset) / calibration.slope;
+
+// Online unit and slot whose probe is being calibrated
+function calibrationTarget(deviceId, slotId) {
+  const device = findDevice(deviceId);
+  const slot = findSlot(device, slotId);
+  requireOnline(device);
+  return { device, slot, state: getSlotState(deviceId, slot.id) };
+}
+
+// Raw reading of the probe in its buffer at `now`, settling from where it started
+function bufferRaw(state, now) {
+  const { probe, buffer, startedAt, fromRaw } = state.calibrating;
+  const { gain, bias } = state.probes[probe];
+  const target = buffer * gain + bias;
+  const settled = target + (fromRaw - target) * Math.exp(-(now - startedAt) / PROBE_SETTLE_MS[probe]);
+  return settled + noise(PROBE_NOISE[probe]);
+}
+
+/**
+ * startBufferReading()
+ *
+ * The probe has been put in a buffer solution: its raw reading starts settling from where it
+ * was (the previous buffer, or the slot's nutrient solution) towards the buffer's value.
+ * Throws DEVICE_OFFLINE when the unit is disconnected.
+ */
+function startBufferReading(deviceId, slotId, probe, buffer) {
+  const { slot, state } = calibrationTarget(deviceId, slotId);
+  const now = Date.now();
+  let fromRaw;
+  if (state.calibrating?.probe === probe) fromRaw = bufferRaw(state, now);
+  else if (slot.data) fromRaw = toRaw(slot.calibration[probe], slot.data[probe]);
+  else fromRaw = 0;
+  state.calibrating = { probe, buffer, startedAt: now, fromRaw };
+  return { probe, buffer, startedAt: new Date(now).toISOString() };
+}
+
+/**
+ * readProbe()
+ *
+ * Raw reading of a probe sitting in a buffer: `{ raw, at }`. Throws CALIBRATION_NOT_STARTED
+ * unless startBufferReading was called for it, and DEVICE_OFFLINE when the unit is disconnected.
+ */
+function readProbe(deviceId, slotId, probe) {
+  const { state } = calibrationTarget(deviceId, slotId);
+  if (state.calibrating?.probe !== probe) {
+    throw new HttpError(409, 'CALIBRATION_NOT_STARTED', 'Put the probe in a buffer solution first.');
+  }
+  const now = Date.now();
+  return { raw: round(bufferRaw(state, now), PROBE_DECIMALS[probe]), at: new Date(now).toISOString() };
+}
+
+// The probe is back in the slot's nutrient solution
+function stopBufferReading(deviceId, slotId) {
+  const { state } = calibrationTarget(deviceId, slotId);
+  state.calibrating = null;
+}
+
+/**
+ * calibrate()
+ *
+ * Saves a probe's new `{ slope, offset, points }` on the slot, re-reads the slot's current
+ * value with it and publishes the slot. Throws DEVICE_OFFLINE when the unit is disconnected.
+ */
+function calibrate(deviceId, slotId, probe, { slope, offset, points }) {
+  const { slot, state } = calibrationTarget(deviceId, slotId);
+  const previous = slot.calibration[probe];
+  if (slot.data) {
+    const raw = toRaw(previous, slot.data[probe]);
+    slot.data = { ...slot.data, [probe]: round(raw * slope + offset, READING_DECIMALS[probe]) };
+    slot.updatedAt = new Date().toISOString();
+  }
+  slot.calibration = {
+    ...slot.calibration,
+    [probe]: { ...previous, slope, offset, points, calibratedAt: new Date().toISOString() },
+  };
+  state.calibrating = null;
+  broker.publishSlot(deviceId, slot);
+  return slot;
+}
+
+// Snapshot of a device for the dev routes
+function describeDevice(device) {
+  const deviceState = getDeviceState(device.id);
+  return {
+    id: device.id,
+    serial: device.serial,
+    pairingCode: device.pairingCode,
+    pairingUri: pairingUri(device),
+    ownerId: device.ownerId,
+    online: deviceState.connected,
+    brokenSensors: [...deviceState.brokenSensors],
+    lastSeenAt: device.lastSeenAt,
+    slots: device.slots.map((slot) => {
+      const state = getSlotState(device.id, slot.id);
+      return {
+        ...slot,
+        simulator: {
+          lightOn: state.lightOn,
+          lightLevel: state.lightLevel,
+          faults: [...state.faults],
+          probes: state.probes,
+          calibrating: state.calibrating,
+        },
+      };
+    }),
+  };
+}
+
+function setFault(deviceId, slotId, fault, active) {
+  if (!FAULTS.includes(fault)) {
+    throw new HttpError(400, 'VALIDATION_ERROR', `Unknown fault "${fault}". Use one of: ${FAULTS.join(', ')}.`);
+  }
+  const device = findDevice(deviceId);
+  const slot = findSlot(device, slotId);
+  const state = getSlotState(deviceId, slot.id);
+  if (active) state.faults.add(fault);
+  else state.faults.delete(fault);
+  return describeDevice(device);
+}
+
+// Connect or disconnect a unit; a reconnected unit reports again from the next tick
+function setConnection(deviceId, online) {
+  if (typeof online !== 'boolean') {
+    throw new HttpError(400, 'VALIDATION_ERROR', 'online must be true or false.');
+  }
+  const device = findDevice(deviceId);
+  getDeviceState(deviceId).connected = online;
+  return describeDevice(device);
+}
+
+// Break or repair one of a unit's sensors (seen by its next self-test)
+function setSensorFault(deviceId, sensor, broken) {
+  if (!SENSORS.includes(sensor)) {
+    throw new HttpError(400, 'VALIDATION_ERROR', `Unknown sensor "${sensor}". Use one of: ${SENSORS.join(', ')}.`);
+  }
+  const device = findDevice(deviceId);
+  const { brokenSensors } = getDeviceState(deviceId);
+  if (broken) brokenSensors.add(sensor);
+  else brokenSensors.delete(sensor);
+  return describeDevice(device);
+}
+
+/**
+ * manufactureDevice()
+ *
+ * Adds a factory-fresh, connected unit with `slotCount` empty slots, waiting to be paired.
+ * Its serial number and pairing code are random, as printed on a real unit's label.
+ */
+function manufactureDevice({ slotCount = 3, model } = {}) {
+  const count = Number(slotCount);
+  if (!Number.isInteger(count) || count < 1 || count > MAX_SLOTS) {
+    throw new HttpError(400, 'VALIDATION_ERROR', `slotCount must be a whole number from 1 to ${MAX_SLOTS}.`);
+  }
+  let number = db.devices.size + 1;
+  while (db.devices.has(`greensync-${number}`)) number += 1;
+  const name = model || MODEL_NAMES[count] || `GreenSync ${count}`;
+  const serial = [
+    `GS${count}`,
+    crypto.randomBytes(2).toString('hex').toUpperCase(),
+    String(crypto.randomInt(10000)).padStart(4, '0'),
+  ].join('-');
+  const device = createDevice({
+    id: `greensync-${number}`,
+    serial,
+    pairingCode: String(crypto.randomInt(1000000)).padStart(6, '0'),
+    name,
+    model: name,
+    slotCount: count,
+  });
+  return reply(201, describeDevice(device));
+}
+
+function mount(router) {
+  // Units that have not reported recently start disconnected. Planted slots start with
+  // the grow light on, then replay their crop cycle up to when their unit last reported.
+  const now = Date.now();
+  db.devices.forEach((device) => {
+    const lastSeen = Date.parse(device.lastSeenAt);
+    const connected = Number.isNaN(lastSeen) || now - lastSeen <= OFFLINE_AFTER_MS;
+    getDeviceState(device.id).connected = connected;
+    device.slots.forEach((slot) => {
+      if (!slot.hasPlant) return;
+      const state = getSlotState(device.id, slot.id);
+      state.lightOn = true;
+      slot.actuators = { lightOn: state.lightOn, lightLevel: state.lightLevel };
+      backfill(device, slot, state, { until: connected ? now : lastSeen });
+    });
+  });
+  setInterval(tick, TICK_MS).unref();
+
+  router.post('/sim/devices', ({ body = {} }) => manufactureDevice(body));
+
+  router.get('/sim/devices/:deviceId', ({ params }) => describeDevice(findDevice(params.deviceId)));
+
+  router.post('/sim/devices/:deviceId/connection', ({ params, body = {} }) =>
+    setConnection(params.deviceId, body.online)
+  );
+
+  router.post('/sim/devices/:deviceId/slots/:slotId/actuate', ({ params, body = {} }) =>
+    actuate(params.deviceId, params.slotId, body.action, body.params)
+  );
+
+  router.post('/sim/devices/:deviceId/slots/:slotId/faults', ({ params, body = {} }) =>
+    setFault(params.deviceId, params.slotId, body.fault, true)
+  );
+
+  router.delete('/sim/devices/:deviceId/slots/:slotId/faults/:fault', ({ params }) =>
+    setFault(params.deviceId, params.slotId, params.fault, false)
+  );
+
+  router.post('/sim/devices/:deviceId/sensor-faults', ({ params, body = {} }) =>
+    setSensorFault(params.deviceId, body.sensor, true)
+  );
+
+  router.delete('/sim/devices/:deviceId/sensor-faults/:sensor', ({ params }) =>
+    setSensorFault(params.deviceId, params.sensor, false)
+  );
+}
+
+module.exports = {
+  mount,
+  actuate,
+  validateAction,
+  requireOnline,
+  checkSensors,
+  startBufferReading,
+  readProbe,
+  stopBufferReading,
+  calibrate,
+  setFault,
+  setConnection,
+  startSlot,
+  stopSlot,
+  FAULTS,
+  ACTION_DURATION_MS,
+};
@@ -0,0 +1,104 @@
+/**
+ * slotConfig.js
+ *
+ * Per-slot control configuration for the GreenSync mock server (all require a bearer token).
+ * - GET   /devices/:deviceId/slots/:slotId/config → the slot's config | NOT_FOUND
+ * - PATCH /devices/:deviceId/slots/:slotId/config → update some keys  | VALIDATION_ERROR
+ *
+ * A config is `{ waterMode, phMode, TDSMode, lightMode, phRange, TDSRange, humidityPref }`:
+ * - *Mode: 'Auto' (the controller manages it) or 'Manual' (only user commands change it)
+ * - phRange / TDSRange: `[min, max]` targets the controller holds the slot within
+ * - humidityPref: 'Low' | 'Medium' | 'High' humidity target
+ *
+ * The device simulator reads these on every tick (see simulator.js).
+ */
+
+const { HttpError } = require('./http');
+const { db } = require('./db');
+const { requireUser } = require('./auth');
+const { findDevice, findSlot } = require('./telemetry');
+
+const CONTROL_MODES = ['Auto', 'Manual'];
+const HUMIDITY_PREFS = ['Low', 'Medium', 'High'];
+
+// Allowed bounds for each target range
+const RANGE_LIMITS = {
+  phRange: [3.5, 8.5],
+  TDSRange: [0, 5000],
+};
+
+const DEFAULT_CONFIG = {
+  waterMode: 'Auto',
+  phMode: 'Auto',
+  TDSMode: 'Auto',
+  lightMode: 'Auto',
+  phRange: [5.5, 6.0],
+  TDSRange: [560, 840],
+  humidityPref: 'Medium',
+};
+
+/**
+ * getSlotConfig()
+ *
+ * Config for one slot, created with the defaults on first use.
+ */
+function getSlotConfig(deviceId, slotId) {
+  const key = `${deviceId}:${slotId}`;
+  if (!db.slotConfigs.has(key)) {
+    db.slotConfigs.set(key, { ...DEFAULT_CONFIG });
+  }
+  return db.slotConfigs.get(key);
+}
+
+// Checks a PATCH body; returns only the recognised keys
+function validateChanges(body) {
+  const changes = {};
+  ['waterMode', 'phMode', 'TDSMode', 'lightMode'].forEach((key) => {
+    if (body[key] === undefined) return;
+    if (!CONTROL_MODES.includes(body[key])) {
+      throw new HttpError(400, 'VALIDATION_ERROR', `${key} must be one of: ${CONTROL_MODES.join(', ')}.`);
+    }
+    changes[key] = body[key];
+  });
+
+  Object.entries(RANGE_LIMITS).forEach(([key, [lower, upper]]) => {
+    if (body[key] === undefined) return;
+    const range = body[key];
+    const valid =
+      Array.isArray(range) &&
+      range.length === 2 &&
+      range.every((v) => typeof v === 'number' && Number.isFinite(v)) &&
+      range[0] < range[1] &&
+      range[0] >= lower &&
+      range[1] <= upper;
+    if (!valid) {
+      throw new HttpError(400, 'VALIDATION_ERROR', `${key} must be [min, max] with ${lower} ≤ min < max ≤ ${upper}.`);
+    }
+    changes[key] = [range[0], range[1]];
+  });
+
+  if (body.humidityPref !== undefined) {
+    if (!HUMIDITY_PREFS.includes(body.humidityPref)) {
+      throw new HttpError(400, 'VALIDATION_ERROR', `humidityPref must be one of: ${HUMIDITY_PREFS.join(', ')}.`);
+    }
+    changes.humidityPref = body.humidityPref;
+  }
+  return changes;
+}
+
+function mount(router) {
+  router.get('/devices/:deviceId/slots/:slotId/config', ({ headers, params }) => {
+    const user = requireUser(headers);
+    const slot = findSlot(findDevice(params.deviceId, user), params.slotId);
+    return getSlotConfig(params.deviceId, slot.id);
+  });
+
+  router.patch('/devices/:deviceId/slots/:slotId/config', ({ headers, params, body = {} }) => {
+    const user = requireUser(headers);
+    const slot = findSlot(findDevice(params.deviceId, user), params.slotId);
+    const changes = validateChanges(body);
+    return Object.assign(getSlotConfig(params.deviceId, slot.id), changes);
+  });
+}
+
+module.exports = { mount, getSlotConfig, DEFAULT_CONFIG };
@@ -0,0 +1,55 @@
+/**
+ * telemetry.js
+ *
+ * Sensor telemetry routes for the GreenSync mock server (all require a bearer token and
+ * only serve the caller's own units).
+ * - GET /devices/:deviceId/slots         → latest readings for every slot | NOT_FOUND
+ * - GET /devices/:deviceId/slots/:slotId → latest readings for one slot  | NOT_FOUND
+ *
+ * Each slot is `{ id, hasPlant, variety, plantedAt, startType, data, actuators, updatedAt, optimizedAt, calibration }`,
+ * where `calibration` holds its pH and TDS probe calibrations (calibration.js) and `data` is
+ * `{ temp, humidity, ph, tds, light, water, imageUri, photoTakenAt }`
+ * (°C, %, pH, ppm, 0–10 light level, L) or null for an empty slot, and `startType` is 'seed' or 'seedling'.
+ * `imageUri` is the path of the latest Smart Cam photo and `photoTakenAt` when it was taken (camera.js).
+ *
+ * Readings are produced by the device simulator (simulator.js), which also
+ * publishes them over the MQTT broker.
+ */
+
+const { HttpError } = require('./http');
+const { db } = require('./db');
+const { requireUser } = require('./auth');
+
+/**
+ * findDevice()
+ *
+ * Looks up a unit, throwing NOT_FOUND when it does not exist or (when `user` is given)
+ * belongs to another account, so other accounts' units are never revealed.
+ */
+function findDevice(deviceId, user) {
+  const device = db.devices.get(deviceId);
+  if (!device || (user && device.ownerId !== user.id)) {
+    throw new HttpError(404, 'NOT_FOUND', `No device with id "${deviceId}".`);
+  }
+  return device;
+}
+
+function findSlot(device, slotId) {
+  const slot = device.slots.find((s) => String(s.id) === String(slotId));
+  if (!slot) throw new HttpError(404, 'NOT_FOUND', `No slot ${slotId} on this device.`);
+  return slot;
+}
+
+function mount(router) {
+  router.get('/devices/:deviceId/slots', ({ headers, params }) => {
+    const user = requireUser(headers);
+    return findDevice(params.deviceId, user).slots;
+  });
+
+  router.get('/devices/:deviceId/slots/:slotId', ({ headers, params }) => {
+    const user = requireUser(headers);
+    return findSlot(findDevice(params.deviceId, user), params.slotId);
+  });
+}
+
+module.exports = { mount, findDevice, findSlot };
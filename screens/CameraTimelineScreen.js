@@ -0,0 +1,334 @@
+/**
+ * CameraTimelineScreen
+ *
+ * A slot's Smart Cam photos over time (useCaptures), opened from a slot's photo with a `slotId` param.
+ * - Range picker (24h, 7d, 30d, whole crop cycle); the server samples long ranges evenly
+ *   so the timeline always spans the whole range.
+ * - Scrub through the photos with the slider or step frame by frame; each frame shows when
+ *   it was taken and the crop's age.
+ * - Time-lapse player: downloads the frames first (prefetchCaptures, so playback doesn't
+ *   stall or refetch), then plays them at the chosen speed.
+ * - Loading, error (with retry) and no-photo states.
+ * - Adapts layout for web vs. native platforms.
+ */
+
+// Core React import
+import React, { useState, useEffect } from 'react';
+// React Native UI components and utilities
+import { View, Text, Image, StyleSheet, SafeAreaView, Pressable, ScrollView, ActivityIndicator, Platform } from 'react-native';
+// Slider for scrubbing through the photos
+import Slider from '@react-native-community/slider';
+// Icon library for vector icons
+import { Ionicons } from '@expo/vector-icons';
+// Mobile top navigation bar
+import TopNavbar from '../components/TopNavbar';
+// Web-only navigation components
+import WebNavbar from '../components/WebNavbar';
+import WebFooter from '../components/WebFooter';
+import useCaptures from '../hooks/useCaptures';
+import useFormatter from '../hooks/useFormatter';
+import { CAPTURE_RANGES, DEFAULT_CAPTURE_RANGE, captureImageUri, prefetchCaptures } from '../services/cameraClient';
+import { getAuthErrorMessage } from '../services/authClient';
+
+// Time each time-lapse frame is shown at 1× speed
+const FRAME_MS = 400;
+const SPEEDS = [1, 2, 4];
+
+export default function CameraTimelineScreen({ route }) {
+  const slotId = route.params?.slotId ?? null;
+  const [range, setRange] = useState(DEFAULT_CAPTURE_RANGE);
+  const { timeline, loading, error, reload } = useCaptures({ slotId, range });
+  const format = useFormatter();
+  const captures = timeline?.captures ?? [];
+  const isWeb = Platform.OS === 'web';
+
+  // ── Player state: shown frame, playback and download progress ──
+  const [index, setIndex] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [buffering, setBuffering] = useState(false);
+  const [speed, setSpeed] = useState(SPEEDS[0]);
+
+  // Start each new timeline on its latest photo
+  useEffect(() => {
+    setIndex(Math.max((timeline?.captures.length ?? 0) - 1, 0));
+    setPlaying(false);
+  }, [timeline]);
+
+  // Advance one frame at a time while playing; stop on the last one
+  useEffect(() => {
+    if (!playing) return undefined;
+    if (index >= captures.length - 1) {
+      setPlaying(false);
+      return undefined;
+    }
+    const timer = setTimeout(() => setIndex(index + 1), FRAME_MS / speed);
+    return () => clearTimeout(timer);
+  }, [playing, index, speed, captures.length]);
+
+  /**
+   * handlePlay()
+   *
+   * 1. Pause if already playing.
+   * 2. Rewind to the first frame when the last one is showing.
+   * 3. Download every frame, then start playing.
+   */
+  const handlePlay = async () => {
+    if (playing) {
+      setPlaying(false);
+      return;
+    }
+    if (index >= captures.length - 1) setIndex(0);
+    setBuffering(true);
+    await prefetchCaptures(captures);
+    setBuffering(false);
+    setPlaying(true);
+  };
+
+  const step = (delta) => {
+    setPlaying(false);
+    setIndex((i) => Math.min(Math.max(i + delta, 0), captures.length - 1));
+  };
+
+  const frame = captures[index];
+
+  let player;
+  if (error) {
+    player = (
+      <Pressable onPress={reload} style={styles.placeholder}>
+        <Text style={styles.errorText}>{getAuthErrorMessage(error)} Tap to retry.</Text>
+      </Pressable>
+    );
+  } else if (!timeline) {
+    player = (
+      <View style={styles.placeholder}>
+        <ActivityIndicator color="#4CAF50" />
+      </View>
+    );
+  } else if (!frame) {
+    player = (
+      <View style={styles.placeholder}>
+        <Ionicons name="camera-outline" size={40} color="#bbb" />
+        <Text style={styles.mutedText}>No photos in this period. The camera shoots every 15 minutes while the grow light is on.</Text>
+      </View>
+    );
+  } else {
+    player = (
+      <>
+        {/* Current frame with when it was taken */}
+        <View style={[styles.frame, isWeb && { height: 360 }]}>
+          <Image source={{ uri: captureImageUri(frame.imageUrl) }} style={styles.image} resizeMode="cover" />
+          <View style={styles.stamp}>
+            <Text style={styles.stampText}>
+              {format.dateTime(frame.takenAt)} · Day {frame.day}
+            </Text>
+          </View>
+          {loading && <ActivityIndicator color="#fff" style={styles.frameSpinner} />}
+        </View>
+
+        {/* Scrubber */}
+        <Slider
+          style={styles.slider}
+          minimumValue={0}
+          maximumValue={Math.max(captures.length - 1, 1)}
+          step={1}
+          value={index}
+          disabled={captures.length < 2}
+          onValueChange={(value) => {
+            setPlaying(false);
+            setIndex(Math.round(value));
+          }}
+          minimumTrackTintColor="#4CAF50"
+          maximumTrackTintColor="#ddd"
+          thumbTintColor="#4CAF50"
+        />
+        <View style={styles.scrubLabels}>
+          <Text style={styles.mutedText}>{format.dateTime(captures[0].takenAt)}</Text>
+          <Text style={styles.mutedText}>
+            {index + 1} / {captures.length}
+            {timeline.total > captures.length ? ` (of ${timeline.total} photos)` : ''}
+          </Text>
+          <Text style={styles.mutedText}>{format.dateTime(captures[captures.length - 1].takenAt)}</Text>
+        </View>
+
+        {/* Step and time-lapse controls */}
+        <View style={styles.controls}>
+          <Pressable onPress={() => step(-1)} disabled={index === 0} hitSlop={8} accessibilityLabel="Previous photo">
+            <Ionicons name="play-skip-back" size={24} color={index === 0 ? '#ccc' : '#333'} />
+          </Pressable>
+          <Pressable
+            onPress={handlePlay}
+            disabled={buffering || captures.length < 2}
+            style={styles.playButton}
+            accessibilityLabel={playing ? 'Pause time-lapse' : 'Play time-lapse'}
+          >
+            {buffering ? (
+              <ActivityIndicator color="#fff" size="small" />
+            ) : (
+              <Ionicons name={playing ? 'pause' : 'play'} size={26} color="#fff" />
+            )}
+          </Pressable>
+          <Pressable
+            onPress={() => step(1)}
+            disabled={index >= captures.length - 1}
+            hitSlop={8}
+            accessibilityLabel="Next photo"
+          >
+            <Ionicons name="play-skip-forward" size={24} color={index >= captures.length - 1 ? '#ccc' : '#333'} />
+          </Pressable>
+        </View>
+        <View style={styles.chips}>
+          {SPEEDS.map((value) => (
+            <Pressable key={value} onPress={() => setSpeed(value)} style={[styles.chip, speed === value && styles.chipSelected]}>
+              <Text style={[styles.chipText, speed === value && styles.chipTextSelected]}>{value}×</Text>
+            </Pressable>
+          ))}
+        </View>
+        {buffering && <Text style={styles.mutedText}>Loading {captures.length} frames…</Text>}
+      </>
+    );
+  }
+
+  const content = (
+    <View style={[styles.content, isWeb && { marginHorizontal: 40, maxWidth: 720 }]}>
+      <Text style={[styles.header, isWeb && { fontSize: 42 }]}>Slot {slotId} Photos</Text>
+
+      {/* Range picker */}
+      <View style={styles.chips}>
+        {CAPTURE_RANGES.map(({ key, label }) => (
+          <Pressable key={key} onPress={() => setRange(key)} style={[styles.chip, range === key && styles.chipSelected]}>
+            <Text style={[styles.chipText, range === key && styles.chipTextSelected]}>{label}</Text>
+          </Pressable>
+        ))}
+      </View>
+
+      {player}
+    </View>
+  );
+
+  // Root safe-area view to avoid notches/status bars
+  return (
+    <SafeAreaView style={styles.container}>
+      {/* Mobile top navigation bar */}
+      <TopNavbar />
+      {/* Web navigation bar (only on web) */}
+      {isWeb && <WebNavbar />}
+      <ScrollView contentContainerStyle={{ flexGrow: 1 }}>
+        {content}
+        {isWeb && <WebFooter />}
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+// ── Styles: range chips, photo frame, scrubber and player controls ──
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+  },
+  content: {
+    flex: 1,
+    paddingHorizontal: Platform.OS === 'web' ? 0 : 20,
+    paddingBottom: 24,
+  },
+  header: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    marginVertical: 16,
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    gap: 8,
+    marginBottom: 12,
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: '#4CAF50',
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+  },
+  chipSelected: {
+    backgroundColor: '#4CAF50',
+  },
+  chipText: {
+    fontSize: 14,
+    color: '#333',
+  },
+  chipTextSelected: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+  placeholder: {
+    height: 220,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingHorizontal: 24,
+    gap: 8,
+  },
+  frame: {
+    width: '100%',
+    height: 200,
+    borderRadius: 12,
+    overflow: 'hidden',
+    backgroundColor: '#f7f7f7',
+  },
+  image: {
+    width: '100%',
+    height: '100%',
+  },
+  stamp: {
+    position: 'absolute',
+    bottom: 8,
+    left: 8,
+    backgroundColor: 'rgba(0,0,0,0.5)',
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    borderRadius: 4,
+  },
+  stampText: {
+    color: '#fff',
+    fontSize: 12,
+  },
+  frameSpinner: {
+    position: 'absolute',
+    top: 8,
+    right: 8,
+  },
+  slider: {
+    width: '100%',
+    height: 40,
+    marginTop: 8,
+  },
+  scrubLabels: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 12,
+  },
+  controls: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    gap: 28,
+    marginBottom: 12,
+  },
+  playButton: {
+    width: 52,
+    height: 52,
+    borderRadius: 26,
+    backgroundColor: '#4CAF50',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  mutedText: {
+    fontSize: 12,
+    color: '#777',
+    textAlign: 'center',
+  },
+  errorText: {
+    color: '#b71c1c',
+    textAlign: 'center',
+  },
+});
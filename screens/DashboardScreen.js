@@ -2,29 +2,83 @@
  * DashboardScreen
  *
  * Displays the main dashboard showing hydroponic slots and status.
- * - Reads `username` from navigation params or defaults to 'Guest'.
- * - Defines mock `slots` data for demonstration.
+ * - Greets the signed-in user via the navbars (which read the account store).
+ * - Shows the active GreenSync unit (picked in the navbar, see DeviceContext.js) with its
+ *   online/offline status; the slot grid is sized from the unit's slot count, and an
+ *   account without units says so instead, with a link to pair one (PairDeviceScreen).
+ * - Reads live slot readings from the telemetry layer (useTelemetry).
+ * - Shows loading, error and stale-reading states above the slots. Offline, the last known
+ *   unit list and readings (offline cache) stay on screen with when they were last updated,
+ *   and changes waiting in the replay queue, or needing a decision, are listed (OutboxStatus).
+ * - Each planted slot's health line comes from the alert rules (useAlerts), which check
+ *   every reading against the targets for the planted variety; below it, a line lists what
+ *   the plant health model spotted in the latest Smart Cam photo.
  * - Renders different navbars based on platform.
- * - Lists each slot with plant info or add option.
+ * - Readings are shown in the account's units and locale (useFormatter).
+ * - Lists each slot with plant info or add option; planted slots show their crop's
+ *   variety, age, growth stage and days to harvest (cropLifecycle.js), and their latest
+ *   Smart Cam photo, which opens the slot's photo timeline.
  */
 
 import React, { useState } from 'react';
-import { View, Text, StyleSheet, SafeAreaView, TouchableOpacity, ScrollView, Image, Platform } from 'react-native';
+import { View, Text, StyleSheet, SafeAreaView, TouchableOpacity, ScrollView, Platform } from 'react-native';
 import TopNavbar from '../components/TopNavbar';
 import WebNavbar from '../components/WebNavbar';
 import WebFooter from '../components/WebFooter';
+import TelemetryStatus from '../components/TelemetryStatus';
+import OutboxStatus from '../components/OutboxStatus';
+import SmartCamImage from '../components/SmartCamImage';
+import HealthAssessment from '../components/HealthAssessment';
 import { Ionicons } from '@expo/vector-icons';
+import { useDevices } from '../DeviceContext';
+import useTelemetry from '../hooks/useTelemetry';
+import useAlerts from '../hooks/useAlerts';
+import useFormatter from '../hooks/useFormatter';
+import { SEVERITY } from '../services/alerts';
+import { getCropProgress } from '../services/cropLifecycle';
+import { DEVICE_STATUS, describeDeviceStatus } from '../services/deviceClient';
+import { getAuthErrorMessage } from '../services/authClient';
+import { formatTimeAgo } from '../utils/time';
 
-export default function DashboardScreen({ route, navigation }) {
-  // Retrieve username passed from previous screen, fallback to 'Guest'
-  const username = route?.params?.username || 'Guest';
+// "Romaine · Day 25 · Vegetative · 41 days to harvest"
+function describeCrop(slot) {
+  const progress = getCropProgress(slot);
+  if (!progress) return slot.variety;
+  const status = progress.overdue
+    ? 'Harvest overdue'
+    : progress.ready
+      ? 'Ready to harvest'
+      : `${progress.stage.label} · ${progress.daysToHarvest} days to harvest`;
+  return `${progress.variety.name} · Day ${progress.day} · ${status}`;
+}
 
-  // Mock data: array of slot objects with id, plant status, and environmental readings
-  const slots = [
-    { id: 1, hasPlant: true, data: { temp: 22.5, humidity: 65, ph: 6.3, imageUri: null } },
-    { id: 2, hasPlant: false },
-    { id: 3, hasPlant: false },
-  ];
+// Cards per row on web: up to three, balanced so the last row is not left nearly empty
+function gridColumns(slotCount) {
+  if (slotCount <= 3) return Math.max(slotCount, 1);
+  return Math.ceil(slotCount / Math.ceil(slotCount / 3));
+}
+
+export default function DashboardScreen({ route, navigation }) {
+  // The unit being shown (null while loading, or when the account has none)
+  const {
+    activeDevice,
+    loading: devicesLoading,
+    error: devicesError,
+    cachedAt: devicesCachedAt,
+    reload: reloadDevices,
+  } = useDevices();
+  // Live slot readings: array of { id, hasPlant, data, updatedAt }
+  const { slots, loading, error, stale, lastUpdated, refresh } = useTelemetry();
+  // One card per slot on the unit; slots without readings yet are shown as waiting
+  const slotCount = activeDevice?.slotCount ?? 0;
+  const gridSlots = Array.from(
+    { length: slotCount },
+    (_, i) => slots.find((slot) => slot.id === i + 1) ?? { id: i + 1, hasPlant: false, waiting: true }
+  );
+  const columns = gridColumns(slotCount);
+  // Out-of-range readings per slot, judged against each variety's targets
+  const { alertsForSlot, severityForSlot } = useAlerts({ slots });
+  const format = useFormatter();
 
   // Flag to determine if running in web environment
   const isWeb = Platform.OS === 'web';
@@ -32,7 +86,7 @@ export default function DashboardScreen({ route, navigation }) {
   return (
     <SafeAreaView style={styles.container}>
       {/* Show WebNavbar on web, TopNavbar on native platforms */}
-      {isWeb ? <WebNavbar username={username} /> : <TopNavbar username={username} />}
+      {isWeb ? <WebNavbar /> : <TopNavbar />}
       <ScrollView style={styles.content} contentContainerStyle={{ paddingBottom: 5, flexGrow: 1 }}>
         {/* Section header: dynamic text layout for web vs. mobile */}
         <Text style={[styles.header, Platform.OS === 'web' && { fontSize: 42, textAlign: 'left', marginLeft: 40 }]}>
@@ -40,14 +94,64 @@ export default function DashboardScreen({ route, navigation }) {
         </Text>
         {/* Subtitle explaining the dashboard functionality */}
         <Text style={[styles.dashboardDescription, Platform.OS === 'web' && { fontSize: 20, textAlign: 'left', marginLeft: 45, marginBottom: 40 }]}>Monitor the status of each hydroponic slot below.</Text>
-        {/* Container for slot cards; uses grid layout on web */}
+        {/* Active unit: name, model and online/offline status */}
+        {activeDevice && (
+          <View style={[styles.unitLine, isWeb && { marginLeft: 45 }]}>
+            <View
+              style={[
+                styles.unitDot,
+                { backgroundColor: activeDevice.status === DEVICE_STATUS.ONLINE ? '#4CAF50' : '#9e9e9e' },
+              ]}
+            />
+            <Text style={styles.unitText}>
+              {activeDevice.name} · {activeDevice.model} · {describeDeviceStatus(activeDevice)}
+              {/* Statuses from the offline cache are only as fresh as the cache */}
+              {devicesCachedAt ? ` (as of ${formatTimeAgo(devicesCachedAt)})` : ''}
+            </Text>
+          </View>
+        )}
+        {/* No units on the account, or the list could not be loaded */}
+        {!activeDevice && !devicesLoading && (
+          <View style={[styles.slot, isWeb && { marginHorizontal: 40 }]}>
+            {devicesError ? (
+              <TouchableOpacity onPress={reloadDevices}>
+                <Text style={styles.slotStatus}>
+                  Could not load your units: {getAuthErrorMessage(devicesError)} Tap to retry.
+                </Text>
+              </TouchableOpacity>
+            ) : (
+              <>
+                <Text style={styles.slotStatus}>No GreenSync units on this account yet.</Text>
+                <TouchableOpacity onPress={() => navigation.navigate('PairDevice')}>
+                  <Text style={styles.chooseText}>+ Add a GreenSync unit</Text>
+                </TouchableOpacity>
+              </>
+            )}
+          </View>
+        )}
+        {/* Loading / error / stale readings banner */}
+        {activeDevice && (
+          <View style={isWeb ? { marginHorizontal: 40 } : null}>
+            <TelemetryStatus
+              loading={loading}
+              error={error}
+              stale={stale}
+              lastUpdated={lastUpdated}
+              onRetry={refresh}
+            />
+            <OutboxStatus />
+          </View>
+        )}
+        {/* Container for slot cards; uses grid layout on web, sized from the unit's slot count */}
         <View style={isWeb ? styles.webSlotRow : null}>
           {/* Iterate over each slot and render its card */}
-          {slots.map((slot) => (
+          {gridSlots.map((slot) => (
             // Individual slot card: styled box with padding and shadow
-            <View key={slot.id} style={[styles.slot, isWeb && styles.webSlot]}>
+            <View key={slot.id} style={[styles.slot, isWeb && [styles.webSlot, { flexBasis: `${Math.floor(100 / columns) - 4}%` }]]}>
             {/* Display slot identifier */}
             <Text style={styles.slotTitle}>Slot #{slot.id}</Text>
+            {/* Crop record: variety, age, stage and time to harvest */}
+            {slot.hasPlant && <Text style={styles.cropLine}>{describeCrop(slot)}</Text>}
             {/* Health status card inserted here */}
             {slot.hasPlant && (
               <View style={{
@@ -62,7 +166,7 @@ export default function DashboardScreen({ route, navigation }) {
                 alignSelf: 'stretch',
                 marginBottom: 8,
               }}>
-                {slot.data.ph >= 5.5 && slot.data.ph <= 6.0 ? (
+                {!severityForSlot(slot.id) ? (
                   <>
                     <Ionicons name="checkmark-circle" size={22} color="#4CAF50" style={{ marginRight: 10 }} />
                     <Text style={{ color: "#222", fontWeight: 'bold', fontSize: 16 }}>
@@ -71,62 +175,40 @@ export default function DashboardScreen({ route, navigation }) {
                   </>
                 ) : (
                   <>
-                    <Ionicons name="warning" size={22} color="#e53935" style={{ marginRight: 10 }} />
-                    <Text style={{ color: "#b71c1c", fontWeight: 'bold', fontSize: 16 }}>
-                      Lettuce might need attention!
-                    </Text>
+                    <Ionicons
+                      name="warning"
+                      size={22}
+                      color={severityForSlot(slot.id) === SEVERITY.CRITICAL ? "#e53935" : "#f9a825"}
+                      style={{ marginRight: 10 }}
+                    />
+                    <View style={{ flex: 1 }}>
+                      <Text style={{ color: "#b71c1c", fontWeight: 'bold', fontSize: 16 }}>
+                        {severityForSlot(slot.id) === SEVERITY.CRITICAL
+                          ? 'Lettuce needs attention now!'
+                          : 'Lettuce might need attention!'}
+                      </Text>
+                      {/* Which readings are out of range, most urgent first */}
+                      <Text style={{ color: "#555", fontSize: 13, marginTop: 2 }}>
+                        {alertsForSlot(slot.id)
+                          .map((alert) => `${alert.label} too ${alert.direction}`)
+                          .join(' · ')}
+                      </Text>
+                    </View>
                   </>
                 )}
               </View>
             )}
+            {/* What the plant health model saw in the latest photo */}
+            {slot.hasPlant && <HealthAssessment slot={slot} compact />}
             {/* If a plant exists in this slot, show image and metrics */}
             {slot.hasPlant ? (
               <>
-                {/* Image container: shows plant photo or placeholder with overlay */}
-                <View style={{
-                  width: '100%',
-                  height: 150,
-                  borderRadius: 12,
-                  marginBottom: 12,
-                  backgroundColor: '#f7f7f7',
-                  overflow: 'hidden',
-                  alignItems: 'center',
-                  justifyContent: 'center'
-                }}>
-                  {slot.data.imageUri ? (
-                    <Image
-                      source={{ uri: slot.data.imageUri }}
-                      style={{ width: '100%', height: '100%' }}
-                      resizeMode="cover"
-                    />
-                  ) : (
-                    <>
-                      <Image
-                        source={{ uri: 'https://via.placeholder.com/300x150' }}
-                        style={{ width: '100%', height: '100%' }}
-                        resizeMode="cover"
-                      />
-                      <View style={{
-                        position: 'absolute',
-                        bottom: 8,
-                        left: 8,
-                        flexDirection: 'row',
-                        alignItems: 'center',
-                        backgroundColor: 'rgba(0,0,0,0.5)',
-                        paddingHorizontal: 6,
-                        paddingVertical: 2,
-                        borderRadius: 4
-                      }}>
-                        <Ionicons name="camera-outline" size={12} color="#fff" />
-                        <Text style={{ color: '#fff', fontSize: 12, marginLeft: 4 }}>Smart Cam</Text>
-                      </View>
-                    </>
-                  )}
-                </View>
-                {/* Timestamp for when the plant photo was last captured */}
-                <Text style={{ fontSize: 10, fontStyle:'italic', color: '#555', marginBottom: 1, alignSelf: 'flex-end' }}>
-             Photo taken 5 minutes ago
-                </Text>
+                {/* Latest Smart Cam photo; tap for the slot's photo timeline */}
+                <SmartCamImage
+                  slot={slot}
+                  height={150}
+                  onPress={() => navigation.navigate('CameraTimeline', { slotId: slot.id })}
+                />
                 {/* Insight icon button */}
                 <TouchableOpacity
                   onPress={() => navigation.navigate('Insight', { slotId: slot.id })}
@@ -141,51 +223,54 @@ export default function DashboardScreen({ route, navigation }) {
                       <Ionicons name="thermometer-outline" size={18} color="#4CAF50" />
                       <Text style={[styles.blockLabel, { marginLeft: 6 }]}>Temperature</Text>
                     </View>
-                    <Text style={styles.blockValue}>{slot.data.temp}°C</Text>
+                    <Text style={styles.blockValue}>{format.value('temp', slot.data.temp)}</Text>
                   </View>
                   <View style={styles.blockCard}>
                     <View style={{ flexDirection: 'row', alignItems: 'center', marginBottom: 4 }}>
                       <Ionicons name="water-outline" size={18} color="#4CAF50" />
                       <Text style={[styles.blockLabel, { marginLeft: 6 }]}>Humidity</Text>
                     </View>
-                    <Text style={styles.blockValue}>{slot.data.humidity}%</Text>
+                    <Text style={styles.blockValue}>{format.value('humidity', slot.data.humidity)}</Text>
                   </View>
                   <View style={styles.blockCard}>
                     <View style={{ flexDirection: 'row', alignItems: 'center', marginBottom: 4 }}>
                       <Ionicons name="flask-outline" size={18} color="#4CAF50" />
                       <Text style={[styles.blockLabel, { marginLeft: 6 }]}>pH</Text>
                     </View>
-                    <Text style={styles.blockValue}>{slot.data.ph}</Text>
+                    <Text style={styles.blockValue}>{format.value('ph', slot.data.ph)}</Text>
                   </View>
                   <View style={styles.blockCard}>
                     <View style={{ flexDirection: 'row', alignItems: 'center', marginBottom: 4 }}>
                       <Ionicons name="speedometer-outline" size={18} color="#4CAF50" />
-                      <Text style={[styles.blockLabel, { marginLeft: 6 }]}>TDS</Text>
+                      <Text style={[styles.blockLabel, { marginLeft: 6 }]}>{format.label('tds')}</Text>
                     </View>
-                    <Text style={styles.blockValue}>846.69 ppm</Text>
+                    <Text style={styles.blockValue}>{format.value('tds', slot.data.tds)}</Text>
                   </View>
                   <View style={styles.blockCard}>
                     <View style={{ flexDirection: 'row', alignItems: 'center', marginBottom: 4 }}>
                       <Ionicons name="sunny-outline" size={18} color="#4CAF50" />
                       <Text style={[styles.blockLabel, { marginLeft: 6 }]}>Light</Text>
                     </View>
-                    <Text style={styles.blockValue}>2 lux</Text>
+                    <Text style={styles.blockValue}>{format.value('light', slot.data.light)}</Text>
                   </View>
                   <View style={styles.blockCard}>
                     <View style={{ flexDirection: 'row', alignItems: 'center', marginBottom: 4 }}>
                       <Ionicons name="water-sharp" size={18} color="#4CAF50" />
                       <Text style={[styles.blockLabel, { marginLeft: 6 }]}>Water</Text>
                     </View>
-                    <Text style={styles.blockValue}>6.5 L</Text>
+                    <Text style={styles.blockValue}>{format.value('water', slot.data.water)}</Text>
                   </View>
                 </View>
               </>
+            ) : slot.waiting ? (
+              // No readings from this slot yet
+              <Text style={styles.slotStatus}>Waiting for the unit…</Text>
             ) : (
               <>
                 {/* If no plant is present, show message and Add button */}
                 <Text style={styles.slotStatus}>No lettuce planted</Text>
                 {/* Button to navigate to Search screen for adding a plant */}
-                <TouchableOpacity onPress={() => navigation.navigate('Dashboard', { screen: 'Search' })}>
+                <TouchableOpacity onPress={() => navigation.navigate('Dashboard', { screen: 'Search', params: { slotId: slot.id } })}>
                   <Text style={styles.chooseText}>+ Add</Text>
                 </TouchableOpacity>
               </>
@@ -232,6 +317,11 @@ const styles = StyleSheet.create({
     elevation: 4,
     alignItems: 'flex-start',
   },
+  cropLine: {
+    fontSize: 13,
+    color: '#555',
+    marginBottom: 8,
+  },
   slotTitle: {
     fontSize: 20,
     fontWeight: '700',
@@ -318,6 +408,24 @@ const styles = StyleSheet.create({
     flexBasis: '30%',
     marginBottom: 20,
   },
+  unitLine: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginLeft: 20,
+    marginBottom: 16,
+  },
+  unitDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+  },
+  unitText: {
+    flexShrink: 1,
+    fontSize: 14,
+    color: '#333',
+    fontWeight: '600',
+  },
   footer: {
     width: '100%',
     paddingVertical: 16,
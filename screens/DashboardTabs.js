@@ -20,7 +20,6 @@ import { createNativeStackNavigator } from '@react-navigation/native-stack';
 // Import screens for each tab
 import DashboardScreen from './DashboardScreen';
 import SelectionScreen from './SelectionScreen';
-import NotificationsScreen from './InsightsScreen';
 import ProfileScreen from './ProfileScreen';
 import InsightScreen from './InsightsScreen';
 
@@ -80,8 +79,8 @@ export default function DashboardTabs() {
       <Tab.Screen name="Home" component={DashboardStackNavigator} />
       {/* Register the "Search" tab, rendering SelectionScreen component */}
       <Tab.Screen name="Search" component={SelectionScreen} />
-      {/* Register the "Insights" tab, rendering NotificationsScreen component */}
-      <Tab.Screen name="Insights" component={NotificationsScreen} />
+      {/* Register the "Insights" tab, rendering InsightScreen component */}
+      <Tab.Screen name="Insights" component={InsightScreen} />
       {/* Register the "Profile" tab, rendering ProfileScreen component */}
       <Tab.Screen name="Profile" component={ProfileScreen} />
     </Tab.Navigator>
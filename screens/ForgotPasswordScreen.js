@@ -0,0 +1,201 @@
+/**
+ * ForgotPasswordScreen
+ *
+ * First step of the password reset flow.
+ * - User enters the email address on their account.
+ * - Requests a reset code via authClient (the mock server logs it instead of emailing).
+ * - On success, navigates to ResetPassword with the email.
+ * - Shows validation and server errors inline.
+ * - Displays footer for web users.
+ */
+
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  Pressable,
+  ScrollView,
+  Platform,
+  ActivityIndicator,
+} from 'react-native';
+import { useNavigation } from '@react-navigation/native';
+import WebFooter from '../components/WebFooter';
+import { requestPasswordReset, getAuthErrorMessage } from '../services/authClient';
+
+// === SCREEN: ForgotPasswordScreen ===
+// Email form that requests a password reset code.
+export default function ForgotPasswordScreen() {
+  // Form state: email, inline error, and in-flight flag
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const navigation = useNavigation();
+
+  /**
+   * handleRequestCode()
+   *
+   * 1. Validate the email format.
+   * 2. Ask the backend to send a reset code; show any error inline.
+   * 3. On success, continue to ResetPassword with the email.
+   */
+  const handleRequestCode = async () => {
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(email)) {
+      setError('Please enter a valid email address.');
+      return;
+    }
+
+    setError('');
+    setSubmitting(true);
+    try {
+      await requestPasswordReset(email.trim());
+      navigation.navigate('ResetPassword', { email: email.trim() });
+    } catch (err) {
+      setError(getAuthErrorMessage(err));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // === RENDER: Forgot Password UI ===
+  return (
+    <View style={styles.container}>
+      <ScrollView contentContainerStyle={styles.scrollContent} keyboardShouldPersistTaps="handled">
+        <View style={styles.mainContent}>
+          {/* Title and subtitle */}
+          <Text style={styles.heading}>Forgot your password?</Text>
+          <Text style={styles.subheading}>
+            Enter the email on your account and we’ll send you a reset code.
+          </Text>
+
+          <View style={styles.formWrapper}>
+            {/* Email input */}
+            <Text style={styles.label}>Email address</Text>
+            <TextInput
+              placeholder="Enter your email"
+              style={styles.input}
+              value={email}
+              onChangeText={setEmail}
+              keyboardType="email-address"
+              autoCapitalize="none"
+            />
+
+            {/* Inline validation / server error */}
+            {error ? <Text style={styles.errorText}>{error}</Text> : null}
+
+            {/* Request code button */}
+            <Pressable
+              style={[styles.button, submitting && styles.buttonDisabled]}
+              onPress={handleRequestCode}
+              disabled={submitting}
+            >
+              {submitting ? (
+                <ActivityIndicator color="#fff" />
+              ) : (
+                <Text style={styles.buttonText}>Send reset code</Text>
+              )}
+            </Pressable>
+
+            {/* Already have a code / back to login links */}
+            <View style={styles.footerLinks}>
+              <Text
+                style={styles.link}
+                onPress={() => {
+                  if (email) navigation.navigate('ResetPassword', { email: email.trim() });
+                  else setError('Enter your email first, then continue with your code.');
+                }}
+              >
+                I already have a code
+              </Text>
+              <Text style={styles.link} onPress={() => navigation.navigate('Login')}>
+                Back to Login
+              </Text>
+            </View>
+          </View>
+        </View>
+      </ScrollView>
+      {/* Render WebFooter component only for web platform */}
+      {Platform.OS === 'web' && <WebFooter />}
+    </View>
+  );
+}
+
+// Styles
+const styles = StyleSheet.create({
+  // ── Layout Containers ───────────────────────────
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+  },
+  scrollContent: {
+    flexGrow: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: Platform.OS === 'web' ? 100 : 24,
+  },
+  mainContent: {
+    flexGrow: 1,
+    justifyContent: 'center',
+    alignItems: Platform.OS === 'web' ? 'center' : 'flex-start',
+    width: '100%',
+  },
+  // ── Form Elements ───────────────────────────────
+  formWrapper: {
+    width: Platform.OS === 'web' ? 400 : '100%',
+  },
+  heading: {
+    fontSize: Platform.OS === 'web' ? 42 : 28,
+    fontWeight: '700',
+    marginBottom: 8,
+    textAlign: Platform.OS === 'web' ? 'center' : 'left',
+  },
+  subheading: {
+    marginBottom: 24,
+    color: '#333',
+    fontSize: Platform.OS === 'web' ? 22 : 16,
+    textAlign: Platform.OS === 'web' ? 'center' : 'left',
+  },
+  label: {
+    fontWeight: '600',
+    marginTop: 16,
+    marginBottom: 4,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ccc',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 16,
+    width: Platform.OS === 'web' ? 400 : '100%',
+  },
+  errorText: {
+    color: '#b71c1c',
+    marginBottom: 12,
+  },
+  link: {
+    color: '#14AE5C',
+    textDecorationLine: 'underline',
+  },
+  // ── Button Styles ───────────────────────────────
+  button: {
+    backgroundColor: '#4CAF50',
+    padding: 14,
+    borderRadius: 12,
+    alignItems: 'center',
+    marginBottom: 24,
+  },
+  buttonDisabled: {
+    opacity: 0.7,
+  },
+  buttonText: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  footerLinks: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+});
@@ -0,0 +1,384 @@
+/**
+ * HarvestHistoryScreen
+ *
+ * Past crops from the harvest log (useHarvests).
+ * - Filter by slot (opening the screen with a `slotId` param starts on that slot).
+ * - "Compare varieties" table: crops grown, average cycle length, yield and quality
+ *   per variety, over the crops shown.
+ * - One card per crop, newest first: variety, outcome, dates and cycle length, yield and
+ *   quality rating, notes, and the average (min–max) of each reading over the cycle, in
+ *   the account's units (useFormatter).
+ * - Reloads whenever the screen comes into focus, so a crop just harvested shows up.
+ * - Adapts layout for web vs. native platforms.
+ */
+
+// Core React import
+import React, { useState, useEffect } from 'react';
+// React Native UI components and utilities
+import { View, Text, StyleSheet, SafeAreaView, Pressable, ScrollView, ActivityIndicator, Platform } from 'react-native';
+// Icon library for vector icons
+import { Ionicons } from '@expo/vector-icons';
+// Mobile top navigation bar
+import TopNavbar from '../components/TopNavbar';
+// Web-only navigation components
+import WebNavbar from '../components/WebNavbar';
+import WebFooter from '../components/WebFooter';
+import useHarvests from '../hooks/useHarvests';
+import useFormatter from '../hooks/useFormatter';
+import { compareVarieties, QUALITY_MAX } from '../services/harvestClient';
+import { CROP_OUTCOMES } from '../services/plantingClient';
+import { ALERT_METRICS } from '../services/alerts';
+import { getAuthErrorMessage } from '../services/authClient';
+
+// Slot ids arrive as numbers from the API and as strings from web links
+const sameSlot = (a, b) => String(a) === String(b);
+
+// "320 g", "1.2 kg"
+const formatGrams = (grams) => (grams >= 1000 ? `${Math.round(grams / 100) / 10} kg` : `${Math.round(grams)} g`);
+
+/**
+ * Stars component
+ *
+ * Read-only quality rating.
+ */
+function Stars({ value }) {
+  return (
+    <View style={{ flexDirection: 'row' }}>
+      {Array.from({ length: QUALITY_MAX }, (_, idx) => (
+        <Ionicons key={idx} name={idx < value ? 'star' : 'star-outline'} size={14} color="#F9A825" />
+      ))}
+    </View>
+  );
+}
+
+/**
+ * VarietyComparison component
+ *
+ * Per-variety totals for the crops shown.
+ */
+function VarietyComparison({ harvests }) {
+  const rows = compareVarieties(harvests);
+  const dash = (value, format = (v) => v) => (value == null ? '—' : format(value));
+  return (
+    <View style={styles.table}>
+      <View style={[styles.tableRow, styles.tableHead]}>
+        <Text style={[styles.tableCell, styles.varietyCell, styles.headText]}>Variety</Text>
+        <Text style={[styles.tableCell, styles.headText]}>Crops</Text>
+        <Text style={[styles.tableCell, styles.headText]}>Avg cycle</Text>
+        <Text style={[styles.tableCell, styles.headText]}>Avg yield</Text>
+        <Text style={[styles.tableCell, styles.headText]}>Quality</Text>
+      </View>
+      {rows.map((row) => (
+        <View key={row.variety} style={styles.tableRow}>
+          <Text style={[styles.tableCell, styles.varietyCell]}>{row.variety}</Text>
+          <Text style={styles.tableCell}>
+            {row.crops}
+            {row.failed ? ` (${row.failed} failed)` : ''}
+          </Text>
+          <Text style={styles.tableCell}>{dash(row.avgCycleDays, (d) => `${d} d`)}</Text>
+          <Text style={styles.tableCell}>{dash(row.avgYieldGrams, formatGrams)}</Text>
+          <Text style={styles.tableCell}>{dash(row.avgQuality, (q) => `${q} / ${QUALITY_MAX}`)}</Text>
+        </View>
+      ))}
+    </View>
+  );
+}
+
+/**
+ * HarvestCard component
+ *
+ * One past crop with its outcome, yield, notes and sensor summary.
+ */
+function HarvestCard({ harvest }) {
+  const format = useFormatter();
+  const harvested = harvest.outcome === CROP_OUTCOMES.HARVESTED;
+  return (
+    <View style={styles.card}>
+      <View style={styles.cardHeader}>
+        <Text style={styles.cardTitle}>{harvest.variety}</Text>
+        <View style={[styles.badge, { backgroundColor: harvested ? '#e8f5e9' : '#ffebee' }]}>
+          <Text style={[styles.badgeText, { color: harvested ? '#2e7d32' : '#b71c1c' }]}>
+            {harvested ? 'Harvested' : 'Failed'}
+          </Text>
+        </View>
+      </View>
+      <Text style={styles.meta}>
+        Slot {harvest.slotId} · {format.date(harvest.plantedAt)} – {format.date(harvest.endedAt)} ·{' '}
+        {harvest.cycleDays} days from {harvest.startType ?? 'seed'}
+      </Text>
+
+      {harvested && (
+        <View style={styles.yieldRow}>
+          <Text style={styles.yieldText}>{formatGrams(harvest.yieldGrams)}</Text>
+          <Stars value={harvest.quality} />
+        </View>
+      )}
+      {!!harvest.notes && <Text style={styles.notes}>{harvest.notes}</Text>}
+
+      {/* Average and range of each reading over the cycle */}
+      <View style={styles.summaryGrid}>
+        {Object.keys(ALERT_METRICS).map((metric) => {
+          const summary = harvest.sensorSummary?.[metric];
+          if (!summary || summary.avg == null) return null;
+          return (
+            <View key={metric} style={styles.summaryCell}>
+              <Text style={styles.summaryLabel}>{format.label(metric)}</Text>
+              <Text style={styles.summaryValue}>{format.value(metric, summary.avg)}</Text>
+              <Text style={styles.summaryRange}>{format.range(metric, summary.min, summary.max)}</Text>
+            </View>
+          );
+        })}
+      </View>
+    </View>
+  );
+}
+
+/**
+ * HarvestHistoryScreen component
+ *
+ * Props:
+ * - route.params.slotId: slot to show first (optional; every slot otherwise)
+ * - navigation: used to reload when the screen regains focus
+ */
+export default function HarvestHistoryScreen({ route, navigation }) {
+  const { harvests, loading, error, reload } = useHarvests();
+  const [slotFilter, setSlotFilter] = useState(route.params?.slotId ?? null);
+  const isWeb = Platform.OS === 'web';
+
+  // Follow the slot param when the screen is reopened for another slot
+  useEffect(() => {
+    setSlotFilter(route.params?.slotId ?? null);
+  }, [route.params?.slotId]);
+
+  // Pick up crops ended since the screen was last shown
+  useEffect(() => navigation.addListener('focus', reload), [navigation, reload]);
+
+  const slotIds = [...new Set(harvests.map((h) => String(h.slotId)))];
+  if (slotFilter != null && !slotIds.includes(String(slotFilter))) slotIds.push(String(slotFilter));
+  slotIds.sort((a, b) => Number(a) - Number(b));
+  const shown = slotFilter == null ? harvests : harvests.filter((h) => sameSlot(h.slotId, slotFilter));
+
+  const content = (
+    <View style={[styles.content, isWeb && { marginHorizontal: 40 }]}>
+      <Text style={[styles.header, isWeb && { fontSize: 42 }]}>Harvest History</Text>
+
+      {/* Slot filter */}
+      <View style={styles.filters}>
+        {[null, ...slotIds].map((id) => {
+          const selected = id == null ? slotFilter == null : slotFilter != null && sameSlot(id, slotFilter);
+          return (
+            <Pressable
+              key={id ?? 'all'}
+              onPress={() => setSlotFilter(id)}
+              style={[styles.filter, selected && styles.filterSelected]}
+            >
+              <Text style={[styles.filterText, selected && styles.filterTextSelected]}>
+                {id == null ? 'All slots' : `Slot ${id}`}
+              </Text>
+            </Pressable>
+          );
+        })}
+      </View>
+
+      {error ? (
+        <Pressable onPress={reload}>
+          <Text style={styles.errorText}>{getAuthErrorMessage(error)} Tap to retry.</Text>
+        </Pressable>
+      ) : null}
+
+      {loading && harvests.length === 0 ? (
+        <ActivityIndicator color="#4CAF50" style={{ marginTop: 32 }} />
+      ) : shown.length === 0 ? (
+        <View style={styles.empty}>
+          <Ionicons name="basket-outline" size={40} color="#bbb" />
+          <Text style={styles.emptyText}>
+            No past crops{slotFilter != null ? ` in Slot ${slotFilter}` : ''} yet. Harvested and failed crops appear here.
+          </Text>
+        </View>
+      ) : (
+        <>
+          <Text style={styles.sectionTitle}>Compare varieties</Text>
+          <VarietyComparison harvests={shown} />
+          <Text style={styles.sectionTitle}>Past crops</Text>
+          {shown.map((harvest) => (
+            <HarvestCard key={harvest.id} harvest={harvest} />
+          ))}
+        </>
+      )}
+    </View>
+  );
+
+  // Root safe-area view to avoid notches/status bars
+  return (
+    <SafeAreaView style={styles.container}>
+      {/* Mobile top navigation bar */}
+      <TopNavbar />
+      {/* Web navigation bar (only on web) */}
+      {isWeb && <WebNavbar />}
+      <ScrollView contentContainerStyle={{ flexGrow: 1 }}>
+        {content}
+        {isWeb && <WebFooter />}
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+// ── Styles: filters, comparison table, crop cards, and empty state ──
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+  },
+  content: {
+    flex: 1,
+    paddingHorizontal: Platform.OS === 'web' ? 0 : 20,
+    paddingBottom: 24,
+  },
+  header: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    marginVertical: 16,
+  },
+  filters: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 12,
+  },
+  filter: {
+    borderWidth: 1,
+    borderColor: '#4CAF50',
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+  },
+  filterSelected: {
+    backgroundColor: '#4CAF50',
+  },
+  filterText: {
+    fontSize: 14,
+    color: '#333',
+  },
+  filterTextSelected: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+  sectionTitle: {
+    fontSize: Platform.OS === 'web' ? 22 : 18,
+    fontWeight: 'bold',
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  table: {
+    backgroundColor: '#f8f8f8',
+    borderRadius: 12,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+  },
+  tableRow: {
+    flexDirection: 'row',
+    paddingVertical: 6,
+  },
+  tableHead: {
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+  },
+  tableCell: {
+    flex: 1,
+    fontSize: 13,
+    color: '#333',
+  },
+  varietyCell: {
+    flex: 1.4,
+    fontWeight: 'bold',
+  },
+  headText: {
+    fontWeight: 'bold',
+    color: '#555',
+  },
+  card: {
+    backgroundColor: '#f8f8f8',
+    borderRadius: 12,
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    marginBottom: 8,
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#222',
+  },
+  badge: {
+    borderRadius: 10,
+    paddingVertical: 2,
+    paddingHorizontal: 8,
+  },
+  badgeText: {
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
+  meta: {
+    fontSize: 12,
+    color: '#777',
+    marginTop: 4,
+  },
+  yieldRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+    marginTop: 8,
+  },
+  yieldText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#2e7d32',
+  },
+  notes: {
+    fontSize: 13,
+    color: '#555',
+    fontStyle: 'italic',
+    marginTop: 6,
+  },
+  summaryGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 10,
+  },
+  summaryCell: {
+    width: Platform.OS === 'web' ? '16.66%' : '33.33%',
+    paddingVertical: 4,
+  },
+  summaryLabel: {
+    fontSize: 11,
+    color: '#777',
+  },
+  summaryValue: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  summaryRange: {
+    fontSize: 11,
+    color: '#999',
+  },
+  empty: {
+    alignItems: 'center',
+    marginTop: 48,
+    paddingHorizontal: 24,
+  },
+  emptyText: {
+    marginTop: 8,
+    fontSize: 15,
+    color: '#777',
+    textAlign: 'center',
+  },
+  errorText: {
+    color: '#b71c1c',
+    marginBottom: 8,
+  },
+});
@@ -2,21 +2,40 @@
  * InsightsScreen
  *
  * Screen displaying environmental and growth insights for each hydroponic slot.
- * - Reads `username` from route params (defaults to 'Guest').
+ * - Greets the signed-in user via the navbars (which read the account store).
  * - Generates mock data for temperature, pH, TDS, light, water, and growth charts.
- * - Renders a list of slots showing sensor cards or “no plant” placeholders.
- * - Provides modals for detailed insights on each metric.
+ * - Renders live slot readings (useTelemetry) as sensor cards or “no plant” placeholders,
+ *   with loading, error and stale-reading states; open modals follow the live readings.
+ * - Sends actuator commands (dispense water/nutrients, grow light) for the open slot
+ *   and shows their progress and outcome in the modal.
+ * - Lists each slot's active alerts (useAlerts) and explains readings against the
+ *   planted variety's targets in the modal tooltips.
+ * - Auto/Manual modes, pH/TDS target ranges and humidity preference are per-slot device
+ *   settings: loaded when a modal opens, saved on change, rolled back with an error if saving fails.
+ *   Offline, settings changes and commands wait in the replay queue (outbox.js) and the
+ *   banner under the readings lists what is waiting or needs a decision (OutboxStatus).
+ * - Each planted slot's growth timeline follows its crop record (cropLifecycle.js): current
+ *   stage from the days since planting, progress, days remaining and the harvest window,
+ *   with actions to mark the crop harvested (yield, quality, notes) or failed; the crop
+ *   goes into the harvest log and the slot empties. Each slot links to its past crops.
+ * - Shows each planted slot's latest Smart Cam photo, which opens its photo timeline, and the
+ *   plant health model's assessment of it: status, findings and suggested actions.
+ * - The pH and TDS cards show when each slot's probe was last calibrated (flagged once due),
+ *   and their modals walk through calibrating it in buffer solutions (ProbeCalibration).
+ * - Readings, target ranges, charts and dates follow the account's units and locale
+ *   (useFormatter); TDS targets are edited in those units and saved in ppm.
+ * - Provides modals for detailed insights on each metric; opening the screen with
+ *   `slotId` and `metric` params (e.g. from a notification) opens that slot's modal.
  */
 
 // Core React imports
 import React, { useState, useEffect } from 'react';
-import { Alert } from 'react-native';
 
 // React Native UI primitives and utilities
 import {
   View, Text, StyleSheet, SafeAreaView,
   TouchableOpacity, ScrollView, Modal,
-  Pressable, Dimensions, Image, Platform
+  Pressable, Dimensions, Platform
 } from 'react-native';
 
 // Slider component for selecting ranges in modals
@@ -26,127 +45,116 @@ import Slider from '@react-native-community/slider';
 import TopNavbar from '../components/TopNavbar';    // mobile
 import WebNavbar from '../components/WebNavbar';    // web
 import WebFooter from '../components/WebFooter';    // web footer
+import TelemetryStatus from '../components/TelemetryStatus';
+import OutboxStatus from '../components/OutboxStatus';
 
-// Iconography for sensor cards and controls
-import { Ionicons } from '@expo/vector-icons';
-
-// Chart component for time-series data
-import { LineChart } from 'react-native-chart-kit';
-
-// Generate labels (dates) and temperature values for the past 5 days
-const generateTempChartData = () => {
-  const today = new Date();
-  const days = [-2, -1, 0, 1, 2];
-
-  const labels = days.map(offset => {
-    const date = new Date(today);
-    date.setDate(today.getDate() + offset);
-    return `${date.getDate()} ${date.toLocaleDateString('en-AU', { month: 'short' })}`;
-  });
-
-  const temps = [21.5, 21.8, 22.5, 22.1, 23.0]; // Consistent within preferred range
+// Live per-slot sensor readings
+import useTelemetry from '../hooks/useTelemetry';
+import { formatTimeAgo } from '../utils/time';
+// Units and locale for readings, ranges and dates
+import useFormatter from '../hooks/useFormatter';
 
-  return { labels, temps };
-};
+// Actuator commands for the slot whose modal is open
+import useSlotCommands from '../hooks/useSlotCommands';
+import CommandStatus from '../components/CommandStatus';
+import { COMMAND_ACTIONS } from '../services/commandClient';
+// Per-slot control modes and targets
+import useSlotConfig from '../hooks/useSlotConfig';
+import RangeStepper from '../components/RangeStepper';
+import { CONTROL_MODES, HUMIDITY_PREFS } from '../services/slotConfigClient';
 
-// Generate labels and pH readings for the past 5 days
-const generatePhChartData = () => {
-  const today = new Date();
-  const days = [-2, -1, 0, 1, 2];
-  const labels = days.map(offset => {
-    const d = new Date(today);
-    d.setDate(d.getDate() + offset);
-    return `${d.getDate()} ${d.toLocaleDateString('en-AU', { month: 'short' })}`;
-  });
-  const data = [6.0, 6.1, 6.3, 6.2, 6.0];
-  return { labels, data };
-};
+// Iconography for sensor cards and controls
+import { Ionicons } from '@expo/vector-icons';
 
-// Generate labels and TDS(Total Dissolved solids) values for the past 5 days (mock)
-const generateTDSChartData = () => {
-  const today = new Date();
-  const days = [-2, -1, 0, 1, 2];
-  const labels = days.map(offset => {
-    const d = new Date(today);
-    d.setDate(today.getDate() + offset);
-    return `${d.getDate()} ${d.toLocaleDateString('en-AU', { month: 'short' })}`;
-  });
-  const data = [1.4, 1.5, 1.6, 1.7, 1.8]; // Mock values
-  return { labels, data };
-};
+// Historical readings with a range picker for each insight modal
+import MetricHistory from '../components/MetricHistory';
+// Alert rules and per-variety targets
+import useAlerts from '../hooks/useAlerts';
+import AlertList from '../components/AlertList';
+import { getTargets } from '../services/lettuceCatalog';
+import { useDevices } from '../DeviceContext';
+// Crop cycle progress and harvest / failed actions
+import { getCropProgress } from '../services/cropLifecycle';
+import CropActions from '../components/CropActions';
+// pH / TDS probe calibration: status on the cards, wizard in the modals
+import CalibrationBadge from '../components/CalibrationBadge';
+import ProbeCalibration from '../components/ProbeCalibration';
+import { PROBES } from '../services/calibrationClient';
+// Latest Smart Cam photo for each planted slot, and the health model's assessment of it
+import SmartCamImage from '../components/SmartCamImage';
+import HealthAssessment from '../components/HealthAssessment';
 
-// Generate labels and light intensity (lux) readings for the past 5 days
-const generateLightChartData = () => {
-  const today = new Date();
-  const days = [-2, -1, 0, 1, 2];
-  const labels = days.map(offset => {
-    const d = new Date(today);
-    d.setDate(today.getDate() + offset);
-    return `${d.getDate()} ${d.toLocaleDateString('en-AU', { month: 'short' })}`;
-  });
-  const data = [0, 1, 2, 3, 4, 5]; // Mock lux values
-  return { labels, data };
-};
+// "Days 8–21" for a stage laid out by getCropProgress
+const formatStageDays = (stage) => `Days ${stage.startDay + 1}–${stage.endDay}`;
 
-// Generate labels and water volume values (litres) for the past 5 days (realistic values 5.8–6.6)
-const generateWaterChartData = () => {
-  const today = new Date();
-  const days = [-2, -1, 0, 1, 2];
-  const labels = days.map(offset => {
-    const d = new Date(today);
-    d.setDate(today.getDate() + offset);
-    return `${d.getDate()} ${d.toLocaleDateString('en-AU',{ month:'short' })}`;
-  });
-  // Realistic water volume values in litres
-  const data = [5.8, 6.0, 6.2, 6.4, 6.6];
-  return { labels, data };
-};
+/**
+ * GrowthSummary component
+ *
+ * Current stage, progress bar, days remaining and the expected harvest window.
+ */
+function GrowthSummary({ progress }) {
+  const format = useFormatter();
+  const { variety, stage, stageIndex, stages, day, totalDays, percent, harvestWindow } = progress;
+  let headline = `Your ${variety.name} is in the ${stage.label} period (stage ${stageIndex + 1} of ${stages.length})`;
+  let detail = `Day ${day} of ${totalDays} · ${progress.daysLeftInStage} days left in this stage · about ${progress.daysToHarvest} days to harvest`;
+  if (progress.overdue) {
+    headline = `Your ${variety.name} is past its harvest window`;
+    detail = `It was best picked by ${format.date(harvestWindow.end)}; harvest it soon`;
+  } else if (progress.ready) {
+    headline = `Your ${variety.name} is ready to harvest`;
+    detail = `Best picked by ${format.date(harvestWindow.end)}`;
+  }
+  return (
+    <View style={{ marginTop: 10 }}>
+      <Text style={{ color: '#4CAF50', fontWeight: 'bold', fontSize: 13, textAlign: 'center' }}>{headline}</Text>
+      {/* Progress towards maturity */}
+      <View style={{ height: 8, borderRadius: 4, backgroundColor: '#DFDFDF', marginTop: 8, overflow: 'hidden' }}>
+        <View style={{ width: `${percent}%`, height: '100%', backgroundColor: progress.overdue ? '#F9A825' : '#4CAF50' }} />
+      </View>
+      <Text style={{ color: '#555', fontSize: 12, marginTop: 6, textAlign: 'center' }}>{detail}</Text>
+      <Text style={{ color: '#555', fontSize: 12, marginTop: 2, textAlign: 'center' }}>
+        Expected harvest: {format.date(harvestWindow.start)} – {format.date(harvestWindow.end)}
+        {' · '}planted {format.date(progress.plantedAt)} from {progress.startType}
+      </Text>
+    </View>
+  );
+}
 
-// Mock AI Lettuce Health Status
-function mockGetLettuceHealthStatus() {
-  // Hardcode for now ("healthy" or "unhealthy"); swap for random for demo.
-  // return Math.random() > 0.2 ? "healthy" : "unhealthy";
-  return "healthy";
+// Opens the slot's harvest history
+function PastCropsLink({ slotId, navigation }) {
+  return (
+    <TouchableOpacity onPress={() => navigation.navigate('HarvestHistory', { slotId })}>
+      <Text style={styles.chooseText}>Past crops in this slot →</Text>
+    </TouchableOpacity>
+  );
 }
 
-// ── AverageGrowthCard Component ──
-function AverageGrowthCard({ currentStage = 2 }) {
-  // Full names and abbreviations for stages
-  const stages = [
-    {
-      label: Platform.OS === 'web' ? 'Germination' : 'Germination',
-      abbrev: 'Germ.',
-      days: '5–10',
-      desc: 'Seeds sprout and roots emerge.',
-    },
-    {
-      label: Platform.OS === 'web' ? 'Seedling' : 'Seedling',
-      abbrev: 'Seedl.',
-      days: '10–14',
-      desc: 'Young leaves develop, rapid root growth.',
-    },
-    {
-      label: Platform.OS === 'web' ? 'Vegetative' : 'Vegetative',
-      abbrev: 'Veg.',
-      days: '25–50',
-      desc: 'Leaves expand, plant grows quickly.',
-    },
-    {
-      label: Platform.OS === 'web' ? 'Maturation' : 'Maturation',
-      abbrev: 'Matur.',
-      days: '10–40',
-      desc: 'Heads form and mature for harvest.',
-    },
-  ];
-  // Determine current stage label for summary
-  const stageLabel = Platform.OS === 'web'
-    ? stages[currentStage]?.label
-    : stages[currentStage]?.label;
+// ── GrowthTimelineCard Component ──
+/**
+ * GrowthTimelineCard component
+ *
+ * The slot's crop cycle (getCropProgress): each growth stage with its day range,
+ * the current stage highlighted, progress and harvest window, and actions to
+ * mark the crop harvested or failed.
+ *
+ * Props:
+ * - slot: a planted slot
+ */
+function GrowthTimelineCard({ slot }) {
+  const progress = getCropProgress(slot);
+  if (!progress) return null;
+  const { stages, stageIndex: currentStage } = progress;
+  const footer = (
+    <>
+      <GrowthSummary progress={progress} />
+      <CropActions slot={slot} varietyName={progress.variety.name} ready={progress.ready} />
+    </>
+  );
   if (Platform.OS === 'web') {
     // Web: horizontal timeline with numbered stage circles
     return (
       <View style={styles.blockCard}>
-        <Text style={styles.modalTitle}>Average Growth</Text>
+        <Text style={styles.modalTitle}>Growth Timeline</Text>
         {/* Timeline with numbered circles */}
         <View
           style={{
@@ -251,7 +259,7 @@ function AverageGrowthCard({ currentStage = 2 }) {
                     textAlign: 'center',
                   }}
                 >
-                  {stage.days} days
+                  {formatStageDays(stage)}
                 </Text>
                 {/* Description */}
                 <Text
@@ -262,7 +270,7 @@ function AverageGrowthCard({ currentStage = 2 }) {
                     minHeight: 28,
                   }}
                 >
-                  {stage.desc}
+                  {stage.description}
                 </Text>
                 {/* Current stage indicator */}
                 {isCurrent && (
@@ -295,17 +303,7 @@ function AverageGrowthCard({ currentStage = 2 }) {
             );
           })}
         </View>
-        <Text
-          style={{
-            color: '#4CAF50',
-            fontWeight: 'bold',
-            fontSize: 13,
-            marginTop: 10,
-            textAlign: 'center',
-          }}
-        >
-          Your lettuce is in the {stageLabel} period (stage {currentStage + 1} of 4)
-        </Text>
+        {footer}
       </View>
     );
   }
@@ -318,7 +316,7 @@ function AverageGrowthCard({ currentStage = 2 }) {
     Platform.OS !== 'web' && { marginBottom: 24 }  // Add extra gap ONLY on mobile!
   ]}
 >
-  Average Growth
+  Growth Timeline
 </Text>
 <View
   style={{
@@ -416,7 +414,7 @@ function AverageGrowthCard({ currentStage = 2 }) {
                     ...(isCurrent && { fontWeight: 'bold' }),
                   }}
                 >
-                  {stage.days} days
+                  {formatStageDays(stage)}
                 </Text>
                 {/* Description */}
                 <Text
@@ -427,24 +425,14 @@ function AverageGrowthCard({ currentStage = 2 }) {
                     ...(isCurrent && { fontWeight: 'bold' }),
                   }}
                 >
-                  {stage.desc}
+                  {stage.description}
                 </Text>
               </View>
             </View>
           );
         })}
       </View>
-      <Text
-        style={{
-          color: "#4CAF50",
-          fontWeight: "bold",
-          fontSize: 13,
-          marginTop: 10,
-          textAlign: 'center'
-        }}
-      >
-        Your lettuce is in the {stageLabel} period (stage {currentStage + 1} of 4)
-      </Text>
+      {footer}
     </View>
   );
 }
@@ -453,23 +441,12 @@ function AverageGrowthCard({ currentStage = 2 }) {
  * InsightsScreen component
  *
  * Props:
- * - route.params.username: username passed via navigation (fallback 'Guest')
+ * - route: optional `params.slotId` and `params.metric` select a modal to open
  * - navigation: navigation object for screen transitions
  */
 export default function InsightsScreen({ route, navigation }) {
-  // Retrieve username from navigation params or fallback to 'Guest'
-  const username = route?.params?.username || 'Guest';
-
-  // Mock lettuce health status ("healthy" or "unhealthy")
-  const [lettuceHealth, setLettuceHealth] = useState("healthy");
-
-  useEffect(() => {
-    setLettuceHealth(mockGetLettuceHealthStatus());
-  }, []);
-
   // ── Modal visibility and current value state for each insight metric ──
   const [showHumidityModal, setShowHumidityModal] = useState(false);
-  const [humidityPref, setHumidityPref] = useState('Medium');
   const [currentHumidity, setCurrentHumidity] = useState(null);
   const [showTempModal, setShowTempModal] = useState(false);
   const [currentTemp, setCurrentTemp] = useState(null);
@@ -488,20 +465,12 @@ export default function InsightsScreen({ route, navigation }) {
   // pH modal state
   const [showPhModal, setShowPhModal] = useState(false);
   const [currentPh, setCurrentPh] = useState(null);
-  const [phRange, setPhRange] = useState([5.5, 6.0]);
-  const [waterMode, setWaterMode] = useState('Auto');
-  // New pH control mode state
-  const [phMode, setPhMode] = useState('Auto');
   // TDS modal state
   const [showTDSModal, setShowTDSModal] = useState(false);
   const [currentTDS, setCurrentTDS] = useState(null);
-  const [TDSRange, setTDSRange] = useState([0, 2000]);
-  // TDS Mode state
-  const [TDSMode, setTDSMode] = useState('Auto');
   // Light modal state
   const [showLightModal, setShowLightModal] = useState(false);
   const [currentLight, setCurrentLight] = useState(null);
-  const [lightMode, setLightMode] = useState('Auto');
   const [isLightOn, setIsLightOn] = useState(false);
   const [lightLevel, setLightLevel] = useState(2); // or currentLight default
   // Water modal state
@@ -511,18 +480,105 @@ export default function InsightsScreen({ route, navigation }) {
   // Determine device width for responsive chart sizing
   const screenWidth = Dimensions.get('window').width;
 
-  // Static array defining each slot’s plant presence and sensor data
-  const slots = [
-    { id: 1, hasPlant: true, data: { temp: 22.5, humidity: 65, ph: 6.3, TDS: 846.69, light: 2 } },
-    { id: 2, hasPlant: false },
-    { id: 3, hasPlant: false },
-  ];
+  // Live slot readings: array of { id, hasPlant, data, updatedAt }
+  const { slots, loading, error, stale, lastUpdated, refresh } = useTelemetry();
+
+  // Slot whose insight modal is open; its readings keep streaming into the modal
+  const [modalSlotId, setModalSlotId] = useState(null);
+  const modalSlot = slots.find((slot) => slot.id === modalSlotId);
+
+  // Opened for a slot's metric (e.g. from a notification): show that modal, then drop
+  // the params so the same notification can open it again later
+  const paramSlotId = route?.params?.slotId;
+  const paramMetric = route?.params?.metric;
+  useEffect(() => {
+    if (paramSlotId == null || !paramMetric) return;
+    const openModal = {
+      temp: setShowTempModal,
+      humidity: setShowHumidityModal,
+      ph: setShowPhModal,
+      tds: setShowTDSModal,
+      light: setShowLightModal,
+      water: setShowWaterModal,
+    }[paramMetric];
+    if (!openModal) return;
+    // Deep-link params arrive as strings
+    setModalSlotId(Number(paramSlotId));
+    openModal(true);
+    navigation.setParams({ metric: undefined });
+  }, [paramSlotId, paramMetric, navigation]);
+
+  useEffect(() => {
+    if (!modalSlot?.data) return;
+    setCurrentTemp(modalSlot.data.temp);
+    setCurrentHumidity(modalSlot.data.humidity);
+    setCurrentLight(modalSlot.data.light);
+    setCurrentPh(modalSlot.data.ph);
+    setCurrentTDS(modalSlot.data.tds);
+    setCurrentWaterLevel(modalSlot.data.water);
+    if (modalSlot.actuators) {
+      setIsLightOn(modalSlot.actuators.lightOn);
+      setLightLevel(modalSlot.actuators.lightLevel);
+    }
+  }, [modalSlot]);
+
+  // Out-of-range readings per slot, judged against each variety's targets
+  const { alertsForSlot } = useAlerts({ slots });
+  const format = useFormatter();
+  const { activeDevice } = useDevices();
+  const modalTargets = getTargets(modalSlot?.variety, { reservoirLitres: activeDevice?.reservoirLitres });
+  const modalAlerts = modalSlot ? alertsForSlot(modalSlot.id) : [];
+
+  // Tooltip text: the variety's target range and where the current reading sits
+  const targetTooltip = (metric, subject, separator) => {
+    const target = modalTargets[metric];
+    const alert = modalAlerts.find((a) => a.metric === metric);
+    // Some targets (light) only apply during part of the day
+    const hours = target.hours ? ` between ${format.hour(target.hours[0])} and ${format.hour(target.hours[1])}` : '';
+    const hour = new Date().getHours();
+    const offHours = target.hours && (hour < target.hours[0] || hour >= target.hours[1]);
+    let status = `Your current ${subject} is within this range.`;
+    if (alert) status = `Your current ${subject} is ${alert.direction === 'low' ? 'below' : 'above'} this range.`;
+    else if (offHours) status = `It isn't checked at this time of day.`;
+    return (
+      `Target ${subject} for ${modalSlot?.variety || 'lettuce'} is ` +
+      `${format.range(metric, target.min, target.max)}${hours}.${separator}${status}`
+    );
+  };
+
+  // Commands for the open slot; buttons are disabled while a conflicting command runs
+  const { commandFor, isBusy, send } = useSlotCommands({ slotId: modalSlotId });
+
+  // Saved control settings for the open slot (modes, target ranges, humidity preference)
+  const {
+    config,
+    error: configError,
+    queued: configQueued,
+    savedAt: configSavedAt,
+    update: updateConfig,
+  } = useSlotConfig({ slotId: modalSlotId });
+  const { waterMode, phMode, TDSMode, lightMode, phRange, TDSRange, humidityPref } = config;
+  // Shown in each modal when a settings change could not be saved, is waiting to be sent,
+  // or the settings shown are the offline copy
+  const configErrorNotice = configError ? (
+    <Text style={styles.configErrorText}>
+      Couldn't save your settings: {configError.message}
+    </Text>
+  ) : configQueued ? (
+    <Text style={styles.configQueuedText}>
+      Offline · your changes will be sent when the connection returns.
+    </Text>
+  ) : configSavedAt ? (
+    <Text style={styles.configQueuedText}>
+      Offline · settings as of {formatTimeAgo(configSavedAt)}.
+    </Text>
+  ) : null;
 
   // Root safe-area view to respect device notches/status bars
   return (
     <SafeAreaView style={styles.container}>
       {/* Mobile top navigation bar with username display */}
-      <TopNavbar username={username} />
+      <TopNavbar />
       {/* Conditional web navigation bar for browser environment */}
       {Platform.OS === 'web' && <WebNavbar />}
       {/* Use full-page ScrollView on web, smaller on mobile */}
@@ -533,12 +589,27 @@ export default function InsightsScreen({ route, navigation }) {
               {Platform.OS === 'web' ? "Let’s Explore Your Lettuce!" : "Let’s Explore\nYour Lettuce!"}
             </Text>
             <Text style={[styles.dashboardDescription, Platform.OS === 'web' && { fontSize: 20, textAlign: 'left', marginLeft: 45, marginBottom: 40 }]}>Monitor real-time sensor data and get AI-powered growth forecasts.</Text>
+            {/* Loading / error / stale readings banner */}
+            <View style={{ marginHorizontal: 40 }}>
+              <TelemetryStatus
+                loading={loading}
+                error={error}
+                stale={stale}
+                lastUpdated={lastUpdated}
+                onRetry={refresh}
+              />
+              <OutboxStatus />
+            </View>
             {/* Loop through each slot to render its insight or placeholder UI */}
             {slots.map((slot) => (
               <View key={slot.id} style={styles.slot}>
                 <Text style={styles.slotTitle}>Slot #{slot.id}</Text>
                 {slot.hasPlant ? (
                   <>
+                {/* Active alerts for this slot */}
+                <View style={{ marginBottom: 8 }}>
+                  <AlertList alerts={alertsForSlot(slot.id)} />
+                </View>
                 {/* Environment Insight Mini Cards */}
                 <View style={{ flexDirection: 'row', alignItems: 'center', marginBottom: 8 }}>
                   <Text style={[styles.blockLabel, { marginLeft: 2}]}>Environmental Overview</Text>
@@ -556,12 +627,13 @@ export default function InsightsScreen({ route, navigation }) {
                     <View style={[styles.blockCard, { width: '32%', minWidth: 280 }]}>
                       <TouchableOpacity onPress={() => {
                         setCurrentTemp(slot.data.temp);
+                        setModalSlotId(slot.id);
                         setShowTempModal(true);
                       }}>
                         <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' }}>
                           <View style={{ flexDirection: 'row', alignItems: 'center' }}>
                             <Ionicons name="thermometer-outline" size={18} color="#4CAF50" />
-                            <Text style={[styles.slotData, { marginLeft: 8 }]}>Temperature: {slot.data.temp}°C</Text>
+                            <Text style={[styles.slotData, { marginLeft: 8 }]}>Temperature: {format.value('temp', slot.data.temp)}</Text>
                           </View>
                           <Ionicons name="chevron-forward" size={18} color="#999" />
                         </View>
@@ -570,12 +642,13 @@ export default function InsightsScreen({ route, navigation }) {
                     <View style={[styles.blockCard, { width: '32%', minWidth: 280 }]}>
                       <TouchableOpacity onPress={() => {
                         setCurrentHumidity(slot.data.humidity);
+                        setModalSlotId(slot.id);
                         setShowHumidityModal(true);
                       }}>
                         <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' }}>
                           <View style={{ flexDirection: 'row', alignItems: 'center' }}>
                             <Ionicons name="water-outline" size={18} color="#4CAF50" />
-                            <Text style={[styles.slotData, { marginLeft: 8 }]}>Humidity: {slot.data.humidity}%</Text>
+                            <Text style={[styles.slotData, { marginLeft: 8 }]}>Humidity: {format.value('humidity', slot.data.humidity)}</Text>
                           </View>
                           <Ionicons name="chevron-forward" size={18} color="#999" />
                         </View>
@@ -584,49 +657,53 @@ export default function InsightsScreen({ route, navigation }) {
                     <View style={[styles.blockCard, { width: '32%', minWidth: 280 }]}>
                       <TouchableOpacity onPress={() => {
                         setCurrentLight(slot.data.light);
+                        setModalSlotId(slot.id);
                         setShowLightModal(true);
                       }}>
                         <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' }}>
                           <View style={{ flexDirection: 'row', alignItems: 'center' }}>
                             <Ionicons name="sunny-outline" size={18} color="#4CAF50" />
-                            <Text style={[styles.slotData, { marginLeft: 8 }]}>Light: {slot.data.light} lux</Text>
+                            <Text style={[styles.slotData, { marginLeft: 8 }]}>Light: {format.value('light', slot.data.light)}</Text>
                           </View>
                           <Ionicons name="chevron-forward" size={18} color="#999" />
                         </View>
                       </TouchableOpacity>
                     </View>
                     <View style={[styles.blockCard, { width: '32%', minWidth: 280 }]}>
-                      <TouchableOpacity onPress={() => { setCurrentPh(slot.data.ph); setShowPhModal(true); }}>
+                      <TouchableOpacity onPress={() => { setModalSlotId(slot.id); setCurrentPh(slot.data.ph); setShowPhModal(true); }}>
                         <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' }}>
                           <View style={{ flexDirection: 'row', alignItems: 'center' }}>
                             <Ionicons name="flask-outline" size={18} color="#4CAF50" />
-                            <Text style={[styles.slotData, { marginLeft: 8 }]}>pH: {slot.data.ph}</Text>
+                            <Text style={[styles.slotData, { marginLeft: 8 }]}>pH: {format.value('ph', slot.data.ph)}</Text>
                           </View>
                           <Ionicons name="chevron-forward" size={18} color="#999" />
                         </View>
+                        <CalibrationBadge calibration={slot.calibration?.ph} />
                       </TouchableOpacity>
                     </View>
                     <View style={[styles.blockCard, { width: '32%', minWidth: 280 }]}>
-                      <TouchableOpacity onPress={() => { setCurrentTDS(slot.data.TDS || 846.69); setShowTDSModal(true); }}>
+                      <TouchableOpacity onPress={() => { setModalSlotId(slot.id); setCurrentTDS(slot.data.tds); setShowTDSModal(true); }}>
                         <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' }}>
                           <View style={{ flexDirection: 'row', alignItems: 'center' }}>
                             <Ionicons name="speedometer-outline" size={18} color="#4CAF50" />
-                            <Text style={[styles.slotData, { marginLeft: 8 }]}>TDS: {slot.data.TDS || 846.69} ppm</Text>
+                            <Text style={[styles.slotData, { marginLeft: 8 }]}>{format.label('tds')}: {format.value('tds', slot.data.tds)}</Text>
                           </View>
                           <Ionicons name="chevron-forward" size={18} color="#999" />
                         </View>
+                        <CalibrationBadge calibration={slot.calibration?.tds} />
                       </TouchableOpacity>
                     </View>
                     <View style={[styles.blockCard, { width: '32%', minWidth: 280 }]}>
                       <TouchableOpacity onPress={() => {
-                        setCurrentWaterLevel(60);
+                        setCurrentWaterLevel(slot.data.water);
+                        setModalSlotId(slot.id);
                         setShowWaterModal(true);
                       }}>
                         <View style={{ flexDirection:'row', justifyContent:'space-between', alignItems:'center' }}>
                           <View style={{ flexDirection:'row', alignItems:'center' }}>
                             <Ionicons name="water-sharp" size={18} color="#4CAF50" />
                             <Text style={[styles.slotData, { marginLeft: 8 }]}>
-                              Water: {humidityPref === 'Low' ? '5.0 L' : humidityPref === 'Medium' ? '6.5 L' : '8.0 L'}
+                              Water: {format.value('water', slot.data.water)}
                             </Text>
                           </View>
                           <Ionicons name="chevron-forward" size={18} color="#999" />
@@ -639,12 +716,13 @@ export default function InsightsScreen({ route, navigation }) {
                     <View style={styles.blockCard}>
                       <TouchableOpacity onPress={() => {
                         setCurrentTemp(slot.data.temp);
+                        setModalSlotId(slot.id);
                         setShowTempModal(true);
                       }}>
                         <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' }}>
                           <View style={{ flexDirection: 'row', alignItems: 'center' }}>
                             <Ionicons name="thermometer-outline" size={18} color="#4CAF50" />
-                            <Text style={[styles.slotData, { marginLeft: 8 }]}>Temperature: {slot.data.temp}°C</Text>
+                            <Text style={[styles.slotData, { marginLeft: 8 }]}>Temperature: {format.value('temp', slot.data.temp)}</Text>
                           </View>
                           <Ionicons name="chevron-forward" size={18} color="#999" />
                         </View>
@@ -653,12 +731,13 @@ export default function InsightsScreen({ route, navigation }) {
                     <View style={styles.blockCard}>
                       <TouchableOpacity onPress={() => {
                         setCurrentHumidity(slot.data.humidity);
+                        setModalSlotId(slot.id);
                         setShowHumidityModal(true);
                       }}>
                         <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' }}>
                           <View style={{ flexDirection: 'row', alignItems: 'center' }}>
                             <Ionicons name="water-outline" size={18} color="#4CAF50" />
-                            <Text style={[styles.slotData, { marginLeft: 8 }]}>Humidity: {slot.data.humidity}%</Text>
+                            <Text style={[styles.slotData, { marginLeft: 8 }]}>Humidity: {format.value('humidity', slot.data.humidity)}</Text>
                           </View>
                           <Ionicons name="chevron-forward" size={18} color="#999" />
                         </View>
@@ -667,12 +746,13 @@ export default function InsightsScreen({ route, navigation }) {
                     <View style={styles.blockCard}>
                       <TouchableOpacity onPress={() => {
                         setCurrentLight(slot.data.light);
+                        setModalSlotId(slot.id);
                         setShowLightModal(true);
                       }}>
                         <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' }}>
                           <View style={{ flexDirection: 'row', alignItems: 'center' }}>
                             <Ionicons name="sunny-outline" size={18} color="#4CAF50" />
-                            <Text style={[styles.slotData, { marginLeft: 8 }]}>Light: {slot.data.light} lux</Text>
+                            <Text style={[styles.slotData, { marginLeft: 8 }]}>Light: {format.value('light', slot.data.light)}</Text>
                           </View>
                           <Ionicons name="chevron-forward" size={18} color="#999" />
                         </View>
@@ -680,37 +760,40 @@ export default function InsightsScreen({ route, navigation }) {
                     </View>
                     {/* Interactive pH Card */}
                     <View style={styles.blockCard}>
-                      <TouchableOpacity onPress={() => { setCurrentPh(slot.data.ph); setShowPhModal(true); }}>
+                      <TouchableOpacity onPress={() => { setModalSlotId(slot.id); setCurrentPh(slot.data.ph); setShowPhModal(true); }}>
                         <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' }}>
                           <View style={{ flexDirection: 'row', alignItems: 'center' }}>
                             <Ionicons name="flask-outline" size={18} color="#4CAF50" />
-                            <Text style={[styles.slotData, { marginLeft: 8 }]}>pH: {slot.data.ph}</Text>
+                            <Text style={[styles.slotData, { marginLeft: 8 }]}>pH: {format.value('ph', slot.data.ph)}</Text>
                           </View>
                           <Ionicons name="chevron-forward" size={18} color="#999" />
                         </View>
+                        <CalibrationBadge calibration={slot.calibration?.ph} />
                       </TouchableOpacity>
                     </View>
                     {/* Interactive TDS Card */}
                     <View style={styles.blockCard}>
-                      <TouchableOpacity onPress={() => { setCurrentTDS(slot.data.TDS || 846.69); setShowTDSModal(true); }}>
+                      <TouchableOpacity onPress={() => { setModalSlotId(slot.id); setCurrentTDS(slot.data.tds); setShowTDSModal(true); }}>
                         <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' }}>
                           <View style={{ flexDirection: 'row', alignItems: 'center' }}>
                             <Ionicons name="speedometer-outline" size={18} color="#4CAF50" />
-                            <Text style={[styles.slotData, { marginLeft: 8 }]}>TDS: {slot.data.TDS || 846.69} ppm</Text>
+                            <Text style={[styles.slotData, { marginLeft: 8 }]}>{format.label('tds')}: {format.value('tds', slot.data.tds)}</Text>
                           </View>
                           <Ionicons name="chevron-forward" size={18} color="#999" />
                         </View>
+                        <CalibrationBadge calibration={slot.calibration?.tds} />
                       </TouchableOpacity>
                     </View>
                     <View style={styles.blockCard}>
                       <TouchableOpacity onPress={() => {
-                        setCurrentWaterLevel(60);
+                        setCurrentWaterLevel(slot.data.water);
+                        setModalSlotId(slot.id);
                         setShowWaterModal(true);
                       }}>
                         <View style={{ flexDirection:'row', justifyContent:'space-between', alignItems:'center' }}>
                           <View style={{ flexDirection:'row', alignItems:'center' }}>
                             <Ionicons name="water-sharp" size={18} color="#4CAF50" />
-                            <Text style={[styles.slotData,{ marginLeft:8 }]}>Water: Medium Level</Text>
+                            <Text style={[styles.slotData,{ marginLeft:8 }]}>Water: {format.value('water', slot.data.water)}</Text>
                           </View>
                           <Ionicons name="chevron-forward" size={18} color="#999" />
                         </View>
@@ -726,7 +809,7 @@ export default function InsightsScreen({ route, navigation }) {
                 <View style={{ flexDirection: 'row', alignItems: 'center', marginBottom: 8 }}>
                   <Text style={[styles.blockLabel, { marginLeft: 2 }]}>Growth Forecast</Text>
                 </View>
-                {/* Lettuce Health + Smart Cam for web */}
+                {/* Plant health + Smart Cam side by side on web */}
                 {Platform.OS === 'web' ? (
                   <View
                     style={{
@@ -737,167 +820,35 @@ export default function InsightsScreen({ route, navigation }) {
                       alignItems: 'stretch',
                     }}
                   >
-                    {/* Left: Lettuce health status */}
-                    <View
-                      style={{
-                        flex: 1,
-                        backgroundColor: '#fafafa',
-                        borderRadius: 12,
-                        padding: 18,
-                        display: 'flex',
-                        flexDirection: 'row',
-                        alignItems: 'center',
-                        minHeight: 200,
-                        boxShadow: '0 1px 3px #eee',
-                        marginRight: 0,
-                        justifyContent: 'center',
-                      }}
-                    >
-                      <Ionicons name="checkmark-circle" size={28} color="#4CAF50" style={{ marginRight: 14 }} />
-                      <Text style={{ color: "#3A3A3A", fontWeight: 'bold', fontSize: 22 }}>
-                        Lettuce looks healthy!
-                      </Text>
+                    {/* Left: plant health from the latest photo */}
+                    <View style={{ flex: 1 }}>
+                      <HealthAssessment slot={slot} />
                     </View>
-                    {/* Right: Smart Cam image card */}
-                    <View
-                      style={{
-                        flex: 1,
-                        backgroundColor: '#fafafa',
-                        borderRadius: 12,
-                        overflow: 'hidden',
-                        display: 'flex',
-                        alignItems: 'center',
-                        justifyContent: 'center',
-                        minHeight: 200,
-                        boxShadow: '0 1px 3px #eee',
-                        position: 'relative',
-                        padding: 0,
-                      }}
-                    >
-                      <Image
-                        source={{ uri: 'https://via.placeholder.com/300x140' }}
-                        style={{
-                          width: '96%',
-                          height: 180,
-                          alignSelf: 'center',
-                          borderRadius: 8,
-                        }}
-                        resizeMode="cover"
-                      />
-                      <View style={{
-                        position: 'absolute',
-                        bottom: 20,
-                        left: 20,
-                        flexDirection: 'row',
-                        alignItems: 'center',
-                        backgroundColor: 'rgba(0,0,0,0.5)',
-                        paddingHorizontal: 8,
-                        paddingVertical: 4,
-                        borderRadius: 4,
-                      }}>
-                        <Ionicons name="camera-outline" size={14} color="#fff" />
-                        <Text style={{ color: '#fff', fontSize: 13, marginLeft: 5 }}>Smart Cam</Text>
-                      </View>
-                      <Text
-                        style={{
-                          position: 'absolute',
-                          bottom: 8,
-                          right: 18,
-                          fontSize: 12,
-                          fontStyle: 'italic',
-                          color: '#555',
-                          backgroundColor: 'rgba(255,255,255,0.7)',
-                          borderRadius: 3,
-                          paddingHorizontal: 7,
-                          paddingVertical: 2,
-                        }}
-                      >
-                        Photo taken 5 minutes ago
-                      </Text>
+                    {/* Right: latest Smart Cam photo; tap for the slot's photo timeline */}
+                    <View style={{ flex: 1 }}>
+                      <SmartCamImage slot={slot} height={180} onPress={() => navigation.navigate('CameraTimeline', { slotId: slot.id })} />
                     </View>
                   </View>
                 ) : (
                   <>
-                    {/* Lettuce Health Status (AI mock) for mobile */}
-                    <View style={{
-                      flexDirection: 'row',
-                      alignItems: 'center',
-                      marginBottom: 8,
-                      marginLeft: 4,
-                      backgroundColor: "#f8f8f8",
-                      borderRadius: 12,
-                      paddingVertical: 10,
-                      paddingHorizontal: 16,
-                      minHeight: 36,
-                      minWidth: 220
-                    }}>
-                      {lettuceHealth === "healthy" ? (
-                        <>
-                          <Ionicons name="checkmark-circle" size={22} color="#4CAF50" style={{ marginRight: 10 }} />
-                          <Text style={{ color: "#3A3A3A", fontWeight: 'bold', fontSize: 16 }}>
-                            Lettuce looks healthy!
-                          </Text>
-                        </>
-                      ) : (
-                        <>
-                          <Ionicons name="warning" size={22} color="#e53935" style={{ marginRight: 10 }} />
-                          <Text style={{ color: "#b71c1c", fontWeight: 'bold', fontSize: 16 }}>
-                            Lettuce might need attention!
-                          </Text>
-                        </>
-                      )}
-                    </View>
-                    {/* Smart Cam image mockup */}
-                    <View style={[styles.blockCard, {
-                      padding: 0,
-                      overflow: 'hidden',
-                      marginBottom: 12,
-                      width: '100%',
-                    }]}>
-                      <Image
-                        source={{ uri: 'https://via.placeholder.com/300x140' }}
-                        style={{
-                          width: '100%',
-                          height: 140,
-                          alignSelf: 'stretch',
-                          borderRadius: 0,
-                        }}
-                        resizeMode="cover"
-                      />
-                      <View style={{
-                        position: 'absolute',
-                        bottom: 8,
-                        left: 8,
-                        flexDirection: 'row',
-                        alignItems: 'center',
-                        backgroundColor: 'rgba(0,0,0,0.5)',
-                        paddingHorizontal: 6,
-                        paddingVertical: 2,
-                        borderRadius: 4
-                      }}>
-                        <Ionicons name="camera-outline" size={12} color="#fff" />
-                        <Text style={{ color: '#fff', fontSize: 12, marginLeft: 4 }}>Smart Cam</Text>
-                      </View>
-                    </View>
-                    <Text style={[
-                      { fontSize: 10, fontStyle: 'italic', color: '#555', marginBottom: 12, alignSelf: 'flex-end' },
-                      Platform.OS === 'web' && { fontSize: 12 }
-                    ]}>
-                      Photo taken 5 minutes ago
-                    </Text>
+                    {/* Plant health from the latest photo */}
+                    <HealthAssessment slot={slot} />
+                    {/* Latest Smart Cam photo; tap for the slot's photo timeline */}
+                    <SmartCamImage slot={slot} height={140} onPress={() => navigation.navigate('CameraTimeline', { slotId: slot.id })} />
                   </>
                 )}
 
-                {/* Average Growth Card */}
-                <AverageGrowthCard currentStage={2} />
-                
+                {/* Growth Timeline Card */}
+                <GrowthTimelineCard slot={slot} />
+                <PastCropsLink slotId={slot.id} navigation={navigation} />
               </>
             ) : (
               <>
                 <Text style={styles.slotStatus}>No insights available {"\n"}— no lettuce planted in this slot</Text>
-                <TouchableOpacity onPress={() => navigation.navigate('Dashboard', { screen: 'Search' })}>
+                <TouchableOpacity onPress={() => navigation.navigate('Dashboard', { screen: 'Search', params: { slotId: slot.id } })}>
                   <Text style={styles.chooseText}>+ Add</Text>
                 </TouchableOpacity>
+                <PastCropsLink slotId={slot.id} navigation={navigation} />
               </>
                 )}
               </View>
@@ -911,11 +862,24 @@ export default function InsightsScreen({ route, navigation }) {
             {Platform.OS === 'web' ? "Let’s Explore Your Lettuce!" : "Let’s Explore\nYour Lettuce!"}
           </Text>
           <Text style={[styles.dashboardDescription, Platform.OS === 'web' && { fontSize: 20, textAlign: 'left', marginLeft: 45, marginBottom: 40 }]}>Monitor real-time sensor data and get AI-powered growth forecasts.</Text>
+          {/* Loading / error / stale readings banner */}
+          <TelemetryStatus
+            loading={loading}
+            error={error}
+            stale={stale}
+            lastUpdated={lastUpdated}
+            onRetry={refresh}
+          />
+          <OutboxStatus />
           {slots.map((slot) => (
             <View key={slot.id} style={styles.slot}>
               <Text style={styles.slotTitle}>Slot #{slot.id}</Text>
               {slot.hasPlant ? (
                 <>
+                  {/* Active alerts for this slot */}
+                  <View style={{ marginBottom: 8 }}>
+                    <AlertList alerts={alertsForSlot(slot.id)} />
+                  </View>
                   {/* Environment Insight Mini Cards */}
                   <View style={{ flexDirection: 'row', alignItems: 'center', marginBottom: 8 }}>
                     <Text style={[styles.blockLabel, { marginLeft: 2}]}>Environmental Overview</Text>
@@ -933,12 +897,13 @@ export default function InsightsScreen({ route, navigation }) {
                       <View style={[styles.blockCard, { width: '32%', minWidth: 280 }]}>
                         <TouchableOpacity onPress={() => {
                           setCurrentTemp(slot.data.temp);
+                          setModalSlotId(slot.id);
                           setShowTempModal(true);
                         }}>
                           <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' }}>
                             <View style={{ flexDirection: 'row', alignItems: 'center' }}>
                               <Ionicons name="thermometer-outline" size={18} color="#4CAF50" />
-                              <Text style={[styles.slotData, { marginLeft: 8 }]}>Temperature: {slot.data.temp}°C</Text>
+                              <Text style={[styles.slotData, { marginLeft: 8 }]}>Temperature: {format.value('temp', slot.data.temp)}</Text>
                             </View>
                             <Ionicons name="chevron-forward" size={18} color="#999" />
                           </View>
@@ -947,12 +912,13 @@ export default function InsightsScreen({ route, navigation }) {
                       <View style={[styles.blockCard, { width: '32%', minWidth: 280 }]}>
                         <TouchableOpacity onPress={() => {
                           setCurrentHumidity(slot.data.humidity);
+                          setModalSlotId(slot.id);
                           setShowHumidityModal(true);
                         }}>
                           <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' }}>
                             <View style={{ flexDirection: 'row', alignItems: 'center' }}>
                               <Ionicons name="water-outline" size={18} color="#4CAF50" />
-                              <Text style={[styles.slotData, { marginLeft: 8 }]}>Humidity: {slot.data.humidity}%</Text>
+                              <Text style={[styles.slotData, { marginLeft: 8 }]}>Humidity: {format.value('humidity', slot.data.humidity)}</Text>
                             </View>
                             <Ionicons name="chevron-forward" size={18} color="#999" />
                           </View>
@@ -961,49 +927,53 @@ export default function InsightsScreen({ route, navigation }) {
                       <View style={[styles.blockCard, { width: '32%', minWidth: 280 }]}>
                         <TouchableOpacity onPress={() => {
                           setCurrentLight(slot.data.light);
+                          setModalSlotId(slot.id);
                           setShowLightModal(true);
                         }}>
                           <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' }}>
                             <View style={{ flexDirection: 'row', alignItems: 'center' }}>
                               <Ionicons name="sunny-outline" size={18} color="#4CAF50" />
-                              <Text style={[styles.slotData, { marginLeft: 8 }]}>Light: {slot.data.light} lux</Text>
+                              <Text style={[styles.slotData, { marginLeft: 8 }]}>Light: {format.value('light', slot.data.light)}</Text>
                             </View>
                             <Ionicons name="chevron-forward" size={18} color="#999" />
                           </View>
                         </TouchableOpacity>
                       </View>
                       <View style={[styles.blockCard, { width: '32%', minWidth: 280 }]}>
-                        <TouchableOpacity onPress={() => { setCurrentPh(slot.data.ph); setShowPhModal(true); }}>
+                        <TouchableOpacity onPress={() => { setModalSlotId(slot.id); setCurrentPh(slot.data.ph); setShowPhModal(true); }}>
                           <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' }}>
                             <View style={{ flexDirection: 'row', alignItems: 'center' }}>
                               <Ionicons name="flask-outline" size={18} color="#4CAF50" />
-                              <Text style={[styles.slotData, { marginLeft: 8 }]}>pH: {slot.data.ph}</Text>
+                              <Text style={[styles.slotData, { marginLeft: 8 }]}>pH: {format.value('ph', slot.data.ph)}</Text>
                             </View>
                             <Ionicons name="chevron-forward" size={18} color="#999" />
                           </View>
+                          <CalibrationBadge calibration={slot.calibration?.ph} />
                         </TouchableOpacity>
                       </View>
                       <View style={[styles.blockCard, { width: '32%', minWidth: 280 }]}>
-                        <TouchableOpacity onPress={() => { setCurrentTDS(slot.data.TDS || 846.69); setShowTDSModal(true); }}>
+                        <TouchableOpacity onPress={() => { setModalSlotId(slot.id); setCurrentTDS(slot.data.tds); setShowTDSModal(true); }}>
                           <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' }}>
                             <View style={{ flexDirection: 'row', alignItems: 'center' }}>
                               <Ionicons name="speedometer-outline" size={18} color="#4CAF50" />
-                              <Text style={[styles.slotData, { marginLeft: 8 }]}>TDS: {slot.data.TDS || 846.69} mS/cm</Text>
+                              <Text style={[styles.slotData, { marginLeft: 8 }]}>{format.label('tds')}: {format.value('tds', slot.data.tds)}</Text>
                             </View>
                             <Ionicons name="chevron-forward" size={18} color="#999" />
                           </View>
+                          <CalibrationBadge calibration={slot.calibration?.tds} />
                         </TouchableOpacity>
                       </View>
                       <View style={[styles.blockCard, { width: '32%', minWidth: 280 }]}>
                         <TouchableOpacity onPress={() => {
-                          setCurrentWaterLevel(60);
+                          setCurrentWaterLevel(slot.data.water);
+                          setModalSlotId(slot.id);
                           setShowWaterModal(true);
                         }}>
                           <View style={{ flexDirection:'row', justifyContent:'space-between', alignItems:'center' }}>
                             <View style={{ flexDirection:'row', alignItems:'center' }}>
                               <Ionicons name="water-sharp" size={18} color="#4CAF50" />
                               <Text style={[styles.slotData, { marginLeft: 8 }]}>
-                                Water: {humidityPref === 'Low' ? '5.0 L' : humidityPref === 'Medium' ? '6.5 L' : '8.0 L'}
+                                Water: {format.value('water', slot.data.water)}
                               </Text>
                             </View>
                             <Ionicons name="chevron-forward" size={18} color="#999" />
@@ -1016,12 +986,13 @@ export default function InsightsScreen({ route, navigation }) {
                       <View style={styles.blockCard}>
                         <TouchableOpacity onPress={() => {
                           setCurrentTemp(slot.data.temp);
+                          setModalSlotId(slot.id);
                           setShowTempModal(true);
                         }}>
                           <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' }}>
                             <View style={{ flexDirection: 'row', alignItems: 'center' }}>
                               <Ionicons name="thermometer-outline" size={18} color="#4CAF50" />
-                              <Text style={[styles.slotData, { marginLeft: 8 }]}>Temperature: {slot.data.temp}°C</Text>
+                              <Text style={[styles.slotData, { marginLeft: 8 }]}>Temperature: {format.value('temp', slot.data.temp)}</Text>
                             </View>
                             <Ionicons name="chevron-forward" size={18} color="#999" />
                           </View>
@@ -1030,12 +1001,13 @@ export default function InsightsScreen({ route, navigation }) {
                       <View style={styles.blockCard}>
                         <TouchableOpacity onPress={() => {
                           setCurrentHumidity(slot.data.humidity);
+                          setModalSlotId(slot.id);
                           setShowHumidityModal(true);
                         }}>
                           <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' }}>
                             <View style={{ flexDirection: 'row', alignItems: 'center' }}>
                               <Ionicons name="water-outline" size={18} color="#4CAF50" />
-                              <Text style={[styles.slotData, { marginLeft: 8 }]}>Humidity: {slot.data.humidity}%</Text>
+                              <Text style={[styles.slotData, { marginLeft: 8 }]}>Humidity: {format.value('humidity', slot.data.humidity)}</Text>
                             </View>
                             <Ionicons name="chevron-forward" size={18} color="#999" />
                           </View>
@@ -1044,12 +1016,13 @@ export default function InsightsScreen({ route, navigation }) {
                       <View style={styles.blockCard}>
                         <TouchableOpacity onPress={() => {
                           setCurrentLight(slot.data.light);
+                          setModalSlotId(slot.id);
                           setShowLightModal(true);
                         }}>
                           <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' }}>
                             <View style={{ flexDirection: 'row', alignItems: 'center' }}>
                               <Ionicons name="sunny-outline" size={18} color="#4CAF50" />
-                              <Text style={[styles.slotData, { marginLeft: 8 }]}>Light: {slot.data.light} lux</Text>
+                              <Text style={[styles.slotData, { marginLeft: 8 }]}>Light: {format.value('light', slot.data.light)}</Text>
                             </View>
                             <Ionicons name="chevron-forward" size={18} color="#999" />
                           </View>
@@ -1057,37 +1030,40 @@ export default function InsightsScreen({ route, navigation }) {
                       </View>
                       {/* Interactive pH Card */}
                       <View style={styles.blockCard}>
-                        <TouchableOpacity onPress={() => { setCurrentPh(slot.data.ph); setShowPhModal(true); }}>
+                        <TouchableOpacity onPress={() => { setModalSlotId(slot.id); setCurrentPh(slot.data.ph); setShowPhModal(true); }}>
                           <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' }}>
                             <View style={{ flexDirection: 'row', alignItems: 'center' }}>
                               <Ionicons name="flask-outline" size={18} color="#4CAF50" />
-                              <Text style={[styles.slotData, { marginLeft: 8 }]}>pH: {slot.data.ph}</Text>
+                              <Text style={[styles.slotData, { marginLeft: 8 }]}>pH: {format.value('ph', slot.data.ph)}</Text>
                             </View>
                             <Ionicons name="chevron-forward" size={18} color="#999" />
                           </View>
+                          <CalibrationBadge calibration={slot.calibration?.ph} />
                         </TouchableOpacity>
                       </View>
                       {/* Interactive TDS Card */}
                       <View style={styles.blockCard}>
-                        <TouchableOpacity onPress={() => { setCurrentTDS(slot.data.TDS || 846.69); setShowTDSModal(true); }}>
+                        <TouchableOpacity onPress={() => { setModalSlotId(slot.id); setCurrentTDS(slot.data.tds); setShowTDSModal(true); }}>
                           <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' }}>
                             <View style={{ flexDirection: 'row', alignItems: 'center' }}>
                               <Ionicons name="speedometer-outline" size={18} color="#4CAF50" />
-                              <Text style={[styles.slotData, { marginLeft: 8 }]}>TDS: {slot.data.TDS || 846.69} ppm</Text>
+                              <Text style={[styles.slotData, { marginLeft: 8 }]}>{format.label('tds')}: {format.value('tds', slot.data.tds)}</Text>
                             </View>
                             <Ionicons name="chevron-forward" size={18} color="#999" />
                           </View>
+                          <CalibrationBadge calibration={slot.calibration?.tds} />
                         </TouchableOpacity>
                       </View>
                       <View style={styles.blockCard}>
                         <TouchableOpacity onPress={() => {
-                          setCurrentWaterLevel(60);
+                          setCurrentWaterLevel(slot.data.water);
+                          setModalSlotId(slot.id);
                           setShowWaterModal(true);
                         }}>
                           <View style={{ flexDirection:'row', justifyContent:'space-between', alignItems:'center' }}>
                             <View style={{ flexDirection:'row', alignItems:'center' }}>
                               <Ionicons name="water-sharp" size={18} color="#4CAF50" />
-                              <Text style={[styles.slotData,{ marginLeft:8 }]}>Water: 6.5 L</Text>
+                              <Text style={[styles.slotData,{ marginLeft:8 }]}>Water: {format.value('water', slot.data.water)}</Text>
                             </View>
                             <Ionicons name="chevron-forward" size={18} color="#999" />
                           </View>
@@ -1103,124 +1079,25 @@ export default function InsightsScreen({ route, navigation }) {
                   <View style={{ flexDirection: 'row', alignItems: 'center', marginBottom: 8 }}>
                     <Text style={[styles.blockLabel, { marginLeft: 2 }]}>Growth Forecast</Text>
                   </View>
-                  {/* Lettuce Health + Smart Cam for web */}
-                  {Platform.OS === 'web' ? (
-                    <View
-                      style={{
-                        backgroundColor: '#fafafa',
-                        borderRadius: 12,
-                        padding: 18,
-                        marginBottom: 22,
-                        flexDirection: 'row',
-                        alignItems: 'center',
-                        justifyContent: 'space-between',
-                        minHeight: 48,
-                        boxShadow: '0 1px 3px #eee',
-                        width: '100%',
-                      }}
-                    >
-                      {/* Lettuce health status (left) */}
-                      <View style={{ flexDirection: 'row', alignItems: 'center' }}>
-                        <Ionicons name="checkmark-circle" size={22} color="#4CAF50" style={{ marginRight: 10 }} />
-                        <Text style={{ color: "#3A3A3A", fontWeight: 'bold', fontSize: 18 }}>
-                          Lettuce looks healthy!
-                        </Text>
-                      </View>
-                      {/* Smart Cam indicator (right) */}
-                      <View style={{ flexDirection: 'row', alignItems: 'center', marginLeft: 16 }}>
-                        <Ionicons name="camera-outline" size={15} color="#888" />
-                        <Text style={{ color: '#888', fontSize: 13, marginLeft: 4 }}>Smart Cam</Text>
-                      </View>
-                    </View>
-                  ) : (
-                    <>
-                      {/* Lettuce Health Status (AI mock) for mobile */}
-                      <View style={{
-  flexDirection: 'row',
-  alignItems: 'center',
-  marginBottom: 8,
-  // REMOVE marginLeft for flush alignment
-  backgroundColor: "#f8f8f8",
-  borderRadius: 16,
-  paddingVertical: 14,
-  paddingHorizontal: 20,
-  minHeight: 44,
-  // Stretch card to fill the available width
-  width: '100%',
-  alignSelf: 'stretch',
-  // NEW: shadow for extra visibility (optional)
-  shadowColor: "#ddd",
-  shadowOffset: { width: 0, height: 2 },
-  shadowOpacity: 0.10,
-  shadowRadius: 6,
-  elevation: 2,
-}}>
-  {lettuceHealth === "healthy" ? (
-    <>
-      <Ionicons name="checkmark-circle" size={22} color="#4CAF50" style={{ marginRight: 12 }} />
-      <Text style={{ color: "#222", fontWeight: 'bold', fontSize: 16}}>
-        Lettuce looks healthy!
-      </Text>
-    </>
-  ) : (
-    <>
-      <Ionicons name="warning" size={22} color="#e53935" style={{ marginRight: 12 }} />
-      <Text style={{ color: "#b71c1c", fontWeight: 'bold', fontSize: 16 }}>
-        Lettuce might need attention!
-      </Text>
-    </>
-  )}
-</View>
-                    </>
-                  )}
-                  {/* Smart Cam image mockup */}
-                  <View style={[styles.blockCard, {
-                    padding: 0,
-                    overflow: 'hidden',
-                    marginBottom: 12,
-                    width: '100%',
-                    ...(Platform.OS === 'web' ? { paddingHorizontal: 40 } : {})
-                  }]}>
-                    <Image
-                      source={{ uri: 'https://via.placeholder.com/300x140' }}
-                      style={{
-                        width: Platform.OS === 'web' ? '95%' : '100%',
-                        height: Platform.OS === 'web' ? 200 : 140,
-                        alignSelf: Platform.OS === 'web' ? 'center' : 'stretch',
-                        borderRadius: Platform.OS === 'web' ? 8 : 0,
-                      }}
-                      resizeMode="cover"
-                    />
-                    <View style={{
-                      position: 'absolute',
-                      bottom: 8,
-                      left: 8,
-                      flexDirection: 'row',
-                      alignItems: 'center',
-                      backgroundColor: 'rgba(0,0,0,0.5)',
-                      paddingHorizontal: 6,
-                      paddingVertical: 2,
-                      borderRadius: 4
-                    }}>
-                      <Ionicons name="camera-outline" size={12} color="#fff" />
-                      <Text style={{ color: '#fff', fontSize: 12, marginLeft: 4 }}>Smart Cam</Text>
-                    </View>
-                  </View>
-                  <Text style={[
-                    { fontSize: 10, fontStyle: 'italic', color: '#555', marginBottom: 12, alignSelf: 'flex-end' },
-                    Platform.OS === 'web' && { fontSize: 12 }
-                  ]}>
-                    Photo taken 5 minutes ago
-                  </Text>
-                  {/* Average Growth Card */}
-                  <AverageGrowthCard currentStage={2} />
+                  {/* Plant health from the latest photo */}
+                  <HealthAssessment slot={slot} />
+                  {/* Latest Smart Cam photo; tap for the slot's photo timeline */}
+                  <SmartCamImage
+                    slot={slot}
+                    height={Platform.OS === 'web' ? 200 : 140}
+                    onPress={() => navigation.navigate('CameraTimeline', { slotId: slot.id })}
+                  />
+                  {/* Growth Timeline Card */}
+                  <GrowthTimelineCard slot={slot} />
+                  <PastCropsLink slotId={slot.id} navigation={navigation} />
                 </>
               ) : (
                 <>
                   <Text style={styles.slotStatus}>No insights available {"\n"}— no lettuce planted in this slot</Text>
-                  <TouchableOpacity onPress={() => navigation.navigate('Dashboard', { screen: 'Search' })}>
+                  <TouchableOpacity onPress={() => navigation.navigate('Dashboard', { screen: 'Search', params: { slotId: slot.id } })}>
                     <Text style={styles.chooseText}>+ Add</Text>
                   </TouchableOpacity>
+                  <PastCropsLink slotId={slot.id} navigation={navigation} />
                 </>
               )}
             </View>
@@ -1248,7 +1125,7 @@ export default function InsightsScreen({ route, navigation }) {
               <View style={{ flexDirection: 'row', alignItems: 'center' }}>
                 <Text style={{ fontSize: 18, color: '#333', marginLeft: 6 }}>
                   Current Water: <Text style={{ fontWeight: 'bold' }}>
-                    {humidityPref === 'Low' ? '5.0 L' : humidityPref === 'Medium' ? '6.5 L' : '8.0 L'}
+                    {format.value('water', currentWaterLevel)}
                   </Text>
                 </Text>
                 <View style={{ marginLeft: 6 }}>
@@ -1283,48 +1160,18 @@ export default function InsightsScreen({ route, navigation }) {
                   }}
                 >
                   <Text style={{ fontSize: 12, color: '#333', lineHeight: 16, textAlign: 'center' }}>
-                    {Platform.OS === 'web'
-                      ? 'Ideal water level for lettuce growth is between 5.0–8.0 L. Your current water level is within this optimal range.'
-                      : 'Ideal water level for lettuce growth is between 5.0–8.0 L.\nYour current water level is within this optimal range.'}
+                    {targetTooltip('water', 'water level', Platform.OS === 'web' ? ' ' : '\n')}
                   </Text>
                 </View>
               )}
             </View>
-            {/* Chart */}
-            {(() => {
-              const chart = generateWaterChartData();
-              return (
-                <LineChart
-                  data={{ labels: chart.labels, datasets: [{ data: chart.data, color:()=> '#4CAF50', yAxisMin: 5, yAxisMax: 8 }] }}
-                  width={Dimensions.get('window').width * 0.68}
-                  height={180}
-                  withVerticalLines={false}
-                  yAxisSuffix=" L"
-                  chartConfig={{
-                    backgroundColor:'#fff',
-                    backgroundGradientFrom:'#fff',
-                    backgroundGradientTo:'#fff',
-                    decimalPlaces: 1,
-                    color:()=> '#4CAF50',
-                    labelColor:()=> '#555',
-                    propsForDots:{ r:'4', strokeWidth:'2', stroke:'#fff' },
-                  }}
-                  bezier
-                  style={{
-                    marginVertical: 12,
-                    borderRadius: 8,
-                    marginTop: Platform.OS === 'web' ? 48 : 12
-                  }}
-                  fromZero={false}
-                  yAxisInterval={1}
-                  segments={3}
-                  getDotColor={() => '#4CAF50'}
-                  yLabelsOffset={10}
-                  formatYLabel={(label) => `${parseFloat(label).toFixed(1)}`}
-                  decorator={() => null}
-                />
-              );
-            })()}
+            {/* Water History Chart */}
+            <MetricHistory
+              slotId={modalSlotId}
+              metric="water"
+              width={Dimensions.get('window').width * 0.68}
+              style={{ marginTop: Platform.OS === 'web' ? 48 : 12 }}
+            />
 
             {/* Water Volume */}
             <Text style={styles.modalSectionTitle}>Water Mode</Text>
@@ -1335,7 +1182,7 @@ export default function InsightsScreen({ route, navigation }) {
               Current: <Text style={{ fontWeight: 'bold', color: '#4CAF50' }}>{waterMode}</Text>
             </Text>
             <View style={[styles.segmentContainer, { marginTop: 12 }]}>
-              {['Auto', 'Manual'].map((mode, idx, arr) => (
+              {CONTROL_MODES.map((mode, idx, arr) => (
                 <TouchableOpacity
                   key={mode}
                   style={[
@@ -1344,7 +1191,7 @@ export default function InsightsScreen({ route, navigation }) {
                     idx === arr.length - 1 && styles.segmentLast,
                     waterMode === mode && styles.segmentButtonActive
                   ]}
-                  onPress={() => setWaterMode(mode)}
+                  onPress={() => updateConfig({ waterMode: mode })}
                 >
                   <Text style={[styles.segmentButtonText, waterMode === mode && styles.segmentButtonTextActive]}>
                     {mode}
@@ -1352,18 +1199,16 @@ export default function InsightsScreen({ route, navigation }) {
                 </TouchableOpacity>
               ))}
             </View>
-<TouchableOpacity
-  style={styles.actionButton}
-  onPress={() => {
-    if (Platform.OS === 'web') {
-      alert('Dispensing water... Will stop after 5 seconds.');
-    } else {
-      Alert.alert('Notice', 'Dispensing water... Will stop after 5 seconds.');
-    }
-  }}
->
-  <Text style={styles.actionButtonText}>Dispense Water</Text>
-</TouchableOpacity>
+            {configErrorNotice}
+            {/* Dispense Water Button */}
+            <TouchableOpacity
+              style={[styles.actionButton, isBusy(COMMAND_ACTIONS.DISPENSE_WATER) && styles.actionButtonDisabled]}
+              disabled={isBusy(COMMAND_ACTIONS.DISPENSE_WATER)}
+              onPress={() => send(COMMAND_ACTIONS.DISPENSE_WATER, { litres: 1 })}
+            >
+              <Text style={styles.actionButtonText}>Dispense Water</Text>
+            </TouchableOpacity>
+            <CommandStatus command={commandFor(COMMAND_ACTIONS.DISPENSE_WATER)} />
 
 
             <View style={{ alignSelf: 'center', marginTop: 14 }}>
@@ -1373,7 +1218,7 @@ export default function InsightsScreen({ route, navigation }) {
                 fontWeight: '600',
                 textAlign: 'center',
               }}>
-                Optimized by AI 15 minutes ago
+                {modalSlot?.optimizedAt ? `Optimized by AI ${formatTimeAgo(modalSlot.optimizedAt)}` : 'Not yet optimized by AI'}
               </Text>
             </View>
             <Pressable style={{ marginTop:20, alignSelf:'flex-end' }} onPress={()=>setShowWaterModal(false)}>
@@ -1400,8 +1245,8 @@ export default function InsightsScreen({ route, navigation }) {
             <View style={{ flexDirection: 'row', alignItems: 'flex-start', position: 'relative', marginBottom: 12 }}>
               <Text style={{ fontSize: 18, color: '#333', marginLeft: 6 }}>
                 Current Brightness: <Text style={{ fontWeight: 'bold' }}>
-                  {lightMode === 'Manual' ? lightLevel : currentLight}
-                </Text> lux
+                  {format.value('light', lightMode === 'Manual' ? lightLevel : currentLight)}
+                </Text>
               </Text>
               <View style={{ marginLeft: 6 }}>
                 <TouchableOpacity
@@ -1432,40 +1277,18 @@ export default function InsightsScreen({ route, navigation }) {
                   elevation: 4,
                 }}>
                   <Text style={{ fontSize: 12, color: '#333', lineHeight: 16 }}>
-                    {Platform.OS === 'web'
-                      ? 'Lettuce thrives in well-lit environments. Your current light intensity supports healthy growth.'
-                      : 'Lettuce thrives in well-lit environments.\nYour current light intensity supports healthy growth.'}
+                    {targetTooltip('light', 'light intensity', Platform.OS === 'web' ? ' ' : '\n')}
                   </Text>
                 </View>
               )}
             </View>
-            {/* Light Trend Chart */}
-            {(() => {
-              const lightChart = generateLightChartData();
-              return (
-                <LineChart
-                  data={{ labels: lightChart.labels, datasets: [{ data: lightChart.data, color: () => '#4CAF50' }] }}
-                  width={Dimensions.get('window').width * 0.68}
-                  height={180}
-                  withVerticalLines={false}
-                  chartConfig={{
-                    backgroundColor:'#fff',
-                    backgroundGradientFrom:'#fff',
-                    backgroundGradientTo:'#fff',
-                    decimalPlaces:0,
-                    color: () => '#4CAF50',
-                    labelColor: () => '#555',
-                    propsForDots: { r: '4', strokeWidth: '2', stroke: '#fff' },
-                  }}
-                  bezier
-                  style={{
-                    marginVertical: 12,
-                    borderRadius: 8,
-                    marginTop: Platform.OS === 'web' ? 48 : 12
-                  }}
-                />
-              );
-            })()}
+            {/* Light History Chart */}
+            <MetricHistory
+              slotId={modalSlotId}
+              metric="light"
+              width={Dimensions.get('window').width * 0.68}
+              style={{ marginTop: Platform.OS === 'web' ? 48 : 12 }}
+            />
             <Text style={styles.modalSectionTitle}>Light Mode</Text>
             <Text style={[
               { color: '#333', marginTop: 8, marginBottom: 6 },
@@ -1474,7 +1297,7 @@ export default function InsightsScreen({ route, navigation }) {
               Current: <Text style={{ fontWeight: 'bold', color: '#4CAF50' }}>{lightMode}</Text>
             </Text>
             <View style={[styles.segmentContainer, { marginTop:12 }]}>
-              {['Auto','Manual'].map((mode, idx, arr) => (
+              {CONTROL_MODES.map((mode, idx, arr) => (
                 <TouchableOpacity
                   key={mode}
                   style={[
@@ -1483,7 +1306,7 @@ export default function InsightsScreen({ route, navigation }) {
                     idx === arr.length-1 && styles.segmentLast,
                     lightMode === mode && styles.segmentButtonActive
                   ]}
-                  onPress={() => setLightMode(mode)}
+                  onPress={() => updateConfig({ lightMode: mode })}
                 >
                   <Text style={[styles.segmentButtonText, lightMode === mode && styles.segmentButtonTextActive]}>
                     {mode}
@@ -1491,6 +1314,7 @@ export default function InsightsScreen({ route, navigation }) {
                 </TouchableOpacity>
               ))}
             </View>
+            {configErrorNotice}
             {/* Manual Light Controls */}
             {lightMode === 'Manual' && (
               <View style={{ marginTop: 16, alignItems: 'center' }}>
@@ -1502,8 +1326,10 @@ export default function InsightsScreen({ route, navigation }) {
                       paddingHorizontal: 24,
                       borderRadius: 8,
                       marginRight: 10,
+                      opacity: isBusy(COMMAND_ACTIONS.LIGHT_ON) ? 0.5 : 1,
                     }}
-                    onPress={() => setIsLightOn(true)}
+                    disabled={isBusy(COMMAND_ACTIONS.LIGHT_ON)}
+                    onPress={() => send(COMMAND_ACTIONS.LIGHT_ON, { level: lightLevel })}
                   >
                     <Text style={{ color: isLightOn ? '#fff' : '#555', fontWeight: 'bold' }}>ON</Text>
                   </TouchableOpacity>
@@ -1513,8 +1339,10 @@ export default function InsightsScreen({ route, navigation }) {
                       paddingVertical: 8,
                       paddingHorizontal: 24,
                       borderRadius: 8,
+                      opacity: isBusy(COMMAND_ACTIONS.LIGHT_OFF) ? 0.5 : 1,
                     }}
-                    onPress={() => setIsLightOn(false)}
+                    disabled={isBusy(COMMAND_ACTIONS.LIGHT_OFF)}
+                    onPress={() => send(COMMAND_ACTIONS.LIGHT_OFF)}
                   >
                     <Text style={{ color: !isLightOn ? '#fff' : '#555', fontWeight: 'bold' }}>OFF</Text>
                   </TouchableOpacity>
@@ -1526,15 +1354,15 @@ export default function InsightsScreen({ route, navigation }) {
                       borderRadius: 8,
                       padding: 8,
                       marginRight: 12,
-                      opacity: lightLevel <= 0 ? 0.5 : 1,
+                      opacity: lightLevel <= 0 || isBusy(COMMAND_ACTIONS.LIGHT_ON) ? 0.5 : 1,
                     }}
-                    disabled={lightLevel <= 0}
-                    onPress={() => setLightLevel(lvl => Math.max(lvl - 1, 0))}
+                    disabled={lightLevel <= 0 || isBusy(COMMAND_ACTIONS.LIGHT_ON)}
+                    onPress={() => send(COMMAND_ACTIONS.LIGHT_ON, { level: Math.max(lightLevel - 1, 0) })}
                   >
                     <Ionicons name="remove" size={24} color="#108b49" />
                   </TouchableOpacity>
                   <Text style={{ fontSize: 18, fontWeight: 'bold', marginHorizontal: 10 }}>
-                    {lightLevel}
+                    {format.value('light', lightLevel)}
                   </Text>
                   <TouchableOpacity
                     style={{
@@ -1542,10 +1370,10 @@ export default function InsightsScreen({ route, navigation }) {
                       borderRadius: 8,
                       padding: 8,
                       marginLeft: 12,
-                      opacity: lightLevel >= 10 ? 0.5 : 1,
+                      opacity: lightLevel >= 10 || isBusy(COMMAND_ACTIONS.LIGHT_ON) ? 0.5 : 1,
                     }}
-                    disabled={lightLevel >= 10}
-                    onPress={() => setLightLevel(lvl => Math.min(lvl + 1, 10))}
+                    disabled={lightLevel >= 10 || isBusy(COMMAND_ACTIONS.LIGHT_ON)}
+                    onPress={() => send(COMMAND_ACTIONS.LIGHT_ON, { level: Math.min(lightLevel + 1, 10) })}
                   >
                     <Ionicons name="add" size={24} color="#108b49" />
                   </TouchableOpacity>
@@ -1556,6 +1384,7 @@ export default function InsightsScreen({ route, navigation }) {
                 <Text style={{ color: isLightOn ? "#4CAF50" : "#888", marginTop: 8 }}>
                   Status: {isLightOn ? "ON" : "OFF"}
                 </Text>
+                <CommandStatus command={commandFor(COMMAND_ACTIONS.LIGHT_ON)} />
               </View>
             )}
             <View style={{ alignSelf: 'center', marginTop: 14 }}>
@@ -1565,7 +1394,7 @@ export default function InsightsScreen({ route, navigation }) {
                 fontWeight: '600',
                 textAlign: 'center',
               }}>
-                Optimized by AI 30 minutes ago
+                {modalSlot?.optimizedAt ? `Optimized by AI ${formatTimeAgo(modalSlot.optimizedAt)}` : 'Not yet optimized by AI'}
               </Text>
             </View>
             <Pressable style={{ marginTop:20, alignSelf:'flex-end' }} onPress={() => setShowLightModal(false)}>
@@ -1586,11 +1415,11 @@ export default function InsightsScreen({ route, navigation }) {
               { fontWeight: 'bold', marginBottom: 12 },
               Platform.OS === 'web' ? { fontSize: 34 } : { fontSize: 24 }
             ]}>
-              TDS Insight
+              {format.label('tds')} Insight
             </Text>
             <View style={{ flexDirection: 'row', alignItems: 'flex-start', position: 'relative', marginBottom: 12 }}>
               <Text style={{ fontSize: 16, color: '#333', marginLeft: 6 }}>
-                Current TDS: <Text style={{ fontWeight: 'bold' }}>{currentTDS}</Text> ppm
+                Current {format.label('tds')}: <Text style={{ fontWeight: 'bold' }}>{format.value('tds', currentTDS)}</Text>
               </Text>
               <TouchableOpacity
                 onPress={() => {
@@ -1619,42 +1448,20 @@ export default function InsightsScreen({ route, navigation }) {
                   shadowRadius: 4,
                 }}>
                   <Text style={{ fontSize: 12, color: '#333', lineHeight: 16 }}>
-                    {Platform.OS === 'web'
-                      ? 'Ideal nutrient concentration is between 0–2000 ppm. Your current TDS is within this optimal range.'
-                      : 'Ideal nutrient concentration is between 0–2000 ppm.\nYour current TDS is within this optimal range.'}
+                    {targetTooltip('tds', format.label('tds'), Platform.OS === 'web' ? ' ' : '\n')}
                   </Text>
                 </View>
               )}
             </View>
-            {/* TDS Trend Chart */}
-            {(() => {
-              const TDSChart = generateTDSChartData();
-              return (
-                <LineChart
-                  data={{ labels: TDSChart.labels, datasets: [{ data: TDSChart.data, color: () => '#4CAF50' }] }}
-                  width={Dimensions.get('window').width * 0.68}
-                  height={180}
-                  withVerticalLines={false}
-                  chartConfig={{
-                    backgroundColor: '#fff',
-                    backgroundGradientFrom: '#fff',
-                    backgroundGradientTo: '#fff',
-                    decimalPlaces: 2,
-                    color: () => '#4CAF50',
-                    labelColor: () => '#555',
-                    propsForDots: { r: '4', strokeWidth: '2', stroke: '#fff' },
-                  }}
-                  bezier
-                  style={{
-                    marginVertical: 12,
-                    borderRadius: 8,
-                    marginTop: Platform.OS === 'web' ? 48 : 12
-                  }}
-                />
-              );
-            })()}
+            {/* TDS History Chart */}
+            <MetricHistory
+              slotId={modalSlotId}
+              metric="tds"
+              width={Dimensions.get('window').width * 0.68}
+              style={{ marginTop: Platform.OS === 'web' ? 48 : 12 }}
+            />
             {/* TDS Mode Segmented Control */}
-            <Text style={styles.modalSectionTitle}>TDS Mode</Text>
+            <Text style={styles.modalSectionTitle}>{format.label('tds')} Mode</Text>
             <Text style={[
               { color: '#333', marginTop: 8, marginBottom: 6 },
               Platform.OS === 'web' ? { fontSize: 16 } : { fontSize: 14 }
@@ -1662,7 +1469,7 @@ export default function InsightsScreen({ route, navigation }) {
               Current: <Text style={{ fontWeight: 'bold', color: '#4CAF50' }}>{TDSMode}</Text>
             </Text>
             <View style={[styles.segmentContainer, { marginTop: 12 }]}>
-              {['Auto', 'Manual'].map((mode, idx, arr) => (
+              {CONTROL_MODES.map((mode, idx, arr) => (
                 <TouchableOpacity
                   key={mode}
                   style={[
@@ -1671,7 +1478,7 @@ export default function InsightsScreen({ route, navigation }) {
                     idx === arr.length - 1 && styles.segmentLast,
                     TDSMode === mode && styles.segmentButtonActive
                   ]}
-                  onPress={() => setTDSMode(mode)}
+                  onPress={() => updateConfig({ TDSMode: mode })}
                 >
                   <Text style={[styles.segmentButtonText, TDSMode === mode && styles.segmentButtonTextActive]}>
                     {mode}
@@ -1679,19 +1486,28 @@ export default function InsightsScreen({ route, navigation }) {
                 </TouchableOpacity>
               ))}
             </View>
+            {/* Target TDS Range, edited in the account's nutrient units and saved in ppm */}
+            <Text style={[styles.modalSectionTitle, { marginTop: 16 }]}>Target {format.label('tds')}</Text>
+            <RangeStepper
+              value={TDSRange.map((ppm) => format.convert('tds', ppm))}
+              onChange={(range) => updateConfig({ TDSRange: range.map((value) => format.toBase('tds', value)) })}
+              step={format.describe('tds').step}
+              limits={[0, format.convert('tds', 5000)]}
+              decimals={format.describe('tds').decimals}
+              unit={format.unit('tds').trim()}
+            />
+            {configErrorNotice}
+            {/* TDS probe calibration */}
+            <ProbeCalibration slot={modalSlot} probe={PROBES.TDS} />
             {/* Dispense Nutrients Button */}
             <TouchableOpacity
-              style={styles.actionButton}
-              onPress={() => {
-                if (Platform.OS === 'web') {
-                  alert('Dispensing nutrients... Will stop after 5 seconds.');
-                } else {
-                  Alert.alert('Notice', 'Dispensing nutrients... Will stop after 5 seconds.');
-                }
-              }}
+              style={[styles.actionButton, isBusy(COMMAND_ACTIONS.DISPENSE_NUTRIENTS) && styles.actionButtonDisabled]}
+              disabled={isBusy(COMMAND_ACTIONS.DISPENSE_NUTRIENTS)}
+              onPress={() => send(COMMAND_ACTIONS.DISPENSE_NUTRIENTS, { ml: 10 })}
             >
               <Text style={styles.actionButtonText}>Dispense Nutrients</Text>
             </TouchableOpacity>
+            <CommandStatus command={commandFor(COMMAND_ACTIONS.DISPENSE_NUTRIENTS)} />
             <View style={{ alignSelf: 'center', marginTop: 14 }}>
               <Text style={{
                 fontSize: 13,
@@ -1699,7 +1515,7 @@ export default function InsightsScreen({ route, navigation }) {
                 fontWeight: '600',
                 textAlign: 'center',
               }}>
-                Optimized by AI 15 minutes ago
+                {modalSlot?.optimizedAt ? `Optimized by AI ${formatTimeAgo(modalSlot.optimizedAt)}` : 'Not yet optimized by AI'}
               </Text>
             </View>
             <Pressable style={{ marginTop:20, alignSelf:'flex-end' }} onPress={()=>setShowTDSModal(false)}>
@@ -1724,7 +1540,7 @@ export default function InsightsScreen({ route, navigation }) {
             </Text>
             <View style={{ flexDirection: 'row', alignItems: 'flex-start', position: 'relative', marginBottom: 12 }}>
               <Text style={{ fontSize: 18, color: '#333', marginLeft: 6 }}>
-                Current pH: <Text style={{ fontWeight: 'bold' }}>{currentPh}</Text>
+                Current pH: <Text style={{ fontWeight: 'bold' }}>{format.value('ph', currentPh)}</Text>
               </Text>
               <TouchableOpacity
                 onPress={() => {
@@ -1753,39 +1569,56 @@ export default function InsightsScreen({ route, navigation }) {
                   shadowRadius: 4,
                 }}>
                   <Text style={{ fontSize: 12, color: '#333', lineHeight: 16 }}>
-                    {Platform.OS === 'web'
-                      ? 'Ideal pH for lettuce growth is between 5.5–6.0. Your current pH is within this optimal range.'
-                      : 'Ideal pH for lettuce growth is between 5.5–6.0.\nYour current pH is within this optimal range.'}
+                    {targetTooltip('ph', 'pH', Platform.OS === 'web' ? ' ' : '\n')}
                   </Text>
                 </View>
               )}
             </View>
-            {/* pH Line Chart */}
-            {(() => {
-              const phChart = generatePhChartData();
-              return (
-                <LineChart
-                  data={{ labels: phChart.labels, datasets: [{ data: phChart.data }] }}
-                  width={Dimensions.get('window').width * 0.68}
-                  height={180}
-                  withVerticalLines={false}
-                  chartConfig={{
-                    backgroundColor: '#fff',
-                    backgroundGradientFrom: '#fff',
-                    backgroundGradientTo: '#fff',
-                    decimalPlaces: 2,
-                    color: () => '#4CAF50',
-                    labelColor: () => '#555',
-                    propsForDots: { r: '4', strokeWidth: '2', stroke: '#fff' },
-                  }}
-                  style={{
-                    marginVertical: 12,
-                    borderRadius: 8,
-                    marginTop: Platform.OS === 'web' ? 48 : 12
-                  }}
-                />
-              );
-            })()}
+            {/* pH History Chart */}
+            <MetricHistory
+              slotId={modalSlotId}
+              metric="ph"
+              width={Dimensions.get('window').width * 0.68}
+              style={{ marginTop: Platform.OS === 'web' ? 48 : 12 }}
+            />
+            {/* pH Mode Segmented Control */}
+            <Text style={styles.modalSectionTitle}>pH Mode</Text>
+            <Text style={[
+              { color: '#333', marginTop: 8, marginBottom: 6 },
+              Platform.OS === 'web' ? { fontSize: 16 } : { fontSize: 14 }
+            ]}>
+              Current: <Text style={{ fontWeight: 'bold', color: '#4CAF50' }}>{phMode}</Text>
+            </Text>
+            <View style={[styles.segmentContainer, { marginTop: 12 }]}>
+              {CONTROL_MODES.map((mode, idx, arr) => (
+                <TouchableOpacity
+                  key={mode}
+                  style={[
+                    styles.segmentButton,
+                    idx === 0 && styles.segmentFirst,
+                    idx === arr.length - 1 && styles.segmentLast,
+                    phMode === mode && styles.segmentButtonActive
+                  ]}
+                  onPress={() => updateConfig({ phMode: mode })}
+                >
+                  <Text style={[styles.segmentButtonText, phMode === mode && styles.segmentButtonTextActive]}>
+                    {mode}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+            {/* Target pH Range */}
+            <Text style={[styles.modalSectionTitle, { marginTop: 16 }]}>Target pH</Text>
+            <RangeStepper
+              value={phRange}
+              onChange={(range) => updateConfig({ phRange: range })}
+              step={0.1}
+              limits={[3.5, 8.5]}
+              decimals={1}
+            />
+            {configErrorNotice}
+            {/* pH probe calibration */}
+            <ProbeCalibration slot={modalSlot} probe={PROBES.PH} />
             <View style={{ alignSelf: 'center', marginTop: 14 }}>
               <Text style={{
                 fontSize: 13,
@@ -1793,7 +1626,7 @@ export default function InsightsScreen({ route, navigation }) {
                 fontWeight: '600',
                 textAlign: 'center',
               }}>
-                Optimized by AI 30 minutes ago
+                {modalSlot?.optimizedAt ? `Optimized by AI ${formatTimeAgo(modalSlot.optimizedAt)}` : 'Not yet optimized by AI'}
               </Text>
             </View>
             <Pressable style={{ marginTop: 20, alignSelf: 'flex-end' }} onPress={() => setShowPhModal(false)}>
@@ -1820,7 +1653,7 @@ export default function InsightsScreen({ route, navigation }) {
             </Text>
             <View style={{ flexDirection: 'row', alignItems: 'flex-start', position: 'relative', marginBottom: 12 }}>
               <Text style={{ fontSize: 18, color: '#333', marginLeft: 6 }}>
-                Current Humidity: <Text style={{ fontWeight: 'bold' }}>{currentHumidity}%</Text>
+                Current Humidity: <Text style={{ fontWeight: 'bold' }}>{format.value('humidity', currentHumidity)}</Text>
               </Text>
               <View style={{ marginLeft: 6 }}>
                 <TouchableOpacity
@@ -1851,50 +1684,45 @@ export default function InsightsScreen({ route, navigation }) {
                   elevation: 4,
                 }}>
                   <Text style={{ fontSize: 12, color: '#333', lineHeight: 16 }}>
-                    {Platform.OS === 'web'
-                      ? 'Ideal humidity for lettuce growth is between 40–65%. Your current humidity is within this optimal range.'
-                      : 'Ideal humidity for lettuce growth is between 40–65%.\nYour current humidity is within this optimal range.'}
+                    {targetTooltip('humidity', 'humidity', Platform.OS === 'web' ? ' ' : '\n')}
                   </Text>
                 </View>
               )}
             </View>
-            {(() => {
-              // Dynamic humidity chart: last 5 days, realistic 40–65% values
-              const today = new Date();
-              const days = [-2, -1, 0, 1, 2];
-              const labels = days.map(offset => {
-                const d = new Date(today);
-                d.setDate(today.getDate() + offset);
-                return `${d.getDate()} ${d.toLocaleDateString('en-AU', { month: 'short' })}`;
-              });
-              // Mock data: within 40–65%, ascending for realism
-              const data = [58, 60, 61, 62, 63];
-              const chart = { labels, data };
-              return (
-                <LineChart
-                  data={{ labels: chart.labels, datasets: [{ data: chart.data }] }}
-                  width={Dimensions.get('window').width * 0.68}
-                  height={180}
-                  withVerticalLines={false}
-                  yAxisSuffix="%"
-                  chartConfig={{
-                    backgroundColor: '#fff',
-                    backgroundGradientFrom: '#fff',
-                    backgroundGradientTo: '#fff',
-                    decimalPlaces: 0,
-                    color: () => '#4CAF50',
-                    labelColor: () => '#555',
-                    propsForDots: { r: '4', strokeWidth: '2', stroke: '#fff' },
-                  }}
-                  bezier
-                  style={{
-                    marginVertical: 12,
-                    borderRadius: 8,
-                    marginTop: Platform.OS === 'web' ? 48 : 12
-                  }}
-                />
-              );
-            })()}
+            {/* Humidity History Chart */}
+            <MetricHistory
+              slotId={modalSlotId}
+              metric="humidity"
+              width={Dimensions.get('window').width * 0.68}
+              style={{ marginTop: Platform.OS === 'web' ? 48 : 12 }}
+            />
+            {/* Humidity Preference Segmented Control */}
+            <Text style={styles.modalSectionTitle}>Humidity Preference</Text>
+            <Text style={[
+              { color: '#333', marginTop: 8, marginBottom: 6 },
+              Platform.OS === 'web' ? { fontSize: 16 } : { fontSize: 14 }
+            ]}>
+              Current: <Text style={{ fontWeight: 'bold', color: '#4CAF50' }}>{humidityPref}</Text>
+            </Text>
+            <View style={[styles.segmentContainer, { marginTop: 12 }]}>
+              {HUMIDITY_PREFS.map((pref, idx, arr) => (
+                <TouchableOpacity
+                  key={pref}
+                  style={[
+                    styles.segmentButton,
+                    idx === 0 && styles.segmentFirst,
+                    idx === arr.length - 1 && styles.segmentLast,
+                    humidityPref === pref && styles.segmentButtonActive
+                  ]}
+                  onPress={() => updateConfig({ humidityPref: pref })}
+                >
+                  <Text style={[styles.segmentButtonText, humidityPref === pref && styles.segmentButtonTextActive]}>
+                    {pref}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+            {configErrorNotice}
 
             <View style={{ alignSelf: 'center', marginTop: 14 }}>
               <Text style={{
@@ -1903,7 +1731,7 @@ export default function InsightsScreen({ route, navigation }) {
                 fontWeight: '600',
                 textAlign: 'center',
               }}>
-                Optimized by AI 30 minutes ago
+                {modalSlot?.optimizedAt ? `Optimized by AI ${formatTimeAgo(modalSlot.optimizedAt)}` : 'Not yet optimized by AI'}
               </Text>
             </View>
             <Pressable style={{ marginTop: 20, alignSelf: 'flex-end' }} onPress={() => setShowHumidityModal(false)}>
@@ -1930,7 +1758,7 @@ export default function InsightsScreen({ route, navigation }) {
             {/* Current Temp label with info icon and tooltip (stacked layout) */}
             <View style={{ flexDirection: 'row', alignItems: 'flex-start', marginBottom: 12, position: 'relative' }}>
               <Text style={{ fontSize: 18, color: '#333', marginLeft:6 }}>
-                Current Temp: <Text style={{ fontWeight: 'bold' }}>{currentTemp}</Text>°C
+                Current Temp: <Text style={{ fontWeight: 'bold' }}>{format.value('temp', currentTemp)}</Text>
               </Text>
               <View style={{ marginLeft: 6 }}>
                 <TouchableOpacity
@@ -1961,60 +1789,19 @@ export default function InsightsScreen({ route, navigation }) {
                   elevation: 4,
                 }}>
                   <Text style={{ fontSize: 12, color: '#333', lineHeight: 16 }}>
-                    {Platform.OS === 'web'
-                      ? 'Ideal lettuce growth occurs between 20–24°C. Your current temperature is within this optimal range.'
-                      : 'Ideal lettuce growth occurs between 20–24°C.\nYour current temperature is within this optimal range.'}
+                    {targetTooltip('temp', 'temperature', Platform.OS === 'web' ? ' ' : '\n')}
                   </Text>
                 </View>
               )}
             </View>
 
-            {/** Dynamic chart data for temperature */}
-            {(() => {
-              const chartData = generateTempChartData();
-              return (
-                <LineChart
-                  data={{
-                    labels: chartData.labels,
-                    datasets: [
-                      {
-                        data: chartData.temps,
-                        color: () => '#4CAF50',
-                        strokeWidth: 2,
-                      },
-                    ],
-                  }}
-                  width={
-                    Platform.OS === 'web'
-                      ? Dimensions.get('window').width * 0.72
-                      : Dimensions.get('window').width * 0.68
-                  }
-                  height={Platform.OS === 'web' ? 280 : 200}
-                  withVerticalLines={false}
-                  chartConfig={{
-                    backgroundColor: '#fff',
-                    backgroundGradientFrom: '#fff',
-                    backgroundGradientTo: '#fff',
-                    decimalPlaces: 1,
-                    color: (opacity = 1) => `rgba(16, 139, 73, ${opacity})`,
-                    labelColor: () => '#555',
-                    propsForDots: {
-                      r: '4',
-                      strokeWidth: '2',
-                      stroke: '#fff',
-                    },
-                    propsForLabels: Platform.OS === 'web' ? { fontSize: 14 } : {},
-                    fromZero: true,
-                  }}
-                  bezier
-                  style={{
-                    marginTop: Platform.OS === 'web' ? 36 : 24,
-                    marginLeft: Platform.OS === 'web' ? 40 : 0,
-                    borderRadius: 8,
-                  }}
-                />
-              );
-            })()}
+            {/* Temperature History Chart */}
+            <MetricHistory
+              slotId={modalSlotId}
+              metric="temp"
+              width={Dimensions.get('window').width * 0.68}
+              style={{ marginTop: Platform.OS === 'web' ? 48 : 12 }}
+            />
 
             {/* AI Feedback */}
             <View style={{ alignSelf: 'center', marginTop: 14 }}>
@@ -2024,7 +1811,7 @@ export default function InsightsScreen({ route, navigation }) {
                 fontWeight: '600',
                 textAlign: 'center',
               }}>
-                Optimized by AI 15 minutes ago
+                {modalSlot?.optimizedAt ? `Optimized by AI ${formatTimeAgo(modalSlot.optimizedAt)}` : 'Not yet optimized by AI'}
               </Text>
             </View>
 
@@ -2185,6 +1972,21 @@ const styles = StyleSheet.create({
     marginVertical: 12,
     alignSelf: 'center',
   },
+  actionButtonDisabled: {
+    opacity: 0.5,
+  },
+  configErrorText: {
+    color: '#b71c1c',
+    fontSize: 13,
+    textAlign: 'center',
+    marginTop: 8,
+  },
+  configQueuedText: {
+    color: '#8a6d00',
+    fontSize: 13,
+    textAlign: 'center',
+    marginTop: 8,
+  },
   actionButtonText: {
     color: '#fff',
     fontWeight: 'bold',
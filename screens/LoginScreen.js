@@ -3,13 +3,15 @@
  *
  * Handles user login process for GreenSync app.
  * - User enters username and password.
- * - Validates input fields.
- * - On successful login, navigates to the Dashboard screen.
- * - Offers "Remember for 30 days" checkbox.
+ * - Validates input fields, then authenticates against the backend via authClient.
+ * - Shows validation and server errors (bad credentials, locked account) inline.
+ * - On successful login, starts the session; the app navigator then shows Dashboard.
+ * - Offers "Remember for 30 days" checkbox; ticked sessions survive app restarts.
+ * - Shows a notice passed via route params (e.g. after a session expires).
  * - Displays footer for web users.
  */
 
-import React, { useState, useContext } from 'react';
+import React, { useState } from 'react';
 import {
   View,
   Text,
@@ -17,11 +19,12 @@ import {
   StyleSheet,
   Pressable,
   ScrollView,
-  Alert,
   Platform,
+  ActivityIndicator,
 } from 'react-native';
-import { useNavigation } from '@react-navigation/native';
-import { UserContext } from '../UserContext';
+import { useNavigation, useRoute } from '@react-navigation/native';
+import { useSession } from '../UserContext';
+import { login, getAuthErrorMessage } from '../services/authClient';
 import WebFooter from '../components/WebFooter';
 
 // === COMPONENT: CustomCheckBox ===
@@ -59,40 +62,41 @@ export default function LoginScreen() {
   const [username, setUsernameState] = useState('');
   const [password, setPassword] = useState('');
   const [remember, setRemember] = useState(false);
+  // Inline error message and in-flight flag for the login request
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
   const navigation = useNavigation();
-  const { setUsername } = useContext(UserContext);
-
-  // Unified alert: use browser alert on web; React Native Alert on mobile
-  const alert = (title, message) => {
-    if (Platform.OS === 'web') {
-      window.alert(message ? `${title}\n${message}` : title);
-    } else {
-      Alert.alert(title, message);
-    }
-  };
+  const route = useRoute();
+  const { signIn } = useSession();
+  // Informational message from the previous screen (e.g. "session expired")
+  const notice = route.params?.notice;
 
   /**
    * handleLogin()
    *
    * 1. Validate that username and password are non-empty.
-   * 2. On success, set username in context and reset navigation to Dashboard.
+   * 2. Authenticate with the backend; show any server error inline.
+   * 3. On success, store the session (persisted if "Remember" is ticked);
+   *    the auth-aware navigator then switches to Dashboard.
    */
-  const handleLogin = () => {
+  const handleLogin = async () => {
     if (!username || !password) {
-      alert(
-        'Login Error',
-        'Please fill out both Username and Password fields before logging in.'
-      );
+      setError('Please fill out both Username and Password fields before logging in.');
       return;
     }
 
-    setUsername(username);
-    console.log('Navigating to Dashboard with username:', username);
-
-    navigation.reset({
-      index: 0,
-      routes: [{ name: 'Dashboard', params: { username } }],
-    });
+    setError('');
+    setSubmitting(true);
+    try {
+      const session = await login({ username, password, remember });
+      // Signing in swaps the navigator over to the app screens: PairDevice while the account
+      // has no units, Dashboard otherwise (see App.js)
+      setSubmitting(false);
+      await signIn(session, { remember });
+    } catch (err) {
+      setError(getAuthErrorMessage(err));
+      setSubmitting(false);
+    }
   };
 
   // === RENDER: Login UI ===
@@ -105,6 +109,9 @@ export default function LoginScreen() {
           <Text style={styles.subheading}>Grow smarter, not harder</Text>
 
           <View style={styles.formWrapper}>
+            {/* Notice from a previous screen, e.g. expired session */}
+            {notice ? <Text style={styles.noticeText}>{notice}</Text> : null}
+
             {/* Username input */}
             <Text style={styles.label}>Username</Text>
             <TextInput
@@ -118,7 +125,9 @@ export default function LoginScreen() {
             {/* Password label and "forgot" password */}
             <View style={styles.passwordRow}>
               <Text style={styles.label}>Password</Text>
-              <Text style={styles.link}>forgot password</Text>
+              <Text style={styles.link} onPress={() => navigation.navigate('ForgotPassword')}>
+                forgot password
+              </Text>
             </View>
 
             {/* Password input */}
@@ -136,9 +145,20 @@ export default function LoginScreen() {
               <Text style={styles.terms}> Remember for 30 days</Text>
             </View>
 
+            {/* Inline validation / server error */}
+            {error ? <Text style={styles.errorText}>{error}</Text> : null}
+
             {/* Login button */}
-            <Pressable style={styles.button} onPress={handleLogin}>
-              <Text style={styles.buttonText}>Login</Text>
+            <Pressable
+              style={[styles.button, submitting && styles.buttonDisabled]}
+              onPress={handleLogin}
+              disabled={submitting}
+            >
+              {submitting ? (
+                <ActivityIndicator color="#fff" />
+              ) : (
+                <Text style={styles.buttonText}>Login</Text>
+              )}
             </Pressable>
 
             {/* Sign Up link */}
@@ -229,10 +249,24 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     marginBottom: 24,
   },
+  buttonDisabled: {
+    opacity: 0.7,
+  },
   buttonText: {
     color: '#fff',
     fontWeight: '600',
   },
+  errorText: {
+    color: '#b71c1c',
+    marginBottom: 12,
+  },
+  noticeText: {
+    backgroundColor: '#fff3e0',
+    color: '#8a4b00',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 8,
+  },
   signupFooter: {
     flexDirection: 'row',
     marginTop: 16,
@@ -0,0 +1,239 @@
+/**
+ * NotificationsScreen
+ *
+ * Inbox of alerts and system messages (useNotifications).
+ * - Newest first; unread notifications are highlighted until opened.
+ * - Tapping a notification marks it read and, when it concerns a slot, opens that
+ *   slot's Insight view on the relevant metric (switching to the slot's unit first).
+ * - Each notification can be dismissed; "Mark all read" and "Clear all" act on the whole inbox.
+ * - Adapts layout for web vs. native platforms.
+ */
+
+// Core React import
+import React from 'react';
+// React Native UI components and utilities
+import { View, Text, StyleSheet, SafeAreaView, Pressable, ScrollView, Alert, Platform } from 'react-native';
+// Icon library for vector icons
+import { Ionicons } from '@expo/vector-icons';
+// Mobile top navigation bar
+import TopNavbar from '../components/TopNavbar';
+// Web-only navigation components
+import WebNavbar from '../components/WebNavbar';
+import WebFooter from '../components/WebFooter';
+import useNotifications from '../hooks/useNotifications';
+import { useDevices } from '../DeviceContext';
+import { NOTIFICATION_SEVERITY } from '../services/notifications';
+import { formatTimeAgo } from '../utils/time';
+
+const SEVERITY_STYLES = {
+  [NOTIFICATION_SEVERITY.CRITICAL]: { icon: 'alert-circle', color: '#e53935' },
+  [NOTIFICATION_SEVERITY.WARNING]: { icon: 'warning', color: '#f9a825' },
+  [NOTIFICATION_SEVERITY.INFO]: { icon: 'information-circle', color: '#4CAF50' },
+};
+
+/**
+ * NotificationsScreen component
+ *
+ * Props:
+ * - navigation: navigation object for opening a slot's Insight view
+ */
+export default function NotificationsScreen({ navigation }) {
+  const { notifications, unreadCount, markRead, markAllRead, dismiss, clearAll } = useNotifications();
+  const { activeDeviceId, selectDevice } = useDevices();
+  const isWeb = Platform.OS === 'web';
+
+  /**
+   * handleOpen()
+   *
+   * 1. Mark the notification read.
+   * 2. If it concerns a slot on another unit, switch to that unit.
+   * 3. If it concerns a slot, open the slot's Insight view on that metric.
+   */
+  const handleOpen = (notification) => {
+    markRead(notification.id);
+    if (notification.deviceId && notification.deviceId !== activeDeviceId) {
+      selectDevice(notification.deviceId);
+    }
+    if (notification.slotId != null) {
+      navigation.navigate('Insight', { slotId: notification.slotId, metric: notification.metric ?? undefined });
+    }
+  };
+
+  /**
+   * handleClearAll()
+   *
+   * Confirms before emptying the inbox:
+   * - On web: window.confirm.
+   * - On native: Alert.alert with Cancel / Clear all.
+   */
+  const handleClearAll = () => {
+    const message = 'Remove every notification from your inbox?';
+    if (isWeb) {
+      if (window.confirm(message)) clearAll();
+      return;
+    }
+    Alert.alert('Clear all notifications', message, [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Clear all', style: 'destructive', onPress: clearAll },
+    ]);
+  };
+
+  const content = (
+    <View style={styles.content}>
+      <Text style={[styles.header, isWeb && { fontSize: 42, textAlign: 'left', marginLeft: 40 }]}>Notifications</Text>
+
+      {/* Inbox-wide actions */}
+      {notifications.length > 0 && (
+        <View style={[styles.actions, isWeb && { marginHorizontal: 40 }]}>
+          <Text style={styles.unreadText}>{unreadCount ? `${unreadCount} unread` : 'All caught up'}</Text>
+          <View style={styles.actionButtons}>
+            {unreadCount > 0 && (
+              <Pressable onPress={markAllRead}>
+                <Text style={styles.actionText}>Mark all read</Text>
+              </Pressable>
+            )}
+            <Pressable onPress={handleClearAll} style={{ marginLeft: 16 }}>
+              <Text style={[styles.actionText, styles.clearText]}>Clear all</Text>
+            </Pressable>
+          </View>
+        </View>
+      )}
+
+      {notifications.length === 0 ? (
+        <View style={styles.empty}>
+          <Ionicons name="notifications-off-outline" size={40} color="#bbb" />
+          <Text style={styles.emptyText}>No notifications yet.</Text>
+        </View>
+      ) : (
+        <View style={isWeb && { marginHorizontal: 40 }}>
+          {notifications.map((notification) => {
+            const { icon, color } = SEVERITY_STYLES[notification.severity] ?? SEVERITY_STYLES.info;
+            return (
+              <Pressable
+                key={notification.id}
+                onPress={() => handleOpen(notification)}
+                style={({ pressed }) => [
+                  styles.row,
+                  !notification.read && styles.unreadRow,
+                  { opacity: pressed ? 0.7 : 1 },
+                ]}
+              >
+                <Ionicons name={icon} size={20} color={notification.resolvedAt ? '#9e9e9e' : color} />
+                <View style={styles.body}>
+                  <Text style={[styles.title, !notification.read && styles.unreadTitle]}>{notification.title}</Text>
+                  {!!notification.body && <Text style={styles.message}>{notification.body}</Text>}
+                  <Text style={styles.meta}>
+                    {formatTimeAgo(notification.createdAt)}
+                    {notification.resolvedAt ? ' · Resolved' : ''}
+                  </Text>
+                </View>
+                {/* Dismiss this notification */}
+                <Pressable
+                  onPress={() => dismiss(notification.id)}
+                  hitSlop={8}
+                  accessibilityLabel="Dismiss notification"
+                >
+                  <Ionicons name="close" size={18} color="#777" />
+                </Pressable>
+              </Pressable>
+            );
+          })}
+        </View>
+      )}
+    </View>
+  );
+
+  // Root safe-area view to avoid notches/status bars
+  return (
+    <SafeAreaView style={styles.container}>
+      {/* Mobile top navigation bar */}
+      <TopNavbar />
+      {/* Web navigation bar (only on web) */}
+      {isWeb && <WebNavbar />}
+      <ScrollView contentContainerStyle={{ flexGrow: 1 }}>
+        {content}
+        {isWeb && <WebFooter />}
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+// ── Styles: inbox layout, notification rows, and empty state ──
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+  },
+  content: {
+    flex: 1,
+    paddingHorizontal: Platform.OS === 'web' ? 0 : 20,
+    paddingBottom: 24,
+  },
+  header: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    marginVertical: 16,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  actionButtons: {
+    flexDirection: 'row',
+  },
+  unreadText: {
+    fontSize: 14,
+    color: '#777',
+  },
+  actionText: {
+    color: '#14AE5C',
+    fontWeight: '600',
+  },
+  clearText: {
+    color: '#b71c1c',
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    backgroundColor: '#f8f8f8',
+    borderRadius: 12,
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    marginBottom: 8,
+  },
+  unreadRow: {
+    backgroundColor: '#e8f5e9',
+  },
+  body: {
+    flex: 1,
+    marginHorizontal: 10,
+  },
+  title: {
+    fontSize: 15,
+    color: '#222',
+  },
+  unreadTitle: {
+    fontWeight: 'bold',
+  },
+  message: {
+    fontSize: 14,
+    color: '#444',
+    marginTop: 2,
+  },
+  meta: {
+    fontSize: 12,
+    color: '#777',
+    marginTop: 4,
+  },
+  empty: {
+    alignItems: 'center',
+    marginTop: 60,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: '#777',
+    marginTop: 8,
+  },
+});
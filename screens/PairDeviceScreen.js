@@ -0,0 +1,568 @@
+/**
+ * PairDeviceScreen
+ *
+ * Onboarding wizard that adds a GreenSync unit to the account, in three steps:
+ * 1) Find: the user types the serial number or six-digit pairing code from the unit's
+ *    label, or scans its QR code where a camera exists (QrScanner); the unit is paired
+ *    to the account (it must be powered on and connected).
+ * 2) Details: name the unit and set its location and reservoir size.
+ * 3) Sensors: the unit reads each of its sensors; each one shows its reading, or what to
+ *    check when it did not respond, with "Check again" and "Finish later".
+ * - Finishing (or finishing later) lands on the dashboard showing the new unit.
+ * - A new account without units opens here after sign-up (see App.js) and can skip to the
+ *   dashboard; from the unit switcher or the dashboard it can be cancelled instead.
+ * - `/pair?serial=…&code=…` links fill in the code.
+ * - Renders WebFooter on web platform.
+ */
+
+// Core React import and hooks
+import React, { useState, useEffect } from 'react';
+// React Native UI components
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  Pressable,
+  ScrollView,
+  Platform,
+  ActivityIndicator,
+} from 'react-native';
+// Navigation hooks for finishing the wizard and reading link params
+import { useNavigation, useRoute } from '@react-navigation/native';
+// Icon library for vector icons
+import { Ionicons } from '@expo/vector-icons';
+import WebFooter from '../components/WebFooter';
+import QrScanner, { isQrScanAvailable } from '../components/QrScanner';
+import { useSession } from '../UserContext';
+import { useDevices } from '../DeviceContext';
+import useFormatter from '../hooks/useFormatter';
+import {
+  pairDevice,
+  updateDevice,
+  checkSensors,
+  getPairingErrorMessage,
+  SENSOR_LABELS,
+  RESERVOIR_LITRES,
+  DEVICE_NAME_MAX_LENGTH,
+  DEVICE_LOCATION_MAX_LENGTH,
+} from '../services/deviceClient';
+
+const STEPS = [
+  { key: 'find', label: 'Find' },
+  { key: 'details', label: 'Details' },
+  { key: 'sensors', label: 'Sensors' },
+];
+
+// Pairing codes are six digits; anything else is taken as a serial number
+const PAIRING_CODE_PATTERN = /^\d{6}$/;
+
+// === COMPONENT: StepIndicator ===
+// Numbered dots for the wizard's steps; finished steps show a tick.
+const StepIndicator = ({ current }) => {
+  const currentIndex = STEPS.findIndex((step) => step.key === current);
+  return (
+    <View style={styles.steps}>
+      {STEPS.map((step, index) => {
+        const done = index < currentIndex;
+        const active = index === currentIndex;
+        return (
+          <View key={step.key} style={styles.step}>
+            <View style={[styles.stepDot, (done || active) && styles.stepDotActive]}>
+              {done ? (
+                <Ionicons name="checkmark" size={14} color="#fff" />
+              ) : (
+                <Text style={[styles.stepNumber, active && styles.stepNumberActive]}>{index + 1}</Text>
+              )}
+            </View>
+            <Text style={[styles.stepLabel, active && styles.stepLabelActive]}>{step.label}</Text>
+          </View>
+        );
+      })}
+    </View>
+  );
+};
+
+// === COMPONENT: SensorRow ===
+// One sensor in the check: spinner while the unit reads it, then its reading or what to fix.
+const SensorRow = ({ sensor, result, checking }) => {
+  const format = useFormatter();
+  const { label } = SENSOR_LABELS[sensor];
+  let icon = <ActivityIndicator size="small" color="#4CAF50" />;
+  let detail = checking ? 'Checking…' : 'Not checked';
+  if (result?.ok) {
+    icon = <Ionicons name="checkmark-circle" size={22} color="#4CAF50" />;
+    detail = result.value === null ? 'Responding' : format.value(sensor, result.value);
+  } else if (result) {
+    icon = <Ionicons name="close-circle" size={22} color="#e53935" />;
+    detail = result.message;
+  } else if (!checking) {
+    icon = <Ionicons name="ellipse-outline" size={22} color="#bbb" />;
+  }
+
+  return (
+    <View style={styles.sensorRow}>
+      <View style={styles.sensorIcon}>{icon}</View>
+      <View style={{ flex: 1 }}>
+        <Text style={styles.sensorLabel}>{label}</Text>
+        <Text style={[styles.sensorDetail, result && !result.ok && styles.sensorDetailFailed]}>{detail}</Text>
+      </View>
+    </View>
+  );
+};
+
+// === SCREEN: PairDeviceScreen ===
+export default function PairDeviceScreen() {
+  const navigation = useNavigation();
+  const route = useRoute();
+  const { token } = useSession();
+  const { upsertDevice, selectDevice } = useDevices();
+  // Opened straight after sign-up there is nothing to go back to
+  const onboarding = !navigation.canGoBack();
+
+  const [step, setStep] = useState('find');
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  // The unit once paired
+  const [device, setDevice] = useState(null);
+
+  // Step 1: code entry or QR scanner
+  const [code, setCode] = useState(route.params?.serial ?? route.params?.code ?? '');
+  const [canScan, setCanScan] = useState(false);
+  const [scanning, setScanning] = useState(false);
+
+  // Step 2: details form
+  const [name, setName] = useState('');
+  const [location, setLocation] = useState('');
+  const [reservoir, setReservoir] = useState(String(RESERVOIR_LITRES.default));
+
+  // Step 3: sensor check; bump `checkAttempt` to run it again
+  const [checkAttempt, setCheckAttempt] = useState(0);
+  const [checking, setChecking] = useState(false);
+  const [check, setCheck] = useState(null);
+
+  // Only offer the QR scanner where there is a camera
+  useEffect(() => {
+    let cancelled = false;
+    isQrScanAvailable().then((available) => {
+      if (!cancelled) setCanScan(available);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Run the sensor check whenever the Sensors step is shown or retried
+  useEffect(() => {
+    if (step !== 'sensors' || !device) return undefined;
+
+    const controller = new AbortController();
+    setChecking(true);
+    setCheck(null);
+    setError('');
+    checkSensors({ token, deviceId: device.id, signal: controller.signal })
+      .then(setCheck)
+      .catch((err) => {
+        if (err?.name !== 'AbortError') setError(getPairingErrorMessage(err));
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setChecking(false);
+      });
+    return () => controller.abort();
+  }, [step, device, token, checkAttempt]);
+
+  /**
+   * handlePair()
+   *
+   * 1. Tell a pairing code from a serial number and send it.
+   * 2. Show "not found", "already paired" and "offline" errors inline.
+   * 3. On success, add the unit to the list, show it, and fill in the details form.
+   */
+  const handlePair = async (found = null) => {
+    const entered = code.trim();
+    const target = found ?? (PAIRING_CODE_PATTERN.test(entered) ? { pairingCode: entered } : { serial: entered });
+    if (!target.serial && !target.pairingCode) {
+      setError("Enter the serial number or pairing code from your unit's label.");
+      return;
+    }
+
+    setError('');
+    setSubmitting(true);
+    try {
+      const paired = await pairDevice({ token, ...target });
+      upsertDevice(paired);
+      selectDevice(paired.id);
+      setDevice(paired);
+      setName(paired.name);
+      setLocation(paired.location ?? '');
+      setReservoir(String(paired.reservoirLitres ?? RESERVOIR_LITRES.default));
+      setStep('details');
+    } catch (err) {
+      setError(getPairingErrorMessage(err));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // A scanned label pairs straight away
+  const handleScan = (found) => {
+    setScanning(false);
+    setCode(found.serial ?? found.pairingCode ?? '');
+    handlePair(found);
+  };
+
+  /**
+   * handleSaveDetails()
+   *
+   * 1. Check the name and reservoir size against the backend's limits.
+   * 2. Save them with the location (empty clears it).
+   * 3. Move on to the sensor check.
+   */
+  const handleSaveDetails = async () => {
+    const litres = Number(reservoir.replace(',', '.'));
+    if (!name.trim()) {
+      setError('Give your unit a name.');
+      return;
+    }
+    if (!reservoir.trim() || !(litres >= RESERVOIR_LITRES.min && litres <= RESERVOIR_LITRES.max)) {
+      setError(`The reservoir size must be between ${RESERVOIR_LITRES.min} and ${RESERVOIR_LITRES.max} litres.`);
+      return;
+    }
+
+    setError('');
+    setSubmitting(true);
+    try {
+      const updated = await updateDevice({
+        token,
+        deviceId: device.id,
+        changes: { name: name.trim(), location: location.trim() || null, reservoirLitres: litres },
+      });
+      upsertDevice(updated);
+      setDevice(updated);
+      setStep('sensors');
+    } catch (err) {
+      setError(getPairingErrorMessage(err));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // Land on the dashboard with nothing to go back to
+  const finish = () => navigation.reset({ index: 0, routes: [{ name: 'Dashboard' }] });
+
+  const leave = () => (onboarding ? finish() : navigation.goBack());
+
+  // === RENDER: Find step ===
+  const renderFind = () => (
+    <>
+      <Text style={styles.heading}>Add your GreenSync unit</Text>
+      <Text style={styles.subheading}>
+        Plug your unit in and connect it to Wi-Fi, then find its serial number and pairing code on
+        the label on the back.
+      </Text>
+      <View style={styles.formWrapper}>
+        {scanning ? (
+          <QrScanner onScan={handleScan} onCancel={() => setScanning(false)} />
+        ) : (
+          <>
+            <Text style={styles.label}>Serial number or pairing code</Text>
+            <TextInput
+              placeholder="e.g. GS4-7F3A-2291 or 731904"
+              style={styles.input}
+              value={code}
+              onChangeText={setCode}
+              autoCapitalize="characters"
+              autoCorrect={false}
+              onSubmitEditing={() => handlePair()}
+            />
+            {error ? <Text style={styles.errorText}>{error}</Text> : null}
+            <Pressable
+              style={[styles.button, submitting && styles.buttonDisabled]}
+              onPress={() => handlePair()}
+              disabled={submitting}
+            >
+              {submitting ? <ActivityIndicator color="#fff" /> : <Text style={styles.buttonText}>Find my unit</Text>}
+            </Pressable>
+            {canScan && (
+              <Pressable
+                style={[styles.button, styles.secondaryButton]}
+                onPress={() => {
+                  setError('');
+                  setScanning(true);
+                }}
+                disabled={submitting}
+              >
+                <Ionicons name="qr-code-outline" size={18} color="#4CAF50" />
+                <Text style={styles.secondaryButtonText}>Scan QR code</Text>
+              </Pressable>
+            )}
+          </>
+        )}
+        <Text style={[styles.link, styles.leaveLink]} onPress={leave}>
+          {onboarding ? 'Skip for now' : 'Cancel'}
+        </Text>
+      </View>
+    </>
+  );
+
+  // === RENDER: Details step ===
+  const renderDetails = () => (
+    <>
+      <Text style={styles.heading}>Found it!</Text>
+      <Text style={styles.subheading}>
+        {device.model} · serial {device.serial}. Tell us a little about where it lives.
+      </Text>
+      <View style={styles.formWrapper}>
+        <Text style={styles.label}>Name</Text>
+        <TextInput
+          placeholder="e.g. Kitchen Garden"
+          style={styles.input}
+          value={name}
+          onChangeText={setName}
+          maxLength={DEVICE_NAME_MAX_LENGTH}
+        />
+        <Text style={styles.label}>Location (optional)</Text>
+        <TextInput
+          placeholder="e.g. Kitchen windowsill"
+          style={styles.input}
+          value={location}
+          onChangeText={setLocation}
+          maxLength={DEVICE_LOCATION_MAX_LENGTH}
+        />
+        <Text style={styles.label}>Reservoir size (litres)</Text>
+        <TextInput
+          placeholder={String(RESERVOIR_LITRES.default)}
+          style={styles.input}
+          value={reservoir}
+          onChangeText={setReservoir}
+          keyboardType="decimal-pad"
+        />
+        <Text style={styles.hint}>Printed on the side of the water tank.</Text>
+        {error ? <Text style={styles.errorText}>{error}</Text> : null}
+        <Pressable
+          style={[styles.button, submitting && styles.buttonDisabled]}
+          onPress={handleSaveDetails}
+          disabled={submitting}
+        >
+          {submitting ? <ActivityIndicator color="#fff" /> : <Text style={styles.buttonText}>Continue</Text>}
+        </Pressable>
+      </View>
+    </>
+  );
+
+  // === RENDER: Sensors step ===
+  const renderSensors = () => {
+    const results = Object.fromEntries((check?.sensors ?? []).map((result) => [result.sensor, result]));
+    return (
+      <>
+        <Text style={styles.heading}>Checking sensors</Text>
+        <Text style={styles.subheading}>
+          {checking
+            ? `${device.name} is reading each of its sensors…`
+            : check?.passed
+              ? `Every sensor on ${device.name} is responding. You're ready to grow!`
+              : 'Some sensors did not respond. Fix them and check again, or finish setting up later.'}
+        </Text>
+        <View style={styles.formWrapper}>
+          {Object.keys(SENSOR_LABELS).map((sensor) => (
+            <SensorRow key={sensor} sensor={sensor} result={results[sensor]} checking={checking} />
+          ))}
+          {error ? <Text style={styles.errorText}>{error}</Text> : null}
+          {check?.passed ? (
+            <Pressable style={styles.button} onPress={finish}>
+              <Text style={styles.buttonText}>Go to my dashboard</Text>
+            </Pressable>
+          ) : (
+            <>
+              <Pressable
+                style={[styles.button, checking && styles.buttonDisabled]}
+                onPress={() => setCheckAttempt((n) => n + 1)}
+                disabled={checking}
+              >
+                {checking ? <ActivityIndicator color="#fff" /> : <Text style={styles.buttonText}>Check again</Text>}
+              </Pressable>
+              <Text style={[styles.link, styles.leaveLink]} onPress={finish}>
+                Finish later
+              </Text>
+            </>
+          )}
+        </View>
+      </>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <ScrollView contentContainerStyle={styles.scrollContent} keyboardShouldPersistTaps="handled">
+        <View style={styles.mainContent}>
+          <StepIndicator current={step} />
+          {step === 'find' && renderFind()}
+          {step === 'details' && renderDetails()}
+          {step === 'sensors' && renderSensors()}
+        </View>
+      </ScrollView>
+      {/* Render WebFooter component only for web platform */}
+      {Platform.OS === 'web' && <WebFooter />}
+    </View>
+  );
+}
+
+// ── Styles: wizard layout, step indicator, forms and sensor list ──
+const styles = StyleSheet.create({
+  // ── Layout Containers ───────────────────────────
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+  },
+  scrollContent: {
+    flexGrow: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: Platform.OS === 'web' ? 100 : 24,
+  },
+  mainContent: {
+    flexGrow: 1,
+    justifyContent: 'center',
+    alignItems: Platform.OS === 'web' ? 'center' : 'flex-start',
+    width: '100%',
+  },
+  // ── Step Indicator ──────────────────────────────
+  steps: {
+    flexDirection: 'row',
+    gap: 24,
+    marginBottom: 24,
+  },
+  step: {
+    alignItems: 'center',
+  },
+  stepDot: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    justifyContent: 'center',
+    alignItems: 'center',
+    borderWidth: 2,
+    borderColor: '#ccc',
+  },
+  stepDotActive: {
+    backgroundColor: '#4CAF50',
+    borderColor: '#4CAF50',
+  },
+  stepNumber: {
+    fontWeight: '600',
+    color: '#999',
+  },
+  stepNumberActive: {
+    color: '#fff',
+  },
+  stepLabel: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 4,
+  },
+  stepLabelActive: {
+    color: '#333',
+    fontWeight: '600',
+  },
+  // ── Form Elements ───────────────────────────────
+  formWrapper: {
+    width: Platform.OS === 'web' ? 400 : '100%',
+  },
+  heading: {
+    fontSize: Platform.OS === 'web' ? 42 : 28,
+    fontWeight: '700',
+    marginBottom: 8,
+    textAlign: Platform.OS === 'web' ? 'center' : 'left',
+  },
+  subheading: {
+    marginBottom: 24,
+    color: '#333',
+    fontSize: Platform.OS === 'web' ? 22 : 16,
+    textAlign: Platform.OS === 'web' ? 'center' : 'left',
+    maxWidth: Platform.OS === 'web' ? 600 : undefined,
+  },
+  label: {
+    fontWeight: '600',
+    marginTop: 16,
+    marginBottom: 4,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ccc',
+    borderRadius: 12,
+    padding: 12,
+    width: Platform.OS === 'web' ? 400 : '100%',
+  },
+  hint: {
+    color: '#777',
+    fontSize: 13,
+    marginTop: 4,
+  },
+  errorText: {
+    color: '#b71c1c',
+    marginTop: 12,
+  },
+  link: {
+    color: '#14AE5C',
+    textDecorationLine: 'underline',
+  },
+  leaveLink: {
+    textAlign: 'center',
+    marginTop: 8,
+  },
+  // ── Sensor List ─────────────────────────────────
+  sensorRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  sensorIcon: {
+    width: 32,
+    alignItems: 'center',
+    marginRight: 8,
+  },
+  sensorLabel: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#333',
+  },
+  sensorDetail: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 2,
+  },
+  sensorDetailFailed: {
+    color: '#b71c1c',
+  },
+  // ── Button Styles ───────────────────────────────
+  button: {
+    backgroundColor: '#4CAF50',
+    padding: 14,
+    borderRadius: 12,
+    alignItems: 'center',
+    marginTop: 24,
+    marginBottom: 12,
+  },
+  buttonDisabled: {
+    opacity: 0.7,
+  },
+  buttonText: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  secondaryButton: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    gap: 8,
+    marginTop: 0,
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#4CAF50',
+  },
+  secondaryButtonText: {
+    color: '#4CAF50',
+    fontWeight: '600',
+  },
+});
@@ -2,16 +2,18 @@
  * ProfileScreen
  *
  * Screen for viewing and editing user profile information.
- * - Reads `username` and `email` from context or route params.
- * - Allows updating username, email, and password.
- * - Toggles for ethics agreement and notifications.
+ * - Reads `username` and `email` from the account store (useUser).
+ * - Saves username, email, and password changes to the account; server errors show inline.
+ * - Toggle for the ethics agreement.
+ * - Notification preferences (NotificationSettings), saved to the account as they change.
+ * - Units and locale for readings and dates (UnitSettings), also saved as they change.
  * - Adapts layout for web vs. native platforms.
  */
 
 // Core React imports and hooks
-import React, { useState, useContext } from 'react';
+import React, { useState, useEffect } from 'react';
 // React Native UI components and utilities
-import { View, Text, StyleSheet, SafeAreaView, TextInput, Switch, Pressable, ScrollView, Alert } from 'react-native';
+import { View, Text, StyleSheet, SafeAreaView, TextInput, Switch, Pressable, ScrollView, Alert, ActivityIndicator } from 'react-native';
 // Mobile top navigation bar
 import TopNavbar from '../components/TopNavbar';
 // Web-only navigation components
@@ -19,28 +21,79 @@ import WebNavbar from '../components/WebNavbar';
 import WebFooter from '../components/WebFooter';
 // Platform detection for conditional rendering
 import { Platform } from 'react-native';
-// Context for shared user data
-import { UserContext } from '../UserContext';
+// Signed-in account and profile updates
+import { useUser } from '../UserContext';
+import { getAuthErrorMessage } from '../services/authClient';
+// Notification preferences section
+import NotificationSettings from '../components/NotificationSettings';
+// Units and locale section
+import UnitSettings from '../components/UnitSettings';
 
 /**
  * ProfileScreen component
  *
- * Props:
- * - route.params.username: optional username passed via navigation
- * - route.params.email: optional email passed via navigation
+ * Edits the signed-in account from useUser(); nothing is read from route params.
  */
-export default function ProfileScreen({ route }) {
-  // Get username from context if not provided via route
-  const { username: contextUsername } = useContext(UserContext);
-  // Extract username and email from navigation params
-  const { username: routeUsername, email: routeEmail } = route.params || {};
+export default function ProfileScreen() {
+  const { username, email, loading, updateUser } = useUser();
 
   // ── Local state for form fields and toggles ───────────────────────────
-  const [user, setUser] = useState(routeUsername || contextUsername || '');
-  const [mail, setMail] = useState(routeEmail || '');
+  const [user, setUser] = useState(username ?? '');
+  const [mail, setMail] = useState(email ?? '');
   const [pass, setPass] = useState('');
   const [agreeEthics, setAgreeEthics] = useState(false);
-  const [notificationsEnabled, setNotificationsEnabled] = useState(false);
+  const [saveError, setSaveError] = useState('');
+
+  // Refill the form when the account (re)loads or is changed elsewhere
+  useEffect(() => {
+    setUser(username ?? '');
+    setMail(email ?? '');
+  }, [username, email]);
+
+  /**
+   * handleSave()
+   *
+   * 1. Collect only the fields that differ from the stored account.
+   * 2. Validate the email format locally.
+   * 3. Save through updateUser(); show server errors (e.g. USERNAME_TAKEN) inline.
+   * 4. On success, clear the password field and confirm:
+   *    - On web: show window.alert.
+   *    - On native: show Alert.alert.
+   */
+  const handleSave = async () => {
+    const changes = {};
+    if (user.trim() !== username) changes.username = user.trim();
+    if (mail.trim() !== email) changes.email = mail.trim();
+    if (pass) changes.password = pass;
+
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (changes.username === '') {
+      setSaveError('Username cannot be empty.');
+      return;
+    }
+    if (changes.email !== undefined && !emailRegex.test(changes.email)) {
+      setSaveError('Please enter a valid email address.');
+      return;
+    }
+
+    setSaveError('');
+    try {
+      if (Object.keys(changes).length > 0) await updateUser(changes);
+      setPass('');
+    } catch (err) {
+      setSaveError(getAuthErrorMessage(err));
+      return;
+    }
+    if (Platform.OS === 'web') {
+      window.alert("Your changes have been saved successfully.");
+    } else {
+      Alert.alert(
+        "Profile Updated",
+        "Your changes have been saved successfully.",
+        [{ text: "OK", style: "default" }]
+      );
+    }
+  };
 
   // Render safe-area container and navigation bars
   return (
@@ -138,60 +191,27 @@ export default function ProfileScreen({ route }) {
                 <Text style={styles.link}>Read Ethics Policy</Text>
               </Pressable>
 
-              {/* Toggle to enable notifications */}
-              {/* Notifications */}
-              <View style={styles.toggleRow}>
-                <Text style={styles.infoLabel}>Enable Notifications</Text>
-                {Platform.OS === 'web' ? (
-                  <Pressable
-                    onPress={() => setNotificationsEnabled(!notificationsEnabled)}
-                    style={{
-                      width: 48,
-                      height: 24,
-                      borderRadius: 24,
-                      backgroundColor: notificationsEnabled ? '#4CAF50' : '#ccc',
-                      justifyContent: 'center',
-                      paddingHorizontal: 2,
-                    }}
-                  >
-                    <View
-                      style={{
-                        width: 20,
-                        height: 20,
-                        borderRadius: 10,
-                        backgroundColor: '#ffffff',
-                        alignSelf: notificationsEnabled ? 'flex-end' : 'flex-start',
-                      }}
-                    />
-                  </Pressable>
-                ) : (
-                  <Switch
-                    value={notificationsEnabled}
-                    onValueChange={setNotificationsEnabled}
-                    trackColor={{ false: '#ccc', true: '#4CAF50' }}
-                    thumbColor="#ffffff"
-                    ios_backgroundColor="#ccc"
-                  />
-                )}
-              </View>
+              {/* Notification preferences: categories and quiet hours, saved to the account */}
+              <NotificationSettings labelStyle={styles.infoLabel} />
+
+              {/* Units and locale for every reading, range and date, saved to the account */}
+              <UnitSettings labelStyle={styles.infoLabel} />
+
+              {/* Inline save error (validation or server) */}
+              {saveError ? <Text style={styles.errorText}>{saveError}</Text> : null}
 
               {/* Button to save profile changes */}
               {/* Save Button */}
               <Pressable
-                style={styles.saveButton}
-                onPress={() => {
-                  if (Platform.OS === 'web') {
-                    window.alert("Your changes have been saved successfully.");
-                  } else {
-                    Alert.alert(
-                      "Profile Updated",
-                      "Your changes have been saved successfully.",
-                      [{ text: "OK", style: "default" }]
-                    );
-                  }
-                }}
+                style={[styles.saveButton, loading && styles.saveButtonDisabled]}
+                onPress={handleSave}
+                disabled={loading}
               >
-                <Text style={styles.saveButtonText}>Save Changes</Text>
+                {loading ? (
+                  <ActivityIndicator color="#fff" />
+                ) : (
+                  <Text style={styles.saveButtonText}>Save Changes</Text>
+                )}
               </Pressable>
             </View>
           </View>
@@ -203,7 +223,7 @@ export default function ProfileScreen({ route }) {
             <Text style={styles.infoValue}>A: Enter a new password in the field above and press "Save Changes."</Text>
 
             <Text style={styles.infoLabel}>Q: Will I receive notifications?</Text>
-            <Text style={styles.infoValue}>A: Only if you enable them using the toggle above.</Text>
+            <Text style={styles.infoValue}>A: Only if you enable them above. You can choose which kinds you get and set quiet hours.</Text>
 
             <Text style={styles.infoLabel}>Q: Where can I find the ethics policy?</Text>
             <Text style={styles.infoValue}>A: Click on the "Read Ethics Policy" link above to learn more.</Text>
@@ -319,60 +339,27 @@ export default function ProfileScreen({ route }) {
               <Text style={styles.link}>Read Ethics Policy</Text>
             </Pressable>
 
-            {/* Toggle to enable notifications */}
-            {/* Notifications */}
-            <View style={styles.toggleRow}>
-              <Text style={styles.infoLabel}>Enable Notifications</Text>
-              {Platform.OS === 'web' ? (
-                <Pressable
-                  onPress={() => setNotificationsEnabled(!notificationsEnabled)}
-                  style={{
-                    width: 48,
-                    height: 24,
-                    borderRadius: 24,
-                    backgroundColor: notificationsEnabled ? '#4CAF50' : '#ccc',
-                    justifyContent: 'center',
-                    paddingHorizontal: 2,
-                  }}
-                >
-                  <View
-                    style={{
-                      width: 20,
-                      height: 20,
-                      borderRadius: 10,
-                      backgroundColor: '#ffffff',
-                      alignSelf: notificationsEnabled ? 'flex-end' : 'flex-start',
-                    }}
-                  />
-                </Pressable>
-              ) : (
-                <Switch
-                  value={notificationsEnabled}
-                  onValueChange={setNotificationsEnabled}
-                  trackColor={{ false: '#ccc', true: '#4CAF50' }}
-                  thumbColor="#ffffff"
-                  ios_backgroundColor="#ccc"
-                />
-              )}
-            </View>
+            {/* Notification preferences: categories and quiet hours, saved to the account */}
+            <NotificationSettings labelStyle={styles.infoLabel} />
+
+            {/* Units and locale for every reading, range and date, saved to the account */}
+            <UnitSettings labelStyle={styles.infoLabel} />
+
+            {/* Inline save error (validation or server) */}
+            {saveError ? <Text style={styles.errorText}>{saveError}</Text> : null}
 
             {/* Button to save profile changes */}
             {/* Save Button */}
             <Pressable
-              style={styles.saveButton}
-              onPress={() => {
-                if (Platform.OS === 'web') {
-                  window.alert("Your changes have been saved successfully.");
-                } else {
-                  Alert.alert(
-                    "Profile Updated",
-                    "Your changes have been saved successfully.",
-                    [{ text: "OK", style: "default" }]
-                  );
-                }
-              }}
+              style={[styles.saveButton, loading && styles.saveButtonDisabled]}
+              onPress={handleSave}
+              disabled={loading}
             >
-              <Text style={styles.saveButtonText}>Save Changes</Text>
+              {loading ? (
+                <ActivityIndicator color="#fff" />
+              ) : (
+                <Text style={styles.saveButtonText}>Save Changes</Text>
+              )}
             </Pressable>
           </View>
           {/* FAQ Q&A Section */}
@@ -383,7 +370,7 @@ export default function ProfileScreen({ route }) {
             <Text style={styles.infoValue}>A: Enter a new password in the field above and press "Save Changes."</Text>
 
             <Text style={styles.infoLabel}>Q: Will I receive notifications?</Text>
-            <Text style={styles.infoValue}>A: Only if you enable them using the toggle above.</Text>
+            <Text style={styles.infoValue}>A: Only if you enable them above. You can choose which kinds you get and set quiet hours.</Text>
 
             <Text style={styles.infoLabel}>Q: Where can I find the ethics policy?</Text>
             <Text style={styles.infoValue}>A: Click on the "Read Ethics Policy" link above to learn more.</Text>
@@ -494,11 +481,18 @@ const styles = StyleSheet.create({
       marginTop: 24 
     } : {}),
   },
+  saveButtonDisabled: {
+    opacity: 0.7,
+  },
   saveButtonText: {
     color: '#fff',
     fontWeight: '600',
     fontSize: 16,
   },
+  errorText: {
+    color: '#b71c1c',
+    marginTop: 12,
+  },
   link: {
     fontSize: 11,
     color: '#14AE5C',
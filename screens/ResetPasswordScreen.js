@@ -0,0 +1,312 @@
+/**
+ * ResetPasswordScreen
+ *
+ * Second step of the password reset flow.
+ * - Reads the `email` the code was sent to from route params; opened from a link without one
+ *   (e.g. the public `reset-password` path), it asks for the email alongside the code.
+ * - User enters the reset code plus a new password (entered twice).
+ * - Submits via authClient; invalid/expired codes are shown inline.
+ * - On success, swaps the form for a result state with a link back to Login.
+ * - Offers "resend code" for expired or lost codes.
+ */
+
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  Pressable,
+  ScrollView,
+  Platform,
+  ActivityIndicator,
+} from 'react-native';
+import { useNavigation, useRoute } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+import WebFooter from '../components/WebFooter';
+import {
+  resetPassword,
+  requestPasswordReset,
+  getAuthErrorMessage,
+} from '../services/authClient';
+
+// Keep in sync with the backend's minimum password length
+const MIN_PASSWORD_LENGTH = 8;
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// === SCREEN: ResetPasswordScreen ===
+// Code + new password form, followed by a success state.
+export default function ResetPasswordScreen() {
+  const navigation = useNavigation();
+  const route = useRoute();
+  const linkedEmail = route.params?.email ?? '';
+
+  // Form state: email (when the link didn't carry one), code, new password (twice),
+  // status flags and messages
+  const [emailInput, setEmailInput] = useState('');
+  const email = linkedEmail || emailInput.trim();
+  const [code, setCode] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState('');
+  const [info, setInfo] = useState(
+    linkedEmail
+      ? `We sent a 6-digit code to ${linkedEmail}.`
+      : 'Enter the email on your account and the 6-digit code we sent to it.'
+  );
+  const [submitting, setSubmitting] = useState(false);
+  const [completed, setCompleted] = useState(false);
+
+  /**
+   * handleReset()
+   *
+   * 1. Validate the email (when asked for), the code, and that both passwords match the length rule.
+   * 2. Submit the reset; show invalid/expired code errors inline.
+   * 3. On success, switch to the result state.
+   */
+  const handleReset = async () => {
+    if (!EMAIL_REGEX.test(email)) {
+      setError('Please enter a valid email address.');
+      return;
+    }
+    if (!code.trim() || !newPassword || !confirmPassword) {
+      setError('Please fill out all fields.');
+      return;
+    }
+    if (newPassword.length < MIN_PASSWORD_LENGTH) {
+      setError(`Your new password must be at least ${MIN_PASSWORD_LENGTH} characters long.`);
+      return;
+    }
+    if (newPassword !== confirmPassword) {
+      setError('The passwords do not match.');
+      return;
+    }
+
+    setError('');
+    setSubmitting(true);
+    try {
+      await resetPassword({ email, code: code.trim(), newPassword });
+      setCompleted(true);
+    } catch (err) {
+      setError(getAuthErrorMessage(err));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // Request a fresh code (e.g. after RESET_CODE_EXPIRED)
+  const handleResend = async () => {
+    if (!EMAIL_REGEX.test(email)) {
+      setError('Enter your email first, then we can send a new code.');
+      return;
+    }
+    setError('');
+    try {
+      await requestPasswordReset(email);
+      setInfo(`A new code has been sent to ${email}.`);
+    } catch (err) {
+      setError(getAuthErrorMessage(err));
+    }
+  };
+
+  // === RENDER: Result state ===
+  if (completed) {
+    return (
+      <View style={styles.container}>
+        <ScrollView contentContainerStyle={styles.scrollContent}>
+          <View style={[styles.mainContent, styles.resultContent]}>
+            <Ionicons name="checkmark-circle" size={64} color="#4CAF50" />
+            <Text style={[styles.heading, styles.resultHeading]}>Password updated</Text>
+            <Text style={[styles.subheading, styles.resultHeading]}>
+              You can now log in with your new password.
+            </Text>
+            <Pressable
+              style={[styles.button, styles.resultButton]}
+              onPress={() => navigation.reset({ index: 0, routes: [{ name: 'Login' }] })}
+            >
+              <Text style={styles.buttonText}>Back to Login</Text>
+            </Pressable>
+          </View>
+        </ScrollView>
+        {Platform.OS === 'web' && <WebFooter />}
+      </View>
+    );
+  }
+
+  // === RENDER: Reset form ===
+  return (
+    <View style={styles.container}>
+      <ScrollView contentContainerStyle={styles.scrollContent} keyboardShouldPersistTaps="handled">
+        <View style={styles.mainContent}>
+          {/* Title and subtitle */}
+          <Text style={styles.heading}>Reset your password</Text>
+          <Text style={styles.subheading}>{info}</Text>
+
+          <View style={styles.formWrapper}>
+            {/* Email input, only when the link didn't say where the code went */}
+            {!linkedEmail && (
+              <>
+                <Text style={styles.label}>Email address</Text>
+                <TextInput
+                  placeholder="Enter your email"
+                  style={styles.input}
+                  value={emailInput}
+                  onChangeText={setEmailInput}
+                  keyboardType="email-address"
+                  autoCapitalize="none"
+                />
+              </>
+            )}
+
+            {/* Reset code input */}
+            <Text style={styles.label}>Reset code</Text>
+            <TextInput
+              placeholder="Enter the 6-digit code"
+              style={styles.input}
+              value={code}
+              onChangeText={setCode}
+              keyboardType="number-pad"
+              maxLength={6}
+              autoCapitalize="none"
+            />
+
+            {/* New password inputs */}
+            <Text style={styles.label}>New password</Text>
+            <TextInput
+              placeholder="At least 8 characters"
+              style={styles.input}
+              value={newPassword}
+              onChangeText={setNewPassword}
+              secureTextEntry
+            />
+            <Text style={styles.label}>Confirm new password</Text>
+            <TextInput
+              placeholder="Re-enter your new password"
+              style={styles.input}
+              value={confirmPassword}
+              onChangeText={setConfirmPassword}
+              secureTextEntry
+            />
+
+            {/* Inline validation / server error */}
+            {error ? <Text style={styles.errorText}>{error}</Text> : null}
+
+            {/* Submit button */}
+            <Pressable
+              style={[styles.button, submitting && styles.buttonDisabled]}
+              onPress={handleReset}
+              disabled={submitting}
+            >
+              {submitting ? (
+                <ActivityIndicator color="#fff" />
+              ) : (
+                <Text style={styles.buttonText}>Reset password</Text>
+              )}
+            </Pressable>
+
+            {/* Resend / back links */}
+            <View style={styles.footerLinks}>
+              <Text style={styles.link} onPress={handleResend}>
+                Resend code
+              </Text>
+              <Text style={styles.link} onPress={() => navigation.navigate('Login')}>
+                Back to Login
+              </Text>
+            </View>
+          </View>
+        </View>
+      </ScrollView>
+      {/* Render WebFooter component only for web platform */}
+      {Platform.OS === 'web' && <WebFooter />}
+    </View>
+  );
+}
+
+// Styles
+const styles = StyleSheet.create({
+  // ── Layout Containers ───────────────────────────
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+  },
+  scrollContent: {
+    flexGrow: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: Platform.OS === 'web' ? 100 : 24,
+  },
+  mainContent: {
+    flexGrow: 1,
+    justifyContent: 'center',
+    alignItems: Platform.OS === 'web' ? 'center' : 'flex-start',
+    width: '100%',
+  },
+  resultContent: {
+    alignItems: 'center',
+  },
+  // ── Form Elements ───────────────────────────────
+  formWrapper: {
+    width: Platform.OS === 'web' ? 400 : '100%',
+  },
+  heading: {
+    fontSize: Platform.OS === 'web' ? 42 : 28,
+    fontWeight: '700',
+    marginBottom: 8,
+    textAlign: Platform.OS === 'web' ? 'center' : 'left',
+  },
+  subheading: {
+    marginBottom: 24,
+    color: '#333',
+    fontSize: Platform.OS === 'web' ? 22 : 16,
+    textAlign: Platform.OS === 'web' ? 'center' : 'left',
+  },
+  resultHeading: {
+    textAlign: 'center',
+    marginTop: 12,
+  },
+  label: {
+    fontWeight: '600',
+    marginTop: 16,
+    marginBottom: 4,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ccc',
+    borderRadius: 12,
+    padding: 12,
+    width: Platform.OS === 'web' ? 400 : '100%',
+  },
+  errorText: {
+    color: '#b71c1c',
+    marginTop: 12,
+  },
+  link: {
+    color: '#14AE5C',
+    textDecorationLine: 'underline',
+  },
+  // ── Button Styles ───────────────────────────────
+  button: {
+    backgroundColor: '#4CAF50',
+    padding: 14,
+    borderRadius: 12,
+    alignItems: 'center',
+    marginTop: 24,
+    marginBottom: 24,
+  },
+  resultButton: {
+    width: Platform.OS === 'web' ? 400 : '100%',
+  },
+  buttonDisabled: {
+    opacity: 0.7,
+  },
+  buttonText: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  footerLinks: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+});
@@ -2,10 +2,13 @@
  * SelectionScreen
  *
  * Screen for browsing and selecting different lettuce types.
- * - Displays a searchable and filterable grid of lettuce cards.
+ * - Displays a searchable and filterable grid of lettuce cards from the lettuce catalog.
  * - Supports three filter modes: all, A-Z, popular.
  * - Shows placeholder cards for upcoming lettuce types.
- * - Navigates to LettuceDetail when a card is selected.
+ * - Navigates to LettuceDetail with the variety's id and name when a card is selected;
+ *   the detail view reads everything else from the catalog.
+ * - When opened from a slot's "+ Add" (`slotId` route param), shows which slot is being
+ *   filled and carries it on to the detail view's planting form.
  */
 // screens/SelectionScreen.js
 
@@ -30,40 +33,37 @@ import TopNavbar from '../components/TopNavbar';
 import WebNavbar from '../components/WebNavbar';
 import WebFooter from '../components/WebFooter';
 import { Ionicons } from '@expo/vector-icons';
+import { getVarieties } from '../services/lettuceCatalog';
 
 // Enable LayoutAnimation on Android for smooth filter transitions
 if (Platform.OS === 'android' && UIManager.setLayoutAnimationEnabledExperimental) {
   UIManager.setLayoutAnimationEnabledExperimental(true);
 }
 
-// Static list of lettuce options; some entries marked as placeholders
+// Catalog varieties followed by placeholder cards for upcoming lettuce types
 const originalLettuces = [
-  { id: '1', name: 'Romaine', image: require('../assets/lettuce_romaine.png'), popular: true },
-  { id: '2', name: 'Butterhead', image: require('../assets/lettuce_butterhead.png'), popular: false },
-  { id: '3', name: 'Oak Leaf', image: require('../assets/lettuce_oakleaf.png'), popular: true },
-  { id: '4', name: 'Cos', image: require('../assets/lettuce_cos.png'), popular: false },
-  { id: '5', name: 'Coming Soon', image: require('../assets/coming.png'), placeholder: true },
-  { id: '6', name: 'Coming Soon', image: require('../assets/coming1.png'), placeholder: true },
+  ...getVarieties().map(({ id, name, image, popular }) => ({ id, name, image, popular })),
+  { id: 'coming-soon-1', name: 'Coming Soon', image: require('../assets/coming.png'), placeholder: true },
+  { id: 'coming-soon-2', name: 'Coming Soon', image: require('../assets/coming1.png'), placeholder: true },
 ];
 
 /**
  * SelectionScreen component
  *
  * Props:
- * - route.params.username: optional username from navigation
  * - navigation: React Navigation object for screen transitions
+ * - route.params.slotId: slot the user is choosing a lettuce for (optional)
  *
  * Internal state:
  * - searchQuery: current text filter for lettuce names
  * - filter: current sort mode ('all', 'az', 'popular')
  */
-export default function SelectionScreen({ route, navigation, username }) {
-  // Determine which username to display: prop, param, or default to 'Guest'
-  const nameToUse = username || route?.params?.username || 'Guest';
-
+export default function SelectionScreen({ route, navigation }) {
   // ── Form state: search text and current filter mode ───────────────────
   const [searchQuery, setSearchQuery] = useState('');
   const [filter, setFilter] = useState('all'); // 'all' | 'az' | 'popular'
+  // Slot being filled, when the user came from a slot's "+ Add"
+  const slotId = route.params?.slotId;
 
   // Apply search and filter (A-Z or popularity) to the lettuce list
   const filteredLettuces = originalLettuces
@@ -115,23 +115,7 @@ export default function SelectionScreen({ route, navigation, username }) {
     return (
       <TouchableOpacity
         style={styles.card}
-        onPress={() => navigation.navigate('LettuceDetail', {
-          lettuce: {
-            name: item.name,
-            image: item.image,
-            scientificName: 'Lactuca sativa var. capitata',
-            family: 'Asteraceae',
-            difficulty: 'Easy',
-            idealTemp: '18–22°C',
-            care: [
-              { icon: '💧', title: 'Water', description: 'Butterhead lettuce thrives in consistently moist environments. Keep the nutrient solution topped up and avoid letting roots dry out.' },
-              { icon: '💧', title: 'Humidity', description: 'Prefers 40–60% humidity.' },
-              { icon: '☀️', title: 'Light', description: 'Requires 12–14 hours of light per day. Use full-spectrum LED grow lights.' },
-              { icon: '🌡', title: 'Temperature', description: 'Ideal temperature: 15–22°C (59–72°F).' },
-              { icon: '☠️', title: 'Toxicity', description: 'Non-toxic and safe to consume.' }
-            ]
-          }
-        })}
+        onPress={() => navigation.navigate('LettuceDetail', { lettuce: { id: item.id, name: item.name }, slotId })}
       >
         <Image source={item.image} style={styles.image} />
         <Text style={styles.name}>{item.name}</Text>
@@ -140,6 +124,17 @@ export default function SelectionScreen({ route, navigation, username }) {
     );
   };
 
+  // Which slot the chosen lettuce goes into; the close button returns to plain browsing
+  const slotBanner = slotId != null && (
+    <View style={styles.slotBanner}>
+      <Ionicons name="leaf-outline" size={18} color="#4CAF50" />
+      <Text style={styles.slotBannerText}>Choosing a lettuce for Slot {slotId}</Text>
+      <Pressable onPress={() => navigation.setParams({ slotId: undefined })} hitSlop={8}>
+        <Ionicons name="close" size={18} color="#555" />
+      </Pressable>
+    </View>
+  );
+
   // Root container avoiding notches; wraps web and mobile layouts
   return (
     <SafeAreaView style={styles.container}>
@@ -147,7 +142,7 @@ export default function SelectionScreen({ route, navigation, username }) {
       {Platform.OS === 'web' ? (
         <ScrollView contentContainerStyle={{ flexGrow: 1 }}>
           {/* Render top and web navbars for web interface */}
-          <TopNavbar username={nameToUse} />
+          <TopNavbar />
           <WebNavbar />
           <View style={{ flex: 1 }}>
             {/* Section header with responsive styling for web vs. mobile */}
@@ -160,6 +155,7 @@ export default function SelectionScreen({ route, navigation, username }) {
                 Choose your lettuce type and start monitoring smart growth.
               </Text>
             )}
+            {slotBanner}
             {/* Search input and filter button container */}
             <View style={styles.searchContainer}>
               <View style={styles.searchBar}>
@@ -196,11 +192,12 @@ export default function SelectionScreen({ route, navigation, username }) {
       ) : (
         // Native mobile layout without ScrollView wrapper
         <>
-          <TopNavbar username={nameToUse} />
+          <TopNavbar />
           {/* Section header with responsive styling for web vs. mobile */}
           <Text style={styles.header}>
             Let’s Find{'\n'}Your Lettuce!
           </Text>
+          {slotBanner}
           {/* Search input and filter button container */}
           <View style={styles.searchContainer}>
             <View style={styles.searchBar}>
@@ -250,6 +247,23 @@ const styles = StyleSheet.create({
     marginVertical: 16,
     marginLeft: 20,
   },
+  slotBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: Platform.OS === 'web' ? 'flex-start' : 'center',
+    backgroundColor: '#e8f5e9',
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginBottom: 12,
+    gap: 8,
+    ...(Platform.OS === 'web' ? { marginLeft: 45 } : {}),
+  },
+  slotBannerText: {
+    fontSize: 14,
+    color: '#2e7d32',
+    fontWeight: 'bold',
+  },
   searchContainer: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -7,14 +7,18 @@
  *    1) non-empty fields,
  *    2) email format,
  *    3) terms agreement.
+ * - Creates the account via authClient; validation and server errors
+ *   (username/email taken) are shown inline above the button.
  * - On success:
- *    • Web: window.alert ➔ navigate to Dashboard,
- *    • Native: update UserContext, Alert.alert ➔ navigate.
+ *    • Web: window.alert ➔ start the session,
+ *    • Native: Alert.alert ➔ start the session,
+ *    after which the app navigator opens the pairing wizard (PairDeviceScreen)
+ *    to add the account's first GreenSync unit.
  * - Renders WebFooter on web platform.
  */
 
-import React, { useState, useContext } from 'react';
-import { UserContext } from '../UserContext';
+import React, { useState } from 'react';
+import { useSession } from '../UserContext';
 import {
   View,
   Text,
@@ -26,9 +30,11 @@ import {
   Platform,
   TouchableOpacity,
   KeyboardAvoidingView,
+  ActivityIndicator,
 } from 'react-native';
 import { useNavigation } from '@react-navigation/native';
 import WebFooter from '../components/WebFooter';
+import { register, getAuthErrorMessage } from '../services/authClient';
 
 // === COMPONENT: CustomCheckBox ===
 // Custom-designed checkbox for agreeing to terms and policy.
@@ -65,8 +71,11 @@ export default function SignUpScreen() {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [agree, setAgree] = useState(false);
+  // Inline error message and in-flight flag for the sign-up request
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
   const navigation = useNavigation();
-  const { setUsername: setContextUsername } = useContext(UserContext);
+  const { signIn } = useSession();
 
   /**
    * handleSignUp()
@@ -74,47 +83,49 @@ export default function SignUpScreen() {
    * 1. Ensure username, email, and password are provided.
    * 2. Check email matches regex.
    * 3. Confirm terms checkbox is checked.
-   * 4. If valid:
-   *    - On web: show window.alert then navigate.
-   *    - On native: set UserContext, show Alert.alert then navigate.
+   * 4. Register the account; show any server error inline.
+   * 5. On success, confirm with the user, then store the session via useSession():
+   *    - On web: show window.alert.
+   *    - On native: show Alert.alert.
    */
-  const handleSignUp = () => {
+  const handleSignUp = async () => {
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
     if (!username || !email || !password) { // 1) Empty-fields check — prevent accidental blank sign-ups
-      if (Platform.OS === 'web') {
-        window.alert('Missing Info: Please fill out all fields.');
-      } else {
-        Alert.alert('Missing Info', 'Please fill out all fields.');
-      }
+      setError('Please fill out all fields.');
       return;
     }
     if (!emailRegex.test(email)) { // 2) Email format check — catch typos before submission
-      if (Platform.OS === 'web') {
-        window.alert('Invalid Email: Please enter a valid email address.');
-      } else {
-        Alert.alert('Invalid Email', 'Please enter a valid email address.');
-      }
+      setError('Please enter a valid email address.');
       return;
     }
     if (!agree) { // 3) Terms agreement — legal requirement
-      if (Platform.OS === 'web') {
-        window.alert('Terms Required: You must agree to the terms & policy.');
-      } else {
-        Alert.alert('Terms Required', 'You must agree to the terms & policy.');
-      }
+      setError('You must agree to the terms & policy.');
       return;
     }
 
-    // Platform-specific alerts: browser vs. native
+    setError('');
+    setSubmitting(true);
+    let session;
+    try {
+      session = await register({ username, email, password });
+    } catch (err) {
+      setError(getAuthErrorMessage(err));
+      return;
+    } finally {
+      setSubmitting(false);
+    }
+
+    // Platform-specific alerts: browser vs. native.
+    // Signing in swaps the navigator over to the app screens, starting on PairDevice since a
+    // new account has no units yet (see App.js).
     if (Platform.OS === 'web') {
       window.alert('You have successfully signed up!');
-      navigation.navigate('Dashboard', { username });
+      await signIn(session);
     } else {
-      setContextUsername(username);
       Alert.alert('Signed Up', 'You have successfully signed up!', [
         {
           text: 'OK',
-          onPress: () => navigation.navigate('Dashboard', { username }),
+          onPress: () => signIn(session),
         },
       ]);
     }
@@ -166,8 +177,19 @@ export default function SignUpScreen() {
                   <Text style={styles.terms}> I agree to the terms & policy</Text>
                 </View>
 
-                <TouchableOpacity style={styles.button} onPress={handleSignUp} activeOpacity={0.8}>
-                  <Text style={styles.buttonText}>Sign up</Text>
+                {error ? <Text style={styles.errorText}>{error}</Text> : null}
+
+                <TouchableOpacity
+                  style={[styles.button, submitting && styles.buttonDisabled]}
+                  onPress={handleSignUp}
+                  activeOpacity={0.8}
+                  disabled={submitting}
+                >
+                  {submitting ? (
+                    <ActivityIndicator color="#fff" />
+                  ) : (
+                    <Text style={styles.buttonText}>Sign up</Text>
+                  )}
                 </TouchableOpacity>
 
                 <View style={styles.signupFooter}>
@@ -218,8 +240,19 @@ export default function SignUpScreen() {
                   <Text style={styles.terms}> I agree to the terms & policy</Text>
                 </View>
 
-                <TouchableOpacity style={styles.button} onPress={handleSignUp} activeOpacity={0.8}>
-                  <Text style={styles.buttonText}>Sign up</Text>
+                {error ? <Text style={styles.errorText}>{error}</Text> : null}
+
+                <TouchableOpacity
+                  style={[styles.button, submitting && styles.buttonDisabled]}
+                  onPress={handleSignUp}
+                  activeOpacity={0.8}
+                  disabled={submitting}
+                >
+                  {submitting ? (
+                    <ActivityIndicator color="#fff" />
+                  ) : (
+                    <Text style={styles.buttonText}>Sign up</Text>
+                  )}
                 </TouchableOpacity>
 
                 <View style={styles.signupFooter}>
@@ -303,10 +336,17 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     marginBottom: 24,
   },
+  buttonDisabled: {
+    opacity: 0.7,
+  },
   buttonText: {
     color: '#fff',
     fontWeight: '600',
   },
+  errorText: {
+    color: '#b71c1c',
+    marginBottom: 12,
+  },
   signupFooter: {
     flexDirection: 'row',
     marginTop: 16,
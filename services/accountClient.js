@@ -0,0 +1,31 @@
+/**
+ * accountClient.js
+ *
+ * Client for the signed-in user's account.
+ * - fetchAccount: load the full profile `{ id, username, email, avatar, preferences }`.
+ * - updateAccount: change profile fields, password, or preferences
+ *   (preferences are merged server-side, so send only the keys that changed).
+ *
+ * Errors are ApiErrors; profile-specific codes reuse AUTH_ERRORS
+ * (USERNAME_TAKEN, EMAIL_TAKEN, WEAK_PASSWORD).
+ */
+
+import { apiRequest } from './apiClient';
+
+/**
+ * fetchAccount()
+ *
+ * GET /account for the user that owns `token`.
+ */
+export function fetchAccount(token) {
+  return apiRequest('/account', { token });
+}
+
+/**
+ * updateAccount()
+ *
+ * PATCH /account with the changed fields; resolves with the updated profile.
+ */
+export function updateAccount(token, changes) {
+  return apiRequest('/account', { method: 'PATCH', token, body: changes });
+}
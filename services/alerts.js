@@ -0,0 +1,200 @@
+/**
+ * alerts.js
+ *
+ * Threshold alert rules for slot readings.
+ * - Checks temperature, humidity, pH, TDS, light and water against the targets for
+ *   the slot's variety (lettuceCatalog.js), with water scaled to the unit's reservoir.
+ * - Severity: 'warning' outside the acceptable band, 'critical' past the critical
+ *   bounds or once a warning has lasted ESCALATE_AFTER_MS.
+ * - Duration: the engine remembers when each reading first went out of range, so an
+ *   alert reports how long it has been active.
+ * - Subscribers hear about raised, changed and resolved alerts (for notifications).
+ *
+ * An alert is
+ *   { id, deviceId, slotId, variety, metric, label, value, target: { min, max },
+ *     direction: 'low' | 'high', severity, since, duration, message }
+ * where `since` is an ISO time and `duration` is in ms. `value` and `target` are in the unit's
+ * own units; `label` and `message` are written in the account's (services/formatter.js).
+ */
+
+import { getTargets } from './lettuceCatalog';
+import { getFormatter } from './formatter';
+
+export const SEVERITY = {
+  WARNING: 'warning',
+  CRITICAL: 'critical',
+};
+
+// Metrics checked, with display names (useFormatter().label() names them in the account's units)
+export const ALERT_METRICS = {
+  temp: { label: 'Temperature' },
+  humidity: { label: 'Humidity' },
+  ph: { label: 'pH' },
+  tds: { label: 'TDS' },
+  light: { label: 'Light' },
+  water: { label: 'Water' },
+};
+
+// A warning that lasts this long is treated as critical
+export const ESCALATE_AFTER_MS = 6 * 60 * 60 * 1000;
+
+const SEVERITY_RANK = { [SEVERITY.WARNING]: 1, [SEVERITY.CRITICAL]: 2 };
+
+/**
+ * checkReading()
+ *
+ * Compares one reading with its target at time `at`.
+ * Returns null when it is acceptable, otherwise `{ direction, severity }`.
+ */
+export function checkReading(value, target, at = new Date()) {
+  if (typeof value !== 'number' || !target) return null;
+  if (target.hours) {
+    const hour = at.getHours();
+    if (hour < target.hours[0] || hour >= target.hours[1]) return null;
+  }
+  if (value < target.min) {
+    const critical = target.criticalMin != null && value <= target.criticalMin;
+    return { direction: 'low', severity: critical ? SEVERITY.CRITICAL : SEVERITY.WARNING };
+  }
+  if (value > target.max) {
+    const critical = target.criticalMax != null && value >= target.criticalMax;
+    return { direction: 'high', severity: critical ? SEVERITY.CRITICAL : SEVERITY.WARNING };
+  }
+  return null;
+}
+
+// "pH is above the 5.5–6.5 target for Romaine (6.80)."
+function describe({ metric, label, value, target, direction, variety }) {
+  const format = getFormatter();
+  return (
+    `${label} is ${direction === 'low' ? 'below' : 'above'} the ${format.range(metric, target.min, target.max)} ` +
+    `target for ${variety || 'lettuce'} (${format.value(metric, value)}).`
+  );
+}
+
+/**
+ * sortAlerts()
+ *
+ * Most urgent first: critical before warning, then the longest-running.
+ */
+export function sortAlerts(alerts) {
+  return [...alerts].sort(
+    (a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity] || b.duration - a.duration
+  );
+}
+
+/**
+ * worstSeverity()
+ *
+ * Highest severity among `alerts`, or null when there are none.
+ */
+export function worstSeverity(alerts) {
+  return alerts.reduce(
+    (worst, alert) => (!worst || SEVERITY_RANK[alert.severity] > SEVERITY_RANK[worst] ? alert.severity : worst),
+    null
+  );
+}
+
+/**
+ * createAlertEngine()
+ *
+ * Options:
+ * - targetsFor(variety, { reservoirLitres }): target lookup (defaults to getTargets)
+ * - escalateAfterMs: how long a warning lasts before it becomes critical
+ *
+ * Returns `{ evaluate, getAlerts, subscribe }`:
+ * - evaluate(deviceId, slots, { reservoirLitres, now }?) checks every slot and returns the
+ *   device's alerts; `reservoirLitres` is the unit's reservoir size
+ * - getAlerts(deviceId?) returns the active alerts (for one device or all)
+ * - subscribe(listener) calls `listener({ raised, changed, resolved })`; returns unsubscribe()
+ */
+export function createAlertEngine({ targetsFor = getTargets, escalateAfterMs = ESCALATE_AFTER_MS } = {}) {
+  // alert id ("deviceId:slotId:metric") → alert
+  const active = new Map();
+  const listeners = new Set();
+
+  const getAlerts = (deviceId) =>
+    sortAlerts([...active.values()].filter((alert) => deviceId === undefined || alert.deviceId === deviceId));
+
+  /**
+   * evaluate()
+   *
+   * 1. Check each planted slot's readings against its variety's targets.
+   * 2. Keep `since` for alerts that are still active in the same direction.
+   * 3. Resolve alerts for the given slots that are back in range (or no longer planted).
+   * 4. Tell subscribers what changed.
+   */
+  const evaluate = (deviceId, slots, { reservoirLitres, now = Date.now() } = {}) => {
+    const raised = [];
+    const changed = [];
+    const resolved = [];
+    const current = new Set();
+
+    slots.forEach((slot) => {
+      if (!slot.hasPlant || !slot.data) return;
+      const targets = targetsFor(slot.variety, { reservoirLitres });
+      const readAt = Date.parse(slot.updatedAt) || now;
+
+      Object.keys(ALERT_METRICS).forEach((metric) => {
+        const target = targets[metric];
+        const result = checkReading(slot.data[metric], target, new Date(readAt));
+        if (!result) return;
+
+        const id = `${deviceId}:${slot.id}:${metric}`;
+        current.add(id);
+        const previous = active.get(id);
+        const since = previous && previous.direction === result.direction ? Date.parse(previous.since) : readAt;
+        const duration = Math.max(now - since, 0);
+        const severity =
+          result.severity === SEVERITY.WARNING && duration >= escalateAfterMs ? SEVERITY.CRITICAL : result.severity;
+
+        const alert = {
+          id,
+          deviceId,
+          slotId: slot.id,
+          variety: slot.variety ?? null,
+          metric,
+          label: getFormatter().label(metric),
+          value: slot.data[metric],
+          target: { min: target.min, max: target.max },
+          direction: result.direction,
+          severity,
+          since: new Date(since).toISOString(),
+          duration,
+        };
+        alert.message = describe(alert);
+        active.set(id, alert);
+
+        if (!previous) raised.push(alert);
+        else if (previous.severity !== severity || previous.direction !== alert.direction) changed.push(alert);
+      });
+    });
+
+    const checkedSlots = new Set(slots.map((slot) => slot.id));
+    active.forEach((alert, id) => {
+      if (alert.deviceId === deviceId && checkedSlots.has(alert.slotId) && !current.has(id)) {
+        active.delete(id);
+        resolved.push(alert);
+      }
+    });
+
+    if (raised.length || changed.length || resolved.length) {
+      listeners.forEach((listener) => listener({ raised, changed, resolved }));
+    }
+    return getAlerts(deviceId);
+  };
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  return { evaluate, getAlerts, subscribe };
+}
+
+// Shared engine, so every screen sees the same alerts and durations
+const alertEngine = createAlertEngine();
+
+export function getAlertEngine() {
+  return alertEngine;
+}
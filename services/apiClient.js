@@ -0,0 +1,91 @@
+/**
+ * apiClient.js
+ *
+ * Thin wrapper around `fetch` shared by every GreenSync service client.
+ * - Prefixes request paths with the configured API base URL (or another service's `baseUrl`).
+ * - Serialises JSON bodies and attaches the bearer token when given.
+ * - Converts failed responses and network failures into `ApiError`s
+ *   carrying a machine-readable `code` that screens can switch on.
+ * - Reports whether the GreenSync API answered to connectivity.js; other services (`baseUrl`)
+ *   going down say nothing about it.
+ */
+
+import { API_BASE_URL } from './config';
+import { reportReachable } from './connectivity';
+
+// Error codes shared by the client and the backend's `{ error: { code } }` payloads
+export const ERROR_CODES = {
+  NETWORK_ERROR: 'NETWORK_ERROR',
+  VALIDATION_ERROR: 'VALIDATION_ERROR',
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  NOT_FOUND: 'NOT_FOUND',
+  UNKNOWN: 'UNKNOWN',
+};
+
+/**
+ * ApiError
+ *
+ * Error thrown by `apiRequest`.
+ * - code: one of ERROR_CODES or a service-specific code (e.g. 'ACCOUNT_LOCKED')
+ * - status: HTTP status, or 0 when the server could not be reached
+ * - details: optional extra data sent by the server
+ */
+export class ApiError extends Error {
+  constructor(code, message, status = 0, details = null) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * apiRequest()
+ *
+ * 1. Sends `method` + JSON `body` to `${baseUrl}${path}` (the GreenSync API by default).
+ * 2. Resolves with the parsed JSON payload (or null for 204 responses).
+ * 3. Rejects with an ApiError for non-2xx responses or network failures.
+ */
+export async function apiRequest(path, { method = 'GET', body, token, signal, baseUrl = API_BASE_URL } = {}) {
+  const headers = { Accept: 'application/json' };
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+  if (token) headers.Authorization = `Bearer ${token}`;
+
+  const isGreenSync = baseUrl === API_BASE_URL;
+  let response;
+  try {
+    response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers,
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+      signal,
+    });
+  } catch (err) {
+    // Aborted requests are the caller's decision, not a connectivity problem
+    if (err?.name === 'AbortError') throw err;
+    if (isGreenSync) reportReachable(false);
+    throw new ApiError(
+      ERROR_CODES.NETWORK_ERROR,
+      'Unable to reach the GreenSync server. Check your connection and try again.'
+    );
+  }
+
+  if (isGreenSync) reportReachable(true);
+  if (response.status === 204) return null;
+
+  // Tolerate empty or non-JSON bodies so the status code still drives the error
+  const payload = await response.json().catch(() => null);
+
+  if (!response.ok) {
+    const error = payload?.error ?? {};
+    throw new ApiError(
+      error.code ?? ERROR_CODES.UNKNOWN,
+      error.message ?? `Request failed with status ${response.status}.`,
+      response.status,
+      error.details ?? null
+    );
+  }
+
+  return payload;
+}
@@ -0,0 +1,128 @@
+/**
+ * authClient.js
+ *
+ * Client for the GreenSync authentication endpoints.
+ * - login: exchange username/password for a session.
+ * - register: create an account and start a session.
+ * - logout: revoke the current session on the server.
+ * - refresh: trade a refresh token for a new access token.
+ * - requestPasswordReset / resetPassword: emailed-code password reset.
+ *
+ * login, register and refresh resolve with a session object:
+ *   { user: { id, username, email, avatar, preferences }, token, refreshToken,
+ *     expiresAt, refreshExpiresAt }
+ * and rejects with an ApiError whose `code` is one of AUTH_ERRORS
+ * (or a generic ERROR_CODES value such as NETWORK_ERROR).
+ *
+ * `expiresAt` is when the access token lapses; `refreshExpiresAt` is when the
+ * session as a whole ends (30 days for "remember me" logins, 1 day otherwise).
+ */
+
+import { apiRequest, ERROR_CODES } from './apiClient';
+
+// Auth-specific error codes returned by the backend
+export const AUTH_ERRORS = {
+  INVALID_CREDENTIALS: 'INVALID_CREDENTIALS',
+  USERNAME_TAKEN: 'USERNAME_TAKEN',
+  EMAIL_TAKEN: 'EMAIL_TAKEN',
+  ACCOUNT_LOCKED: 'ACCOUNT_LOCKED',
+  INVALID_REFRESH_TOKEN: 'INVALID_REFRESH_TOKEN',
+  INVALID_RESET_CODE: 'INVALID_RESET_CODE',
+  RESET_CODE_EXPIRED: 'RESET_CODE_EXPIRED',
+  WEAK_PASSWORD: 'WEAK_PASSWORD',
+};
+
+// User-facing copy for each error code, shown inline by the auth screens
+const ERROR_MESSAGES = {
+  [AUTH_ERRORS.INVALID_CREDENTIALS]: 'Incorrect username or password.',
+  [AUTH_ERRORS.USERNAME_TAKEN]: 'That username is already taken. Please choose another.',
+  [AUTH_ERRORS.EMAIL_TAKEN]: 'An account with that email address already exists.',
+  [AUTH_ERRORS.ACCOUNT_LOCKED]: 'Your account is temporarily locked after too many failed attempts. Please try again later.',
+  [AUTH_ERRORS.INVALID_REFRESH_TOKEN]: 'Your session has expired. Please log in again.',
+  [AUTH_ERRORS.INVALID_RESET_CODE]: 'That reset code is not valid. Check the code in your email and try again.',
+  [AUTH_ERRORS.RESET_CODE_EXPIRED]: 'That reset code has expired. Please request a new one.',
+  [AUTH_ERRORS.WEAK_PASSWORD]: 'Your new password must be at least 8 characters long.',
+  [ERROR_CODES.NETWORK_ERROR]: 'Unable to reach the GreenSync server. Check your connection and try again.',
+};
+
+/**
+ * getAuthErrorMessage()
+ *
+ * Maps an ApiError (or any error) to a message suitable for the auth forms.
+ * Falls back to the server-supplied message for codes without custom copy.
+ */
+export function getAuthErrorMessage(error) {
+  return ERROR_MESSAGES[error?.code] ?? error?.message ?? 'Something went wrong. Please try again.';
+}
+
+/**
+ * login()
+ *
+ * POST /auth/login with the user's credentials.
+ * `remember` asks the server for a 30-day refresh token.
+ */
+export function login({ username, password, remember = false }) {
+  return apiRequest('/auth/login', {
+    method: 'POST',
+    body: { username, password, remember },
+  });
+}
+
+/**
+ * register()
+ *
+ * POST /auth/register to create a new account.
+ */
+export function register({ username, email, password }) {
+  return apiRequest('/auth/register', {
+    method: 'POST',
+    body: { username, email, password },
+  });
+}
+
+/**
+ * logout()
+ *
+ * POST /auth/logout to revoke the session identified by `token`.
+ */
+export function logout(token) {
+  return apiRequest('/auth/logout', { method: 'POST', token });
+}
+
+/**
+ * refresh()
+ *
+ * POST /auth/refresh to obtain a new access token for an existing session.
+ */
+export function refresh(refreshToken) {
+  return apiRequest('/auth/refresh', {
+    method: 'POST',
+    body: { refreshToken },
+  });
+}
+
+/**
+ * requestPasswordReset()
+ *
+ * POST /auth/password-reset/request to email a reset code to `email`.
+ * Resolves the same way whether or not an account exists, so the
+ * screen never reveals which addresses are registered.
+ */
+export function requestPasswordReset(email) {
+  return apiRequest('/auth/password-reset/request', {
+    method: 'POST',
+    body: { email },
+  });
+}
+
+/**
+ * resetPassword()
+ *
+ * POST /auth/password-reset/confirm with the emailed code and the new password.
+ */
+export function resetPassword({ email, code, newPassword }) {
+  return apiRequest('/auth/password-reset/confirm', {
+    method: 'POST',
+    body: { email, code, newPassword },
+  });
+}
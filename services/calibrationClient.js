@@ -0,0 +1,259 @@
+/**
+ * calibrationClient.js
+ *
+ * Client for calibrating a slot's pH and TDS probes, which drift as they age.
+ * - A probe is calibrated in two or three buffer solutions: the unit reads the probe in each
+ *   (startBufferReading / readProbe) until the reading is stable (isStable), and the line
+ *   through those points (fitCalibration) is saved to the unit as a slope and offset
+ *   (saveCalibration). The unit then reports `raw × slope + offset`.
+ * - Each slot carries `calibration: { ph, tds }` with its telemetry, one entry per probe:
+ *   `{ slope, offset, points: [{ buffer, raw }], calibratedAt, intervalDays }`.
+ *   A calibration is due `intervalDays` after `calibratedAt` (getCalibrationStatus); the
+ *   interval is set per probe (updateCalibrationInterval).
+ * - The wizard that walks through the buffers lives in useCalibration.js.
+ */
+
+import { apiRequest, ERROR_CODES } from './apiClient';
+import { getFormatter } from './formatter';
+
+export const PROBES = {
+  PH: 'ph',
+  TDS: 'tds',
+};
+
+// Per probe: display name, buffers in the order they are used (a two-point calibration uses
+// the first two), reading precision and how much a settled reading may still wander.
+// Calibration stays in the probe's own units (pH, ppm on the 700 scale), as printed on the
+// buffer bottles, whatever units the account shows readings in.
+export const PROBE_SETTINGS = {
+  [PROBES.PH]: { label: 'pH', suffix: '', buffers: [7.0, 4.0, 10.01], decimals: 2, tolerance: 0.02 },
+  [PROBES.TDS]: { label: 'TDS', suffix: ' ppm', buffers: [342, 1382, 2000], decimals: 0, tolerance: 5 },
+};
+
+// Keep in sync with the backend's limits (mock-server/calibration.js): the slope and offset a
+// healthy probe calibrates to, and how far a buffer point may sit off the fitted line
+export const CALIBRATION_LIMITS = {
+  [PROBES.PH]: { slope: [0.9, 1.15], offset: 1, fit: 0.1 },
+  [PROBES.TDS]: { slope: [0.8, 1.25], offset: 100, fit: 40 },
+};
+
+// Reminder intervals the user can pick, in days
+export const CALIBRATION_INTERVALS = [14, 30, 60, 90];
+
+// Steps of the calibration wizard (useCalibration.js)
+export const CALIBRATION_STEPS = {
+  IDLE: 'idle',
+  PLACE: 'place', // rinse the probe and put it in the next buffer
+  SETTLING: 'settling', // reading the probe until it is stable
+  REVIEW: 'review', // all points recorded; check the result and save
+  SAVED: 'saved',
+};
+
+// How often the probe is read while it settles, and how long it must hold steady
+export const PROBE_POLL_MS = 1000;
+export const STABLE_WINDOW_MS = 5000;
+// After this long without settling the wizard suggests stirring or fresh buffer
+export const SETTLE_TIMEOUT_MS = 90 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Calibration-specific error codes returned by the backend
+export const CALIBRATION_ERRORS = {
+  CALIBRATION_NOT_STARTED: 'CALIBRATION_NOT_STARTED',
+  DEVICE_OFFLINE: 'DEVICE_OFFLINE',
+};
+
+const ERROR_MESSAGES = {
+  [CALIBRATION_ERRORS.CALIBRATION_NOT_STARTED]: 'The unit lost track of the calibration. Start again.',
+  [CALIBRATION_ERRORS.DEVICE_OFFLINE]:
+    'The unit is not connected. Probes can only be calibrated while it is online.',
+  [ERROR_CODES.NETWORK_ERROR]: 'Unable to reach the GreenSync server. Check your connection and try again.',
+};
+
+/**
+ * getCalibrationErrorMessage()
+ *
+ * User-facing copy for a failed calibration request.
+ */
+export function getCalibrationErrorMessage(error) {
+  return ERROR_MESSAGES[error?.code] ?? error?.message ?? 'Something went wrong. Please try again.';
+}
+
+// "pH 7.00" / "1382 ppm", with the account's number format
+export function formatBuffer(probe, buffer, format = getFormatter()) {
+  return probe === PROBES.PH ? `pH ${format.number(buffer, 2)}` : `${format.number(buffer, 0)} ppm`;
+}
+
+/**
+ * isStable()
+ *
+ * Whether a probe's readings `[{ raw, at }]` (oldest first) have held within the probe's
+ * tolerance for the last STABLE_WINDOW_MS.
+ */
+export function isStable(samples, probe) {
+  if (!samples.length) return false;
+  const newest = Date.parse(samples[samples.length - 1].at);
+  const recent = samples.filter((sample) => newest - Date.parse(sample.at) <= STABLE_WINDOW_MS);
+  // Not read for long enough yet
+  if (newest - Date.parse(recent[0].at) < STABLE_WINDOW_MS - PROBE_POLL_MS) return false;
+  const raws = recent.map((sample) => sample.raw);
+  return Math.max(...raws) - Math.min(...raws) <= PROBE_SETTINGS[probe].tolerance;
+}
+
+/**
+ * settledReading()
+ *
+ * The raw value to record for a stable probe: the average over the stable window.
+ */
+export function settledReading(samples) {
+  const newest = Date.parse(samples[samples.length - 1].at);
+  const recent = samples.filter((sample) => newest - Date.parse(sample.at) <= STABLE_WINDOW_MS);
+  const raw = recent.reduce((sum, sample) => sum + sample.raw, 0) / recent.length;
+  return Math.round(raw * 1000) / 1000;
+}
+
+/**
+ * fitCalibration()
+ *
+ * Least-squares line through the recorded points `[{ buffer, raw }]` (exact for two points):
+ * `{ slope, offset, maxError }`, where `maxError` is the furthest a point sits off the line.
+ */
+export function fitCalibration(points) {
+  const n = points.length;
+  const meanRaw = points.reduce((sum, point) => sum + point.raw, 0) / n;
+  const meanBuffer = points.reduce((sum, point) => sum + point.buffer, 0) / n;
+  let sxx = 0;
+  let sxy = 0;
+  points.forEach(({ raw, buffer }) => {
+    sxx += (raw - meanRaw) ** 2;
+    sxy += (raw - meanRaw) * (buffer - meanBuffer);
+  });
+  const slope = sxx > 0 ? sxy / sxx : NaN;
+  const offset = meanBuffer - slope * meanRaw;
+  const maxError = Math.max(...points.map(({ raw, buffer }) => Math.abs(raw * slope + offset - buffer)));
+  return { slope, offset, maxError };
+}
+
+/**
+ * checkCalibration()
+ *
+ * Why a fitted calibration shouldn't be saved, or null when it looks healthy.
+ */
+export function checkCalibration(probe, { slope, offset, maxError }) {
+  const limits = CALIBRATION_LIMITS[probe];
+  if (!Number.isFinite(slope) || slope < limits.slope[0] || slope > limits.slope[1] || Math.abs(offset) > limits.offset) {
+    return 'The probe is too far out to calibrate. Check that each buffer went in the right order, clean the probe and try again, or replace it.';
+  }
+  if (maxError > limits.fit) {
+    return "The buffer readings don't line up. One of the buffers may be old or contaminated; use fresh buffer and try again.";
+  }
+  return null;
+}
+
+/**
+ * describeFit()
+ *
+ * `{ response, offset }` labels for a fitted calibration, e.g. "97%" (the probe's response
+ * against an ideal probe) and "+0.12" (in the probe's units).
+ */
+export function describeFit(probe, { slope, offset }, format = getFormatter()) {
+  const { decimals, suffix } = PROBE_SETTINGS[probe];
+  const sign = offset >= 0 ? '+' : '−';
+  return {
+    response: `${format.number(100 / slope, 0)}%`,
+    offset: `${sign}${format.number(Math.abs(offset), decimals)}${suffix}`,
+  };
+}
+
+/**
+ * getCalibrationStatus()
+ *
+ * `{ calibratedAt, dueAt, due, days }` for a probe's calibration: `due` once the interval has
+ * passed (or it was never calibrated, when `dueAt` is null), and `days` until it is due (negative
+ * once overdue).
+ */
+export function getCalibrationStatus(calibration, now = Date.now()) {
+  const calibratedAt = calibration?.calibratedAt ? Date.parse(calibration.calibratedAt) : null;
+  if (calibratedAt == null || Number.isNaN(calibratedAt)) {
+    return { calibratedAt: null, dueAt: null, due: true, days: null };
+  }
+  const dueAt = calibratedAt + calibration.intervalDays * DAY_MS;
+  return { calibratedAt, dueAt, due: now >= dueAt, days: Math.ceil((dueAt - now) / DAY_MS) };
+}
+
+/**
+ * describeCalibration()
+ *
+ * One-line status, e.g. "Calibrated 7 Sep · due in 12 days", "Calibration overdue by 3 days"
+ * or "Not calibrated yet", with dates in the formatter's locale.
+ */
+export function describeCalibration(calibration, format = getFormatter(), now = Date.now()) {
+  const { calibratedAt, due, days } = getCalibrationStatus(calibration, now);
+  if (calibratedAt == null) return 'Not calibrated yet';
+  if (due) {
+    const overdue = -days;
+    return overdue < 1 ? 'Calibration due today' : `Calibration overdue by ${overdue} day${overdue === 1 ? '' : 's'}`;
+  }
+  return `Calibrated ${format.date(calibratedAt)} · due in ${days} day${days === 1 ? '' : 's'}`;
+}
+
+const calibrationPath = (deviceId, slotId, probe) =>
+  `/devices/${encodeURIComponent(deviceId)}/slots/${slotId}/calibration/${probe}`;
+
+/**
+ * startBufferReading()
+ *
+ * POST .../calibration/:probe/buffer: the probe is now in `buffer`; the unit starts reading it.
+ */
+export function startBufferReading({ token, deviceId, slotId, probe, buffer }) {
+  return apiRequest(`${calibrationPath(deviceId, slotId, probe)}/buffer`, {
+    method: 'POST',
+    token,
+    body: { buffer },
+  });
+}
+
+/**
+ * readProbe()
+ *
+ * GET .../calibration/:probe/reading; resolves with the raw reading `{ raw, at }`.
+ */
+export function readProbe({ token, deviceId, slotId, probe, signal }) {
+  return apiRequest(`${calibrationPath(deviceId, slotId, probe)}/reading`, { token, signal });
+}
+
+/**
+ * stopBufferReading()
+ *
+ * DELETE .../calibration/:probe/buffer: the probe is back in the slot.
+ */
+export function stopBufferReading({ token, deviceId, slotId, probe }) {
+  return apiRequest(`${calibrationPath(deviceId, slotId, probe)}/buffer`, { method: 'DELETE', token });
+}
+
+/**
+ * saveCalibration()
+ *
+ * PUT .../calibration/:probe with `{ points, slope, offset }`; resolves with the slot, whose
+ * reading the unit has re-read with the new calibration.
+ */
+export function saveCalibration({ token, deviceId, slotId, probe, points, slope, offset }) {
+  return apiRequest(calibrationPath(deviceId, slotId, probe), {
+    method: 'PUT',
+    token,
+    body: { points, slope, offset },
+  });
+}
+
+/**
+ * updateCalibrationInterval()
+ *
+ * PATCH .../calibration/:probe with `{ intervalDays }`; resolves with the slot.
+ */
+export function updateCalibrationInterval({ token, deviceId, slotId, probe, intervalDays }) {
+  return apiRequest(calibrationPath(deviceId, slotId, probe), {
+    method: 'PATCH',
+    token,
+    body: { intervalDays },
+  });
+}
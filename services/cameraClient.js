@@ -0,0 +1,76 @@
+/**
+ * cameraClient.js
+ *
+ * Client for each slot's Smart Cam photos.
+ * - The latest photo arrives with the slot's live readings (`data.imageUri`, `data.photoTakenAt`).
+ * - fetchCaptures: a slot's photos over a range, oldest first, sampled evenly by the server
+ *   down to `limit` so a time-lapse spans the whole range.
+ * - captureImageUri: absolute URL of a photo for <Image>.
+ * - prefetchCaptures: downloads photos ahead of a time-lapse, once per session.
+ *
+ * The response is `{ range, from, to, total, captures }`, where each capture is
+ * `{ id, deviceId, slotId, takenAt, day, imageUrl, width, height }` and `total` is how many
+ * photos the range holds before sampling. Photos never change, so the server lets them be
+ * cached indefinitely and the <Image> cache keeps them from being downloaded twice.
+ */
+
+import { Image } from 'react-native';
+import { apiRequest } from './apiClient';
+import { API_BASE_URL } from './config';
+
+// Selectable timeline ranges; 'cycle' runs from when the slot was planted
+export const CAPTURE_RANGES = [
+  { key: '24h', label: '24h' },
+  { key: '7d', label: '7d' },
+  { key: '30d', label: '30d' },
+  { key: 'cycle', label: 'Cycle' },
+];
+
+export const DEFAULT_CAPTURE_RANGE = '7d';
+
+// Most photos requested for one timeline
+export const CAPTURE_LIMIT = 120;
+
+// Photo URLs already downloaded by prefetchCaptures this session
+const prefetched = new Set();
+
+/**
+ * fetchCaptures()
+ *
+ * GET /devices/:deviceId/slots/:slotId/captures?range=…&limit=…
+ */
+export function fetchCaptures({ token, deviceId, slotId, range, limit = CAPTURE_LIMIT, signal }) {
+  const query = `range=${encodeURIComponent(range)}&limit=${encodeURIComponent(limit)}`;
+  return apiRequest(
+    `/devices/${encodeURIComponent(deviceId)}/slots/${encodeURIComponent(slotId)}/captures?${query}`,
+    { token, signal }
+  );
+}
+
+/**
+ * captureImageUri()
+ *
+ * Absolute URL for a photo path from the server (a capture's `imageUrl` or a slot's
+ * `data.imageUri`); null when there is no photo.
+ */
+export function captureImageUri(path) {
+  if (!path) return null;
+  return /^https?:\/\//.test(path) ? path : `${API_BASE_URL}${path}`;
+}
+
+/**
+ * prefetchCaptures()
+ *
+ * Starts downloading the given captures' photos into the image cache, skipping any already
+ * fetched. Resolves when they are all in (failures are ignored; the frame loads when shown).
+ */
+export function prefetchCaptures(captures) {
+  const uris = captures.map((c) => captureImageUri(c.imageUrl)).filter((uri) => !prefetched.has(uri));
+  return Promise.all(
+    uris.map((uri) =>
+      Image.prefetch(uri)
+        .then(() => prefetched.add(uri))
+        .catch(() => {})
+    )
+  );
+}
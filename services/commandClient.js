@@ -0,0 +1,146 @@
+/**
+ * commandClient.js
+ *
+ * Client for actuator commands (dispense water/nutrients, pH dosing, grow light).
+ * - sendCommand: queue an action on a slot; resolves with the new command.
+ * - getCommand / getActiveCommands: read command state.
+ * - watchCommand: poll a command until it is done or failed.
+ *
+ * A command is `{ id, deviceId, slotId, action, params, status, progress, error, ... }`
+ * where `status` is one of COMMAND_STATUS and `error` is `{ code, message }` on failure.
+ */
+
+import { apiRequest, ERROR_CODES } from './apiClient';
+
+export const COMMAND_STATUS = {
+  // Waiting in the replay queue (outbox.js) for the server to be reachable again
+  QUEUED: 'queued',
+  PENDING: 'pending',
+  RUNNING: 'running',
+  DONE: 'done',
+  FAILED: 'failed',
+};
+
+export const COMMAND_ACTIONS = {
+  DISPENSE_WATER: 'dispense_water',
+  DISPENSE_NUTRIENTS: 'dispense_nutrients',
+  PH_UP: 'ph_up',
+  PH_DOWN: 'ph_down',
+  LIGHT_ON: 'light_on',
+  LIGHT_OFF: 'light_off',
+};
+
+// Actions that share hardware and must not run at the same time on one slot
+export const ACTION_GROUPS = {
+  [COMMAND_ACTIONS.DISPENSE_WATER]: 'dosing',
+  [COMMAND_ACTIONS.DISPENSE_NUTRIENTS]: 'dosing',
+  [COMMAND_ACTIONS.PH_UP]: 'dosing',
+  [COMMAND_ACTIONS.PH_DOWN]: 'dosing',
+  [COMMAND_ACTIONS.LIGHT_ON]: 'light',
+  [COMMAND_ACTIONS.LIGHT_OFF]: 'light',
+};
+
+// Short names for each action, e.g. in notifications
+export const ACTION_NAMES = {
+  [COMMAND_ACTIONS.DISPENSE_WATER]: 'Dispense water',
+  [COMMAND_ACTIONS.DISPENSE_NUTRIENTS]: 'Dispense nutrients',
+  [COMMAND_ACTIONS.PH_UP]: 'pH up',
+  [COMMAND_ACTIONS.PH_DOWN]: 'pH down',
+  [COMMAND_ACTIONS.LIGHT_ON]: 'Grow light',
+  [COMMAND_ACTIONS.LIGHT_OFF]: 'Grow light off',
+};
+
+// Reading each action affects (the Insight modal a command belongs to)
+export const ACTION_METRICS = {
+  [COMMAND_ACTIONS.DISPENSE_WATER]: 'water',
+  [COMMAND_ACTIONS.DISPENSE_NUTRIENTS]: 'tds',
+  [COMMAND_ACTIONS.PH_UP]: 'ph',
+  [COMMAND_ACTIONS.PH_DOWN]: 'ph',
+  [COMMAND_ACTIONS.LIGHT_ON]: 'light',
+  [COMMAND_ACTIONS.LIGHT_OFF]: 'light',
+};
+
+// Command-specific error codes returned by the backend or reported by the device
+export const COMMAND_ERRORS = {
+  COMMAND_CONFLICT: 'COMMAND_CONFLICT',
+  RESERVOIR_EMPTY: 'RESERVOIR_EMPTY',
+  DEVICE_OFFLINE: 'DEVICE_OFFLINE',
+};
+
+const ERROR_MESSAGES = {
+  [COMMAND_ERRORS.COMMAND_CONFLICT]: 'Another command is still running on this slot. Please wait for it to finish.',
+  [COMMAND_ERRORS.RESERVOIR_EMPTY]: 'The water reservoir is empty. Refill it and try again.',
+  [COMMAND_ERRORS.DEVICE_OFFLINE]: 'This unit is offline. Check its power and Wi-Fi, then try again.',
+  [ERROR_CODES.NETWORK_ERROR]: 'Unable to reach the GreenSync server. Check your connection and try again.',
+};
+
+const POLL_INTERVAL_MS = 500;
+
+export const isCommandActive = (command) =>
+  command?.status === COMMAND_STATUS.QUEUED ||
+  command?.status === COMMAND_STATUS.PENDING ||
+  command?.status === COMMAND_STATUS.RUNNING;
+
+/**
+ * getCommandErrorMessage()
+ *
+ * User-facing copy for a failed request (ApiError) or a failed command's `error`.
+ */
+export function getCommandErrorMessage(error) {
+  return ERROR_MESSAGES[error?.code] ?? error?.message ?? 'The command could not be completed.';
+}
+
+/**
+ * sendCommand()
+ *
+ * POST /devices/:deviceId/slots/:slotId/commands.
+ */
+export function sendCommand({ token, deviceId, slotId, action, params = {} }) {
+  return apiRequest(
+    `/devices/${encodeURIComponent(deviceId)}/slots/${encodeURIComponent(slotId)}/commands`,
+    { method: 'POST', token, body: { action, params } }
+  );
+}
+
+export function getCommand(token, commandId) {
+  return apiRequest(`/commands/${encodeURIComponent(commandId)}`, { token });
+}
+
+// Pending and running commands for a slot (e.g. after the screen remounts)
+export function getActiveCommands({ token, deviceId, slotId }) {
+  return apiRequest(
+    `/devices/${encodeURIComponent(deviceId)}/slots/${encodeURIComponent(slotId)}/commands`,
+    { token }
+  );
+}
+
+/**
+ * watchCommand()
+ *
+ * Polls a command, calling `onUpdate(command)` on every change until it is done
+ * or failed; `onError(err)` is called if polling itself fails (and polling continues).
+ * Returns a function that stops watching.
+ */
+export function watchCommand(token, commandId, { onUpdate, onError }) {
+  let stopped = false;
+  let timer = null;
+
+  const poll = async () => {
+    try {
+      const command = await getCommand(token, commandId);
+      if (stopped) return;
+      onUpdate(command);
+      if (!isCommandActive(command)) return;
+    } catch (err) {
+      if (stopped) return;
+      onError?.(err);
+    }
+    timer = setTimeout(poll, POLL_INTERVAL_MS);
+  };
+  timer = setTimeout(poll, POLL_INTERVAL_MS);
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+}
@@ -0,0 +1,21 @@
+/**
+ * config.js
+ *
+ * Runtime configuration for talking to the GreenSync backend.
+ * - Reads the API base URL from the `EXPO_PUBLIC_API_URL` environment variable.
+ * - Reads the live-telemetry MQTT WebSocket URL from `EXPO_PUBLIC_MQTT_URL`,
+ *   defaulting to `/mqtt` on the API host.
+ * - Reads the plant health inference URL from `EXPO_PUBLIC_HEALTH_API_URL`.
+ * - Falls back to the local mock server (`npm run mock-server`) and plant health model
+ *   stub (`npm run model-server`) for offline development.
+ */
+
+// Base URL of the GreenSync REST API (no trailing slash)
+export const API_BASE_URL = (process.env.EXPO_PUBLIC_API_URL || 'http://localhost:4000').replace(/\/+$/, '');
+
+// MQTT-over-WebSocket endpoint for live slot readings
+export const MQTT_URL =
+  process.env.EXPO_PUBLIC_MQTT_URL || `${API_BASE_URL.replace(/^http/, 'ws')}/mqtt`;
+
+// Plant health inference service (no trailing slash)
+export const HEALTH_API_URL = (process.env.EXPO_PUBLIC_HEALTH_API_URL || 'http://localhost:4001').replace(/\/+$/, '');
@@ -0,0 +1,31 @@
+/**
+ * connectivity.js
+ *
+ * Whether the GreenSync server is reachable, as seen by the app's own requests.
+ * - apiClient.js reports every response it gets (reachable) and every network
+ *   failure (unreachable); nothing is probed separately.
+ * - The replay queue (outbox.js) listens for the server coming back to send what was
+ *   queued while it was away.
+ */
+
+let reachable = true;
+const listeners = new Set();
+
+/**
+ * reportReachable()
+ *
+ * Records whether the latest request reached the server; listeners hear only changes.
+ */
+export function reportReachable(value) {
+  if (value === reachable) return;
+  reachable = value;
+  listeners.forEach((listener) => listener(reachable));
+}
+
+export const isServerReachable = () => reachable;
+
+// Calls `listener(reachable)` whenever reachability changes; returns unsubscribe()
+export function subscribeConnectivity(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
@@ -0,0 +1,89 @@
+/**
+ * cropLifecycle.js
+ *
+ * Where a slot's crop is in its growth cycle, worked out from the slot's crop record
+ * (`variety`, `plantedAt`, `startType`) and the variety's stage durations in the catalog.
+ * - A crop started from seed begins at day 0 of germination; a seedling raised elsewhere
+ *   skips the SEEDLING_SKIPS stages, so it starts at the vegetative stage.
+ * - The harvest window opens when maturation ends and stays open for HARVEST_WINDOW_DAYS;
+ *   after that the crop is overdue (it may bolt or turn bitter).
+ * - A variety missing from the catalog borrows the first catalog variety's stage
+ *   durations, so every planted slot still has a timeline.
+ */
+
+import { getVariety, getVarieties } from './lettuceCatalog';
+import { START_TYPES } from './plantingClient';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Stages a seedling has already been through when it goes into the slot
+export const SEEDLING_SKIPS = ['germination', 'seedling'];
+
+// Days after maturity during which the crop is best harvested
+export const HARVEST_WINDOW_DAYS = 7;
+
+export const STAGE_STATUS = {
+  DONE: 'done',
+  CURRENT: 'current',
+  UPCOMING: 'upcoming',
+};
+
+/**
+ * getCropProgress()
+ *
+ * 1. Find the variety and lay its stages out as day ranges from day 0.
+ * 2. Offset the elapsed days for seedling starts.
+ * 3. Work out the current stage, days remaining and the harvest window.
+ *
+ * Returns null for an empty slot, otherwise
+ *   { variety, plantedAt, startType, day, totalDays, percent,
+ *     stages: [{ key, label, abbrev, description, days, startDay, endDay, status }],
+ *     stageIndex, stage, daysLeftInStage, daysToHarvest,
+ *     harvestWindow: { start, end } (Dates), ready, overdue }
+ * where `day` is the crop's age in whole days (counting the skipped stages for seedlings).
+ */
+export function getCropProgress(slot, now = Date.now()) {
+  const plantedAt = Date.parse(slot?.plantedAt);
+  if (!slot?.hasPlant || Number.isNaN(plantedAt)) return null;
+
+  const variety = getVariety(slot.variety) ?? getVarieties()[0];
+  let startDay = 0;
+  const stages = variety.growthStages.map((stage) => {
+    const laidOut = { ...stage, startDay, endDay: startDay + stage.days };
+    startDay += stage.days;
+    return laidOut;
+  });
+  const totalDays = variety.totalDays;
+
+  const offset =
+    slot.startType === START_TYPES.SEEDLING
+      ? stages.filter((stage) => SEEDLING_SKIPS.includes(stage.key)).reduce((sum, stage) => sum + stage.days, 0)
+      : 0;
+  const day = Math.max(Math.floor((now - plantedAt) / DAY_MS), 0) + offset;
+
+  // Past maturity the crop stays in its last stage
+  const found = stages.findIndex((stage) => day < stage.endDay);
+  const stageIndex = found === -1 ? stages.length - 1 : found;
+  const harvestStart = plantedAt + (totalDays - offset) * DAY_MS;
+  const harvestEnd = harvestStart + HARVEST_WINDOW_DAYS * DAY_MS;
+
+  return {
+    variety,
+    plantedAt: new Date(plantedAt),
+    startType: slot.startType ?? START_TYPES.SEED,
+    day,
+    totalDays,
+    percent: Math.min(Math.round((day / totalDays) * 100), 100),
+    stages: stages.map((stage, idx) => ({
+      ...stage,
+      status: idx < stageIndex ? STAGE_STATUS.DONE : idx === stageIndex ? STAGE_STATUS.CURRENT : STAGE_STATUS.UPCOMING,
+    })),
+    stageIndex,
+    stage: stages[stageIndex],
+    daysLeftInStage: Math.max(stages[stageIndex].endDay - day, 0),
+    daysToHarvest: Math.max(totalDays - day, 0),
+    harvestWindow: { start: new Date(harvestStart), end: new Date(harvestEnd) },
+    ready: now >= harvestStart,
+    overdue: now >= harvestEnd,
+  };
+}
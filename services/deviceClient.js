@@ -0,0 +1,142 @@
+/**
+ * deviceClient.js
+ *
+ * Client for the device registry: the GreenSync units on the signed-in account.
+ * - fetchDevices: every unit, by name.
+ * - describeDeviceStatus: "Online" / "Offline · last seen 2 days ago" for the switcher.
+ * - pairDevice: add a unit to the account by its serial number or pairing code.
+ * - parsePairingCode: read the serial and pairing code from the QR code on a unit's label.
+ * - updateDevice: rename a unit, or set its location and reservoir size.
+ * - checkSensors: ask a unit to read each of its sensors (the last pairing step).
+ *
+ * A unit is `{ id, serial, name, model, location, reservoirLitres, slotCount, plantedSlots,
+ * status, lastSeenAt }`, where `status` is one of DEVICE_STATUS and slot ids run from 1 to
+ * `slotCount`.
+ */
+
+import { apiRequest, ERROR_CODES } from './apiClient';
+import { formatTimeAgo } from '../utils/time';
+
+export const DEVICE_STATUS = {
+  ONLINE: 'online',
+  OFFLINE: 'offline',
+};
+
+// Keep in sync with the backend's limits (mock-server/devices.js)
+export const DEVICE_NAME_MAX_LENGTH = 40;
+export const DEVICE_LOCATION_MAX_LENGTH = 60;
+export const RESERVOIR_LITRES = { min: 2, max: 100, default: 8 };
+
+// Sensors read by the sensor check, with display names; readings are shown with
+// useFormatter().value(), keyed the same as slot readings
+export const SENSOR_LABELS = {
+  temp: { label: 'Air temperature' },
+  humidity: { label: 'Humidity' },
+  ph: { label: 'pH probe' },
+  tds: { label: 'Nutrient (TDS) probe' },
+  water: { label: 'Water level' },
+  light: { label: 'Light sensor' },
+  camera: { label: 'Smart Cam' },
+};
+
+// Pairing-specific error codes returned by the backend
+export const PAIRING_ERRORS = {
+  DEVICE_CLAIMED: 'DEVICE_CLAIMED',
+  DEVICE_OFFLINE: 'DEVICE_OFFLINE',
+};
+
+const ERROR_MESSAGES = {
+  [PAIRING_ERRORS.DEVICE_CLAIMED]:
+    'This unit is already paired with another account. Ask its owner to remove it first.',
+  [PAIRING_ERRORS.DEVICE_OFFLINE]:
+    'The unit is not connected. Check that it is plugged in and on Wi-Fi, then try again.',
+  [ERROR_CODES.NETWORK_ERROR]: 'Unable to reach the GreenSync server. Check your connection and try again.',
+};
+
+// What a unit's QR code holds: greensync://pair?serial=…&code=…
+const PAIRING_URI_PREFIX = 'greensync://pair?';
+
+/**
+ * fetchDevices()
+ *
+ * GET /devices
+ */
+export function fetchDevices({ token, signal }) {
+  return apiRequest('/devices', { token, signal });
+}
+
+/**
+ * describeDeviceStatus()
+ *
+ * Short status line for a unit; offline units say when they were last heard from.
+ */
+export function describeDeviceStatus(device, now = Date.now()) {
+  if (device.status === DEVICE_STATUS.ONLINE) return 'Online';
+  const lastSeen = formatTimeAgo(device.lastSeenAt, now);
+  return lastSeen ? `Offline · last seen ${lastSeen}` : 'Offline';
+}
+
+/**
+ * getPairingErrorMessage()
+ *
+ * User-facing copy for a failed pairing, details or sensor-check request.
+ */
+export function getPairingErrorMessage(error) {
+  return ERROR_MESSAGES[error?.code] ?? error?.message ?? 'Something went wrong. Please try again.';
+}
+
+/**
+ * parsePairingCode()
+ *
+ * Reads `{ serial, pairingCode }` from a scanned QR code; null when the code is not a
+ * GreenSync pairing code.
+ */
+export function parsePairingCode(data) {
+  if (typeof data !== 'string' || !data.startsWith(PAIRING_URI_PREFIX)) return null;
+  const params = {};
+  for (const pair of data.slice(PAIRING_URI_PREFIX.length).split('&')) {
+    const [key, value = ''] = pair.split('=');
+    params[key] = decodeURIComponent(value);
+  }
+  if (!params.serial && !params.code) return null;
+  return { serial: params.serial || null, pairingCode: params.code || null };
+}
+
+/**
+ * pairDevice()
+ *
+ * POST /devices/pair with the serial number (preferred) or the pairing code; resolves with
+ * the unit, now on the account.
+ */
+export function pairDevice({ token, serial, pairingCode }) {
+  const body = serial ? { serial } : { pairingCode };
+  return apiRequest('/devices/pair', { method: 'POST', token, body });
+}
+
+/**
+ * updateDevice()
+ *
+ * PATCH /devices/:deviceId with any of `{ name, location, reservoirLitres }`.
+ */
+export function updateDevice({ token, deviceId, changes }) {
+  return apiRequest(`/devices/${encodeURIComponent(deviceId)}`, {
+    method: 'PATCH',
+    token,
+    body: changes,
+  });
+}
+
+/**
+ * checkSensors()
+ *
+ * POST /devices/:deviceId/sensor-check; resolves with
+ * `{ passed, checkedAt, sensors: [{ sensor, ok, value, message }] }`. Takes a couple of
+ * seconds while the unit reads each sensor.
+ */
+export function checkSensors({ token, deviceId, signal }) {
+  return apiRequest(`/devices/${encodeURIComponent(deviceId)}/sensor-check`, {
+    method: 'POST',
+    token,
+    signal,
+  });
+}
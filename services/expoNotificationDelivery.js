@@ -0,0 +1,60 @@
+/**
+ * expoNotificationDelivery.js
+ *
+ * Notification delivery (see notificationDelivery.js) for iOS and Android through expo-notifications.
+ * - Notifications are shown straight away (no trigger), including while the app is open.
+ * - Android posts them on a high-importance "GreenSync alerts" channel.
+ * - Permission statuses map directly onto PERMISSION.
+ */
+
+import { Platform } from 'react-native';
+import * as Notifications from 'expo-notifications';
+import { PERMISSION } from './notificationDelivery';
+
+const ANDROID_CHANNEL_ID = 'greensync-alerts';
+
+/**
+ * createExpoNotificationDelivery()
+ *
+ * Options (override in tests):
+ * - notifications: the expo-notifications module
+ */
+export function createExpoNotificationDelivery({ notifications = Notifications } = {}) {
+  // Show notifications as banners even when the app is in the foreground
+  notifications.setNotificationHandler({
+    handleNotification: async () => ({
+      shouldShowAlert: true,
+      shouldPlaySound: true,
+      shouldSetBadge: false,
+    }),
+  });
+
+  // Android needs a channel before anything can be posted
+  let channelReady = null;
+  const ensureChannel = () => {
+    if (Platform.OS !== 'android') return Promise.resolve();
+    channelReady ??= notifications.setNotificationChannelAsync(ANDROID_CHANNEL_ID, {
+      name: 'GreenSync alerts',
+      importance: notifications.AndroidImportance.HIGH,
+    });
+    return channelReady;
+  };
+
+  const toPermission = ({ status }) => status ?? PERMISSION.UNDETERMINED;
+
+  return {
+    getPermission: async () => toPermission(await notifications.getPermissionsAsync()),
+    requestPermission: async () => {
+      await ensureChannel();
+      return toPermission(await notifications.requestPermissionsAsync());
+    },
+    schedule: async ({ id, title, body, data }) => {
+      await ensureChannel();
+      await notifications.scheduleNotificationAsync({
+        identifier: id,
+        content: { title, body, data },
+        trigger: Platform.OS === 'android' ? { channelId: ANDROID_CHANNEL_ID } : null,
+      });
+    },
+  };
+}
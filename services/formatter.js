@@ -0,0 +1,179 @@
+/**
+ * formatter.js
+ *
+ * The one place readings, target ranges, chart axes and dates are turned into text, following
+ * the account's unit preferences (unitPrefs.js).
+ * - Units report °C, %, pH, ppm on the 700 scale, a 0–10 light level and litres; those stay
+ *   the units of everything stored and sent to the server. The formatter converts for display
+ *   (`convert`) and converts what the user enters back (`toBase`). The light level is always
+ *   shown as a percentage of full output (2 → "20%").
+ * - Numbers use the chosen locale's separators (Intl.NumberFormat); dates and clock times
+ *   go through utils/time.js with the same locale.
+ * - Components use useFormatter(); code outside React (alert and notification text) uses
+ *   getFormatter(), which follows the signed-in account (setFormatterPreferences, App.js).
+ */
+
+import { DEFAULT_UNIT_PREFS, TEMPERATURE_UNITS, VOLUME_UNITS, NUTRIENT_SCALES } from './unitPrefs';
+import { formatShortDate, formatClockTime, formatDateTime } from '../utils/time';
+
+const LITRES_PER_GALLON = 3.78541;
+// ppm on the 700 scale per mS/cm of EC (what the units report), and on the 500 scale
+const PPM_700_PER_EC = 700;
+const PPM_500_PER_EC = 500;
+// Light is reported as a level from 0 (dark) to 10 (grow light at full output)
+const PERCENT_PER_LIGHT_LEVEL = 10;
+
+const same = (value) => value;
+
+// Per metric: display name, unit suffix, decimals shown, and the step for editing a target
+const METRICS = {
+  temp: { label: 'Temperature', unit: '°C', decimals: 1, step: 0.5 },
+  humidity: { label: 'Humidity', unit: '%', decimals: 0, step: 1 },
+  ph: { label: 'pH', unit: '', decimals: 2, step: 0.1 },
+  tds: { label: 'TDS', unit: ' ppm', decimals: 0, step: 50 },
+  light: { label: 'Light', unit: '%', decimals: 0, step: 10 },
+  water: { label: 'Water', unit: ' L', decimals: 1, step: 0.5 },
+};
+
+// The light level has no unit of its own, so it is always shown as a percentage
+const LIGHT = {
+  convert: (level) => level * PERCENT_PER_LIGHT_LEVEL,
+  toBase: (percent) => percent / PERCENT_PER_LIGHT_LEVEL,
+};
+
+// Overrides for non-default units, with conversions from and back to the unit's own units
+const TEMPERATURE = {
+  [TEMPERATURE_UNITS.FAHRENHEIT]: {
+    unit: '°F',
+    step: 1,
+    convert: (c) => (c * 9) / 5 + 32,
+    toBase: (f) => ((f - 32) * 5) / 9,
+  },
+};
+
+const VOLUME = {
+  [VOLUME_UNITS.GALLONS]: {
+    unit: ' gal',
+    decimals: 2,
+    step: 0.1,
+    convert: (l) => l / LITRES_PER_GALLON,
+    toBase: (gal) => gal * LITRES_PER_GALLON,
+  },
+};
+
+const NUTRIENT = {
+  [NUTRIENT_SCALES.PPM_500]: {
+    convert: (ppm) => (ppm / PPM_700_PER_EC) * PPM_500_PER_EC,
+    toBase: (ppm) => (ppm / PPM_500_PER_EC) * PPM_700_PER_EC,
+  },
+  [NUTRIENT_SCALES.EC]: {
+    label: 'EC',
+    unit: ' mS/cm',
+    decimals: 2,
+    step: 0.1,
+    convert: (ppm) => ppm / PPM_700_PER_EC,
+    toBase: (ec) => ec * PPM_700_PER_EC,
+  },
+};
+
+// Keeps conversions back to base units free of floating-point noise (e.g. 630.0000001 ppm)
+const tidy = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * createFormatter()
+ *
+ * Formatter for a set of unit preferences (see getUnitPrefs()). Values are in the unit's own
+ * units; null or undefined values format as "–".
+ *
+ * Returns:
+ * - prefs, locale
+ * - describe(metric): `{ label, unit, decimals, step }` in display units
+ * - label(metric), unit(metric): e.g. "EC" and " mS/cm"
+ * - convert(metric, value) / toBase(metric, value): to and from display units
+ * - number(value, decimals): locale-formatted number with exactly `decimals` places
+ * - value(metric, value): a reading, e.g. "71.6°F" or "1.20 mS/cm"
+ * - limit(metric, value): a target or threshold without trailing zeros, e.g. "75.2°F"
+ * - range(metric, min, max): a target range, likewise, e.g. "60.8–75.2°F"
+ * - date(time), time(time), dateTime(time), hour(hour): dates and clock times in the locale
+ */
+export function createFormatter(prefs = DEFAULT_UNIT_PREFS) {
+  const locale = prefs.locale ?? undefined;
+  const overrides = {
+    temp: TEMPERATURE[prefs.temperature],
+    water: VOLUME[prefs.volume],
+    tds: NUTRIENT[prefs.nutrient],
+    light: LIGHT,
+  };
+  const numberFormats = new Map();
+
+  const describe = (metric) => {
+    const { label, unit, decimals, step } = { ...METRICS[metric], ...overrides[metric] };
+    return { label, unit, decimals, step };
+  };
+  const convert = (metric, value) => (overrides[metric]?.convert ?? same)(value);
+  const toBase = (metric, value) => tidy((overrides[metric]?.toBase ?? same)(value));
+
+  // Intl.NumberFormat is slow to build, so one is kept per precision
+  const number = (value, decimals = 0, minimumDecimals = decimals) => {
+    if (value == null || Number.isNaN(value)) return '–';
+    const key = `${minimumDecimals}:${decimals}`;
+    if (!numberFormats.has(key)) {
+      numberFormats.set(
+        key,
+        new Intl.NumberFormat(locale, { minimumFractionDigits: minimumDecimals, maximumFractionDigits: decimals })
+      );
+    }
+    return numberFormats.get(key).format(value);
+  };
+
+  const value = (metric, reading) => {
+    if (reading == null) return '–';
+    const { unit, decimals } = describe(metric);
+    return `${number(convert(metric, reading), decimals)}${unit}`;
+  };
+
+  // Targets and thresholds drop trailing zeros: "24°C", not "24.0°C"
+  const limit = (metric, bound) => {
+    const { unit, decimals } = describe(metric);
+    return `${number(convert(metric, bound), decimals, 0)}${unit}`;
+  };
+
+  const range = (metric, min, max) => {
+    const { decimals } = describe(metric);
+    return `${number(convert(metric, min), decimals, 0)}–${limit(metric, max)}`;
+  };
+
+  return {
+    prefs,
+    locale,
+    describe,
+    label: (metric) => describe(metric).label,
+    unit: (metric) => describe(metric).unit,
+    convert,
+    toBase,
+    number: (n, decimals) => number(n, decimals),
+    value,
+    limit,
+    range,
+    date: (time) => formatShortDate(time, locale),
+    time: (time) => formatClockTime(time, locale),
+    dateTime: (time) => formatDateTime(time, locale),
+    hour: (hour) => formatClockTime(new Date(2000, 0, 1, hour), locale),
+  };
+}
+
+// Formatter for the signed-in account, for code outside React
+let currentFormatter = createFormatter();
+
+export function getFormatter() {
+  return currentFormatter;
+}
+
+/**
+ * setFormatterPreferences()
+ *
+ * Unit preferences applied by getFormatter() from now on (see getUnitPrefs()).
+ */
+export function setFormatterPreferences(prefs) {
+  currentFormatter = createFormatter(prefs);
+}
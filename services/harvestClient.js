@@ -0,0 +1,63 @@
+/**
+ * harvestClient.js
+ *
+ * Client for the harvest log: every crop that has ended, harvested or failed.
+ * - fetchHarvests: a device's log (optionally one slot's), newest first.
+ * - compareVarieties: per-variety totals for comparing cycle length and yield.
+ *
+ * An entry is `{ id, deviceId, slotId, variety, plantedAt, startType, endedAt, outcome,
+ * cycleDays, yieldGrams, quality, notes, sensorSummary }`, where `outcome` is one of
+ * CROP_OUTCOMES, `quality` a 1–QUALITY_MAX rating (null, like `yieldGrams`, for failed
+ * crops) and `sensorSummary` is `{ [metric]: { min, max, avg } }` over the cycle.
+ * New entries are added by ending a crop (plantingClient.endCrop).
+ */
+
+import { apiRequest } from './apiClient';
+import { CROP_OUTCOMES } from './plantingClient';
+
+export const QUALITY_MAX = 5;
+
+/**
+ * fetchHarvests()
+ *
+ * GET /devices/:deviceId/harvests (with `?slotId=` when a slot is given).
+ */
+export function fetchHarvests({ token, deviceId, slotId, signal }) {
+  const query = slotId != null ? `?slotId=${encodeURIComponent(slotId)}` : '';
+  return apiRequest(`/devices/${encodeURIComponent(deviceId)}/harvests${query}`, { token, signal });
+}
+
+const average = (values) =>
+  values.length ? Math.round((values.reduce((sum, v) => sum + v, 0) / values.length) * 10) / 10 : null;
+
+/**
+ * compareVarieties()
+ *
+ * Groups log entries by variety, sorted by name:
+ *   [{ variety, crops, harvested, failed, avgCycleDays, avgYieldGrams, bestYieldGrams, avgQuality }]
+ * Cycle length, yield and quality averages only count harvested crops (null when there are none).
+ */
+export function compareVarieties(harvests) {
+  const groups = new Map();
+  harvests.forEach((entry) => {
+    if (!groups.has(entry.variety)) groups.set(entry.variety, []);
+    groups.get(entry.variety).push(entry);
+  });
+
+  return [...groups.entries()]
+    .map(([variety, entries]) => {
+      const harvested = entries.filter((e) => e.outcome === CROP_OUTCOMES.HARVESTED);
+      const yields = harvested.map((e) => e.yieldGrams).filter((g) => typeof g === 'number');
+      return {
+        variety,
+        crops: entries.length,
+        harvested: harvested.length,
+        failed: entries.length - harvested.length,
+        avgCycleDays: average(harvested.map((e) => e.cycleDays)),
+        avgYieldGrams: average(yields),
+        bestYieldGrams: yields.length ? Math.max(...yields) : null,
+        avgQuality: average(harvested.map((e) => e.quality).filter((q) => typeof q === 'number')),
+      };
+    })
+    .sort((a, b) => a.variety.localeCompare(b.variety));
+}
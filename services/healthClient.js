@@ -0,0 +1,124 @@
+/**
+ * healthClient.js
+ *
+ * Client for the plant health inference service (HEALTH_API_URL).
+ * - assessHealth: sends a slot's latest Smart Cam photo, its crop's age and stage, and its
+ *   current and last-24h readings; resolves with the model's assessment.
+ * - getHealthAssessment: the same, reused for as long as the slot's photo is unchanged, so
+ *   every screen showing the slot shares one request per photo.
+ * - FINDING_INFO: a label and suggested actions for each finding the model reports.
+ *
+ * An assessment is `{ id, model, status, confidence, findings, imageTakenAt, assessedAt }`,
+ * where `status` is one of HEALTH_STATUS, `confidence` is 0–1 and each finding is
+ * `{ type, severity ('warning' | 'critical'), confidence, evidence: [text] }`.
+ */
+
+import { apiRequest } from './apiClient';
+import { HEALTH_API_URL } from './config';
+import { captureImageUri } from './cameraClient';
+import { fetchHistory } from './historyClient';
+import { getCropProgress } from './cropLifecycle';
+
+export const HEALTH_STATUS = {
+  HEALTHY: 'healthy',
+  ATTENTION: 'attention',
+  UNHEALTHY: 'unhealthy',
+};
+
+export const FINDING_TYPES = {
+  TIP_BURN: 'tip_burn',
+  BOLTING: 'bolting',
+  NUTRIENT_DEFICIENCY: 'nutrient_deficiency',
+};
+
+// What each finding means for the grower, and what to try; `actions(format)` writes any
+// readings in the account's units (see useFormatter())
+export const FINDING_INFO = {
+  [FINDING_TYPES.TIP_BURN]: {
+    label: 'Tip burn',
+    actions: (format) => [
+      `Lower the nutrient strength (${format.label('tds')}) or top up with fresh water.`,
+      `Keep the temperature below ${format.limit('temp', 24)} and the humidity above ${format.limit('humidity', 50)}.`,
+      'Trim the browned leaf edges; they will not recover.',
+    ],
+  },
+  [FINDING_TYPES.BOLTING]: {
+    label: 'Bolting',
+    actions: (format) => [
+      'Harvest soon: leaves turn bitter once the plant sends up a flower stalk.',
+      `Keep the temperature below ${format.limit('temp', 24)} and avoid extra light hours.`,
+    ],
+  },
+  [FINDING_TYPES.NUTRIENT_DEFICIENCY]: {
+    label: 'Nutrient deficiency',
+    actions: (format) => [
+      `Dispense nutrients to bring ${format.label('tds')} back into the target range.`,
+      `Bring pH back to ${format.range('ph', 5.5, 6.5)} so the roots can take nutrients up.`,
+      'Change the reservoir if the solution is more than two weeks old.',
+    ],
+  },
+};
+
+// Readings summarised over the last day for the model
+const RECENT_METRICS = ['temp', 'humidity', 'ph', 'tds'];
+const RECENT_RANGE = '24h';
+
+/**
+ * assessHealth()
+ *
+ * 1. Fetch the last day's summary for each of RECENT_METRICS.
+ * 2. POST the photo URL, crop progress and readings to /v1/assessments. The account's token
+ *    is only for the GreenSync API (the history above); it is never sent to the model service.
+ */
+export async function assessHealth({ token, deviceId, slot, signal }) {
+  const summaries = await Promise.all(
+    RECENT_METRICS.map((metric) =>
+      fetchHistory({ token, deviceId, slotId: slot.id, metric, range: RECENT_RANGE, signal }).then(({ summary }) => [
+        metric,
+        { min: summary.min, max: summary.max, avg: summary.avg },
+      ])
+    )
+  );
+  const progress = getCropProgress(slot);
+  const { imageUri, photoTakenAt, ...readings } = slot.data;
+
+  return apiRequest('/v1/assessments', {
+    method: 'POST',
+    baseUrl: HEALTH_API_URL,
+    signal,
+    body: {
+      image: { url: captureImageUri(imageUri), takenAt: photoTakenAt },
+      crop: progress && {
+        variety: progress.variety.name,
+        day: progress.day,
+        totalDays: progress.totalDays,
+        stage: progress.stage.key,
+      },
+      readings,
+      recent: Object.fromEntries(summaries),
+    },
+  });
+}
+
+// "deviceId:slotId" → { imageUri, promise } for the slot's latest photo
+const assessments = new Map();
+
+/**
+ * getHealthAssessment()
+ *
+ * Assesses the slot's latest photo, reusing the result (or the request in flight) until
+ * the photo changes; `refresh` forces a new assessment. A failed request is not kept,
+ * so the next call retries.
+ */
+export function getHealthAssessment({ token, deviceId, slot, refresh = false }) {
+  const key = `${deviceId}:${slot.id}`;
+  const cached = assessments.get(key);
+  if (!refresh && cached?.imageUri === slot.data.imageUri) return cached.promise;
+
+  const promise = assessHealth({ token, deviceId, slot });
+  assessments.set(key, { imageUri: slot.data.imageUri, promise });
+  promise.catch(() => {
+    if (assessments.get(key)?.promise === promise) assessments.delete(key);
+  });
+  return promise;
+}
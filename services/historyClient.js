@@ -0,0 +1,36 @@
+/**
+ * historyClient.js
+ *
+ * Client for a slot's historical readings, used by the Insights charts.
+ * - fetchHistory: one metric over a range, downsampled by the server into evenly
+ *   spaced buckets `{ t, value }` (value is null where there were no readings).
+ *
+ * The response is `{ metric, range, from, to, bucketMs, points, summary }`, where
+ * `summary` is `{ min, max, avg, count }` over the raw readings (nulls when empty).
+ */
+
+import { apiRequest } from './apiClient';
+
+// Selectable chart ranges; 'cycle' runs from when the slot was planted
+export const HISTORY_RANGES = [
+  { key: '24h', label: '24h' },
+  { key: '7d', label: '7d' },
+  { key: '30d', label: '30d' },
+  { key: 'cycle', label: 'Cycle' },
+];
+
+export const DEFAULT_HISTORY_RANGE = '24h';
+
+/**
+ * fetchHistory()
+ *
+ * GET /devices/:deviceId/slots/:slotId/history?metric=…&range=…
+ * `metric` is a key of slot.data (temp, humidity, ph, tds, light, water).
+ */
+export function fetchHistory({ token, deviceId, slotId, metric, range, signal }) {
+  const query = `metric=${encodeURIComponent(metric)}&range=${encodeURIComponent(range)}`;
+  return apiRequest(
+    `/devices/${encodeURIComponent(deviceId)}/slots/${encodeURIComponent(slotId)}/history?${query}`,
+    { token, signal }
+  );
+}
@@ -0,0 +1,195 @@
+/**
+ * lettuceCatalog.js
+ *
+ * Loads the lettuce catalog (catalog/lettuces.json, described by catalog/lettuce.schema.json).
+ * - Each variety defines its description, taxonomy, difficulty, target ranges,
+ *   growth-stage durations and care guide; screens render from it instead of
+ *   switching on variety names.
+ * - Targets: a variety lists only the metrics that differ from `defaultTargets`;
+ *   the loader fills in the rest, so `variety.targets` is always complete.
+ *   Each metric has an acceptable band `{ min, max }`, optional `criticalMin` /
+ *   `criticalMax`, and `hours: [from, to]` when it only applies during part of the day.
+ *   Water targets are written for a `reservoirLitres` reservoir; getTargets() scales them
+ *   to a unit's own.
+ * - Care text writes readings as placeholders so they follow the account's units:
+ *   `{temp:16-20}` is a range and `{temp:24}` a single limit, in the units' own units, and
+ *   `{humidity}` is the variety's own target range, so the text matches what alerts check
+ *   (see fillCareText()).
+ * - Entries that break the schema rules are skipped with a warning rather than
+ *   crashing the app.
+ *
+ * A loaded variety is
+ *   { id, name, image, popular, description, taxonomy: { scientificName, family },
+ *     difficulty, targets, growthStages: [{ key, label, abbrev, description, days }],
+ *     totalDays, care: [{ icon, title, description }] }
+ * where `image` is a bundled image source.
+ */
+
+import catalogData from '../catalog/lettuces.json';
+
+// Bundled images referenced by `image` keys in the catalog
+const IMAGES = {
+  lettuce_romaine: require('../assets/lettuce_romaine.png'),
+  lettuce_butterhead: require('../assets/lettuce_butterhead.png'),
+  lettuce_oakleaf: require('../assets/lettuce_oakleaf.png'),
+  lettuce_cos: require('../assets/lettuce_cos.png'),
+};
+
+const DIFFICULTIES = ['Easy', 'Moderate', 'Hard'];
+const TARGET_METRICS = ['temp', 'humidity', 'ph', 'tds', 'light', 'water'];
+
+const isText = (value) => typeof value === 'string' && value.trim() !== '';
+
+// `{metric:min-max}`, `{metric:value}` or `{metric}` (the variety's target range) in care text
+const CARE_VALUE_PATTERN = /\{(\w+)(?::(-?[\d.]+)(?:-(-?[\d.]+))?)?\}/g;
+
+const careMetrics = (text) => [...text.matchAll(CARE_VALUE_PATTERN)].map((match) => match[1]);
+
+/**
+ * varietyProblems()
+ *
+ * Schema rules a variety breaks (empty when valid), checked against the resolved targets.
+ */
+function varietyProblems(variety, stageKeys, targets) {
+  const problems = [];
+  ['id', 'name', 'description', 'difficulty'].forEach((field) => {
+    if (!isText(variety[field])) problems.push(`${field} is required`);
+  });
+  if (variety.difficulty && !DIFFICULTIES.includes(variety.difficulty)) {
+    problems.push(`difficulty must be one of ${DIFFICULTIES.join(', ')}`);
+  }
+  if (!IMAGES[variety.image]) problems.push(`unknown image "${variety.image}"`);
+  if (!isText(variety.taxonomy?.scientificName) || !isText(variety.taxonomy?.family)) {
+    problems.push('taxonomy needs scientificName and family');
+  }
+  Object.entries(targets).forEach(([metric, { min, max }]) => {
+    if (!(typeof min === 'number' && typeof max === 'number' && min < max)) {
+      problems.push(`targets.${metric} needs numeric min < max`);
+    }
+  });
+  stageKeys.forEach((key) => {
+    const days = variety.growthStages?.[key];
+    if (!Number.isInteger(days) || days < 1) problems.push(`growthStages.${key} must be a whole number of days`);
+  });
+  if (!Array.isArray(variety.care) || variety.care.some((item) => !isText(item.title) || !isText(item.description))) {
+    problems.push('care items need a title and description');
+  } else {
+    variety.care.forEach((item) => {
+      careMetrics(item.description)
+        .filter((metric) => !TARGET_METRICS.includes(metric))
+        .forEach((metric) => problems.push(`care "${item.title}" uses unknown metric "${metric}"`));
+    });
+  }
+  return problems;
+}
+
+/**
+ * loadCatalog()
+ *
+ * 1. Read the growth stages and default targets.
+ * 2. For each variety, merge its targets over the defaults and attach stage durations.
+ * 3. Skip (and warn about) varieties that break the schema rules or reuse an id.
+ *
+ * Returns `{ reservoirLitres, growthStages, defaultTargets, varieties }`.
+ */
+export function loadCatalog(data) {
+  const growthStages = data.growthStages ?? [];
+  const stageKeys = growthStages.map((stage) => stage.key);
+  const defaultTargets = data.defaultTargets;
+  const seen = new Set();
+
+  const varieties = (data.varieties ?? []).flatMap((variety) => {
+    const targets = Object.fromEntries(
+      TARGET_METRICS.map((metric) => [metric, { ...defaultTargets[metric], ...variety.targets?.[metric] }])
+    );
+    const problems = varietyProblems(variety, stageKeys, targets);
+    if (seen.has(variety.id)) problems.push(`duplicate id "${variety.id}"`);
+    if (problems.length) {
+      console.warn(`lettuceCatalog: skipping "${variety.name ?? variety.id}": ${problems.join('; ')}`);
+      return [];
+    }
+    seen.add(variety.id);
+
+    const stages = growthStages.map((stage) => ({ ...stage, days: variety.growthStages[stage.key] }));
+    return [
+      {
+        id: variety.id,
+        name: variety.name,
+        image: IMAGES[variety.image],
+        popular: !!variety.popular,
+        description: variety.description,
+        taxonomy: variety.taxonomy,
+        difficulty: variety.difficulty,
+        targets,
+        growthStages: stages,
+        totalDays: stages.reduce((sum, stage) => sum + stage.days, 0),
+        care: variety.care,
+      },
+    ];
+  });
+
+  return { reservoirLitres: data.reservoirLitres, growthStages, defaultTargets, varieties };
+}
+
+/**
+ * fillCareText()
+ *
+ * A care description with its placeholders written by `format` (services/formatter.js),
+ * e.g. "Ideal range is {temp:16-20}." → "Ideal range is 60.8–68°F.". `{metric}` is filled
+ * from `targets` (the variety's).
+ */
+export function fillCareText(text, format, targets) {
+  return text.replace(CARE_VALUE_PATTERN, (match, metric, first, second) => {
+    if (first === undefined) return format.range(metric, targets[metric].min, targets[metric].max);
+    if (second === undefined) return format.limit(metric, Number(first));
+    return format.range(metric, Number(first), Number(second));
+  });
+}
+
+const catalog = loadCatalog(catalogData);
+
+// Stage definitions shared by every variety: { key, label, abbrev, description }
+export const GROWTH_STAGES = catalog.growthStages;
+
+// Targets for any lettuce; also used when a slot's variety is unknown
+export const DEFAULT_TARGETS = catalog.defaultTargets;
+
+export function getVarieties() {
+  return catalog.varieties;
+}
+
+/**
+ * getVariety()
+ *
+ * Variety by id or name (case-insensitive), or null when the catalog has no match.
+ */
+export function getVariety(idOrName) {
+  if (!idOrName) return null;
+  const wanted = String(idOrName).toLowerCase();
+  return catalog.varieties.find((v) => v.id === wanted || v.name.toLowerCase() === wanted) ?? null;
+}
+
+// A target with its bounds multiplied by `factor`
+function scaleTarget(target, factor) {
+  const scale = (bound) => (bound == null ? bound : Math.round(bound * factor * 100) / 100);
+  return {
+    ...target,
+    min: scale(target.min),
+    max: scale(target.max),
+    criticalMin: scale(target.criticalMin),
+    criticalMax: scale(target.criticalMax),
+  };
+}
+
+/**
+ * getTargets()
+ *
+ * Full set of targets for a variety id or name (DEFAULT_TARGETS for unknown or missing varieties).
+ * With `reservoirLitres` (the unit's, see deviceClient.js) the water targets are scaled from
+ * the catalog's reservoir to that size.
+ */
+export function getTargets(variety, { reservoirLitres } = {}) {
+  const targets = getVariety(variety)?.targets ?? DEFAULT_TARGETS;
+  if (!reservoirLitres || reservoirLitres === catalog.reservoirLitres) return targets;
+  return { ...targets, water: scaleTarget(targets.water, reservoirLitres / catalog.reservoirLitres) };
+}
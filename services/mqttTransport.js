@@ -0,0 +1,101 @@
+/**
+ * mqttTransport.js
+ *
+ * Telemetry transport that streams slot readings over MQTT-over-WebSocket.
+ * - Initial loads still go through the REST API (`fetchSlots`).
+ * - `subscribe` listens on the per-device/per-slot topics
+ *     greensync/devices/<deviceId>/slots/<slotId>/telemetry
+ *   (every slot of the device, or just `slotId` when given).
+ * - Authenticates with the access token as the MQTT password.
+ * - Reconnects with exponential backoff (1s doubling to 30s, plus jitter) and
+ *   reports each drop as a NETWORK_ERROR until the next reading arrives.
+ */
+
+import mqtt from 'mqtt';
+import { MQTT_URL } from './config';
+import { ApiError, ERROR_CODES } from './apiClient';
+import { createHttpTransport } from './telemetry';
+
+const INITIAL_RECONNECT_MS = 1000;
+const MAX_RECONNECT_MS = 30 * 1000;
+
+/**
+ * slotTopic()
+ *
+ * Topic for one slot's readings; omit `slotId` to match every slot on the device.
+ */
+export function slotTopic(deviceId, slotId = '+') {
+  return `greensync/devices/${deviceId}/slots/${slotId}/telemetry`;
+}
+
+// Delay before reconnect attempt number `attempt` (0-based)
+export function reconnectDelay(attempt) {
+  const base = Math.min(INITIAL_RECONNECT_MS * 2 ** attempt, MAX_RECONNECT_MS);
+  return base + Math.round(Math.random() * base * 0.2);
+}
+
+/**
+ * createMqttTransport()
+ *
+ * Options (all optional; override in tests):
+ * - url: broker WebSocket URL (defaults to MQTT_URL)
+ * - connect: mqtt.connect-compatible factory
+ * - fetchSlots: initial-load implementation (defaults to the REST transport's)
+ */
+export function createMqttTransport({
+  url = MQTT_URL,
+  connect = mqtt.connect,
+  fetchSlots = createHttpTransport().fetchSlots,
+} = {}) {
+  const subscribe = ({ token, deviceId, slotId }, { onSlots, onError }) => {
+    const topic = slotTopic(deviceId, slotId);
+    let closed = false;
+    let attempt = 0;
+    let retryTimer = null;
+
+    // Automatic reconnects are disabled so the backoff below controls the timing
+    const client = connect(url, {
+      username: 'greensync-app',
+      password: token ?? '',
+      clean: true,
+      reconnectPeriod: 0,
+      connectTimeout: 10 * 1000,
+    });
+
+    client.on('connect', () => {
+      attempt = 0;
+      client.subscribe(topic, { qos: 0 }, (err) => {
+        if (err) onError?.(new ApiError(ERROR_CODES.UNKNOWN, 'Could not subscribe to live readings.'));
+      });
+    });
+
+    client.on('message', (_topic, payload) => {
+      try {
+        onSlots([JSON.parse(payload.toString())]);
+      } catch (err) {
+        console.warn('mqttTransport: ignoring malformed reading', err);
+      }
+    });
+
+    client.on('close', () => {
+      if (closed) return;
+      onError?.(new ApiError(ERROR_CODES.NETWORK_ERROR, 'Live updates disconnected. Reconnecting…'));
+      clearTimeout(retryTimer);
+      retryTimer = setTimeout(() => {
+        if (!closed) client.reconnect();
+      }, reconnectDelay(attempt));
+      attempt += 1;
+    });
+
+    // Connection errors are followed by 'close', which reports and schedules the retry
+    client.on('error', (err) => console.warn('mqttTransport: connection error', err?.message));
+
+    return () => {
+      closed = true;
+      clearTimeout(retryTimer);
+      client.end(true);
+    };
+  };
+
+  return { fetchSlots, subscribe };
+}
@@ -0,0 +1,114 @@
+/**
+ * notificationDelivery.js
+ *
+ * Delivers inbox notifications outside the app (system / browser notifications).
+ * - connectNotificationDelivery() listens to the notification store and hands each new
+ *   notification that passes the user's preferences (notificationPrefs.js) to the delivery.
+ * - The delivery is pluggable like the telemetry transport, so the platform API
+ *   never leaks into screens and tests can swap in createMemoryDelivery().
+ *
+ * A delivery implements:
+ *   getPermission() → Promise<'granted' | 'denied' | 'undetermined'>
+ *   requestPermission() → Promise<'granted' | 'denied' | 'undetermined'>
+ *   schedule({ id, title, body, data }) → Promise<void>
+ * `data` is `{ notificationId, deviceId, slotId, metric }`.
+ * Native apps use expo-notifications (see expoNotificationDelivery.js); web uses
+ * the Web Notifications API below.
+ */
+
+import { getNotificationStore } from './notifications';
+import { DEFAULT_NOTIFICATION_PREFS, shouldDeliver } from './notificationPrefs';
+
+export const PERMISSION = {
+  GRANTED: 'granted',
+  DENIED: 'denied',
+  UNDETERMINED: 'undetermined',
+};
+
+/**
+ * createWebNotificationDelivery()
+ *
+ * Browser notifications through the Web Notifications API. Reports 'denied'
+ * when the browser has no Notification support.
+ */
+export function createWebNotificationDelivery() {
+  const supported = typeof window !== 'undefined' && 'Notification' in window;
+  // The API says 'default' for "not asked yet"
+  const toPermission = (value) => (value === 'default' ? PERMISSION.UNDETERMINED : value);
+
+  return {
+    getPermission: async () => (supported ? toPermission(window.Notification.permission) : PERMISSION.DENIED),
+    requestPermission: async () =>
+      supported ? toPermission(await window.Notification.requestPermission()) : PERMISSION.DENIED,
+    schedule: async ({ id, title, body, data }) => {
+      if (!supported || window.Notification.permission !== PERMISSION.GRANTED) return;
+      // `tag` replaces an earlier browser notification for the same inbox entry
+      const notification = new window.Notification(title, { body, tag: id, data });
+      notification.onclick = () => window.focus();
+    },
+  };
+}
+
+/**
+ * createMemoryDelivery()
+ *
+ * In-memory delivery for tests and demos.
+ * - `scheduled` lists everything handed to schedule(), oldest first.
+ * - `permission` is what getPermission() reports; requestPermission() resolves
+ *   with `grantOnRequest ? 'granted' : 'denied'` and remembers it.
+ */
+export function createMemoryDelivery({ permission = PERMISSION.GRANTED, grantOnRequest = true } = {}) {
+  const delivery = {
+    permission,
+    scheduled: [],
+    getPermission: async () => delivery.permission,
+    requestPermission: async () => {
+      delivery.permission = grantOnRequest ? PERMISSION.GRANTED : PERMISSION.DENIED;
+      return delivery.permission;
+    },
+    schedule: async (notification) => {
+      delivery.scheduled.push(notification);
+    },
+  };
+  return delivery;
+}
+
+// Delivery used by the app; the entry point selects the platform one (see App.js)
+let currentDelivery = createMemoryDelivery({ permission: PERMISSION.DENIED, grantOnRequest: false });
+// Preferences of the signed-in account
+let currentPrefs = DEFAULT_NOTIFICATION_PREFS;
+
+export function setNotificationDelivery(delivery) {
+  currentDelivery = delivery;
+}
+
+export function getNotificationDelivery() {
+  return currentDelivery;
+}
+
+/**
+ * setDeliveryPreferences()
+ *
+ * Preferences applied to notifications from now on (see getNotificationPrefs()).
+ */
+export function setDeliveryPreferences(prefs) {
+  currentPrefs = prefs;
+}
+
+/**
+ * connectNotificationDelivery()
+ *
+ * 1. Listen for new or escalated notifications in the store.
+ * 2. Skip those the preferences rule out (off, category not chosen, quiet hours).
+ * 3. Hand the rest to the current delivery; failures are logged, never thrown.
+ * Returns unsubscribe().
+ */
+export function connectNotificationDelivery(store = getNotificationStore()) {
+  return store.onPush((notification) => {
+    if (!shouldDeliver(notification, currentPrefs)) return;
+    const { id, title, body, deviceId, slotId, metric } = notification;
+    currentDelivery
+      .schedule({ id, title, body, data: { notificationId: id, deviceId, slotId, metric } })
+      .catch((err) => console.warn('notificationDelivery: could not deliver', err?.message));
+  });
+}
@@ -0,0 +1,82 @@
+/**
+ * notificationPrefs.js
+ *
+ * Which notifications are delivered outside the app (push / browser notifications).
+ * - Stored on the account as `preferences.notifications` (see UserContext.updatePreferences).
+ * - Master switch, per-category opt-in and quiet hours; the in-app inbox always
+ *   receives everything regardless of these settings.
+ * - Quiet hours `[startHour, endHour)` may wrap past midnight (e.g. 22 → 7).
+ *
+ * Preferences are
+ *   { enabled, categories: { critical, reservoir, harvest, calibration, ai },
+ *     quietHours: { enabled, startHour, endHour } }
+ */
+
+export const NOTIFICATION_CATEGORIES = {
+  CRITICAL: 'critical',
+  RESERVOIR: 'reservoir',
+  HARVEST: 'harvest',
+  CALIBRATION: 'calibration',
+  AI: 'ai',
+};
+
+// Names and descriptions shown on the Profile screen
+export const CATEGORY_LABELS = {
+  [NOTIFICATION_CATEGORIES.CRITICAL]: { label: 'Critical sensor alerts', hint: 'Readings that can harm your lettuce' },
+  [NOTIFICATION_CATEGORIES.RESERVOIR]: { label: 'Reservoir low', hint: 'Water running low or empty' },
+  [NOTIFICATION_CATEGORIES.HARVEST]: { label: 'Harvest ready', hint: 'A crop is ready to pick' },
+  [NOTIFICATION_CATEGORIES.CALIBRATION]: { label: 'Calibration due', hint: 'A pH or TDS probe needs calibrating' },
+  [NOTIFICATION_CATEGORIES.AI]: { label: 'AI adjustments', hint: 'The controller re-tuned a slot' },
+};
+
+export const DEFAULT_NOTIFICATION_PREFS = {
+  enabled: false,
+  categories: {
+    [NOTIFICATION_CATEGORIES.CRITICAL]: true,
+    [NOTIFICATION_CATEGORIES.RESERVOIR]: true,
+    [NOTIFICATION_CATEGORIES.HARVEST]: true,
+    [NOTIFICATION_CATEGORIES.CALIBRATION]: true,
+    [NOTIFICATION_CATEGORIES.AI]: false,
+  },
+  quietHours: { enabled: false, startHour: 22, endHour: 7 },
+};
+
+/**
+ * getNotificationPrefs()
+ *
+ * Full preferences from an account's `preferences`, filling in defaults for anything unset.
+ */
+export function getNotificationPrefs(preferences) {
+  const saved = preferences?.notifications ?? {};
+  return {
+    ...DEFAULT_NOTIFICATION_PREFS,
+    ...saved,
+    categories: { ...DEFAULT_NOTIFICATION_PREFS.categories, ...saved.categories },
+    quietHours: { ...DEFAULT_NOTIFICATION_PREFS.quietHours, ...saved.quietHours },
+  };
+}
+
+/**
+ * isQuietTime()
+ *
+ * True when `at` falls inside the quiet hours.
+ */
+export function isQuietTime(quietHours, at = new Date()) {
+  if (!quietHours?.enabled) return false;
+  const { startHour, endHour } = quietHours;
+  const hour = at.getHours();
+  if (startHour === endHour) return false;
+  return startHour < endHour ? hour >= startHour && hour < endHour : hour >= startHour || hour < endHour;
+}
+
+/**
+ * shouldDeliver()
+ *
+ * Whether a notification (from services/notifications.js) should be delivered
+ * outside the app: it needs a category the user opted into, outside quiet hours.
+ */
+export function shouldDeliver(notification, prefs, at = new Date()) {
+  if (!prefs?.enabled || !notification.category) return false;
+  if (!prefs.categories[notification.category]) return false;
+  return !isQuietTime(prefs.quietHours, at);
+}
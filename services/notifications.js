@@ -0,0 +1,348 @@
+/**
+ * notifications.js
+ *
+ * Notification inbox shared by the whole app.
+ * - Holds alerts and system messages, newest first, with read/unread state.
+ * - Any layer can push into it: the alert engine (connectAlertNotifications), crop
+ *   progress (reportHarvests), probe calibration reminders (reportCalibrations) and device code such as useSlotCommands report through
+ *   getNotificationStore().
+ * - Each signed-in account has its own inbox, persisted with storage.js.
+ * - Notifications with a `key` are updated in place instead of piling up, so a
+ *   long-running alert stays one entry until it resolves.
+ * - A `category` (notificationPrefs.js) marks notifications that may also be delivered
+ *   outside the app; notificationDelivery.js listens for them with onPush().
+ *
+ * A notification is
+ *   { id, key, type, category, severity, title, body, deviceId, slotId, metric,
+ *     createdAt, read, resolvedAt }
+ * where `type` is one of NOTIFICATION_TYPES, `severity` one of NOTIFICATION_SEVERITY,
+ * and `createdAt` / `resolvedAt` are ISO times (`resolvedAt` null while active).
+ */
+
+import { getItem, setItem } from './storage';
+import { SEVERITY } from './alerts';
+import { NOTIFICATION_CATEGORIES } from './notificationPrefs';
+import { getCropProgress, HARVEST_WINDOW_DAYS } from './cropLifecycle';
+import { PROBE_SETTINGS, getCalibrationStatus } from './calibrationClient';
+import { getFormatter } from './formatter';
+
+export const NOTIFICATION_TYPES = {
+  ALERT: 'alert',
+  SYSTEM: 'system',
+};
+
+export const NOTIFICATION_SEVERITY = {
+  INFO: 'info',
+  WARNING: SEVERITY.WARNING,
+  CRITICAL: SEVERITY.CRITICAL,
+};
+
+// Oldest notifications are dropped past this many
+const MAX_NOTIFICATIONS = 100;
+
+const storageKey = (ownerId) => `notifications.${ownerId}`;
+
+let nextId = 0;
+const createId = () => `${Date.now().toString(36)}-${(nextId++).toString(36)}`;
+
+/**
+ * createNotificationStore()
+ *
+ * Returns:
+ * - setOwner(ownerId): switch to an account's inbox (null when signed out clears it)
+ * - push(notification): add a notification; returns the stored one
+ * - resolve(key): mark the active notification with `key` as resolved
+ * - markRead(id), markAllRead(), dismiss(id), clearAll()
+ * - getNotifications(), getUnreadCount()
+ * - subscribe(listener): calls `listener(notifications)` on every change; returns unsubscribe()
+ * - onPush(listener): calls `listener(notification)` for each new or escalated notification
+ *   (not for silent refreshes); returns unsubscribe()
+ */
+export function createNotificationStore() {
+  let ownerId = null;
+  let notifications = [];
+  // True while an account's saved inbox is loading; onPush is held back until it is merged
+  let loading = false;
+  const listeners = new Set();
+  const pushListeners = new Set();
+
+  const commit = (next) => {
+    notifications = next.slice(0, MAX_NOTIFICATIONS);
+    if (ownerId != null) {
+      setItem(storageKey(ownerId), notifications).catch((err) =>
+        console.warn('notifications: could not save inbox', err?.message)
+      );
+    }
+    listeners.forEach((listener) => listener(notifications));
+  };
+
+  // Active (unresolved) notification for a key
+  const findActive = (list, key) => key != null && list.find((n) => n.key === key && !n.resolvedAt);
+
+  /**
+   * setOwner()
+   *
+   * 1. Clear the inbox and remember whose it is.
+   * 2. Load that account's saved notifications.
+   * 3. Keep anything pushed while loading; a saved entry wins over a pushed one with
+   *    the same key and severity, so restarting the app doesn't re-mark alerts unread.
+   * 4. Announce the pushed notifications that survived to onPush listeners.
+   */
+  const setOwner = async (id) => {
+    if (id === ownerId) return;
+    ownerId = id;
+    notifications = [];
+    loading = id != null;
+    listeners.forEach((listener) => listener(notifications));
+    if (id == null) return;
+
+    const saved = (await getItem(storageKey(id))) ?? [];
+    if (ownerId !== id) return;
+    loading = false;
+    const pushed = notifications.filter((n) => {
+      const match = findActive(saved, n.key);
+      return !match || match.severity !== n.severity;
+    });
+    const kept = saved.filter((n) => !pushed.some((p) => p.key != null && p.key === n.key && !n.resolvedAt));
+    commit([...pushed, ...kept]);
+    pushed.forEach((notification) => pushListeners.forEach((listener) => listener(notification)));
+  };
+
+  /**
+   * push()
+   *
+   * Adds a notification at the top of the inbox, unread. When an active notification
+   * with the same `key` exists it is replaced: moved to the top and marked unread if
+   * the severity changed, otherwise just refreshed where it is.
+   */
+  const push = ({
+    key = null,
+    type = NOTIFICATION_TYPES.SYSTEM,
+    category = null,
+    severity = NOTIFICATION_SEVERITY.INFO,
+    title,
+    body = '',
+    deviceId = null,
+    slotId = null,
+    metric = null,
+  }) => {
+    const fields = { key, type, category, severity, title, body, deviceId, slotId, metric };
+    const existing = findActive(notifications, key);
+    if (existing && existing.severity === severity) {
+      const updated = { ...existing, ...fields };
+      commit(notifications.map((n) => (n.id === existing.id ? updated : n)));
+      return updated;
+    }
+    const notification = {
+      id: createId(),
+      ...fields,
+      createdAt: new Date().toISOString(),
+      read: false,
+      resolvedAt: null,
+    };
+    commit([notification, ...notifications.filter((n) => n !== existing)]);
+    if (!loading) pushListeners.forEach((listener) => listener(notification));
+    return notification;
+  };
+
+  const resolve = (key) => {
+    const existing = findActive(notifications, key);
+    if (!existing) return;
+    const resolvedAt = new Date().toISOString();
+    commit(notifications.map((n) => (n.id === existing.id ? { ...n, resolvedAt } : n)));
+  };
+
+  const markRead = (id) => {
+    if (!notifications.some((n) => n.id === id && !n.read)) return;
+    commit(notifications.map((n) => (n.id === id ? { ...n, read: true } : n)));
+  };
+
+  const markAllRead = () => {
+    if (!notifications.some((n) => !n.read)) return;
+    commit(notifications.map((n) => (n.read ? n : { ...n, read: true })));
+  };
+
+  const dismiss = (id) => commit(notifications.filter((n) => n.id !== id));
+
+  const clearAll = () => commit([]);
+
+  const getNotifications = () => notifications;
+
+  const getUnreadCount = () => notifications.filter((n) => !n.read).length;
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  const onPush = (listener) => {
+    pushListeners.add(listener);
+    return () => pushListeners.delete(listener);
+  };
+
+  return {
+    setOwner,
+    push,
+    resolve,
+    markRead,
+    markAllRead,
+    dismiss,
+    clearAll,
+    getNotifications,
+    getUnreadCount,
+    subscribe,
+    onPush,
+  };
+}
+
+// Shared inbox, so the navbars, the inbox screen and every producer see the same list
+const notificationStore = createNotificationStore();
+
+export function getNotificationStore() {
+  return notificationStore;
+}
+
+function alertCategory({ metric, direction, severity }) {
+  if (metric === 'water' && direction === 'low') return NOTIFICATION_CATEGORIES.RESERVOIR;
+  return severity === SEVERITY.CRITICAL ? NOTIFICATION_CATEGORIES.CRITICAL : null;
+}
+
+/**
+ * connectAlertNotifications()
+ *
+ * Mirrors the alert engine into the inbox:
+ * - a raised or escalated alert becomes an unread alert notification;
+ * - a resolved alert marks its notification resolved (it stays in the inbox).
+ * Low water is filed under "reservoir low" and other critical alerts under
+ * "critical sensor alerts"; warnings stay in the inbox only.
+ * Returns unsubscribe().
+ */
+export function connectAlertNotifications(engine, store = notificationStore) {
+  return engine.subscribe(({ raised, changed, resolved }) => {
+    [...raised, ...changed].forEach((alert) =>
+      store.push({
+        key: alert.id,
+        type: NOTIFICATION_TYPES.ALERT,
+        category: alertCategory(alert),
+        severity: alert.severity,
+        title: `Slot ${alert.slotId}: ${alert.label} too ${alert.direction}`,
+        body: alert.message,
+        deviceId: alert.deviceId,
+        slotId: alert.slotId,
+        metric: alert.metric,
+      })
+    );
+    resolved.forEach((alert) => store.resolve(alert.id));
+  });
+}
+
+// "deviceId:slotId" → last optimizedAt seen
+const lastOptimized = new Map();
+
+/**
+ * reportOptimizations()
+ *
+ * Posts an "AI adjustments" notification when a slot's `optimizedAt` moves on.
+ * The first value seen for a slot is only remembered, so opening the app doesn't
+ * announce an old adjustment.
+ */
+export function reportOptimizations(deviceId, slots, store = notificationStore) {
+  slots.forEach((slot) => {
+    if (!slot.optimizedAt) return;
+    const id = `${deviceId}:${slot.id}`;
+    const previous = lastOptimized.get(id);
+    lastOptimized.set(id, slot.optimizedAt);
+    if (!previous || previous === slot.optimizedAt) return;
+    store.push({
+      category: NOTIFICATION_CATEGORIES.AI,
+      title: `Slot ${slot.id}: settings optimized`,
+      body: `The controller re-tuned the setpoints for ${slot.variety || 'your lettuce'}.`,
+      deviceId,
+      slotId: slot.id,
+    });
+  });
+}
+
+// "deviceId:slotId" → { key, severity } of the harvest notification posted for the slot's current crop
+const harvestPosted = new Map();
+
+/**
+ * reportHarvests()
+ *
+ * Posts a "harvest ready" notification once a slot's crop enters its harvest window,
+ * and a warning once it is overdue. Each crop's notification is keyed by its planting
+ * date and posted once per stage (dismissing it doesn't bring it back); it is resolved
+ * when the crop ends or the slot is replanted.
+ */
+export function reportHarvests(deviceId, slots, store = notificationStore, now = Date.now()) {
+  slots.forEach((slot) => {
+    const id = `${deviceId}:${slot.id}`;
+    const progress = getCropProgress(slot, now);
+    const key = progress ? `harvest:${id}:${slot.plantedAt}` : null;
+    const posted = harvestPosted.get(id);
+    if (posted && posted.key !== key) {
+      store.resolve(posted.key);
+      harvestPosted.delete(id);
+    }
+    if (!progress?.ready) return;
+
+    const severity = progress.overdue ? NOTIFICATION_SEVERITY.WARNING : NOTIFICATION_SEVERITY.INFO;
+    if (posted?.key === key && posted.severity === severity) return;
+    harvestPosted.set(id, { key, severity });
+    const name = progress.variety.name;
+    store.push({
+      key,
+      category: NOTIFICATION_CATEGORIES.HARVEST,
+      severity,
+      title: progress.overdue ? `Slot ${slot.id}: harvest overdue` : `Slot ${slot.id}: ready to harvest`,
+      body: progress.overdue
+        ? `${name} is past its harvest window and may turn bitter. Harvest it soon.`
+        : `${name} has matured. Harvest it within ${HARVEST_WINDOW_DAYS} days for the best flavour.`,
+      deviceId,
+      slotId: slot.id,
+    });
+  });
+}
+
+// "deviceId:slotId:probe" → key of the calibration reminder posted for the probe
+const calibrationPosted = new Map();
+
+/**
+ * reportCalibrations()
+ *
+ * Posts a "calibration due" reminder once a planted slot's pH or TDS probe passes its
+ * calibration interval (or has never been calibrated). Each reminder is keyed by the
+ * calibration it follows and posted once; it is resolved when the probe is calibrated
+ * again or the slot's crop ends.
+ */
+export function reportCalibrations(deviceId, slots, store = notificationStore, now = Date.now()) {
+  slots.forEach((slot) => {
+    Object.entries(PROBE_SETTINGS).forEach(([probe, { label }]) => {
+      const id = `${deviceId}:${slot.id}:${probe}`;
+      const calibration = slot.calibration?.[probe];
+      const status = slot.hasPlant && calibration ? getCalibrationStatus(calibration, now) : null;
+      const key = status?.due ? `calibration:${id}:${calibration.calibratedAt ?? 'never'}` : null;
+      const posted = calibrationPosted.get(id);
+      if (posted && posted !== key) {
+        store.resolve(posted);
+        calibrationPosted.delete(id);
+      }
+      if (!key || posted === key) return;
+
+      calibrationPosted.set(id, key);
+      store.push({
+        key,
+        category: NOTIFICATION_CATEGORIES.CALIBRATION,
+        severity: NOTIFICATION_SEVERITY.WARNING,
+        title: `Slot ${slot.id}: ${label} probe calibration due`,
+        body:
+          status.calibratedAt == null
+            ? `The ${label} probe hasn't been calibrated yet. Calibrate it so its readings can be trusted.`
+            : `The ${label} probe was last calibrated on ${getFormatter().date(calibration.calibratedAt)} and may have drifted. Calibrate it from the slot's ${label} insight.`,
+        deviceId,
+        slotId: slot.id,
+        metric: probe,
+      });
+    });
+  });
+}
@@ -0,0 +1,103 @@
+/**
+ * offlineCache.js
+ *
+ * Last known server data, kept per account so screens still have something to show
+ * when the GreenSync server can't be reached.
+ * - Holds the account's units, each unit's slot readings, each slot's control settings
+ *   and the history windows the charts loaded. The lettuce catalog ships with the app
+ *   (lettuceCatalog.js), so it is always available.
+ * - An entry is `{ value, savedAt }`; screens show `savedAt` (or the readings' own
+ *   `updatedAt`) as a "last updated" stamp.
+ * - Persisted with storage.js, one key per kind of data and account; history keeps only
+ *   the MAX_HISTORY_WINDOWS most recently saved windows.
+ * - Follows the signed-in account (setOwner, called by RootNavigator like the inbox);
+ *   nothing is read or saved while signed out.
+ */
+
+import { getItem, setItem } from './storage';
+
+export const CACHE_KINDS = {
+  DEVICES: 'devices',
+  SLOTS: 'slots',
+  CONFIG: 'config',
+  HISTORY: 'history',
+};
+
+// Chart windows kept (24h / 7d / 30d / cycle for every metric of every slot adds up)
+const MAX_HISTORY_WINDOWS = 60;
+
+const LIMITS = { [CACHE_KINDS.HISTORY]: MAX_HISTORY_WINDOWS };
+
+const storageKey = (ownerId, kind) => `cache.${ownerId}.${kind}`;
+
+// Id of one cached item, e.g. cacheId(deviceId, slotId) → "greensync-1:2"
+export const cacheId = (...parts) => parts.join(':');
+
+/**
+ * createOfflineCache()
+ *
+ * Returns:
+ * - setOwner(ownerId): switch to an account's cache (null when signed out)
+ * - read(kind, id): resolves with `{ value, savedAt }` or null
+ * - write(kind, id, value): saves `value` as of now (best effort)
+ */
+export function createOfflineCache() {
+  let ownerId = null;
+  // kind → Promise of the owner's saved entries, `{ [id]: { value, savedAt } }`
+  let kinds = new Map();
+
+  const load = (kind) => {
+    if (!kinds.has(kind)) {
+      kinds.set(kind, getItem(storageKey(ownerId, kind)).then((saved) => saved ?? {}));
+    }
+    return kinds.get(kind);
+  };
+
+  const setOwner = (id) => {
+    if (id === ownerId) return;
+    ownerId = id;
+    kinds = new Map();
+  };
+
+  const read = async (kind, id) => {
+    if (ownerId == null) return null;
+    const entries = await load(kind);
+    return entries[id] ?? null;
+  };
+
+  /**
+   * write()
+   *
+   * 1. Store the value with the current time.
+   * 2. Drop the oldest entries past the kind's limit.
+   * 3. Persist the kind for the account it was written for.
+   */
+  const write = async (kind, id, value) => {
+    if (ownerId == null) return;
+    const owner = ownerId;
+    const entries = await load(kind);
+    if (ownerId !== owner) return;
+
+    entries[id] = { value, savedAt: new Date().toISOString() };
+    const limit = LIMITS[kind];
+    const ids = Object.keys(entries);
+    if (limit && ids.length > limit) {
+      ids
+        .sort((a, b) => Date.parse(entries[a].savedAt) - Date.parse(entries[b].savedAt))
+        .slice(0, ids.length - limit)
+        .forEach((oldId) => delete entries[oldId]);
+    }
+    setItem(storageKey(owner, kind), entries).catch((err) =>
+      console.warn(`offlineCache: could not save ${kind}`, err?.message)
+    );
+  };
+
+  return { setOwner, read, write };
+}
+
+// Shared cache, so every hook reads and writes the same account's data
+const offlineCache = createOfflineCache();
+
+export function getOfflineCache() {
+  return offlineCache;
+}
@@ -0,0 +1,369 @@
+/**
+ * outbox.js
+ *
+ * Replay queue for changes made while the GreenSync server can't be reached.
+ * - Slot setting changes (useSlotConfig) and actuator commands (useSlotCommands) that fail
+ *   with NETWORK_ERROR are queued here instead of being lost. While a unit has entries
+ *   waiting, its new changes join the back of the queue too, so they are never sent out
+ *   of order.
+ * - Each signed-in account has its own queue, persisted with storage.js, so it survives
+ *   restarting the app.
+ * - Replays oldest first as soon as the server answers again (connectivity.js), and
+ *   retries every RETRY_MS while entries wait. A unit that is offline holds back only
+ *   its own entries.
+ * - Expiry: commands expire COMMAND_EXPIRY_MS after they were queued (a dose decided on
+ *   a while ago may no longer be right) and setting changes after CONFIG_EXPIRY_MS.
+ *   Expired entries are not sent; they stay listed until the user sends or discards them.
+ * - Conflicts: a setting changed elsewhere since it was queued (the server's value is
+ *   neither the one the user saw nor the one they chose) is not overwritten, and a command
+ *   the server refuses (e.g. COMMAND_CONFLICT) is not retried; both wait for the user to
+ *   send them anyway or discard them.
+ *
+ * An entry is
+ *   { id, type, deviceId, slotId, status, queuedAt, expiresAt, problem,
+ *     changes, base,     // 'config': the changed settings, and their values before the change
+ *     action, params }   // 'command'
+ * where `type` is one of OUTBOX_TYPES, `status` one of OUTBOX_STATUS, and `problem` is
+ * `{ code, message, theirs }` for conflicts and expired entries (`theirs`: the server's
+ * values of settings changed elsewhere).
+ */
+
+import { getItem, setItem } from './storage';
+import { ERROR_CODES } from './apiClient';
+import { subscribeConnectivity } from './connectivity';
+import { fetchSlotConfig, updateSlotConfig, describeConfigChanges } from './slotConfigClient';
+import { sendCommand, COMMAND_ERRORS, ACTION_NAMES } from './commandClient';
+
+export const OUTBOX_TYPES = {
+  CONFIG: 'config',
+  COMMAND: 'command',
+};
+
+export const OUTBOX_STATUS = {
+  QUEUED: 'queued',
+  CONFLICT: 'conflict',
+  EXPIRED: 'expired',
+};
+
+// Problem codes set by the queue itself (server refusals keep the server's code)
+export const OUTBOX_PROBLEMS = {
+  SETTING_CHANGED: 'SETTING_CHANGED',
+  EXPIRED: 'EXPIRED',
+};
+
+const COMMAND_EXPIRY_MS = 15 * 60 * 1000;
+const CONFIG_EXPIRY_MS = 24 * 60 * 60 * 1000;
+const RETRY_MS = 20 * 1000;
+
+const storageKey = (ownerId) => `outbox.${ownerId}`;
+
+let nextId = 0;
+const createId = () => `${Date.now().toString(36)}-${(nextId++).toString(36)}`;
+
+const expiryFor = (type, now = Date.now()) =>
+  new Date(now + (type === OUTBOX_TYPES.COMMAND ? COMMAND_EXPIRY_MS : CONFIG_EXPIRY_MS)).toISOString();
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * describeOutboxEntry()
+ *
+ * One-line summary of what an entry does, e.g. "Slot 2 · pH range 5.8–6.2".
+ */
+export function describeOutboxEntry(entry) {
+  const what =
+    entry.type === OUTBOX_TYPES.COMMAND
+      ? ACTION_NAMES[entry.action] ?? entry.action
+      : describeConfigChanges(entry.changes);
+  return `Slot ${entry.slotId} · ${what}`;
+}
+
+/**
+ * deliver()
+ *
+ * Sends one entry. Resolves with `{ value }` (the saved config, or the new command) or
+ * `{ conflict }` when a setting was changed elsewhere; rejects with the request's ApiError.
+ */
+async function deliver(entry, token) {
+  const { deviceId, slotId } = entry;
+  if (entry.type === OUTBOX_TYPES.COMMAND) {
+    return { value: await sendCommand({ token, deviceId, slotId, action: entry.action, params: entry.params }) };
+  }
+
+  const current = await fetchSlotConfig({ token, deviceId, slotId });
+  const changedElsewhere = Object.keys(entry.changes).filter(
+    (key) => !sameValue(current[key], entry.base[key]) && !sameValue(current[key], entry.changes[key])
+  );
+  if (changedElsewhere.length) {
+    const theirs = Object.fromEntries(changedElsewhere.map((key) => [key, current[key]]));
+    return {
+      conflict: {
+        code: OUTBOX_PROBLEMS.SETTING_CHANGED,
+        message: `Changed elsewhere while you were offline: now ${describeConfigChanges(theirs)}.`,
+        theirs,
+      },
+    };
+  }
+  return { value: await updateSlotConfig({ token, deviceId, slotId, changes: entry.changes }) };
+}
+
+/**
+ * createOutbox()
+ *
+ * Returns:
+ * - setOwner(ownerId, token): switch to an account's queue (null when signed out) and
+ *   send with its token; called again with each refreshed token
+ * - enqueueConfig({ deviceId, slotId, changes, base }), enqueueCommand({ deviceId, slotId, action, params })
+ * - hasQueued(deviceId): whether the unit has entries waiting to be sent
+ * - replay(): send what is queued now; resolves when done
+ * - sendAnyway(id): re-queue a conflicting or expired entry (overwriting settings changed elsewhere)
+ * - discard(id): drop an entry
+ * - getEntries()
+ * - subscribe(listener): calls `listener(entries)` on every change; returns unsubscribe()
+ * - onSent(listener): calls `listener(entry, value)` for each entry delivered; returns unsubscribe()
+ */
+export function createOutbox() {
+  let ownerId = null;
+  let token = null;
+  let entries = [];
+  // The running replay, so only one sends at a time, and whether another was asked for meanwhile
+  let replaying = null;
+  let replayAgain = false;
+  let retryTimer = null;
+  const listeners = new Set();
+  const sentListeners = new Set();
+
+  const scheduleRetry = () => {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    if (token && entries.some((entry) => entry.status === OUTBOX_STATUS.QUEUED)) {
+      retryTimer = setTimeout(() => replay(), RETRY_MS);
+    }
+  };
+
+  const commit = (next) => {
+    entries = next;
+    if (ownerId != null) {
+      setItem(storageKey(ownerId), entries).catch((err) =>
+        console.warn('outbox: could not save the queue', err?.message)
+      );
+    }
+    listeners.forEach((listener) => listener(entries));
+    scheduleRetry();
+  };
+
+  const updateEntry = (id, changes) =>
+    commit(entries.map((entry) => (entry.id === id ? { ...entry, ...changes } : entry)));
+
+  const isQueued = (id) => entries.some((entry) => entry.id === id && entry.status === OUTBOX_STATUS.QUEUED);
+
+  /**
+   * replayQueued()
+   *
+   * 1. Mark queued entries past their expiry as expired.
+   * 2. Send the rest oldest first; each one sent is announced to onSent listeners, then
+   *    leaves the queue.
+   * 3. Stop at a network failure (the server is still away) or an expired token (retried
+   *    with the refreshed one); an offline unit holds back only its own later entries.
+   * 4. Set anything else the server refuses, and settings changed elsewhere, aside as conflicts.
+   */
+  const replayQueued = async (owner, sessionToken) => {
+    const now = Date.now();
+    const expired = (entry) => entry.status === OUTBOX_STATUS.QUEUED && Date.parse(entry.expiresAt) <= now;
+    if (entries.some(expired)) {
+      commit(
+        entries.map((entry) =>
+          expired(entry)
+            ? {
+                ...entry,
+                status: OUTBOX_STATUS.EXPIRED,
+                problem: { code: OUTBOX_PROBLEMS.EXPIRED, message: 'Not sent: the connection was down for too long.' },
+              }
+            : entry
+        )
+      );
+    }
+
+    const heldBack = new Set();
+    for (const entry of entries.filter((item) => item.status === OUTBOX_STATUS.QUEUED)) {
+      if (ownerId !== owner) return;
+      // Discarded while earlier entries were being sent
+      if (heldBack.has(entry.deviceId) || !isQueued(entry.id)) continue;
+      try {
+        const result = await deliver(entry, sessionToken);
+        if (ownerId !== owner) return;
+        if (result.conflict) {
+          updateEntry(entry.id, { status: OUTBOX_STATUS.CONFLICT, problem: result.conflict });
+          continue;
+        }
+        sentListeners.forEach((listener) => listener(entry, result.value));
+        commit(entries.filter((item) => item.id !== entry.id));
+      } catch (err) {
+        if (ownerId !== owner) return;
+        if (err?.code === ERROR_CODES.NETWORK_ERROR || err?.code === ERROR_CODES.UNAUTHORIZED) return;
+        if (err?.code === COMMAND_ERRORS.DEVICE_OFFLINE) {
+          heldBack.add(entry.deviceId);
+          continue;
+        }
+        updateEntry(entry.id, {
+          status: OUTBOX_STATUS.CONFLICT,
+          problem: { code: err?.code ?? ERROR_CODES.UNKNOWN, message: err?.message ?? 'The server refused this change.' },
+        });
+      }
+    }
+  };
+
+  const replay = () => {
+    if (replaying) {
+      // Entries queued during a replay go out right after it
+      replayAgain = true;
+    } else if (token && ownerId != null) {
+      replaying = replayQueued(ownerId, token).finally(() => {
+        replaying = null;
+        if (replayAgain) {
+          replayAgain = false;
+          replay();
+        } else {
+          scheduleRetry();
+        }
+      });
+    }
+    return replaying ?? Promise.resolve();
+  };
+
+  /**
+   * setOwner()
+   *
+   * 1. Keep the token for sending; the same account with a new token just replays.
+   * 2. Otherwise clear the queue and load that account's saved entries, keeping anything
+   *    queued while loading after them.
+   * 3. Send what was left from last time.
+   */
+  const setOwner = async (id, sessionToken = null) => {
+    token = sessionToken;
+    if (id === ownerId) {
+      replay();
+      return;
+    }
+    ownerId = id;
+    entries = [];
+    clearTimeout(retryTimer);
+    listeners.forEach((listener) => listener(entries));
+    if (id == null) return;
+
+    const saved = (await getItem(storageKey(id))) ?? [];
+    if (ownerId !== id) return;
+    commit([...saved, ...entries]);
+    replay();
+  };
+
+  /**
+   * enqueueConfig()
+   *
+   * Queues setting changes; when the unit's newest entry is a change to the same slot that
+   * is still waiting, the two are merged, keeping the values from before the first edit.
+   */
+  const enqueueConfig = ({ deviceId, slotId, changes, base }) => {
+    const now = Date.now();
+    const last = entries.filter((entry) => entry.deviceId === deviceId).pop();
+    if (
+      last?.type === OUTBOX_TYPES.CONFIG &&
+      last.status === OUTBOX_STATUS.QUEUED &&
+      last.slotId === slotId
+    ) {
+      const merged = {
+        ...last,
+        changes: { ...last.changes, ...changes },
+        base: { ...base, ...last.base },
+        expiresAt: expiryFor(OUTBOX_TYPES.CONFIG, now),
+      };
+      commit(entries.map((entry) => (entry.id === last.id ? merged : entry)));
+      return merged;
+    }
+
+    const entry = {
+      id: createId(),
+      type: OUTBOX_TYPES.CONFIG,
+      deviceId,
+      slotId,
+      status: OUTBOX_STATUS.QUEUED,
+      queuedAt: new Date(now).toISOString(),
+      expiresAt: expiryFor(OUTBOX_TYPES.CONFIG, now),
+      problem: null,
+      changes,
+      base,
+    };
+    commit([...entries, entry]);
+    return entry;
+  };
+
+  const enqueueCommand = ({ deviceId, slotId, action, params = {} }) => {
+    const now = Date.now();
+    const entry = {
+      id: createId(),
+      type: OUTBOX_TYPES.COMMAND,
+      deviceId,
+      slotId,
+      status: OUTBOX_STATUS.QUEUED,
+      queuedAt: new Date(now).toISOString(),
+      expiresAt: expiryFor(OUTBOX_TYPES.COMMAND, now),
+      problem: null,
+      action,
+      params,
+    };
+    commit([...entries, entry]);
+    return entry;
+  };
+
+  const hasQueued = (deviceId) =>
+    entries.some((entry) => entry.deviceId === deviceId && entry.status === OUTBOX_STATUS.QUEUED);
+
+  const sendAnyway = (id) => {
+    const entry = entries.find((item) => item.id === id);
+    if (!entry || entry.status === OUTBOX_STATUS.QUEUED) return;
+    const changes = { status: OUTBOX_STATUS.QUEUED, problem: null, expiresAt: expiryFor(entry.type) };
+    // Settings changed elsewhere are now the values being replaced
+    if (entry.problem?.theirs) changes.base = { ...entry.base, ...entry.problem.theirs };
+    updateEntry(id, changes);
+    replay();
+  };
+
+  const discard = (id) => commit(entries.filter((entry) => entry.id !== id));
+
+  const getEntries = () => entries;
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  const onSent = (listener) => {
+    sentListeners.add(listener);
+    return () => sentListeners.delete(listener);
+  };
+
+  // Send as soon as the server answers again
+  subscribeConnectivity((reachable) => {
+    if (reachable) replay();
+  });
+
+  return {
+    setOwner,
+    enqueueConfig,
+    enqueueCommand,
+    hasQueued,
+    replay,
+    sendAnyway,
+    discard,
+    getEntries,
+    subscribe,
+    onSent,
+  };
+}
+
+// Shared queue, so every slot's settings and commands replay in one order
+const outbox = createOutbox();
+
+export function getOutbox() {
+  return outbox;
+}
@@ -0,0 +1,60 @@
+/**
+ * plantingClient.js
+ *
+ * Client for a slot's crop cycle: planting a lettuce into an empty slot and ending the crop.
+ * - plantSlot: save the variety, planting date and start type; resolves with the
+ *   slot, now planted and reporting readings. Fails with SLOT_OCCUPIED when something
+ *   is already growing in the slot, and DEVICE_OFFLINE when the unit is offline.
+ * - endCrop: mark the slot's crop harvested (with its yield, quality and notes) or failed;
+ *   resolves with `{ slot, crop }`, the emptied slot and the crop's new harvest log entry
+ *   (harvestClient.js). Fails with SLOT_EMPTY when nothing is planted.
+ */
+
+import { apiRequest } from './apiClient';
+
+// How a crop cycle starts: from seed in the slot, or a seedling raised elsewhere
+export const START_TYPES = {
+  SEED: 'seed',
+  SEEDLING: 'seedling',
+};
+
+export const START_TYPE_LABELS = {
+  [START_TYPES.SEED]: 'Seed',
+  [START_TYPES.SEEDLING]: 'Seedling',
+};
+
+// How a crop cycle ended
+export const CROP_OUTCOMES = {
+  HARVESTED: 'harvested',
+  FAILED: 'failed',
+};
+
+// Oldest planting date the backend accepts
+export const MAX_PLANTED_DAYS_AGO = 60;
+
+/**
+ * plantSlot()
+ *
+ * POST /devices/:deviceId/slots/:slotId/planting { variety, plantedAt, startType }.
+ */
+export function plantSlot({ token, deviceId, slotId, variety, plantedAt, startType }) {
+  return apiRequest(`/devices/${encodeURIComponent(deviceId)}/slots/${encodeURIComponent(slotId)}/planting`, {
+    method: 'POST',
+    token,
+    body: { variety, plantedAt, startType },
+  });
+}
+
+/**
+ * endCrop()
+ *
+ * POST /devices/:deviceId/slots/:slotId/planting/end { outcome, yieldGrams, quality, notes }.
+ * Harvested crops need `yieldGrams` and a 1–5 `quality`; `notes` is optional.
+ */
+export function endCrop({ token, deviceId, slotId, outcome, yieldGrams, quality, notes }) {
+  return apiRequest(`/devices/${encodeURIComponent(deviceId)}/slots/${encodeURIComponent(slotId)}/planting/end`, {
+    method: 'POST',
+    token,
+    body: { outcome, yieldGrams, quality, notes },
+  });
+}
@@ -0,0 +1,78 @@
+/**
+ * sessionStore.js
+ *
+ * Persists the signed-in session between app launches.
+ * - Only sessions created with "Remember for 30 days" are written to storage.
+ * - A stored session stays usable until its refresh token expires
+ *   (`refreshExpiresAt`); the short-lived access token is refreshed on restore.
+ */
+
+import { getItem, setItem, removeItem } from './storage';
+import { refresh } from './authClient';
+import { ERROR_CODES } from './apiClient';
+
+const SESSION_KEY = 'session';
+
+// Outcomes of restoreSession()
+export const RESTORE_STATUS = {
+  NONE: 'none',
+  RESTORED: 'restored',
+  EXPIRED: 'expired',
+};
+
+/**
+ * isSessionExpired()
+ *
+ * True once the session can no longer be refreshed.
+ */
+export function isSessionExpired(session) {
+  return !session?.refreshExpiresAt || Date.parse(session.refreshExpiresAt) <= Date.now();
+}
+
+// Access tokens are refreshed a minute early to avoid racing their expiry
+const needsRefresh = (session) => Date.parse(session.expiresAt) - 60 * 1000 <= Date.now();
+
+export function saveSession(session) {
+  return setItem(SESSION_KEY, session);
+}
+
+export function clearSession() {
+  return removeItem(SESSION_KEY);
+}
+
+/**
+ * restoreSession()
+ *
+ * 1. Load the stored session, if any.
+ * 2. Drop it and report EXPIRED when the 30-day window has passed
+ *    or the server rejects the refresh token.
+ * 3. Refresh the access token when needed and persist the result.
+ *
+ * Resolves with `{ status, session }`.
+ */
+export async function restoreSession() {
+  const stored = await getItem(SESSION_KEY);
+  if (!stored) return { status: RESTORE_STATUS.NONE, session: null };
+
+  if (isSessionExpired(stored)) {
+    await clearSession();
+    return { status: RESTORE_STATUS.EXPIRED, session: null };
+  }
+
+  if (!needsRefresh(stored)) {
+    return { status: RESTORE_STATUS.RESTORED, session: stored };
+  }
+
+  try {
+    const refreshed = await refresh(stored.refreshToken);
+    await saveSession(refreshed);
+    return { status: RESTORE_STATUS.RESTORED, session: refreshed };
+  } catch (err) {
+    // Offline: keep the stored session so the user is not logged out by a bad connection
+    if (err.code === ERROR_CODES.NETWORK_ERROR) {
+      return { status: RESTORE_STATUS.RESTORED, session: stored };
+    }
+    await clearSession();
+    return { status: RESTORE_STATUS.EXPIRED, session: null };
+  }
+}
@@ -0,0 +1,70 @@
+/**
+ * slotConfigClient.js
+ *
+ * Client for a slot's control configuration, stored on the device.
+ * - fetchSlotConfig: load `{ waterMode, phMode, TDSMode, lightMode, phRange, TDSRange, humidityPref }`.
+ * - updateSlotConfig: change some of those keys; resolves with the full saved config.
+ * - describeConfigChanges: "pH range 5.8–6.2, Light mode Manual", e.g. for queued changes.
+ *
+ * Modes are CONTROL_MODES ('Auto' lets the controller manage the reading, 'Manual'
+ * leaves it to the user); ranges are `[min, max]` targets; humidityPref is one of HUMIDITY_PREFS.
+ */
+
+import { apiRequest } from './apiClient';
+
+export const CONTROL_MODES = ['Auto', 'Manual'];
+export const HUMIDITY_PREFS = ['Low', 'Medium', 'High'];
+
+// Shown until the slot's saved config has loaded
+export const DEFAULT_SLOT_CONFIG = {
+  waterMode: 'Auto',
+  phMode: 'Auto',
+  TDSMode: 'Auto',
+  lightMode: 'Auto',
+  phRange: [5.5, 6.0],
+  TDSRange: [560, 840],
+  humidityPref: 'Medium',
+};
+
+// Display names for each setting
+export const CONFIG_LABELS = {
+  waterMode: 'Water mode',
+  phMode: 'pH mode',
+  TDSMode: 'TDS mode',
+  lightMode: 'Light mode',
+  phRange: 'pH range',
+  TDSRange: 'TDS range',
+  humidityPref: 'Humidity',
+};
+
+const configPath = (deviceId, slotId) =>
+  `/devices/${encodeURIComponent(deviceId)}/slots/${encodeURIComponent(slotId)}/config`;
+
+/**
+ * fetchSlotConfig()
+ *
+ * GET /devices/:deviceId/slots/:slotId/config.
+ */
+export function fetchSlotConfig({ token, deviceId, slotId }) {
+  return apiRequest(configPath(deviceId, slotId), { token });
+}
+
+/**
+ * updateSlotConfig()
+ *
+ * PATCH /devices/:deviceId/slots/:slotId/config with only the changed keys.
+ */
+export function updateSlotConfig({ token, deviceId, slotId, changes }) {
+  return apiRequest(configPath(deviceId, slotId), { method: 'PATCH', token, body: changes });
+}
+
+/**
+ * describeConfigChanges()
+ *
+ * Lists settings with their values, e.g. "pH range 5.8–6.2, Light mode Manual".
+ */
+export function describeConfigChanges(changes) {
+  return Object.entries(changes)
+    .map(([key, value]) => `${CONFIG_LABELS[key] ?? key} ${Array.isArray(value) ? value.join('–') : value}`)
+    .join(', ');
+}
@@ -0,0 +1,60 @@
+/**
+ * storage.js
+ *
+ * Small persistent key/value store used by the app's services.
+ * - Native (iOS/Android): AsyncStorage.
+ * - Web: window.localStorage.
+ * - Values are JSON-serialised; unreadable entries are treated as missing.
+ */
+
+import { Platform } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+// Prefix every key so GreenSync data is easy to spot (and clear) in storage
+const KEY_PREFIX = 'greensync.';
+
+const isWeb = Platform.OS === 'web';
+
+/**
+ * getItem()
+ *
+ * Resolves with the parsed value stored under `key`, or null.
+ */
+export async function getItem(key) {
+  try {
+    const raw = isWeb
+      ? window.localStorage.getItem(KEY_PREFIX + key)
+      : await AsyncStorage.getItem(KEY_PREFIX + key);
+    return raw == null ? null : JSON.parse(raw);
+  } catch (err) {
+    console.warn(`storage: could not read "${key}"`, err);
+    return null;
+  }
+}
+
+/**
+ * setItem()
+ *
+ * Serialises `value` and stores it under `key`.
+ */
+export async function setItem(key, value) {
+  const raw = JSON.stringify(value);
+  if (isWeb) {
+    window.localStorage.setItem(KEY_PREFIX + key, raw);
+  } else {
+    await AsyncStorage.setItem(KEY_PREFIX + key, raw);
+  }
+}
+
+/**
+ * removeItem()
+ *
+ * Deletes the value stored under `key` (no-op when missing).
+ */
+export async function removeItem(key) {
+  if (isWeb) {
+    window.localStorage.removeItem(KEY_PREFIX + key);
+  } else {
+    await AsyncStorage.removeItem(KEY_PREFIX + key);
+  }
+}
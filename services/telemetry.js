@@ -0,0 +1,142 @@
+/**
+ * telemetry.js
+ *
+ * Per-slot sensor readings for a GreenSync unit.
+ * - A slot is `{ id, hasPlant, variety, plantedAt, startType, data, actuators, updatedAt, optimizedAt }`; `data` is
+ *   `{ temp, humidity, ph, tds, light, water, imageUri, photoTakenAt }`
+ *   (°C, %, pH, ppm, 0–10 light level, L) or null for an empty slot. `optimizedAt` is when
+ *   the controller last auto-tuned the slot's setpoints. `actuators` is the device's
+ *   reported output state, `{ lightOn, lightLevel }`; `variety` is the lettuce planted
+ *   (e.g. 'Romaine'), `plantedAt` is when the current crop cycle started and `startType`
+ *   is how it started ('seed' or 'seedling'). `imageUri` is the path of the slot's latest
+ *   Smart Cam photo (null until the first; see cameraClient.js) and `photoTakenAt` when it was taken.
+ * - Readings arrive through a pluggable transport so screens never care whether
+ *   they came from HTTP polling, a live channel, or fixture data.
+ *
+ * A transport implements:
+ *   fetchSlots({ token, deviceId }) → Promise<slot[]>
+ *   subscribe({ token, deviceId, slotId? }, { onSlots, onError }) → unsubscribe()
+ * `onSlots` receives one or more updated slots; slots not included are unchanged.
+ * The app streams over MQTT (see mqttTransport.js); the REST transport here polls.
+ *
+ * Changes the app makes itself (e.g. planting a slot) are shared with
+ * `publishSlotUpdates` so every screen shows them before the transport catches up.
+ */
+
+import { apiRequest } from './apiClient';
+
+// Readings older than this are flagged as stale in the UI
+export const STALE_AFTER_MS = 2 * 60 * 1000;
+
+const DEFAULT_POLL_INTERVAL_MS = 15 * 1000;
+
+/**
+ * createHttpTransport()
+ *
+ * Reads slots from the REST API and "subscribes" by polling it.
+ */
+export function createHttpTransport({ pollInterval = DEFAULT_POLL_INTERVAL_MS } = {}) {
+  const fetchSlots = ({ token, deviceId }) =>
+    apiRequest(`/devices/${encodeURIComponent(deviceId)}/slots`, { token });
+
+  const subscribe = ({ token, deviceId }, { onSlots, onError }) => {
+    let stopped = false;
+    const timer = setInterval(() => {
+      fetchSlots({ token, deviceId })
+        .then((slots) => !stopped && onSlots(slots))
+        .catch((err) => !stopped && onError?.(err));
+    }, pollInterval);
+    return () => {
+      stopped = true;
+      clearInterval(timer);
+    };
+  };
+
+  return { fetchSlots, subscribe };
+}
+
+/**
+ * createFixtureTransport()
+ *
+ * In-memory transport for tests and demos.
+ * - `fetchSlots` resolves with a copy of `slots` (or rejects with `error` when set).
+ * - `push(updates)` delivers slot updates to every subscriber.
+ * - `fail(error)` reports an error to every subscriber.
+ */
+export function createFixtureTransport(slots = [], { error = null } = {}) {
+  let current = slots;
+  const listeners = new Set();
+
+  return {
+    fetchSlots: () => (error ? Promise.reject(error) : Promise.resolve(current.map((s) => ({ ...s })))),
+    subscribe: (_options, listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    push(updates) {
+      current = mergeSlots(current, updates);
+      listeners.forEach((l) => l.onSlots(updates));
+    },
+    fail(err) {
+      listeners.forEach((l) => l.onError?.(err));
+    },
+  };
+}
+
+let activeTransport = createHttpTransport();
+
+// Listeners for slot changes made by the app itself: (deviceId, updates) => void
+const localListeners = new Set();
+
+/**
+ * setTelemetryTransport()
+ *
+ * Replaces the transport used by every telemetry consumer that doesn't pass its own.
+ */
+export function setTelemetryTransport(transport) {
+  activeTransport = transport;
+}
+
+export function getTelemetryTransport() {
+  return activeTransport;
+}
+
+/**
+ * publishSlotUpdates()
+ *
+ * Delivers slots the app changed itself (e.g. the response to a planting request)
+ * to every telemetry consumer of `deviceId`.
+ */
+export function publishSlotUpdates(deviceId, updates) {
+  localListeners.forEach((listener) => listener(deviceId, updates));
+}
+
+export function subscribeSlotUpdates(listener) {
+  localListeners.add(listener);
+  return () => localListeners.delete(listener);
+}
+
+/**
+ * mergeSlots()
+ *
+ * Applies slot updates (matched by `id`) to a slot list, keeping its order.
+ * Slots not yet in the list are appended.
+ */
+export function mergeSlots(slots, updates) {
+  const byId = new Map(updates.map((u) => [u.id, u]));
+  const merged = slots.map((slot) => (byId.has(slot.id) ? { ...slot, ...byId.get(slot.id) } : slot));
+  updates.forEach((u) => {
+    if (!slots.some((slot) => slot.id === u.id)) merged.push(u);
+  });
+  return merged;
+}
+
+/**
+ * latestUpdate()
+ *
+ * Most recent `updatedAt` across the slots, as a timestamp (or null when none have readings).
+ */
+export function latestUpdate(slots) {
+  const times = slots.map((s) => Date.parse(s.updatedAt)).filter((t) => !Number.isNaN(t));
+  return times.length ? Math.max(...times) : null;
+}
@@ -0,0 +1,77 @@
+/**
+ * unitPrefs.js
+ *
+ * How readings, ranges and dates are shown (services/formatter.js).
+ * - Stored on the account as `preferences.units` (see UserContext.updatePreferences).
+ * - Temperature in °C or °F; water in litres or US gallons; nutrients as ppm on the 700
+ *   scale (what the units report), ppm on the 500 scale, or EC in mS/cm.
+ * - Numbers and dates follow a chosen locale, or the device's own when none is set.
+ *
+ * Preferences are
+ *   { temperature: 'C' | 'F', volume: 'L' | 'gal', nutrient: 'ppm700' | 'ppm500' | 'ec',
+ *     locale: string | null }
+ */
+
+export const TEMPERATURE_UNITS = {
+  CELSIUS: 'C',
+  FAHRENHEIT: 'F',
+};
+
+export const VOLUME_UNITS = {
+  LITRES: 'L',
+  GALLONS: 'gal',
+};
+
+export const NUTRIENT_SCALES = {
+  PPM_700: 'ppm700',
+  PPM_500: 'ppm500',
+  EC: 'ec',
+};
+
+// Choices shown on the Profile screen, per preference
+export const UNIT_OPTIONS = {
+  temperature: [
+    { value: TEMPERATURE_UNITS.CELSIUS, label: '°C' },
+    { value: TEMPERATURE_UNITS.FAHRENHEIT, label: '°F' },
+  ],
+  volume: [
+    { value: VOLUME_UNITS.LITRES, label: 'Litres' },
+    { value: VOLUME_UNITS.GALLONS, label: 'Gallons' },
+  ],
+  nutrient: [
+    { value: NUTRIENT_SCALES.PPM_700, label: 'ppm (700)' },
+    { value: NUTRIENT_SCALES.PPM_500, label: 'ppm (500)' },
+    { value: NUTRIENT_SCALES.EC, label: 'EC' },
+  ],
+  // null follows the device's language and region
+  locale: [
+    { value: null, label: 'Device' },
+    { value: 'en-AU', label: 'English (AU)' },
+    { value: 'en-GB', label: 'English (UK)' },
+    { value: 'en-US', label: 'English (US)' },
+    { value: 'de-DE', label: 'Deutsch' },
+    { value: 'fr-FR', label: 'Français' },
+  ],
+};
+
+export const DEFAULT_UNIT_PREFS = {
+  temperature: TEMPERATURE_UNITS.CELSIUS,
+  volume: VOLUME_UNITS.LITRES,
+  nutrient: NUTRIENT_SCALES.PPM_700,
+  locale: null,
+};
+
+/**
+ * getUnitPrefs()
+ *
+ * Full preferences from an account's `preferences`, falling back to the default for
+ * anything unset or no longer offered.
+ */
+export function getUnitPrefs(preferences) {
+  const saved = preferences?.units ?? {};
+  const prefs = { ...DEFAULT_UNIT_PREFS };
+  Object.keys(UNIT_OPTIONS).forEach((key) => {
+    if (UNIT_OPTIONS[key].some((option) => option.value === saved[key])) prefs[key] = saved[key];
+  });
+  return prefs;
+}
@@ -0,0 +1,94 @@
+/**
+ * mqttTransport.test.js
+ *
+ * Live readings from the mock server's MQTT broker (mock-server/broker.js) through the
+ * app's transport (services/mqttTransport.js):
+ * - a slot the server publishes reaches the subscriber;
+ * - after the broker restarts, the transport reconnects and readings flow again.
+ *
+ * Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+// The app's services are ES modules
+require('@babel/register')({
+  babelrc: false,
+  configFile: false,
+  plugins: ['@babel/plugin-transform-modules-commonjs'],
+  only: [/[\\/]services[\\/]/],
+});
+
+const broker = require('../mock-server/broker');
+const { db } = require('../mock-server/db');
+const { createMqttTransport } = require('../services/mqttTransport');
+const { ERROR_CODES } = require('../services/apiClient');
+
+const DEVICE_ID = 'greensync-1';
+const TOKEN = 'mqtt-transport-test';
+
+// Resolves once `check()` returns something truthy, polling every 50 ms
+function waitFor(check, what, timeoutMs = 10 * 1000) {
+  return new Promise((resolve, reject) => {
+    const started = Date.now();
+    const timer = setInterval(() => {
+      const found = check();
+      if (found) {
+        clearInterval(timer);
+        resolve(found);
+      } else if (Date.now() - started > timeoutMs) {
+        clearInterval(timer);
+        reject(new Error(`Timed out waiting for ${what}`));
+      }
+    }, 50);
+  });
+}
+
+test('mqtt transport', async (t) => {
+  const server = http.createServer();
+  await broker.attach(server);
+  await new Promise((resolve) => server.listen(0, resolve));
+  db.sessions.set(TOKEN, { userId: db.users.get('demo').id, expiresAt: Date.now() + 60 * 60 * 1000 });
+
+  const transport = createMqttTransport({
+    url: `ws://localhost:${server.address().port}${broker.MQTT_PATH}`,
+    fetchSlots: async () => [],
+  });
+  const received = [];
+  const errors = [];
+  const unsubscribe = transport.subscribe(
+    { token: TOKEN, deviceId: DEVICE_ID },
+    { onSlots: (slots) => received.push(...slots), onError: (err) => errors.push(err) }
+  );
+
+  t.after(async () => {
+    unsubscribe();
+    await broker.close();
+    await new Promise((resolve) => server.close(resolve));
+    db.sessions.delete(TOKEN);
+  });
+
+  // Publishes a copy of slot 1 tagged with `marker` and waits for the transport to deliver it
+  const publishAndReceive = (marker) => {
+    const slot = db.devices.get(DEVICE_ID).slots[0];
+    broker.publishSlot(DEVICE_ID, { ...slot, updatedAt: marker });
+    return waitFor(() => received.find((s) => s.updatedAt === marker), `the slot tagged ${marker}`);
+  };
+
+  await t.test('receives a published slot update', async () => {
+    await waitFor(() => received.length, 'the retained readings');
+    const slot = await publishAndReceive('before-restart');
+    assert.equal(slot.id, db.devices.get(DEVICE_ID).slots[0].id);
+  });
+
+  await t.test('reconnects after the broker restarts', async () => {
+    await broker.close();
+    await waitFor(() => errors.length, 'the disconnect to be reported');
+    assert.equal(errors[0].code, ERROR_CODES.NETWORK_ERROR);
+
+    await broker.attach(server);
+    await publishAndReceive('after-restart');
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * pairing.test.js
+ *
+ * Adding a unit end to end against the mock server and its device simulator
+ * (mock-server/pairing.js, devices.js and simulator.js), as the PairDevice screen does it:
+ * - pair by serial number (as typed from the label) and by pairing code;
+ * - name the unit and set its location and reservoir size;
+ * - run the sensor check;
+ * - the unit is then listed on the account.
+ *
+ * Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const SERVER = path.join(__dirname, '..', 'mock-server', 'index.js');
+
+// A port nothing is listening on
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// Starts the mock server on `port`; resolves with the child process once it is listening
+function startServer(port) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [SERVER], { env: { ...process.env, PORT: String(port) } });
+    let output = '';
+    const onData = (data) => {
+      output += data;
+      if (output.includes('listening on')) {
+        child.stdout.off('data', onData);
+        child.stdout.resume();
+        resolve(child);
+      }
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', (data) => {
+      output += data;
+    });
+    child.on('exit', (code) => reject(new Error(`Mock server exited (${code}):\n${output}`)));
+  });
+}
+
+test('pairing a unit', async (t) => {
+  const port = await freePort();
+  const server = await startServer(port);
+  t.after(() => server.kill());
+
+  // JSON request to the mock server; resolves with `{ status, body }`
+  const request = async (method, route, { token, body } = {}) => {
+    const headers = { Accept: 'application/json' };
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const response = await fetch(`http://localhost:${port}${route}`, {
+      method,
+      headers,
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+    return { status: response.status, body: await response.json().catch(() => null) };
+  };
+
+  // A new account, so the only units it lists are the ones paired here
+  const signUp = await request('POST', '/auth/register', {
+    body: { username: 'pairing-test', email: 'pairing-test@greensync.app', password: 'greensync' },
+  });
+  assert.equal(signUp.status, 201);
+  const { token } = signUp.body;
+  assert.deepEqual((await request('GET', '/devices', { token })).body, []);
+
+  // Names the unit, sets its location and reservoir, and runs the sensor check
+  const setUp = async (unit, details) => {
+    const patched = await request('PATCH', `/devices/${unit.id}`, { token, body: details });
+    assert.equal(patched.status, 200);
+    assert.equal(patched.body.name, details.name);
+    assert.equal(patched.body.location, details.location);
+    assert.equal(patched.body.reservoirLitres, details.reservoirLitres);
+
+    const check = await request('POST', `/devices/${unit.id}/sensor-check`, { token });
+    assert.equal(check.status, 200);
+    assert.equal(check.body.passed, true);
+    const water = check.body.sensors.find((sensor) => sensor.sensor === 'water');
+    assert.ok(water.value <= details.reservoirLitres, 'the water reading fits the new reservoir');
+  };
+
+  await t.test('pairs by serial number', async () => {
+    // greensync-4 is seeded unpaired (db.js); serials are typed without case or dashes
+    const paired = await request('POST', '/devices/pair', { token, body: { serial: 'gs4 7f3a 2291' } });
+    assert.equal(paired.status, 201);
+    assert.equal(paired.body.id, 'greensync-4');
+    await setUp(paired.body, { name: 'Balcony Garden', location: 'Balcony', reservoirLitres: 12 });
+  });
+
+  await t.test('pairs by pairing code', async () => {
+    const made = await request('POST', '/sim/devices', { body: { slotCount: 2 } });
+    assert.equal(made.status, 201);
+    const paired = await request('POST', '/devices/pair', { token, body: { pairingCode: made.body.pairingCode } });
+    assert.equal(paired.status, 201);
+    assert.equal(paired.body.id, made.body.id);
+    await setUp(paired.body, { name: 'Desk Herbs', location: 'Study', reservoirLitres: 4.5 });
+  });
+
+  await t.test('lists the paired units on the account', async () => {
+    const { status, body } = await request('GET', '/devices', { token });
+    assert.equal(status, 200);
+    assert.deepEqual(
+      body.map(({ name, location, reservoirLitres }) => ({ name, location, reservoirLitres })),
+      [
+        { name: 'Balcony Garden', location: 'Balcony', reservoirLitres: 12 },
+        { name: 'Desk Herbs', location: 'Study', reservoirLitres: 4.5 },
+      ]
+    );
+  });
+});
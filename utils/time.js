@@ -0,0 +1,80 @@
+/**
+ * time.js
+ *
+ * Small date/time helpers shared by screens and components.
+ * - Dates and clock times take an optional BCP 47 `locale` (e.g. "en-US"); without one they
+ *   follow the device. Components normally go through useFormatter(), which passes the
+ *   account's locale (services/unitPrefs.js).
+ */
+
+const toDate = (time) => (time instanceof Date ? time : new Date(time));
+
+/**
+ * formatTimeAgo()
+ *
+ * Relative age of a timestamp (ms, ISO string or Date), e.g. "5 minutes ago".
+ * Returns an empty string when the time is unknown.
+ */
+export function formatTimeAgo(time, now = Date.now()) {
+  const timestamp = time instanceof Date ? time.getTime() : typeof time === 'string' ? Date.parse(time) : time;
+  if (timestamp == null || Number.isNaN(timestamp)) return '';
+
+  const minutes = Math.floor((now - timestamp) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'} ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+  const days = Math.floor(hours / 24);
+  return `${days} day${days === 1 ? '' : 's'} ago`;
+}
+
+/**
+ * formatDuration()
+ *
+ * Length of a period in ms, e.g. "less than a minute", "5 minutes", "2 hours", "3 days".
+ */
+export function formatDuration(ms) {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 1) return 'less than a minute';
+  if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} hour${hours === 1 ? '' : 's'}`;
+  const days = Math.floor(hours / 24);
+  return `${days} day${days === 1 ? '' : 's'}`;
+}
+
+/**
+ * formatShortDate()
+ *
+ * Day and month of a timestamp (ms, ISO string or Date), e.g. "3 Nov".
+ * Returns an empty string when the time is unknown.
+ */
+export function formatShortDate(time, locale) {
+  const date = toDate(time);
+  if (Number.isNaN(date.getTime())) return '';
+  return date.toLocaleDateString(locale ?? undefined, { day: 'numeric', month: 'short' });
+}
+
+/**
+ * formatClockTime()
+ *
+ * Hours and minutes of a timestamp, in the locale's 12- or 24-hour clock, e.g. "14:15"
+ * or "2:15 PM". Returns an empty string when the time is unknown.
+ */
+export function formatClockTime(time, locale) {
+  const date = toDate(time);
+  if (Number.isNaN(date.getTime())) return '';
+  return date.toLocaleTimeString(locale ?? undefined, { hour: 'numeric', minute: '2-digit' });
+}
+
+/**
+ * formatDateTime()
+ *
+ * Day, month and time of a timestamp (ms, ISO string or Date), e.g. "3 Nov, 14:15".
+ * Returns an empty string when the time is unknown.
+ */
+export function formatDateTime(time, locale) {
+  const date = toDate(time);
+  if (Number.isNaN(date.getTime())) return '';
+  return `${formatShortDate(date, locale)}, ${formatClockTime(date, locale)}`;
+}